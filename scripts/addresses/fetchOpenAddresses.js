@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { BRUSSELS_REGION_BOUNDS, isInBrusselsRegion, loadBoundaries } = require('../common/brusselsBoundaries');
 
 /**
  * 🏠 FETCH ADDRESSES - 100% GRATUIT
@@ -23,13 +24,8 @@ class FreeAddressFetcher {
             startTime: Date.now()
         };
 
-        // Limites géographiques de Bruxelles
-        this.BRUSSELS_BOUNDS = {
-            minLat: 50.7641,
-            maxLat: 50.9228,
-            minLng: 4.2177,
-            maxLng: 4.4821
-        };
+        // Emprise de la Région (requête Overpass) ; l'appartenance se teste sur le polygone
+        this.BRUSSELS_BOUNDS = BRUSSELS_REGION_BOUNDS;
     }
 
     /**
@@ -197,10 +193,7 @@ class FreeAddressFetcher {
      * 🛠️ Utilitaires
      */
     isInBrussels(lat, lng) {
-        return lat >= this.BRUSSELS_BOUNDS.minLat &&
-               lat <= this.BRUSSELS_BOUNDS.maxLat &&
-               lng >= this.BRUSSELS_BOUNDS.minLng &&
-               lng <= this.BRUSSELS_BOUNDS.maxLng;
+        return isInBrusselsRegion(parseFloat(lat), parseFloat(lng));
     }
 
     inferCommune(postalCode) {
@@ -341,6 +334,9 @@ async function main() {
     const fetcher = new FreeAddressFetcher();
 
     try {
+        // 0. Polygones de la Région (filtre des adresses hors Bruxelles)
+        loadBoundaries();
+
         // 1. Récupération des adresses
         const addresses = await fetcher.fetchFromOpenAddresses();
 
@@ -1,6 +1,28 @@
 const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
+const { getFlagValue, hasFlag } = require('../common/cliArgs');
+const { isInBrusselsRegion, loadBoundaries } = require('../common/brusselsBoundaries');
+const {
+    READ_CHUNK_SIZE,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    createBulkWriter,
+    getAllDocuments,
+    chunkArray,
+    mapWithConcurrency,
+    ImportProgress
+} = require('../common/bulkImport');
+const {
+    getUpdateTime,
+    createPlan,
+    writePlan,
+    loadPlan,
+    verifyPlan,
+    printPlanSummary
+} = require('../common/importPlan');
+const { getGeohashFields } = require('../common/geohash');
+const { generateAddressSearchTerms } = require('../common/searchTerms');
 require('dotenv').config();
 
 /**
@@ -9,22 +31,46 @@ require('dotenv').config();
  * Importe les adresses récupérées par fetchOpenAddresses.js
  * dans la collection Firestore 'brussels_addresses'
  *
+ * Lectures getAll par paquets pour distinguer créations, mises à jour et
+ * adresses inchangées, écritures via BulkWriter (relance sur contention).
+ * Options : --concurrency 4, --max-retries 5
+ *
+ * --plan [fichier.json] calcule créations et mises à jour (diff) sans rien
+ * écrire ; --apply fichier.json exécute ce plan si la collection n'a pas
+ * changé depuis (voir scripts/common/importPlan.js)
+ *
  * Coût : 0€ - Pas d'API externe, juste Firestore
  */
 
+// Champs comparés pour décider d'une mise à jour
+const COMPARED_FIELDS = [
+    'street', 'number', 'commune', 'postalCode', 'fullAddress',
+    'coordinates', 'searchTerms', 'source', 'isActive',
+    'geohash' // Adresses importées avant le geohash : mises à jour au prochain import
+];
+
 class AddressImporter {
-    constructor() {
+    constructor(options = {}) {
         this.firestore = admin.firestore();
-        this.BATCH_SIZE = 500; // Limite max Firestore
         this.COLLECTION_NAME = 'brussels_addresses';
+        this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+        this.seenIds = new Set();
+        this.runId = `import_addresses_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        this.sourceFile = null;
+        this.fileMetadata = {};
 
         this.stats = {
             total: 0,
             processed: 0,
             saved: 0,
+            updated: 0,
+            unchanged: 0,
             skipped: 0,
             errors: 0,
             duplicates: 0,
+            retries: 0,
+            throughput: 0,
             startTime: Date.now()
         };
     }
@@ -47,6 +93,9 @@ class AddressImporter {
             throw new Error('Format de fichier invalide - adresses manquantes');
         }
 
+        this.sourceFile = filename;
+        this.fileMetadata = data.metadata || {};
+
         console.log(`✅ ${data.addresses.length} adresses chargées`);
         console.log(`📊 Source: ${data.metadata?.source || 'Inconnue'}`);
         console.log(`📅 Récupérées le: ${data.metadata?.fetchedAt || 'Inconnu'}`);
@@ -67,6 +116,11 @@ class AddressImporter {
         // Adresse complète
         const fullAddress = `${address.number} ${address.street}, ${address.postalCode} ${address.commune}`;
 
+        const coordinates = {
+            latitude: parseFloat(address.coordinates.latitude),
+            longitude: parseFloat(address.coordinates.longitude)
+        };
+
         return {
             id: docId,
             data: {
@@ -75,10 +129,8 @@ class AddressImporter {
                 commune: address.commune.trim(),
                 postalCode: address.postalCode,
                 fullAddress,
-                coordinates: {
-                    latitude: parseFloat(address.coordinates.latitude),
-                    longitude: parseFloat(address.coordinates.longitude)
-                },
+                coordinates,
+                ...getGeohashFields(coordinates), // Recherche par rayon (spatialQueries.js)
                 searchTerms,
                 source: address.source || 'UNKNOWN',
                 isActive: true,
@@ -103,59 +155,119 @@ class AddressImporter {
      * 🔍 Génération des termes de recherche
      */
     generateSearchTerms(address) {
-        const terms = [
-            address.street.toLowerCase(),
-            `${address.number} ${address.street}`.toLowerCase(),
-            address.commune.toLowerCase(),
-            address.postalCode,
-            `${address.street} ${address.commune}`.toLowerCase()
-        ];
-
-        // Ajouter des variantes
-        const streetWords = address.street.toLowerCase().split(' ');
-        terms.push(...streetWords.filter(word => word.length > 2));
-
-        return [...new Set(terms.filter(term => term && term.length > 0))];
+        return generateAddressSearchTerms(address);
     }
 
     /**
-     * 📥 Import principal en batches
+     * 📥 Import principal : lectures getAll par paquets, écritures BulkWriter
+     * Chaque paquet est planifié (planChunk) puis exécuté aussitôt
      */
     async importToFirestore(addresses) {
         console.log(`\n📥 IMPORT VERS FIRESTORE`);
-        console.log(`📊 ${addresses.length} adresses à traiter`);
+        console.log(`📊 ${addresses.length} adresses à traiter (paquets de ${READ_CHUNK_SIZE}, concurrence ${this.concurrency})`);
 
         this.stats.total = addresses.length;
 
         // Vérifier les doublons existants
         await this.checkExistingAddresses();
 
-        const collection = this.firestore.collection(this.COLLECTION_NAME);
-        let batchCount = 0;
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats: this.stats });
+        const progress = new ImportProgress(addresses.length, 'adresses');
+
+        await mapWithConcurrency(chunkArray(addresses), this.concurrency, async chunk => {
+            this.executeOperations(writer, await this.planChunk(chunk));
 
-        // Traitement par batches
-        for (let i = 0; i < addresses.length; i += this.BATCH_SIZE) {
-            batchCount++;
-            const batchAddresses = addresses.slice(i, i + this.BATCH_SIZE);
+            // Contre-pression : le paquet suivant attend que ces écritures soient parties
+            await writer.flush();
+            progress.tick(chunk.length);
+        });
 
-            await this.processBatch(collection, batchAddresses, batchCount);
+        await writer.close();
+        this.stats.throughput = progress.getThroughput();
 
-            // Pause entre les batches pour éviter les rate limits
-            if (i + this.BATCH_SIZE < addresses.length) {
-                await this.sleep(200);
+        console.log(`\n🎉 IMPORT TERMINÉ!`);
+        this.generateImportReport();
+    }
+
+    /**
+     * 🗺️ --plan : opérations de l'import calculées sans rien écrire
+     */
+    async planImport(addresses) {
+        console.log(`\n🗺️ CALCUL DU PLAN (aucune écriture)`);
+
+        const collectionCount = (await this.firestore.collection(this.COLLECTION_NAME).count().get()).data().count;
+        const progress = new ImportProgress(addresses.length, 'adresses');
+        const chunkOperations = await mapWithConcurrency(chunkArray(addresses), this.concurrency, async chunk => {
+            const operations = await this.planChunk(chunk);
+            progress.tick(chunk.length);
+            return operations;
+        });
+
+        return createPlan({
+            kind: 'addresses',
+            collection: this.COLLECTION_NAME,
+            runId: this.runId,
+            source: { file: this.sourceFile, fetchedAt: this.fileMetadata.fetchedAt || null },
+            collectionCount,
+            operations: chunkOperations.flat(),
+            counters: {
+                total: addresses.length,
+                invalid: this.stats.skipped,
+                unchanged: this.stats.unchanged,
+                duplicates: this.stats.duplicates,
+                errors: this.stats.errors
             }
+        });
+    }
+
+    /**
+     * ▶️ --apply : exécution exacte d'un plan, refusée si la collection a changé
+     */
+    async applyPlan(plan) {
+        console.log(`\n▶️ APPLICATION DU PLAN ${plan.runId}`);
+
+        const verification = await verifyPlan(this.firestore, plan);
+        if (!verification.ok) {
+            const details = verification.mismatches.slice(0, 10).map(mismatch => mismatch.id).join(', ');
+            throw new Error(
+                `Collection modifiée depuis le plan (${plan.fingerprint.count} → ${verification.count} documents` +
+                `${verification.mismatches.length > 0 ? `, ${verification.mismatches.length} modifiés: ${details}` : ''}). ` +
+                'Recalculez le plan avec --plan'
+            );
+        }
+        console.log(`🔒 Empreinte vérifiée: ${verification.count} adresses en base, collection inchangée`);
+
+        Object.assign(this.stats, {
+            total: plan.summary.total,
+            skipped: plan.summary.invalid,
+            unchanged: plan.summary.unchanged,
+            duplicates: plan.summary.duplicates
+        });
+
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats: this.stats });
+        const progress = new ImportProgress(plan.operations.length, 'opérations');
+
+        for (const operations of chunkArray(plan.operations)) {
+            this.executeOperations(writer, operations);
+            await writer.flush();
+            progress.tick(operations.length);
         }
 
-        console.log(`\n🎉 IMPORT TERMINÉ!`);
+        await writer.close();
+        this.stats.throughput = progress.getThroughput();
+
+        console.log(`\n🎉 PLAN APPLIQUÉ!`);
         this.generateImportReport();
     }
 
     /**
-     * 📦 Traitement d'un batch
+     * 📦 Opérations d'un paquet d'adresses : une lecture getAll pour tout le paquet
+     * → [{ action: create|update, id, name, data, changes?, updateTime }]
+     * Les adresses invalides, en double ou inchangées sont seulement comptées
      */
-    async processBatch(collection, addresses, batchNumber) {
-        const batch = this.firestore.batch();
-        let batchProcessed = 0;
+    async planChunk(addresses) {
+        const collection = this.firestore.collection(this.COLLECTION_NAME);
+        const entries = [];
 
         for (const address of addresses) {
             try {
@@ -167,11 +279,14 @@ class AddressImporter {
                     continue;
                 }
 
-                const docRef = collection.doc(prepared.id);
-                batch.set(docRef, prepared.data, { merge: true });
+                // Même ID déjà vu dans ce fichier
+                if (this.seenIds.has(prepared.id)) {
+                    this.stats.duplicates++;
+                    continue;
+                }
+                this.seenIds.add(prepared.id);
 
-                batchProcessed++;
-                this.stats.processed++;
+                entries.push(prepared);
 
             } catch (error) {
                 this.stats.errors++;
@@ -181,31 +296,77 @@ class AddressImporter {
             }
         }
 
+        // Vérifier en une lecture quelles adresses existent déjà
+        let snapshots;
         try {
-            await batch.commit();
-            this.stats.saved += batchProcessed;
+            snapshots = await getAllDocuments(this.firestore, entries.map(prepared => collection.doc(prepared.id)));
+        } catch (error) {
+            this.stats.errors += entries.length;
+            console.error(`❌ Erreur lecture de ${entries.length} adresses:`, error.message);
+            return [];
+        }
 
-            const totalBatches = Math.ceil(this.stats.total / this.BATCH_SIZE);
-            const progress = ((this.stats.processed / this.stats.total) * 100).toFixed(1);
+        const operations = [];
 
-            console.log(`✅ Batch ${batchNumber}/${totalBatches}: ${batchProcessed} adresses sauvegardées (${progress}%)`);
+        entries.forEach(({ id, data }, index) => {
+            const existingDoc = snapshots[index];
+            const base = { id, name: data.fullAddress, updateTime: getUpdateTime(existingDoc) };
 
-        } catch (error) {
-            this.stats.errors += batchProcessed;
-            console.error(`❌ Erreur batch ${batchNumber}:`, error.message);
+            if (!existingDoc.exists) {
+                operations.push({ ...base, action: 'create', data });
+                return;
+            }
 
-            // Retry avec une pause plus longue
-            console.log(`🔄 Retry batch ${batchNumber} dans 3s...`);
-            await this.sleep(3000);
+            const changes = this.diffAddressFields(existingDoc.data(), data);
+            if (changes.length === 0) {
+                this.stats.unchanged++;
+                return;
+            }
 
-            try {
-                await batch.commit();
-                this.stats.saved += batchProcessed;
-                console.log(`✅ Retry batch ${batchNumber} réussi`);
-            } catch (retryError) {
-                console.error(`❌ Retry batch ${batchNumber} échoué:`, retryError.message);
+            // Mise à jour : la date de création d'origine est conservée
+            const { createdAt, ...updates } = data;
+            operations.push({ ...base, action: 'update', data: updates, changes });
+        });
+
+        return operations;
+    }
+
+    /**
+     * ✍️ Mise en file des écritures d'un lot d'opérations
+     * Les compteurs sont mis à jour quand l'écriture est confirmée
+     */
+    executeOperations(writer, operations) {
+        const collection = this.firestore.collection(this.COLLECTION_NAME);
+        const onError = () => {
+            this.stats.errors++;
+        };
+
+        operations.forEach(operation => {
+            const docRef = collection.doc(operation.id);
+
+            if (operation.action === 'create') {
+                // create : échoue si l'adresse a été créée entre-temps
+                writer.create(docRef, operation.data).then(() => {
+                    this.stats.saved++;
+                    this.stats.processed++;
+                }, onError);
+                return;
             }
-        }
+
+            writer.set(docRef, operation.data, { merge: true }).then(() => {
+                this.stats.updated++;
+                this.stats.processed++;
+            }, onError);
+        });
+    }
+
+    /**
+     * 🔀 Champs modifiés d'une adresse existante → [{ field, oldValue, newValue }]
+     */
+    diffAddressFields(existing, updated) {
+        return COMPARED_FIELDS
+            .filter(field => JSON.stringify(existing[field] ?? null) !== JSON.stringify(updated[field] ?? null))
+            .map(field => ({ field, oldValue: existing[field] ?? null, newValue: updated[field] ?? null }));
     }
 
     /**
@@ -230,18 +391,13 @@ class AddressImporter {
     }
 
     /**
-     * ✅ Validation d'une adresse
+     * ✅ Validation d'une adresse (rue, position dans la Région)
      */
     isValidAddress(addressData) {
         return addressData.street &&
                addressData.street.length > 0 &&
                addressData.coordinates &&
-               typeof addressData.coordinates.latitude === 'number' &&
-               typeof addressData.coordinates.longitude === 'number' &&
-               addressData.coordinates.latitude >= 50.7641 &&
-               addressData.coordinates.latitude <= 50.9228 &&
-               addressData.coordinates.longitude >= 4.2177 &&
-               addressData.coordinates.longitude <= 4.4821;
+               isInBrusselsRegion(addressData.coordinates.latitude, addressData.coordinates.longitude);
     }
 
     /**
@@ -249,19 +405,25 @@ class AddressImporter {
      */
     generateImportReport() {
         const duration = (Date.now() - this.stats.startTime) / 1000;
-        const successRate = ((this.stats.saved / this.stats.total) * 100).toFixed(1);
+        const successCount = this.stats.saved + this.stats.updated + this.stats.unchanged;
+        const successRate = ((successCount / this.stats.total) * 100).toFixed(1);
 
         console.log(`\n📊 RAPPORT D'IMPORT`);
         console.log(`==================`);
         console.log(`⏱️  Durée: ${duration.toFixed(1)}s`);
         console.log(`📊 Total: ${this.stats.total} adresses`);
-        console.log(`✅ Sauvegardées: ${this.stats.saved} (${successRate}%)`);
+        console.log(`✅ À jour: ${successCount} (${successRate}%)`);
+        console.log(`   💾 Nouvelles: ${this.stats.saved}`);
+        console.log(`   🔄 Mises à jour: ${this.stats.updated}`);
+        console.log(`   ⏸️  Inchangées: ${this.stats.unchanged}`);
         console.log(`⏭️  Ignorées: ${this.stats.skipped}`);
+        console.log(`👯 Doublons dans le fichier: ${this.stats.duplicates}`);
         console.log(`❌ Erreurs: ${this.stats.errors}`);
-        console.log(`🚀 Performance: ${(this.stats.saved / duration).toFixed(1)} adresses/seconde`);
+        console.log(`🔁 Écritures relancées: ${this.stats.retries}`);
+        console.log(`🚀 Performance: ${this.stats.throughput.toFixed(1)} adresses/seconde`);
         console.log(`💰 Coût: 0€ (import local)`);
 
-        if (this.stats.saved > 0) {
+        if (successCount > 0) {
             console.log(`\n✅ Collection Firestore: '${this.COLLECTION_NAME}'`);
             console.log(`🔍 Recherche optimisée avec searchTerms`);
         }
@@ -293,9 +455,34 @@ async function main() {
         admin.initializeApp();
     }
 
-    const importer = new AddressImporter();
+    // Polygones de la Région : sans eux, aucun test « est à Bruxelles » fiable
+    try {
+        loadBoundaries();
+    } catch (error) {
+        console.error('❌ Limites de Bruxelles:', error.message);
+        process.exit(1);
+    }
+
+    const importer = new AddressImporter({
+        concurrency: parseInt(getFlagValue('--concurrency', String(DEFAULT_CONCURRENCY))),
+        maxRetries: parseInt(getFlagValue('--max-retries', String(DEFAULT_MAX_RETRIES)))
+    });
 
     try {
+        // Application d'un plan calculé auparavant (pas de fichier source)
+        if (hasFlag('--apply')) {
+            const planFile = getFlagValue('--apply');
+            if (!planFile) throw new Error('Usage: --apply <plan.json>');
+
+            const plan = loadPlan(planFile, 'addresses');
+            printPlanSummary(plan, 'adresses');
+            await importer.applyPlan(plan);
+
+            console.log('\n🎉 IMPORT RÉUSSI!');
+            console.log('💡 Prochaine étape: npm run validate:addresses');
+            return;
+        }
+
         // 1. Chargement du fichier
         const addresses = importer.loadAddressesFile();
 
@@ -304,7 +491,17 @@ async function main() {
             process.exit(1);
         }
 
-        // 2. Import en Firestore
+        // 2. Plan seul, ou import en Firestore
+        if (hasFlag('--plan')) {
+            const plan = await importer.planImport(addresses);
+            const planFile = writePlan(plan, getFlagValue('--plan'));
+
+            printPlanSummary(plan, 'adresses');
+            console.log(`\n💾 Plan enregistré: ${planFile}`);
+            console.log(`💡 Pour l'exécuter: node scripts/addresses/importAddresses.js --apply ${planFile}`);
+            return;
+        }
+
         await importer.importToFirestore(addresses);
 
         console.log('\n🎉 IMPORT RÉUSSI!');
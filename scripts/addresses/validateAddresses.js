@@ -1,4 +1,17 @@
 const admin = require('firebase-admin');
+const path = require('path');
+const { getFlagValue, hasFlag } = require('../common/cliArgs');
+const { POSTAL_CODE_MAPPING } = require('../common/postalCodes');
+const { isInBrusselsRegion, loadBoundaries } = require('../common/brusselsBoundaries');
+const { ADDRESS_FIXERS, FixRunner } = require('../common/dataFixers');
+const {
+    ValidationRuleError,
+    buildValidationReport,
+    printThresholdChecks,
+    readReportOptions,
+    readThresholds,
+    writeValidationReports
+} = require('../common/validationReport');
 require('dotenv').config();
 
 /**
@@ -7,13 +20,29 @@ require('dotenv').config();
  * Vérifie la qualité et l'intégrité des données d'adresses
  * dans la collection 'brussels_addresses'
  *
+ * --fix [--dry-run] : corrections explicites après la validation (rue,
+ * commune d'après le code postal, searchTerms manquants), avec sauvegarde
+ * et journal ; --restore <run> les annule (voir common/dataFixers.js)
+ *
+ * Rapports complets JSON / HTML / JUnit dans scripts/data/reports ; code de
+ * sortie 1 si un seuil est dépassé (--min-quality, --max-invalid-rate,
+ * --max-duplicates, --max-warnings : voir common/validationReport.js)
+ *
  * Coût : 0€ - Validation locale
  */
 
+// Seuils par défaut (score de qualité en %, les autres non vérifiés)
+const DEFAULT_THRESHOLDS = {
+    minQualityScore: 85
+};
+
 class AddressValidator {
     constructor() {
         this.firestore = admin.firestore();
         this.COLLECTION_NAME = 'brussels_addresses';
+        this.docs = [];
+        this.issues = []; // Problèmes structurés pour les rapports
+        this.currentCommune = null;
 
         this.stats = {
             total: 0,
@@ -36,24 +65,8 @@ class AddressValidator {
             startTime: Date.now()
         };
 
-        // Limites géographiques de Bruxelles
-        this.BRUSSELS_BOUNDS = {
-            minLat: 50.7641,
-            maxLat: 50.9228,
-            minLng: 4.2177,
-            maxLng: 4.4821
-        };
-
         // Mapping des codes postaux valides
-        this.VALID_POSTAL_CODES = {
-            '1000': 'Bruxelles', '1020': 'Bruxelles', '1030': 'Schaerbeek',
-            '1040': 'Etterbeek', '1050': 'Ixelles', '1060': 'Saint-Gilles',
-            '1070': 'Anderlecht', '1080': 'Molenbeek-Saint-Jean', '1090': 'Jette',
-            '1120': 'Bruxelles', '1130': 'Bruxelles', '1140': 'Evere',
-            '1150': 'Woluwe-Saint-Pierre', '1160': 'Auderghem',
-            '1170': 'Watermael-Boitsfort', '1180': 'Uccle', '1190': 'Forest',
-            '1200': 'Woluwe-Saint-Lambert', '1210': 'Saint-Josse-ten-Noode'
-        };
+        this.VALID_POSTAL_CODES = POSTAL_CODE_MAPPING;
     }
 
     /**
@@ -71,6 +84,7 @@ class AddressValidator {
             const snapshot = await collection.get();
 
             this.stats.total = snapshot.size;
+            this.docs = snapshot.docs; // Réutilisés par --fix (pas de seconde lecture)
             console.log(`📊 ${this.stats.total} adresses à valider`);
 
             if (this.stats.total === 0) {
@@ -109,6 +123,7 @@ class AddressValidator {
     validateDocument(doc, seenAddresses) {
         const data = doc.data();
         const docId = doc.id;
+        this.currentCommune = data.commune || null;
 
         try {
             // 1. Validation des champs obligatoires
@@ -135,6 +150,7 @@ class AddressValidator {
         } catch (error) {
             this.stats.invalid++;
             this.stats.errors.push(`${docId}: ${error.message}`);
+            this.recordIssue(docId, 'error', error.rule || 'exception', error.message);
         }
     }
 
@@ -144,27 +160,27 @@ class AddressValidator {
     validateRequiredFields(data, docId) {
         if (!data.street || data.street.trim().length === 0) {
             this.stats.missingData.street++;
-            throw new Error('Champ street manquant ou vide');
+            throw new ValidationRuleError('missing_street', 'Champ street manquant ou vide');
         }
 
         if (!data.number || data.number.toString().trim().length === 0) {
             this.stats.missingData.number++;
-            throw new Error('Champ number manquant ou vide');
+            throw new ValidationRuleError('missing_number', 'Champ number manquant ou vide');
         }
 
         if (!data.coordinates) {
             this.stats.missingData.coordinates++;
-            throw new Error('Coordonnées manquantes');
+            throw new ValidationRuleError('missing_coordinates', 'Coordonnées manquantes');
         }
 
         if (!data.searchTerms || !Array.isArray(data.searchTerms) || data.searchTerms.length === 0) {
             this.stats.missingData.searchTerms++;
-            this.addWarning(docId, 'SearchTerms manquants ou vides');
+            this.addWarning(docId, 'missing_search_terms', 'SearchTerms manquants ou vides');
         }
 
         if (!data.fullAddress) {
             this.stats.missingData.fullAddress++;
-            this.addWarning(docId, 'FullAddress manquant');
+            this.addWarning(docId, 'missing_full_address', 'FullAddress manquant');
         }
     }
 
@@ -175,15 +191,12 @@ class AddressValidator {
         const { coordinates } = data;
 
         if (typeof coordinates.latitude !== 'number' || typeof coordinates.longitude !== 'number') {
-            throw new Error('Coordonnées invalides (non numériques)');
+            throw new ValidationRuleError('invalid_coordinates', 'Coordonnées invalides (non numériques)');
         }
 
-        // Vérification des limites de Bruxelles
-        if (coordinates.latitude < this.BRUSSELS_BOUNDS.minLat ||
-            coordinates.latitude > this.BRUSSELS_BOUNDS.maxLat ||
-            coordinates.longitude < this.BRUSSELS_BOUNDS.minLng ||
-            coordinates.longitude > this.BRUSSELS_BOUNDS.maxLng) {
-            this.addWarning(docId, 'Coordonnées hors limites de Bruxelles');
+        // Vérification dans le polygone de la Région
+        if (!isInBrusselsRegion(coordinates.latitude, coordinates.longitude)) {
+            this.addWarning(docId, 'outside_region', 'Coordonnées hors de la Région de Bruxelles-Capitale');
         }
     }
 
@@ -192,13 +205,13 @@ class AddressValidator {
      */
     validatePostalCode(data, docId) {
         if (!data.postalCode) {
-            this.addWarning(docId, 'Code postal manquant');
+            this.addWarning(docId, 'missing_postal_code', 'Code postal manquant');
             return;
         }
 
         // Vérification format (10XX pour Bruxelles)
         if (!/^10[0-9]{2}$/.test(data.postalCode)) {
-            this.addWarning(docId, `Code postal invalide pour Bruxelles: ${data.postalCode}`);
+            this.addWarning(docId, 'invalid_postal_code', `Code postal invalide pour Bruxelles: ${data.postalCode}`);
             return;
         }
 
@@ -207,7 +220,7 @@ class AddressValidator {
         if (expectedCommune && data.commune !== expectedCommune) {
             // Exceptions connues (Bruxelles a plusieurs codes postaux)
             if (!(data.commune === 'Bruxelles' && ['1000', '1020', '1120', '1130'].includes(data.postalCode))) {
-                this.addWarning(docId, `Incohérence: ${data.commune} avec code postal ${data.postalCode}`);
+                this.addWarning(docId, 'commune_postal_code_mismatch', `Incohérence: ${data.commune} avec code postal ${data.postalCode}`);
             }
         }
     }
@@ -221,7 +234,7 @@ class AddressValidator {
 
         if (seenAddresses.has(addressKey)) {
             this.stats.duplicates++;
-            this.addWarning(docId, `Doublon potentiel: ${data.street} ${data.number}, ${data.commune}`);
+            this.addWarning(docId, 'duplicate', `Doublon potentiel: ${data.street} ${data.number}, ${data.commune}`);
         } else {
             seenAddresses.add(addressKey);
         }
@@ -233,7 +246,7 @@ class AddressValidator {
     validateDataConsistency(data, docId) {
         // Validation du numéro (doit être numérique ou numérique + lettre)
         if (!/^[0-9]+[a-zA-Z]?$/.test(data.number.toString())) {
-            this.addWarning(docId, `Format de numéro suspect: ${data.number}`);
+            this.addWarning(docId, 'suspicious_number', `Format de numéro suspect: ${data.number}`);
         }
 
         // Validation de l'adresse complète
@@ -244,7 +257,7 @@ class AddressValidator {
             );
 
             if (!hasAllElements) {
-                this.addWarning(docId, 'FullAddress incohérente avec les champs individuels');
+                this.addWarning(docId, 'full_address_mismatch', 'FullAddress incohérente avec les champs individuels');
             }
         }
 
@@ -254,7 +267,7 @@ class AddressValidator {
                 term.toLowerCase().includes(data.street.toLowerCase())
             );
             if (!hasStreet) {
-                this.addWarning(docId, 'SearchTerms ne contiennent pas le nom de rue');
+                this.addWarning(docId, 'search_terms_without_street', 'SearchTerms ne contiennent pas le nom de rue');
             }
         }
     }
@@ -282,9 +295,32 @@ class AddressValidator {
     /**
      * ⚠️ Ajout d'un avertissement
      */
-    addWarning(docId, message) {
+    addWarning(docId, rule, message) {
         this.stats.warnings++;
         this.stats.warnings_list.push(`${docId}: ${message}`);
+        this.recordIssue(docId, 'warning', rule, message);
+    }
+
+    /**
+     * 📌 Problème structuré (règle, gravité, commune) pour les rapports
+     */
+    recordIssue(docId, severity, rule, message) {
+        this.issues.push({ docId, severity, rule, message, commune: this.currentCommune });
+    }
+
+    /**
+     * 📑 Rapport complet (JSON / HTML / JUnit) et verdict des seuils
+     */
+    buildReport(thresholds) {
+        const { missingData, communes, postalCodes, sources } = this.stats;
+
+        return buildValidationReport({
+            collection: this.COLLECTION_NAME,
+            stats: this.stats,
+            issues: this.issues,
+            thresholds,
+            details: { missingData, communes, postalCodes, sources }
+        });
     }
 
     /**
@@ -380,6 +416,20 @@ class AddressValidator {
         this.generateRecommendations();
     }
 
+    /**
+     * 🔧 --fix : corrections des documents validés
+     */
+    async fixAll(options = {}) {
+        const runner = new FixRunner({
+            firestore: this.firestore,
+            collectionName: this.COLLECTION_NAME,
+            fixers: ADDRESS_FIXERS,
+            dryRun: options.dryRun
+        });
+
+        return runner.run(this.docs);
+    }
+
     /**
      * 💡 Génération des recommandations
      */
@@ -402,6 +452,10 @@ class AddressValidator {
             console.log(`   📝 Générer fullAddress pour ${this.stats.missingData.fullAddress} adresses`);
         }
 
+        if (this.stats.warnings > 0) {
+            console.log('   🔧 Corrections automatiques: npm run validate:addresses -- --fix --dry-run');
+        }
+
         const validRate = (this.stats.valid / this.stats.total * 100);
         if (validRate < 90) {
             console.log(`   ⚠️ Taux de validité faible (${validRate.toFixed(1)}%) - vérifier les données source`);
@@ -423,18 +477,55 @@ async function main() {
         admin.initializeApp();
     }
 
+    // Polygones de la Région : sans eux, aucun test « est à Bruxelles » fiable
+    try {
+        loadBoundaries();
+    } catch (error) {
+        console.error('❌ Limites de Bruxelles:', error.message);
+        process.exit(1);
+    }
+
     const validator = new AddressValidator();
+    const dryRun = hasFlag('--dry-run');
 
     try {
+        const thresholds = readThresholds(DEFAULT_THRESHOLDS);
+        const reportOptions = readReportOptions();
+
+        // Annulation d'un run --fix
+        if (hasFlag('--restore')) {
+            const runId = getFlagValue('--restore');
+            if (!runId) throw new Error('Usage: --restore <fix_brussels_addresses_...>');
+
+            const runner = new FixRunner({ collectionName: validator.COLLECTION_NAME, fixers: ADDRESS_FIXERS, dryRun });
+            const stats = await runner.restore(runId);
+            process.exit(stats.errors > 0 ? 1 : 0);
+        }
+
         await validator.validateAll();
 
-        const qualityScore = (validator.stats.valid - validator.stats.duplicates) / validator.stats.total;
+        const report = validator.buildReport(thresholds);
+        if (reportOptions.enabled) {
+            const files = writeValidationReports(report, reportOptions);
+            console.log('\n📑 Rapports complets:');
+            files.forEach(file => console.log(`   ${path.relative(process.cwd(), file)}`));
+        }
+
+        if (hasFlag('--fix')) {
+            const stats = await validator.fixAll({ dryRun });
+            console.log(dryRun
+                ? '\n💡 Aperçu seulement : relancer sans --dry-run pour appliquer'
+                : '\n💡 Relancer la validation pour vérifier: npm run validate:addresses');
+            process.exit(stats.errors > 0 ? 1 : 0);
+        }
+
+        printThresholdChecks(report);
 
-        if (qualityScore >= 0.85) {
+        if (report.passed) {
             console.log('\n✅ Validation terminée avec succès');
             process.exit(0);
         } else {
-            console.log('\n⚠️ Qualité des données insuffisante');
+            console.log('\n⚠️ Qualité des données insuffisante (seuil dépassé)');
             process.exit(1);
         }
 
@@ -0,0 +1,142 @@
+const admin = require('firebase-admin');
+const { initializeFirebase } = require('./common/firebaseInit');
+const { getFlagValue, hasFlag } = require('./common/cliArgs');
+const { getGeohashFields } = require('./common/geohash');
+const { DEFAULT_MAX_RETRIES, createBulkWriter, ImportProgress } = require('./common/bulkImport');
+require('dotenv').config();
+
+/**
+ * 🔷 BACKFILL DES GEOHASH
+ *
+ * Ajoute geohash et geohash4..geohash7 aux documents existants de
+ * brussels_places et brussels_addresses (les imports les écrivent déjà
+ * pour les nouveaux documents). Parcours paginé par id de document,
+ * écritures BulkWriter, documents déjà à jour ignorés : relançable à volonté.
+ *
+ * Usage : node scripts/backfillGeohashes.js [--collection places|addresses|all] [--dry-run]
+ *
+ * Coût : Firestore uniquement (une lecture par document, une écriture par document modifié)
+ */
+
+const PAGE_SIZE = 1000;
+
+// Collections traitées → champ portant les coordonnées
+const TARGETS = {
+    places: { collection: 'brussels_places', locationField: 'location', unit: 'lieux' },
+    addresses: { collection: 'brussels_addresses', locationField: 'coordinates', unit: 'adresses' }
+};
+
+class GeohashBackfill {
+    constructor(options = {}) {
+        this.firestore = admin.firestore();
+        this.dryRun = options.dryRun || false;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    }
+
+    /**
+     * 🔁 Backfill d'une collection
+     */
+    async run(targetKey) {
+        const target = TARGETS[targetKey];
+        const collection = this.firestore.collection(target.collection);
+        const stats = { scanned: 0, updated: 0, upToDate: 0, noLocation: 0, errors: 0, retries: 0 };
+
+        const total = (await collection.count().get()).data().count;
+        console.log(`\n🔷 ${target.collection}: ${total} ${target.unit}${this.dryRun ? ' (simulation)' : ''}`);
+
+        const writer = this.dryRun ? null : createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats });
+        const progress = new ImportProgress(total, target.unit);
+        let lastDoc = null;
+
+        while (true) {
+            let query = collection.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+            if (lastDoc) query = query.startAfter(lastDoc);
+
+            const snapshot = await query.get();
+            if (snapshot.empty) break;
+
+            snapshot.docs.forEach(doc => {
+                const data = doc.data();
+                const fields = getGeohashFields(data[target.locationField]);
+                stats.scanned++;
+
+                if (!fields.geohash) {
+                    stats.noLocation++;
+                    return;
+                }
+
+                const upToDate = Object.entries(fields).every(([field, value]) => data[field] === value);
+                if (upToDate) {
+                    stats.upToDate++;
+                    return;
+                }
+
+                if (this.dryRun) {
+                    stats.updated++;
+                    return;
+                }
+
+                writer.update(doc.ref, fields).then(() => stats.updated++, () => stats.errors++);
+            });
+
+            if (writer) await writer.flush();
+            progress.tick(snapshot.size);
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        if (writer) await writer.close();
+
+        console.log(`   ✅ ${this.dryRun ? 'À mettre à jour' : 'Mis à jour'}: ${stats.updated}`);
+        console.log(`   ⏸️  Déjà à jour: ${stats.upToDate}`);
+        console.log(`   ⚠️  Sans coordonnées: ${stats.noLocation}`);
+        console.log(`   ❌ Erreurs: ${stats.errors} (relances: ${stats.retries})`);
+
+        return stats;
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    console.log('🔷 BACKFILL DES GEOHASH');
+    console.log('=======================');
+
+    const choice = getFlagValue('--collection', 'all');
+    const targets = choice === 'all' ? Object.keys(TARGETS) : [choice];
+
+    if (targets.some(target => !TARGETS[target])) {
+        console.log('Usage: node scripts/backfillGeohashes.js [--collection places|addresses|all] [--dry-run]');
+        process.exit(1);
+    }
+
+    try {
+        initializeFirebase();
+
+        const backfill = new GeohashBackfill({ dryRun: hasFlag('--dry-run') });
+        let errors = 0;
+
+        for (const target of targets) {
+            const stats = await backfill.run(target);
+            errors += stats.errors;
+        }
+
+        if (errors > 0) {
+            console.log(`\n⚠️ ${errors} erreurs - relancez le backfill`);
+            process.exit(1);
+        }
+
+        console.log('\n🎉 BACKFILL TERMINÉ!');
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { GeohashBackfill, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
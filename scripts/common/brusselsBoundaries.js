@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { geometryBounds, isInBounds, isPointInGeometry } = require('./geo');
+
+/**
+ * 🗺️ LIMITES DE LA RÉGION DE BRUXELLES-CAPITALE ET DE SES 19 COMMUNES
+ *
+ * Un seul test "est à Bruxelles" pour toutes les étapes (fetch des adresses,
+ * schéma des lieux → fetch / import / validation, validateurs) : point dans
+ * le polygone de la Région, et non plus dans un rectangle qui déborde sur la
+ * Flandre et la Wallonie.
+ *
+ * Polygones : scripts/config/brusselsBoundaries.geojson (FeatureCollection,
+ * properties.kind = 'region' | 'commune', name = nom français), produit par
+ * scripts/fetchBrusselsBoundaries.js depuis OpenStreetMap. La version
+ * versionnée ne contient que la Région (Natural Earth) : sans commune,
+ * findCommune renvoie null jusqu'au prochain npm run boundaries:fetch.
+ *
+ * Sans ce fichier, loadBoundaries échoue (npm run boundaries:fetch) : un
+ * rectangle laisserait passer des points en Flandre et en Wallonie et
+ * aucune commune ne serait déduite de la position. Les scripts qui en
+ * dépendent le chargent au démarrage pour échouer avant tout traitement.
+ */
+
+const BOUNDARIES_FILE = path.join(__dirname, '..', 'config', 'brusselsBoundaries.geojson');
+
+// Rectangle englobant la Région : requêtes par zone (Overpass) uniquement
+const BRUSSELS_REGION_BOUNDS = {
+    minLat: 50.7641,
+    maxLat: 50.9228,
+    minLng: 4.2177,
+    maxLng: 4.4821
+};
+
+let cachedBoundaries;
+
+/**
+ * 📂 Polygones (chargés une fois) → { region, communes }
+ * Chaque entrée : { name, nameNl, geometry, bounds }
+ */
+function loadBoundaries(file = BOUNDARIES_FILE) {
+    if (file === BOUNDARIES_FILE && cachedBoundaries) {
+        return cachedBoundaries;
+    }
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`${path.relative(process.cwd(), file)} absent : générer les polygones avec npm run boundaries:fetch puis les versionner`);
+    }
+
+    const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const areas = (collection.features || []).map(feature => ({
+        kind: feature.properties.kind,
+        name: feature.properties.name,
+        nameNl: feature.properties.nameNl || null,
+        geometry: feature.geometry,
+        bounds: geometryBounds(feature.geometry)
+    }));
+
+    const region = areas.find(area => area.kind === 'region');
+    if (!region) {
+        throw new Error(`Polygone de la Région absent de ${file}`);
+    }
+
+    const boundaries = { region, communes: areas.filter(area => area.kind === 'commune') };
+    if (file === BOUNDARIES_FILE) {
+        cachedBoundaries = boundaries;
+    }
+    return boundaries;
+}
+
+/**
+ * 🏙️ Point dans la Région de Bruxelles-Capitale
+ */
+function isInBrusselsRegion(lat, lng, boundaries = loadBoundaries()) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+
+    const { region } = boundaries;
+    return isInBounds(lat, lng, region.bounds) && isPointInGeometry(lat, lng, region.geometry);
+}
+
+/**
+ * 🏘️ Commune (nom français) contenant le point, null hors Région
+ */
+function findCommune(lat, lng, boundaries = loadBoundaries()) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const commune = boundaries.communes.find(area =>
+        isInBounds(lat, lng, area.bounds) && isPointInGeometry(lat, lng, area.geometry));
+
+    return commune ? commune.name : null;
+}
+
+module.exports = {
+    BOUNDARIES_FILE,
+    BRUSSELS_REGION_BOUNDS,
+    loadBoundaries,
+    isInBrusselsRegion,
+    findCommune
+};
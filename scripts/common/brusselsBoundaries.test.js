@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BRUSSELS_REGION_BOUNDS, loadBoundaries, isInBrusselsRegion } = require('./brusselsBoundaries');
+const { isInBounds } = require('./geo');
+
+test('le fichier versionné contient le polygone de la Région', () => {
+    const { region } = loadBoundaries();
+
+    assert.equal(region.kind, 'region');
+    assert.ok(['Polygon', 'MultiPolygon'].includes(region.geometry.type));
+});
+
+test('la Grand-Place est dans la Région', () => {
+    assert.equal(isInBrusselsRegion(50.8467, 4.3525), true);
+});
+
+test('Dilbeek est hors de la Région, bien que dans le rectangle englobant', () => {
+    assert.equal(isInBounds(50.848, 4.259, BRUSSELS_REGION_BOUNDS), true);
+    assert.equal(isInBrusselsRegion(50.848, 4.259), false);
+});
@@ -0,0 +1,151 @@
+/**
+ * 🚚 LECTURES ET ÉCRITURES FIRESTORE EN MASSE
+ *
+ * Outils partagés par importPlaces.js et importAddresses.js :
+ *   - lectures groupées getAll (un aller-retour pour tout un paquet de documents)
+ *   - BulkWriter avec relance des erreurs de contention / indisponibilité
+ *   - concurrence bornée entre paquets
+ *   - progression avec débit et ETA
+ */
+
+// Documents lus par appel getAll
+const READ_CHUNK_SIZE = 300;
+
+// Paquets traités en parallèle
+const DEFAULT_CONCURRENCY = 4;
+
+// Tentatives maximales par écriture
+const DEFAULT_MAX_RETRIES = 5;
+
+// Codes gRPC relançables : DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_CODES = [4, 8, 10, 13, 14];
+
+// Intervalle minimal entre deux lignes de progression
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * ✍️ BulkWriter avec relance bornée
+ * stats.retries est incrémenté à chaque relance
+ */
+function createBulkWriter(firestore, { maxRetries = DEFAULT_MAX_RETRIES, stats = {} } = {}) {
+    const writer = firestore.bulkWriter();
+    stats.retries = stats.retries || 0;
+
+    writer.onWriteError(error => {
+        const retry = RETRYABLE_CODES.includes(error.code) && error.failedAttempts < maxRetries;
+
+        if (retry) {
+            stats.retries++;
+        } else {
+            console.warn(`⚠️ Écriture abandonnée ${error.documentRef.path} (${error.operationType}): ${error.message}`);
+        }
+
+        return retry;
+    });
+
+    return writer;
+}
+
+/**
+ * 📚 Lecture groupée : snapshots dans l'ordre des références
+ */
+async function getAllDocuments(firestore, refs) {
+    if (refs.length === 0) return [];
+    return firestore.getAll(...refs);
+}
+
+/**
+ * ✂️ Découpage d'un tableau en paquets
+ */
+function chunkArray(items, size = READ_CHUNK_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * 🔀 Exécution avec au plus `concurrency` tâches en cours
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * ⏳ Durée lisible (ex: "4 min 12 s")
+ */
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) return '?';
+
+    const rounded = Math.round(seconds);
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor((rounded % 3600) / 60);
+    const secs = rounded % 60;
+
+    if (hours > 0) return `${hours} h ${minutes} min`;
+    if (minutes > 0) return `${minutes} min ${secs} s`;
+    return `${secs} s`;
+}
+
+/**
+ * 📈 Progression d'un import : débit et temps restant estimé
+ */
+class ImportProgress {
+    constructor(total, unit = 'documents') {
+        this.total = total;
+        this.unit = unit;
+        this.done = 0;
+        this.startTime = Date.now();
+        this.lastLogTime = 0;
+    }
+
+    /**
+     * ➕ Avancement de `count` éléments (ligne affichée au plus toutes les 2 s)
+     */
+    tick(count = 1) {
+        this.done += count;
+
+        const now = Date.now();
+        if (now - this.lastLogTime >= PROGRESS_INTERVAL_MS || this.done >= this.total) {
+            this.lastLogTime = now;
+            console.log(`⏳ ${this.format()}`);
+        }
+    }
+
+    getThroughput() {
+        const elapsed = (Date.now() - this.startTime) / 1000;
+        return elapsed > 0 ? this.done / elapsed : 0;
+    }
+
+    format() {
+        const throughput = this.getThroughput();
+        const progress = this.total > 0 ? ((this.done / this.total) * 100).toFixed(1) : '100.0';
+        const eta = throughput > 0 ? formatDuration((this.total - this.done) / throughput) : '?';
+
+        return `${this.done}/${this.total} ${this.unit} (${progress}%) - ${throughput.toFixed(1)} ${this.unit}/s - ETA ${eta}`;
+    }
+}
+
+module.exports = {
+    READ_CHUNK_SIZE,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    createBulkWriter,
+    getAllDocuments,
+    chunkArray,
+    mapWithConcurrency,
+    formatDuration,
+    ImportProgress
+};
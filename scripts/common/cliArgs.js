@@ -0,0 +1,61 @@
+/**
+ * 🎛️ ARGUMENTS DE LIGNE DE COMMANDE
+ *
+ * Petits utilitaires partagés pour lire les options des scripts
+ * (--flag, --option valeur ou --option=valeur)
+ */
+
+/**
+ * Vérifie la présence d'un flag (ex: --coverage)
+ */
+function hasFlag(name, argv = process.argv.slice(2)) {
+    return argv.some(arg => arg === name || arg.startsWith(`${name}=`));
+}
+
+/**
+ * Récupère la valeur d'une option (--option valeur ou --option=valeur)
+ */
+function getFlagValue(name, defaultValue = null, argv = process.argv.slice(2)) {
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith(`${name}=`)) {
+            return arg.slice(name.length + 1);
+        }
+
+        if (arg === name && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            return argv[i + 1];
+        }
+    }
+
+    return defaultValue;
+}
+
+/**
+ * Arguments positionnels (tout ce qui n'est pas une option)
+ * valueOptions : options de la forme "--option valeur" dont la valeur doit être ignorée
+ */
+function getPositionalArgs(valueOptions = [], argv = process.argv.slice(2)) {
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith('--')) {
+            if (valueOptions.includes(arg) && i + 1 < argv.length) {
+                i++;
+            }
+            continue;
+        }
+
+        positional.push(arg);
+    }
+
+    return positional;
+}
+
+module.exports = {
+    hasFlag,
+    getFlagValue,
+    getPositionalArgs
+};
@@ -0,0 +1,389 @@
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MAX_RETRIES, createBulkWriter, chunkArray } = require('./bulkImport');
+const { getPlaceTypeInfo } = require('./placeTypes');
+const { isCuratedField } = require('./placeOverrides');
+const { formatDiffValue } = require('./placeDiff');
+const { POSTAL_CODE_MAPPING, getPostalCodeForCommune } = require('./postalCodes');
+const { generateAddressSearchTerms, generatePlaceSearchAddress } = require('./searchTerms');
+
+/**
+ * 🔧 CORRECTIONS AUTOMATIQUES (--fix DES VALIDATEURS)
+ *
+ * Chaque correcteur est explicite : { name, description, fix(data) } où
+ * fix renvoie les champs à changer (ou null). Les correcteurs d'une
+ * collection s'enchaînent dans l'ordre, chacun voyant le résultat du précédent.
+ *
+ * FixRunner applique les corrections à des documents déjà lus :
+ * - --dry-run : aperçu (compteurs par correcteur, exemples), aucune écriture
+ * - sinon chaque document modifié est copié tel quel dans _backup_<run>
+ *   avant sa mise à jour, et chaque changement est journalisé dans
+ *   scripts/data/fixes/<run>.json (document, correcteur, champ, avant, après)
+ * - --restore <run> remet les documents sauvegardés en place
+ *
+ * Lieux : les champs corrigés à la main (curatedFields) ne sont jamais touchés.
+ * normalizeName, normalizeBelgianPhone et canonicalizeUrl sont aussi appliqués
+ * par importPlaces.js : l'import suivant ne défait pas les corrections.
+ */
+
+const FIX_LOG_DIR = path.join(__dirname, '..', 'data', 'fixes');
+const PREVIEW_SAMPLES = 20;
+
+// Mots gardés en minuscules dans un nom remis en casse (sauf en tête)
+const LOWERCASE_WORDS = new Set([
+    'de', 'du', 'des', 'la', 'le', 'les', 'et', 'à', 'au', 'aux', 'en', 'sur', 'sous',
+    'van', 'der', 'den', 'het', 'op', 'ten', 'ter'
+]);
+
+// Paramètres de suivi retirés des sites web
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/**
+ * 📞 Téléphone → E.164 (+32...) ; null si le numéro n'est pas reconnu
+ * Belge : 8 chiffres après le 0 (fixe, 0800...) ou 9 commençant par 4 (mobile)
+ */
+function normalizeBelgianPhone(phone) {
+    if (!phone) return null;
+
+    let digits = String(phone).trim().replace(/[^\d+]/g, '');
+    if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+
+    let national;
+    if (digits.startsWith('+32')) {
+        national = digits.slice(3).replace(/^0/, ''); // "+32 (0)2 ..."
+    } else if (digits.startsWith('+')) {
+        const international = digits.slice(1).replace(/\+/g, '');
+        return international.length >= 8 && international.length <= 15 ? `+${international}` : null;
+    } else if (digits.startsWith('0')) {
+        national = digits.slice(1);
+    } else {
+        return null;
+    }
+
+    return /^(4\d{8}|[1-9]\d{7})$/.test(national) ? `+32${national}` : null;
+}
+
+/**
+ * 🌐 Site web canonique : schéma https ajouté si absent, hôte en minuscules,
+ * paramètres de suivi retirés, "/" final seul supprimé ; null si invalide
+ */
+function canonicalizeUrl(website) {
+    if (!website) return null;
+
+    let value = String(website).trim();
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+        if (!/^[\w-]+(\.[\w-]+)+(\/|\?|$)/.test(value)) return null;
+        value = `https://${value}`;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    [...url.searchParams.keys()]
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => url.searchParams.delete(key));
+
+    const canonical = url.toString();
+    return url.pathname === '/' && !url.search && !url.hash ? canonical.replace(/\/$/, '') : canonical;
+}
+
+function capitalize(word) {
+    return word.replace(/^\p{L}/u, letter => letter.toUpperCase());
+}
+
+/**
+ * 🔤 Nom : espaces nettoyés ; remis en casse seulement s'il est tout en
+ * majuscules ou tout en minuscules ("PARC DU CINQUANTENAIRE" → "Parc du Cinquantenaire")
+ */
+function normalizeName(name) {
+    if (typeof name !== 'string') return name;
+
+    const trimmed = name.replace(/\s+/g, ' ').trim();
+    const letters = trimmed.replace(/[^\p{L}]/gu, '');
+    if (letters.length <= 3 || (letters !== letters.toUpperCase() && letters !== letters.toLowerCase())) {
+        return trimmed;
+    }
+
+    const words = trimmed.toLowerCase().split(' ');
+    return words.map((word, index) => {
+        // Début de nom ou de partie ("Bois de la Cambre - Ter Kamerenbos")
+        const first = index === 0 || words[index - 1] === '-';
+        if (!first && LOWERCASE_WORDS.has(word)) return word;
+
+        return word.split('-').map(part => {
+            // Élision : "d'egmont" → "d'Egmont", "l'arbre" en tête → "L'Arbre"
+            const elision = part.match(/^([a-z]{1,2}['’])(.+)$/u);
+            if (elision) {
+                const prefix = first ? capitalize(elision[1]) : elision[1];
+                return prefix + capitalize(elision[2]);
+            }
+            return capitalize(part);
+        }).join('-');
+    }).join(' ');
+}
+
+const PLACE_FIXERS = [
+    {
+        name: 'name',
+        description: 'Nom nettoyé et remis en casse',
+        fix: data => {
+            const name = normalizeName(data.name);
+            return name && name !== data.name ? { name } : null;
+        }
+    },
+    {
+        name: 'phone',
+        description: 'Téléphone au format E.164',
+        fix: data => {
+            const phone = normalizeBelgianPhone(data.phone);
+            return phone && phone !== data.phone ? { phone } : null;
+        }
+    },
+    {
+        name: 'website',
+        description: 'Site web canonique',
+        fix: data => {
+            const website = canonicalizeUrl(data.website);
+            return website && website !== data.website ? { website } : null;
+        }
+    },
+    {
+        name: 'category',
+        description: 'Catégorie recalculée depuis le type',
+        fix: data => {
+            const category = getPlaceTypeInfo(data.type)?.displayName;
+            return category && category !== data.category ? { category } : null;
+        }
+    },
+    {
+        name: 'searchAddress',
+        description: 'Termes de recherche manquants régénérés',
+        fix: data => (!Array.isArray(data.searchAddress) || data.searchAddress.length === 0) && data.name
+            ? { searchAddress: generatePlaceSearchAddress(data) }
+            : null
+    }
+];
+
+const ADDRESS_FIXERS = [
+    {
+        name: 'street',
+        description: 'Nom de rue nettoyé et remis en casse',
+        fix: data => {
+            const street = normalizeName(data.street);
+            return street && street !== data.street ? { street } : null;
+        }
+    },
+    {
+        name: 'communePostalCode',
+        description: 'Commune corrigée d\'après le code postal (POSTAL_CODE_MAPPING)',
+        fix: data => {
+            // Le code postal fait foi ; sans code, celui d'une commune qui n'en a qu'un
+            const commune = POSTAL_CODE_MAPPING[data.postalCode];
+            const postalCode = commune ? data.postalCode : getPostalCodeForCommune(data.commune);
+            const updates = {};
+
+            if (commune && commune !== data.commune) updates.commune = commune;
+            if (!data.postalCode && postalCode) updates.postalCode = postalCode;
+            if (Object.keys(updates).length === 0) return null;
+
+            const fixed = { ...data, ...updates };
+            if (fixed.street && fixed.number) {
+                updates.fullAddress = `${fixed.number} ${fixed.street}, ${fixed.postalCode} ${fixed.commune}`;
+                updates.searchTerms = generateAddressSearchTerms(fixed);
+            }
+            return updates;
+        }
+    },
+    {
+        name: 'searchTerms',
+        description: 'Termes de recherche manquants régénérés',
+        fix: data => (!Array.isArray(data.searchTerms) || data.searchTerms.length === 0) &&
+            data.street && data.number && data.commune && data.postalCode
+            ? { searchTerms: generateAddressSearchTerms({ ...data, number: String(data.number) }) }
+            : null
+    }
+];
+
+class FixRunner {
+    constructor(options = {}) {
+        this.firestore = options.firestore || admin.firestore();
+        this.collectionName = options.collectionName;
+        this.fixers = options.fixers;
+        this.dryRun = options.dryRun || false;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+        this.respectCuration = options.respectCuration || false;
+        this.runId = `fix_${this.collectionName}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+        this.stats = {
+            scanned: 0,
+            fixed: 0,
+            changes: 0,
+            byFixer: {},
+            skippedCurated: 0,
+            errors: 0,
+            retries: 0
+        };
+    }
+
+    /**
+     * 🔍 Corrections d'un document → { id, ref, data, updates, changes } ou null
+     */
+    planDocument(doc) {
+        const original = doc.data();
+        let current = { ...original };
+        const updates = {};
+        const changes = [];
+
+        this.fixers.forEach(fixer => {
+            const fixes = fixer.fix(current) || {};
+
+            Object.entries(fixes).forEach(([field, value]) => {
+                if (this.respectCuration && isCuratedField(original.curatedFields, field)) {
+                    this.stats.skippedCurated++;
+                    return;
+                }
+
+                changes.push({ fixer: fixer.name, field, oldValue: current[field] ?? null, newValue: value });
+                updates[field] = value;
+                current = { ...current, [field]: value };
+            });
+        });
+
+        return changes.length > 0 ? { id: doc.id, ref: doc.ref, data: original, updates, changes } : null;
+    }
+
+    /**
+     * 🔧 Corrections de documents déjà lus (aperçu en --dry-run)
+     */
+    async run(docs) {
+        const plans = docs.map(doc => this.planDocument(doc)).filter(Boolean);
+        this.stats.scanned = docs.length;
+
+        plans.forEach(plan => plan.changes.forEach(change => {
+            this.stats.byFixer[change.fixer] = (this.stats.byFixer[change.fixer] || 0) + 1;
+        }));
+        this.stats.changes = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+
+        console.log(`\n🔧 CORRECTIONS ${this.collectionName}${this.dryRun ? ' (aperçu, aucune écriture)' : ''}`);
+        console.log(`   📊 ${plans.length}/${docs.length} documents à corriger, ${this.stats.changes} changements`);
+
+        this.fixers.forEach(fixer => {
+            console.log(`   ${fixer.name}: ${this.stats.byFixer[fixer.name] || 0} - ${fixer.description}`);
+        });
+        if (this.stats.skippedCurated > 0) {
+            console.log(`   ✍️ ${this.stats.skippedCurated} changements ignorés (champs corrigés à la main)`);
+        }
+
+        plans.flatMap(plan => plan.changes.map(change => ({ id: plan.id, ...change })))
+            .slice(0, PREVIEW_SAMPLES)
+            .forEach(change => {
+                console.log(`   🔍 ${change.id} ${change.field}: ${formatDiffValue(change.oldValue, 40)} → ${formatDiffValue(change.newValue, 40)}`);
+            });
+
+        if (this.dryRun || plans.length === 0) return this.stats;
+
+        await this.apply(plans);
+        return this.stats;
+    }
+
+    /**
+     * 💾 Sauvegarde puis mise à jour, par paquets ; journal des changements
+     * Un document dont la sauvegarde échoue n'est pas modifié
+     */
+    async apply(plans) {
+        const backup = this.firestore.collection(`_backup_${this.runId}`);
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats: this.stats });
+        const applied = [];
+
+        for (const chunk of chunkArray(plans)) {
+            const failedBackups = new Set();
+
+            chunk.forEach(plan => {
+                writer.set(backup.doc(plan.id), plan.data).catch(() => failedBackups.add(plan.id));
+            });
+            await writer.flush();
+
+            chunk.forEach(plan => {
+                if (failedBackups.has(plan.id)) {
+                    this.stats.errors++;
+                    return;
+                }
+
+                writer.update(plan.ref, { ...plan.updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() })
+                    .then(() => {
+                        this.stats.fixed++;
+                        applied.push(plan);
+                    }, error => {
+                        this.stats.errors++;
+                        console.warn(`⚠️ Erreur correction ${plan.id}: ${error.message}`);
+                    });
+            });
+            await writer.flush();
+        }
+
+        await writer.close();
+
+        fs.mkdirSync(FIX_LOG_DIR, { recursive: true });
+        const logFile = path.join(FIX_LOG_DIR, `${this.runId}.json`);
+        fs.writeFileSync(logFile, JSON.stringify({
+            runId: this.runId,
+            collection: this.collectionName,
+            backupCollection: backup.id,
+            appliedAt: new Date().toISOString(),
+            stats: this.stats,
+            changes: applied.flatMap(plan => plan.changes.map(change => ({ id: plan.id, ...change })))
+        }, null, 2));
+
+        console.log(`\n   ✅ Corrigés: ${this.stats.fixed}`);
+        console.log(`   ❌ Erreurs: ${this.stats.errors} (relances: ${this.stats.retries})`);
+        console.log(`   💾 Sauvegarde: ${backup.id}`);
+        console.log(`   📝 Journal: ${path.relative(process.cwd(), logFile)}`);
+        console.log(`   ↩️ Annuler: --restore ${this.runId}`);
+    }
+
+    /**
+     * ↩️ Remise en place des documents sauvegardés par un run --fix
+     */
+    async restore(runId) {
+        if (!runId.startsWith(`fix_${this.collectionName}_`)) {
+            throw new Error(`Run de corrections inconnu pour ${this.collectionName}: ${runId}`);
+        }
+
+        const snapshot = await this.firestore.collection(`_backup_${runId}`).get();
+        if (snapshot.empty) {
+            throw new Error(`Aucune sauvegarde pour ${runId}`);
+        }
+
+        const collection = this.firestore.collection(this.collectionName);
+        console.log(`\n↩️ RESTAURATION ${runId}: ${snapshot.size} documents${this.dryRun ? ' (aperçu)' : ''}`);
+        if (this.dryRun) return { restored: 0, errors: 0 };
+
+        const stats = { restored: 0, errors: 0, retries: 0 };
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats });
+
+        snapshot.docs.forEach(doc => {
+            writer.set(collection.doc(doc.id), doc.data()).then(() => stats.restored++, () => stats.errors++);
+        });
+        await writer.close();
+
+        console.log(`   ✅ Restaurés: ${stats.restored}`);
+        console.log(`   ❌ Erreurs: ${stats.errors}`);
+        return stats;
+    }
+}
+
+module.exports = {
+    PLACE_FIXERS,
+    ADDRESS_FIXERS,
+    FixRunner,
+    normalizeBelgianPhone,
+    canonicalizeUrl,
+    normalizeName
+};
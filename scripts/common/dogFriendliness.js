@@ -0,0 +1,215 @@
+const { normalizeText, extractDogMentions } = require('./reviewMentions');
+const { getDogAccess } = require('./osmPlaces');
+
+/**
+ * 🐕 SCORE DOG-FRIENDLY EXPLICABLE
+ *
+ * Calcule metadata.dogFriendlyScore (0-100) à partir de signaux pondérés,
+ * chacun gardé comme preuve { source, signal, weight, detail } :
+ *   - types Google (dog_park, veterinary_care, pet_store, park...)
+ *   - mots du nom (FR, NL, EN)
+ *   - mentions des chiens dans les avis (reviewMentions.js, FR/NL/EN :
+ *     "chiens admis", "honden toegelaten", "no dogs", gamelle d'eau...)
+ *   - tag OSM dog=* (quand le lieu vient d'OpenStreetMap ou en porte les tags ;
+ *     un leisure=dog_park sans tag dog compte comme dog=designated)
+ *   - nature du lieu OSM (amenity=veterinary, shop=pet...) pour les lieux
+ *     sans types Google
+ *   - attribut allowsDogs de Places API (New), si demandé
+ *
+ * Sans aucun signal, le score reste au neutre (50) : le lieu n'est pas
+ * considéré dog-friendly faute de preuve. Le seuil est au-dessus de
+ * neutre + 10 : un signal faible seul (type "park", "chien" dans le nom)
+ * ne suffit pas.
+ */
+
+const NEUTRAL_SCORE = 50;
+const DOG_FRIENDLY_THRESHOLD = 65;
+
+// Types Google → poids
+const GOOGLE_TYPE_WEIGHTS = {
+    dog_park: 40,
+    veterinary_care: 30,
+    pet_store: 30,
+    park: 10,
+    campground: 5,
+    hiking_area: 10,
+    supermarket: -10,
+    grocery_or_supermarket: -10,
+    hospital: -20,
+    pharmacy: -10
+};
+
+// Mots du nom (normalisés, sans accents) → poids
+const NAME_PATTERNS = [
+    { pattern: /\b(parc|aire|espace|zone|enclos) (a |pour )?chiens?\b|\bparc canin\b|\baire canine\b/, signal: 'parc à chiens', weight: 40 },
+    { pattern: /\bhonden(park|speelplaats|weide|losloopzone|zone)\b|\bhondenlosloop/, signal: 'hondenpark', weight: 40 },
+    { pattern: /\bdog ?(park|run|area)\b|\boff[- ]leash\b/, signal: 'dog park', weight: 40 },
+    { pattern: /\bveterinaire|\bdierenarts|\bvet(erinary)?\b|\bclinique veterinaire\b|\bdierenkliniek\b/, signal: 'vétérinaire', weight: 25 },
+    { pattern: /\btoilettage\b|\bhondenkapper|\bgrooming\b/, signal: 'toilettage', weight: 25 },
+    { pattern: /\banimalerie\b|\bdierenwinkel\b|\bpet ?(shop|store)\b/, signal: 'animalerie', weight: 25 },
+    { pattern: /\bdog[- ]friendly\b|\bhondvriendelijk\b/, signal: 'dog-friendly', weight: 30 },
+    { pattern: /(?<!\bhot[- ]?)\b(chiens?|honden?|dogs?)\b/, signal: 'chien dans le nom', weight: 10 }, // Pas les hot-dogs
+    { pattern: /\bplaine de jeux\b|\bspeeltuin\b|\bplayground\b/, signal: 'plaine de jeux', weight: -15 },
+    { pattern: /\bcimetiere\b|\bbegraafplaats\b|\bcemetery\b/, signal: 'cimetière', weight: -20 }
+];
+
+// Polarité des mentions d'avis (reviewMentions.js) → poids
+const REVIEW_WEIGHTS = { positive: 15, restricted: 5, negative: -25 };
+const REVIEW_WEIGHT_CAP = 45; // Contribution maximale (en valeur absolue) des avis
+
+// Tag OSM dog=* → poids
+const OSM_DOG_WEIGHTS = {
+    designated: 50,
+    unleashed: 50,
+    yes: 40,
+    leashed: 30,
+    outside: -10,
+    no: -60
+};
+
+// Nature du lieu OSM → poids (équivalents des types Google, sans types Google)
+const OSM_FEATURE_WEIGHTS = {
+    'amenity=veterinary': 30,
+    'shop=pet': 30,
+    'shop=pet_grooming': 30,
+    'leisure=park': 10
+};
+
+const ALLOWS_DOGS_WEIGHTS = { true: 40, false: -60 };
+
+/**
+ * 🏷️ Signaux des types Google
+ */
+function scoreGoogleTypes(types = []) {
+    return types
+        .filter(type => GOOGLE_TYPE_WEIGHTS[type] !== undefined)
+        .map(type => ({
+            source: 'google_type',
+            signal: type,
+            weight: GOOGLE_TYPE_WEIGHTS[type],
+            detail: `Type Google "${type}"`
+        }));
+}
+
+/**
+ * 🔤 Signaux du nom (chaque motif compte une fois)
+ */
+function scoreName(name) {
+    const normalized = normalizeText(name);
+
+    return NAME_PATTERNS
+        .filter(({ pattern }) => pattern.test(normalized))
+        .map(({ signal, weight }) => ({
+            source: 'name',
+            signal,
+            weight,
+            detail: `Nom "${name}"`
+        }));
+}
+
+/**
+ * 💬 Signaux des avis (une preuve par avis et par sujet, plafonnée)
+ */
+function scoreReviews(reviews = []) {
+    const evidence = [];
+
+    reviews.forEach((review, index) => {
+        extractDogMentions(review.text).forEach(mention => {
+            evidence.push({
+                source: 'review',
+                signal: mention.label,
+                weight: REVIEW_WEIGHTS[mention.polarity],
+                detail: `Avis ${index + 1} (${review.language || mention.language}): "${mention.excerpt}"`
+            });
+        });
+    });
+
+    // Plafond : quelques avis ne doivent pas écraser les autres signaux
+    const total = evidence.reduce((sum, item) => sum + item.weight, 0);
+    if (Math.abs(total) > REVIEW_WEIGHT_CAP) {
+        const factor = REVIEW_WEIGHT_CAP / Math.abs(total);
+        evidence.forEach(item => {
+            item.weight = Math.round(item.weight * factor * 10) / 10;
+        });
+    }
+
+    return evidence;
+}
+
+/**
+ * 🗺️ Signal du tag OSM dog=*
+ */
+function scoreOsmTags(tags = {}) {
+    const access = getDogAccess(tags);
+    if (!access || OSM_DOG_WEIGHTS[access.dog] === undefined) return [];
+
+    return [{
+        source: 'osm',
+        signal: `dog=${access.dog}`,
+        weight: OSM_DOG_WEIGHTS[access.dog],
+        detail: tags.dog ? `Tag OSM dog=${access.dog}` : 'Parc canin OSM (leisure=dog_park)'
+    }];
+}
+
+/**
+ * 🗺️ Signaux de la nature du lieu OSM (vétérinaire, animalerie, parc)
+ */
+function scoreOsmFeatures(tags = {}) {
+    return Object.keys(OSM_FEATURE_WEIGHTS)
+        .filter(feature => {
+            const [key, value] = feature.split('=');
+            return tags[key] === value;
+        })
+        .map(feature => ({
+            source: 'osm',
+            signal: feature,
+            weight: OSM_FEATURE_WEIGHTS[feature],
+            detail: `Tag OSM ${feature}`
+        }));
+}
+
+/**
+ * 🆕 Attribut allowsDogs (Places API New)
+ */
+function scoreAllowsDogs(allowsDogs) {
+    if (typeof allowsDogs !== 'boolean') return [];
+
+    return [{
+        source: 'google_attribute',
+        signal: `allowsDogs=${allowsDogs}`,
+        weight: ALLOWS_DOGS_WEIGHTS[allowsDogs],
+        detail: 'Attribut Google allowsDogs'
+    }];
+}
+
+/**
+ * 🎯 Score d'un lieu (format legacy : types, name, reviews ; osmTags et
+ * allows_dogs optionnels)
+ * → { score, isDogFriendly, evidence }
+ */
+function scoreDogFriendliness(place) {
+    const evidence = [
+        ...scoreGoogleTypes(place.types || []),
+        ...scoreName(place.name),
+        ...scoreReviews(place.reviews || []),
+        ...scoreOsmTags(place.osmTags || {}),
+        // Nature OSM seulement sans types Google (pas de double compte)
+        ...((place.types || []).length === 0 ? scoreOsmFeatures(place.osmTags || {}) : []),
+        ...scoreAllowsDogs(place.allows_dogs)
+    ];
+
+    const raw = evidence.reduce((sum, item) => sum + item.weight, NEUTRAL_SCORE);
+    const score = Math.round(Math.min(100, Math.max(0, raw)));
+
+    return {
+        score,
+        isDogFriendly: score >= DOG_FRIENDLY_THRESHOLD,
+        evidence
+    };
+}
+
+module.exports = {
+    NEUTRAL_SCORE,
+    DOG_FRIENDLY_THRESHOLD,
+    scoreDogFriendliness
+};
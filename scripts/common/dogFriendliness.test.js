@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NEUTRAL_SCORE, scoreDogFriendliness } = require('./dogFriendliness');
+
+test('sans aucun signal le score reste neutre', () => {
+    const result = scoreDogFriendliness({ name: 'Boulangerie Martin', types: ['bakery', 'point_of_interest'] });
+
+    assert.equal(result.score, NEUTRAL_SCORE);
+    assert.equal(result.isDogFriendly, false);
+    assert.deepEqual(result.evidence, []);
+});
+
+test('un parc sans autre signal n\'est pas dog-friendly', () => {
+    const result = scoreDogFriendliness({ name: 'Parc de Forest', types: ['park', 'point_of_interest'] });
+
+    assert.equal(result.score, NEUTRAL_SCORE + 10);
+    assert.equal(result.isDogFriendly, false);
+});
+
+test('"chien" dans le nom ne suffit pas seul', () => {
+    const result = scoreDogFriendliness({ name: 'Le Chien Vert', types: ['bar'] });
+
+    assert.equal(result.isDogFriendly, false);
+});
+
+test('un snack "Hot Dog" n\'est pas un lieu pour chiens', () => {
+    for (const name of ['Hot Dog Corner', 'Hot-Dogs Express', 'Hotdog Bruxelles']) {
+        const result = scoreDogFriendliness({ name, types: ['restaurant', 'meal_takeaway'] });
+
+        assert.equal(result.score, NEUTRAL_SCORE, name);
+        assert.equal(result.isDogFriendly, false, name);
+        assert.deepEqual(result.evidence, [], name);
+    }
+});
+
+test('un parc avec un avis "chiens admis" est dog-friendly', () => {
+    const result = scoreDogFriendliness({
+        name: 'Parc Josaphat',
+        types: ['park'],
+        reviews: [{ language: 'fr', text: 'Très beau parc, les chiens sont admis en laisse.' }]
+    });
+
+    assert.equal(result.isDogFriendly, true);
+});
+
+test('un parc canin est dog-friendly', () => {
+    const result = scoreDogFriendliness({ name: 'Hondenweide Tenreuken', types: ['park'] });
+
+    assert.equal(result.isDogFriendly, true);
+});
@@ -0,0 +1,515 @@
+const { haversineMeters } = require('./geo');
+const { encodeGeohash, getCoveringCells } = require('./geohash');
+const { nameSimilarity } = require('./nameMatching');
+const { normalizePlaceType, getPlaceTypeInfo } = require('./placeTypes');
+const { getOsmId, getOsmPlaceId, getOsmLocation, getOsmPlaceType, getOsmAddress } = require('./osmPlaces');
+
+/**
+ * 🧬 RÉSOLUTION D'ENTITÉS MULTI-SOURCES
+ *
+ * Rapproche les lieux récupérés chez plusieurs fournisseurs (Google, OSM,
+ * Foursquare) en un lieu canonique unique. Deux fiches sont comparées si
+ * elles sont proches (distance maximale selon le type), puis notées :
+ *   score = 0,5 × similarité des noms FR/NL + 0,3 × proximité + 0,2 × compatibilité des types
+ *
+ *   - score >= MATCH_THRESHOLD et sans rival proche → fusion ;
+ *   - score entre REVIEW_THRESHOLD et MATCH_THRESHOLD, ou deux candidats
+ *     à moins de AMBIGUITY_MARGIN → pas de fusion, cas listé pour revue ;
+ *   - deux fiches d'un même fournisseur ne sont jamais fusionnées.
+ *
+ * Les décisions de revue ({ merge: [[a, b]], separate: [[a, b]] }, clés
+ * "Fournisseur:id") forcent ou interdisent une fusion au run suivant.
+ *
+ * Le lieu canonique garde le format legacy lu par importPlaces.js, avec
+ * sourceIds (googlePlaceId, osmId, foursquareId) et provenance (champ →
+ * fournisseur retenu). Son place_id est celui de Google quand il existe,
+ * sinon osm_<type>_<id> ou fsq_<id>.
+ */
+
+const MATCH_THRESHOLD = 0.75;
+const REVIEW_THRESHOLD = 0.45; // Noms traduits (Cinquantenaire / Jubelpark) : à trancher à la main
+const AMBIGUITY_MARGIN = 0.1;
+
+// Fournisseurs : ordre de traitement et champ d'identifiant
+const PROVIDERS = {
+    Google: { idField: 'googlePlaceId' },
+    Foursquare: { idField: 'foursquareId' },
+    OSM: { idField: 'osmId' }
+};
+
+// Distance maximale de rapprochement (mètres) : un grand parc a plusieurs entrées
+const MAX_DISTANCE_BY_TYPE = {
+    general_park: 300,
+    dog_park: 150,
+    default: 80
+};
+
+// Compatibilité des types (absents : 0 = jamais fusionnés)
+const TYPE_COMPATIBILITY = {
+    'dog_park|general_park': 0.5 // zone canine dans un parc : souvent deux lieux distincts
+};
+const UNKNOWN_TYPE_COMPATIBILITY = 0.7;
+
+// Fournisseurs préférés par champ (le premier qui a une valeur l'emporte)
+const DEFAULT_FIELD_PRIORITY = ['Google', 'Foursquare', 'OSM'];
+const FIELD_PRIORITY = {
+    location: ['Google', 'OSM', 'Foursquare'],
+    openingHours: ['Google', 'OSM', 'Foursquare'],
+    rating: ['Google'],
+    ratingsCount: ['Google'],
+    reviews: ['Google'],
+    photos: ['Google'],
+    osmTags: ['OSM', 'Google']
+};
+
+// Champs résolus (valeurs normalisées des fiches sources)
+const RESOLVED_FIELDS = [
+    'name', 'location', 'type', 'address', 'phone', 'website', 'openingHours',
+    'rating', 'ratingsCount', 'priceLevel', 'businessStatus', 'types',
+    'photos', 'reviews', 'osmTags'
+];
+
+// Mots-clés des catégories Foursquare → type canonique
+const FOURSQUARE_TYPE_RULES = [
+    { pattern: /dog (park|run)/i, type: 'dog_park' },
+    { pattern: /veterinar/i, type: 'veterinary' },
+    { pattern: /pet (store|supplies|service)/i, type: 'pet_store' },
+    { pattern: /restaurant|caf[eé]|coffee|bar|bistro|brasserie|bakery/i, type: 'dog_friendly_restaurant' },
+    { pattern: /park|garden|forest/i, type: 'general_park' }
+];
+
+function hasValue(value) {
+    if (value === null || value === undefined || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+}
+
+/**
+ * 🔑 Clé d'une fiche source ("Google:ChIJ...", "OSM:way/123")
+ */
+function getRecordKey(record) {
+    return `${record.provider}:${record.sourceId}`;
+}
+
+/**
+ * 🟢 Fiche source depuis un lieu Google (format legacy de fetchGooglePlaces.js)
+ */
+function fromGooglePlace(place) {
+    const location = place.geometry?.location || place.location || {};
+
+    return {
+        provider: 'Google',
+        sourceId: place.place_id,
+        name: place.name,
+        location: { latitude: parseFloat(location.lat ?? location.latitude), longitude: parseFloat(location.lng ?? location.longitude) },
+        type: normalizePlaceType(place.dogPlaceType || place.type),
+        address: place.formatted_address || place.address || null,
+        phone: place.formatted_phone_number || place.phone || null,
+        website: place.website || null,
+        openingHours: place.opening_hours || null,
+        rating: place.rating || null,
+        ratingsCount: place.user_ratings_total || null,
+        priceLevel: place.price_level ?? null,
+        businessStatus: place.business_status || null,
+        types: place.types || [],
+        photos: place.photos || [],
+        reviews: place.reviews || [],
+        osmTags: place.osmTags || null,
+        searchQuery: place.searchQuery || null,
+        fetchedAt: place.lastFetched || null
+    };
+}
+
+/**
+ * 🗺️ Fiche source depuis un élément Overpass ({ type, id, lat/lon ou center, tags })
+ * Un parc canin sans nom prend le nom de son type ("Parc canin")
+ */
+function fromOsmElement(element) {
+    const tags = element.tags || {};
+    const type = getOsmPlaceType(tags);
+
+    return {
+        provider: 'OSM',
+        sourceId: getOsmId(element),
+        name: tags.name || tags['name:fr'] || tags['name:nl'] || getPlaceTypeInfo(type)?.displayName || null,
+        alternateNames: [tags['name:fr'], tags['name:nl']].filter(Boolean),
+        location: getOsmLocation(element),
+        type,
+        address: getOsmAddress(tags),
+        phone: tags.phone || tags['contact:phone'] || null,
+        website: tags.website || tags['contact:website'] || null,
+        openingHours: tags.opening_hours || null,
+        rating: null,
+        ratingsCount: null,
+        priceLevel: null,
+        businessStatus: null,
+        types: [],
+        photos: [],
+        reviews: [],
+        osmTags: tags,
+        searchQuery: null,
+        fetchedAt: null
+    };
+}
+
+/**
+ * 🟣 Fiche source depuis un lieu Foursquare (Places API v3)
+ */
+function fromFoursquarePlace(place) {
+    const coordinates = place.geocodes?.main || {};
+    const categories = (place.categories || []).map(category => category.name);
+    const rule = FOURSQUARE_TYPE_RULES.find(candidate => categories.some(name => candidate.pattern.test(name)));
+
+    return {
+        provider: 'Foursquare',
+        sourceId: place.fsq_id,
+        name: place.name,
+        location: { latitude: coordinates.latitude, longitude: coordinates.longitude },
+        type: rule ? rule.type : 'unknown',
+        address: place.location?.formatted_address || null,
+        phone: place.tel || null,
+        website: place.website || null,
+        openingHours: null,
+        rating: null,
+        ratingsCount: null,
+        priceLevel: place.price ?? null,
+        businessStatus: place.closed_bucket === 'VeryLikelyClosed' ? 'CLOSED_PERMANENTLY' : null,
+        types: categories,
+        photos: [],
+        reviews: [],
+        osmTags: null,
+        searchQuery: null,
+        fetchedAt: null
+    };
+}
+
+/**
+ * 🏷️ Compatibilité de deux types (0 à 1)
+ */
+function getTypeCompatibility(firstType, secondType) {
+    if (firstType === secondType) return 1;
+    if (firstType === 'unknown' || secondType === 'unknown') return UNKNOWN_TYPE_COMPATIBILITY;
+
+    const key = [firstType, secondType].sort().join('|');
+    return TYPE_COMPATIBILITY[key] || 0;
+}
+
+/**
+ * 📏 Distance maximale de rapprochement entre deux types
+ */
+function getMaxDistance(firstType, secondType) {
+    const distanceFor = type => MAX_DISTANCE_BY_TYPE[type] || MAX_DISTANCE_BY_TYPE.default;
+    return Math.max(distanceFor(firstType), distanceFor(secondType));
+}
+
+/**
+ * 🎯 Score de correspondance de deux fiches → null si incomparables
+ */
+function scoreMatch(first, second) {
+    const typeScore = getTypeCompatibility(first.type, second.type);
+    if (typeScore === 0) return null;
+
+    const distanceMeters = haversineMeters(
+        first.location.latitude, first.location.longitude,
+        second.location.latitude, second.location.longitude
+    );
+    const maxDistance = getMaxDistance(first.type, second.type);
+    if (distanceMeters > maxDistance) return null;
+
+    const namesOf = record => [record.name, ...(record.alternateNames || [])].filter(Boolean);
+    let nameScore = 0;
+    namesOf(first).forEach(firstName => {
+        namesOf(second).forEach(secondName => {
+            nameScore = Math.max(nameScore, nameSimilarity(firstName, secondName));
+        });
+    });
+
+    const distanceScore = 1 - distanceMeters / maxDistance;
+    const score = 0.5 * nameScore + 0.3 * distanceScore + 0.2 * typeScore;
+
+    return {
+        score: Math.round(score * 1000) / 1000,
+        nameScore,
+        typeScore,
+        distanceMeters: Math.round(distanceMeters)
+    };
+}
+
+/**
+ * 🧬 Résolution d'un ensemble de fiches sources
+ */
+class EntityResolver {
+    constructor(options = {}) {
+        this.decisions = options.decisions || {};
+        this.entities = [];
+        this.cellIndex = new Map(); // geohash6 → entités
+        this.entityByRecord = new Map();
+        this.ambiguous = [];
+        this.forcedMerges = this.buildPairIndex(this.decisions.merge);
+        this.forcedSeparations = this.buildPairIndex(this.decisions.separate);
+    }
+
+    /**
+     * 🔗 Paires de décisions → Map clé → Set des clés liées
+     */
+    buildPairIndex(pairs = []) {
+        const index = new Map();
+
+        pairs.forEach(([first, second]) => {
+            if (!index.has(first)) index.set(first, new Set());
+            if (!index.has(second)) index.set(second, new Set());
+            index.get(first).add(second);
+            index.get(second).add(first);
+        });
+
+        return index;
+    }
+
+    /**
+     * 🧬 Résolution → { places, ambiguous, stats }
+     */
+    resolve(records) {
+        const providerOrder = Object.keys(PROVIDERS);
+        const valid = records.filter(record =>
+            record.sourceId && record.name &&
+            Number.isFinite(record.location?.latitude) && Number.isFinite(record.location?.longitude)
+        );
+
+        // Ordre déterministe : fournisseur prioritaire d'abord, puis identifiant
+        valid.sort((a, b) =>
+            providerOrder.indexOf(a.provider) - providerOrder.indexOf(b.provider) ||
+            String(a.sourceId).localeCompare(String(b.sourceId))
+        );
+
+        valid.forEach(record => this.addRecord(record));
+
+        const places = this.entities.map(entity => this.buildCanonicalPlace(entity));
+
+        return {
+            places,
+            ambiguous: this.ambiguous,
+            stats: {
+                records: records.length,
+                invalid: records.length - valid.length,
+                places: places.length,
+                merged: this.entities.filter(entity => entity.records.length > 1).length,
+                ambiguous: this.ambiguous.length,
+                byProvider: valid.reduce((counts, record) => {
+                    counts[record.provider] = (counts[record.provider] || 0) + 1;
+                    return counts;
+                }, {})
+            }
+        };
+    }
+
+    /**
+     * ➕ Rattachement d'une fiche à une entité existante ou nouvelle
+     */
+    addRecord(record) {
+        const key = getRecordKey(record);
+        const forced = this.findForcedEntity(record, key);
+
+        if (forced) {
+            this.attach(forced, record);
+            return;
+        }
+
+        const candidates = this.findCandidates(record, key);
+        const [best, second] = candidates;
+
+        if (best && best.score >= MATCH_THRESHOLD && !(second && best.score - second.score < AMBIGUITY_MARGIN)) {
+            this.attach(best.entity, record);
+            return;
+        }
+
+        if (best && best.score >= REVIEW_THRESHOLD) {
+            this.ambiguous.push({
+                record: { key, provider: record.provider, name: record.name, type: record.type, location: record.location },
+                reason: best.score >= MATCH_THRESHOLD ? 'close_candidates' : 'low_confidence',
+                candidates: candidates
+                    .filter(candidate => candidate.score >= REVIEW_THRESHOLD)
+                    .slice(0, 3)
+                    .map(candidate => ({
+                        placeId: this.getCanonicalId(candidate.entity),
+                        keys: candidate.entity.records.map(getRecordKey),
+                        name: candidate.entity.records[0].name,
+                        score: candidate.score,
+                        nameScore: candidate.nameScore,
+                        typeScore: candidate.typeScore,
+                        distanceMeters: candidate.distanceMeters
+                    }))
+            });
+        }
+
+        this.createEntity(record);
+    }
+
+    /**
+     * ✅ Entité imposée par une décision de fusion
+     */
+    findForcedEntity(record, key) {
+        const partners = this.forcedMerges.get(key);
+        if (!partners) return null;
+
+        for (const partner of partners) {
+            const entity = this.entityByRecord.get(partner);
+            if (entity) return entity;
+        }
+
+        return null;
+    }
+
+    /**
+     * 🔍 Entités candidates, de la meilleure à la moins bonne
+     */
+    findCandidates(record, key) {
+        const separations = this.forcedSeparations.get(key) || new Set();
+        const seen = new Set();
+        const candidates = [];
+
+        this.getNearbyEntities(record).forEach(entity => {
+            if (seen.has(entity)) return;
+            seen.add(entity);
+
+            // Une entité ne porte qu'une fiche par fournisseur
+            if (entity.records.some(existing => existing.provider === record.provider)) return;
+            if (entity.records.some(existing => separations.has(getRecordKey(existing)))) return;
+
+            let best = null;
+            entity.records.forEach(existing => {
+                const match = scoreMatch(record, existing);
+                if (match && (!best || match.score > best.score)) best = match;
+            });
+
+            if (best) candidates.push({ entity, ...best });
+        });
+
+        return candidates.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 🧩 Entités des cellules geohash couvrant la distance maximale
+     */
+    getNearbyEntities(record) {
+        const radius = Math.max(...Object.values(MAX_DISTANCE_BY_TYPE));
+        const { latitude, longitude } = record.location;
+        const latDelta = radius / 111320;
+        const lngDelta = radius / (111320 * Math.cos(latitude * Math.PI / 180));
+
+        const cells = getCoveringCells({
+            minLat: latitude - latDelta,
+            maxLat: latitude + latDelta,
+            minLng: longitude - lngDelta,
+            maxLng: longitude + lngDelta
+        }, 6);
+
+        return cells.flatMap(cell => this.cellIndex.get(cell) || []);
+    }
+
+    createEntity(record) {
+        const entity = { records: [] };
+        this.entities.push(entity);
+        this.attach(entity, record);
+    }
+
+    attach(entity, record) {
+        entity.records.push(record);
+        this.entityByRecord.set(getRecordKey(record), entity);
+
+        const cell = encodeGeohash(record.location.latitude, record.location.longitude, 6);
+        if (!this.cellIndex.has(cell)) this.cellIndex.set(cell, []);
+        this.cellIndex.get(cell).push(entity);
+    }
+
+    /**
+     * 🔑 Identifiant canonique : Google, sinon OSM, sinon Foursquare
+     */
+    getCanonicalId(entity) {
+        const byProvider = provider => entity.records.find(record => record.provider === provider);
+        const google = byProvider('Google');
+        const osm = byProvider('OSM');
+        const foursquare = byProvider('Foursquare');
+
+        if (google) return google.sourceId;
+        if (osm) return getOsmPlaceId(osm.sourceId);
+        return `fsq_${foursquare.sourceId}`;
+    }
+
+    /**
+     * 🏗️ Lieu canonique (format legacy + sourceIds + provenance)
+     */
+    buildCanonicalPlace(entity) {
+        const values = {};
+        const provenance = {};
+
+        RESOLVED_FIELDS.forEach(field => {
+            const priority = FIELD_PRIORITY[field] || DEFAULT_FIELD_PRIORITY;
+
+            for (const provider of priority) {
+                const record = entity.records.find(candidate => candidate.provider === provider);
+                const value = record && record[field];
+
+                // Un type inconnu ne masque pas le type d'un autre fournisseur
+                if (!hasValue(value) || (field === 'type' && value === 'unknown')) continue;
+
+                values[field] = value;
+                provenance[field] = provider;
+                break;
+            }
+        });
+
+        const sourceIdOf = provider => entity.records.find(record => record.provider === provider)?.sourceId || null;
+        const sourceIds = {
+            [PROVIDERS.Google.idField]: sourceIdOf('Google'),
+            [PROVIDERS.OSM.idField]: sourceIdOf('OSM'),
+            [PROVIDERS.Foursquare.idField]: sourceIdOf('Foursquare')
+        };
+
+        const providers = entity.records.map(record => record.provider);
+        const fetchedAt = entity.records.map(record => record.fetchedAt).filter(Boolean).sort().pop() || null;
+
+        return {
+            place_id: this.getCanonicalId(entity),
+            name: values.name,
+            geometry: { location: { lat: values.location.latitude, lng: values.location.longitude } },
+            dogPlaceType: values.type || 'unknown',
+            formatted_address: values.address || null,
+            formatted_phone_number: values.phone || null,
+            website: values.website || null,
+            // Horaires Google (objet) ou chaîne opening_hours OSM
+            ...(provenance.openingHours === 'OSM'
+                ? { openingHours: values.openingHours }
+                : { opening_hours: values.openingHours || null }),
+            rating: values.rating || null,
+            user_ratings_total: values.ratingsCount || null,
+            price_level: values.priceLevel ?? null,
+            business_status: values.businessStatus || null,
+            types: values.types || [],
+            photos: values.photos || [],
+            reviews: values.reviews || [],
+            osmTags: values.osmTags || null,
+            searchQuery: entity.records.find(record => record.searchQuery)?.searchQuery || null,
+            lastFetched: fetchedAt,
+            source: `Résolution d'entités (${[...new Set(providers)].join(', ')})`,
+            sourceIds,
+            provenance
+        };
+    }
+}
+
+module.exports = {
+    MATCH_THRESHOLD,
+    REVIEW_THRESHOLD,
+    AMBIGUITY_MARGIN,
+    PROVIDERS,
+    MAX_DISTANCE_BY_TYPE,
+    getRecordKey,
+    fromGooglePlace,
+    fromOsmElement,
+    fromFoursquarePlace,
+    getTypeCompatibility,
+    getMaxDistance,
+    scoreMatch,
+    EntityResolver
+};
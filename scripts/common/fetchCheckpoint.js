@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 📌 CHECKPOINT DES RÉCUPÉRATIONS PAYANTES
+ *
+ * Sauvegarde l'avancement d'un run (étapes terminées, pages en attente,
+ * lieux déjà récupérés) dans scripts/data/checkpoints/<nom>.json pour
+ * pouvoir le reprendre avec --resume au lieu de tout repayer.
+ *
+ * Le contenu de state appartient au script appelant ; il doit ne le
+ * modifier qu'à des points cohérents suivis d'un save().
+ */
+
+class FetchCheckpoint {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.filePath = options.filePath || path.join(__dirname, '..', 'data', 'checkpoints', `${name}.json`);
+        this.state = null;
+        this.options = null;
+        this.startedAt = null;
+        this.interruptHandler = null;
+    }
+
+    /**
+     * 🔍 Un checkpoint existe-t-il sur disque ?
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * 📂 Lecture du checkpoint (null si absent ou illisible)
+     */
+    load() {
+        if (!this.exists()) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Checkpoint illisible ignoré: ${this.filePath}`);
+            return null;
+        }
+    }
+
+    /**
+     * ▶️ Démarrage d'un run : reprise du checkpoint (resume) ou état neuf
+     * options : paramètres du run, qui doivent être identiques pour reprendre
+     */
+    start(initialState, options = {}, resume = false) {
+        const saved = resume ? this.load() : null;
+
+        if (saved) {
+            if (JSON.stringify(saved.options) !== JSON.stringify(options)) {
+                throw new Error(`Checkpoint incompatible (${JSON.stringify(saved.options)}), ` +
+                    `relancez avec les mêmes options ou sans --resume`);
+            }
+
+            this.state = saved.state;
+            this.options = saved.options;
+            this.startedAt = saved.startedAt;
+            console.log(`📌 Reprise du checkpoint du ${new Date(saved.updatedAt).toLocaleString('fr-BE')}`);
+            return true;
+        }
+
+        if (resume) {
+            console.log('📌 Aucun checkpoint à reprendre - nouveau run');
+        } else if (this.exists()) {
+            console.log('⚠️ Checkpoint existant écrasé (utilisez --resume pour le reprendre)');
+        }
+
+        this.state = initialState;
+        this.startedAt = new Date().toISOString();
+        this.options = options;
+        this.save();
+        return false;
+    }
+
+    /**
+     * 💾 Écriture atomique (fichier temporaire puis renommage)
+     */
+    save() {
+        if (!this.state) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const data = {
+            name: this.name,
+            options: this.options,
+            startedAt: this.startedAt,
+            updatedAt: new Date().toISOString(),
+            state: this.state
+        };
+
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf8');
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * 🧹 Suppression du checkpoint (run terminé)
+     */
+    clear() {
+        this.removeInterruptHandler();
+
+        if (this.exists()) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+
+    /**
+     * ⌨️ Sauvegarde sur Ctrl-C avant de quitter
+     */
+    installInterruptHandler() {
+        this.interruptHandler = () => {
+            this.save();
+            console.log(`\n⏸️ Interrompu - checkpoint sauvegardé: ${this.filePath}`);
+            console.log('💡 Relancez avec --resume pour continuer');
+            process.exit(130);
+        };
+
+        process.once('SIGINT', this.interruptHandler);
+    }
+
+    removeInterruptHandler() {
+        if (this.interruptHandler) {
+            process.removeListener('SIGINT', this.interruptHandler);
+            this.interruptHandler = null;
+        }
+    }
+}
+
+module.exports = { FetchCheckpoint };
@@ -0,0 +1,107 @@
+/**
+ * 🌍 UTILITAIRES GÉOGRAPHIQUES
+ *
+ * Calculs de distance, de zones et de polygones (GeoJSON) partagés par les scripts
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Distance en mètres entre deux points (formule de Haversine)
+ */
+function haversineMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Centre d'une zone { minLat, maxLat, minLng, maxLng }
+ */
+function boundsCenter(bounds) {
+    return {
+        lat: (bounds.minLat + bounds.maxLat) / 2,
+        lng: (bounds.minLng + bounds.maxLng) / 2
+    };
+}
+
+/**
+ * Rayon (en mètres) du cercle englobant une zone rectangulaire
+ */
+function boundsRadiusMeters(bounds) {
+    const center = boundsCenter(bounds);
+    return haversineMeters(center.lat, center.lng, bounds.maxLat, bounds.maxLng);
+}
+
+/**
+ * Point dans un anneau GeoJSON ([lng, lat]...) : lancer de rayon
+ * Même algorithme que src/config/brusselsBoundaries.ts (à modifier ensemble)
+ */
+function isPointInRing(lat, lng, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lngI, latI] = ring[i];
+        const [lngJ, latJ] = ring[j];
+
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Point dans une géométrie GeoJSON Polygon ou MultiPolygon (trous exclus)
+ */
+function isPointInGeometry(lat, lng, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    return polygons.some(([outer, ...holes]) =>
+        isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole)));
+}
+
+/**
+ * Zone { minLat, maxLat, minLng, maxLng } englobant une géométrie Polygon ou MultiPolygon
+ */
+function geometryBounds(geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+
+    // Boucle (pas de Math.min(...points) : plusieurs milliers de sommets)
+    polygons.forEach(([outer]) => outer.forEach(([lng, lat]) => {
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+        bounds.minLng = Math.min(bounds.minLng, lng);
+        bounds.maxLng = Math.max(bounds.maxLng, lng);
+    }));
+
+    return bounds;
+}
+
+/**
+ * Point dans une zone rectangulaire { minLat, maxLat, minLng, maxLng }
+ */
+function isInBounds(lat, lng, bounds) {
+    return lat >= bounds.minLat && lat <= bounds.maxLat &&
+           lng >= bounds.minLng && lng <= bounds.maxLng;
+}
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    haversineMeters,
+    boundsCenter,
+    boundsRadiusMeters,
+    isPointInRing,
+    isPointInGeometry,
+    geometryBounds,
+    isInBounds
+};
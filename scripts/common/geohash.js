@@ -0,0 +1,117 @@
+/**
+ * 🔷 GEOHASH
+ *
+ * Encodage des coordonnées en geohash (base 32) pour les requêtes
+ * spatiales Firestore. Chaque document porte geohash (précision 9) et un
+ * champ par précision de requête : geohash4 (~39 km), geohash5 (~4,9 km),
+ * geohash6 (~1,2 km) et geohash7 (~150 m).
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const GEOHASH_PRECISION = 9;
+const QUERY_PRECISIONS = [4, 5, 6, 7];
+
+/**
+ * 🔷 Geohash d'un point
+ */
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true; // Les bits pairs portent la longitude
+
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const middle = (range[0] + range[1]) / 2;
+
+        bits <<= 1;
+        if (value >= middle) {
+            bits |= 1;
+            range[0] = middle;
+        } else {
+            range[1] = middle;
+        }
+
+        evenBit = !evenBit;
+        bitCount++;
+
+        if (bitCount === 5) {
+            hash += BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * 📐 Taille d'une cellule (degrés) pour une précision donnée
+ */
+function getCellSize(precision) {
+    const totalBits = precision * 5;
+    const lngBits = Math.ceil(totalBits / 2);
+    const latBits = Math.floor(totalBits / 2);
+
+    return {
+        latDegrees: 180 / 2 ** latBits,
+        lngDegrees: 360 / 2 ** lngBits
+    };
+}
+
+/**
+ * 🧩 Cellules couvrant une zone { minLat, maxLat, minLng, maxLng }
+ * (grille alignée sur celle du geohash : une cellule par pas)
+ */
+function getCoveringCells(bounds, precision) {
+    const { latDegrees, lngDegrees } = getCellSize(precision);
+    const cells = new Set();
+
+    const firstLat = Math.floor((bounds.minLat + 90) / latDegrees);
+    const lastLat = Math.floor((bounds.maxLat + 90) / latDegrees);
+    const firstLng = Math.floor((bounds.minLng + 180) / lngDegrees);
+    const lastLng = Math.floor((bounds.maxLng + 180) / lngDegrees);
+
+    for (let latIndex = firstLat; latIndex <= lastLat; latIndex++) {
+        for (let lngIndex = firstLng; lngIndex <= lastLng; lngIndex++) {
+            // Centre de la cellule → son geohash
+            const latitude = (latIndex + 0.5) * latDegrees - 90;
+            const longitude = (lngIndex + 0.5) * lngDegrees - 180;
+            cells.add(encodeGeohash(latitude, longitude, precision));
+        }
+    }
+
+    return [...cells];
+}
+
+/**
+ * 🏷️ Champs geohash à écrire sur un document
+ * → { geohash, geohash4, geohash5, geohash6, geohash7 } (vide sans coordonnées)
+ */
+function getGeohashFields(location) {
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+        return {};
+    }
+
+    const geohash = encodeGeohash(location.latitude, location.longitude, GEOHASH_PRECISION);
+    const fields = { geohash };
+
+    QUERY_PRECISIONS.forEach(precision => {
+        fields[`geohash${precision}`] = geohash.slice(0, precision);
+    });
+
+    return fields;
+}
+
+module.exports = {
+    GEOHASH_PRECISION,
+    QUERY_PRECISIONS,
+    encodeGeohash,
+    getCellSize,
+    getCoveringCells,
+    getGeohashFields
+};
@@ -0,0 +1,267 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { chunkArray, getAllDocuments } = require('./bulkImport');
+const { formatDiffValue } = require('./placeDiff');
+
+/**
+ * 🗺️ PLANS D'IMPORT FIRESTORE (--plan / --apply)
+ *
+ * --plan calcule sans rien écrire les opérations qu'un import ferait
+ * (créations, mises à jour avec diff, lieux inchangés, désactivations) et
+ * les enregistre dans un fichier JSON avec une empreinte de la collection.
+ * --apply plan.json exécute exactement ces opérations, après avoir vérifié
+ * que la collection n'a pas changé depuis : même nombre de documents et
+ * même updateTime pour chaque document concerné par le plan.
+ *
+ * Les valeurs non JSON (Date, Timestamp, serverTimestamp, delete) sont encodées
+ * en { __type, ... } dans le fichier.
+ */
+
+const PLAN_VERSION = 1;
+const DEFAULT_PLAN_DIR = path.join(__dirname, '..', 'data', 'plans');
+
+// Libellés du résumé, dans l'ordre d'affichage
+const PLAN_ACTIONS = {
+    create: '🆕 Créations',
+    update: '🔄 Mises à jour',
+    touch: '👁️  Inchangés (dernière observation)',
+    miss: '👻 Absents (en période de grâce)',
+    deactivate: '🪦 Désactivations'
+};
+
+// Compteurs sans opération (documents laissés tels quels)
+const COUNTER_LABELS = {
+    invalid: '⏭️  Invalides (ignorés)',
+    unchanged: '⏸️  Inchangés',
+    duplicates: '👯 Doublons du fichier',
+    errors: '❌ Erreurs de préparation'
+};
+
+// Mises à jour détaillées dans le résumé
+const SUMMARY_DIFF_LIMIT = 10;
+
+/**
+ * 📦 Valeur Firestore → valeur JSON
+ */
+function encodeValue(value) {
+    if (value === undefined || value === null) return value;
+    if (value instanceof Date) return { __type: 'date', value: value.toISOString() };
+    if (value instanceof admin.firestore.Timestamp) {
+        return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    }
+    if (value instanceof admin.firestore.FieldValue) {
+        if (value.isEqual(admin.firestore.FieldValue.serverTimestamp())) return { __type: 'serverTimestamp' };
+        if (value.isEqual(admin.firestore.FieldValue.delete())) return { __type: 'delete' };
+        throw new Error('FieldValue non supporté dans un plan');
+    }
+    if (Array.isArray(value)) return value.map(encodeValue);
+
+    if (typeof value === 'object') {
+        const encoded = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (item !== undefined) encoded[key] = encodeValue(item);
+        });
+        return encoded;
+    }
+
+    return value;
+}
+
+/**
+ * 📦 Valeur JSON → valeur Firestore
+ */
+function decodeValue(value) {
+    if (value === undefined || value === null) return value;
+    if (Array.isArray(value)) return value.map(decodeValue);
+    if (typeof value !== 'object') return value;
+
+    switch (value.__type) {
+        case 'date':
+            return new Date(value.value);
+        case 'timestamp':
+            return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+        case 'serverTimestamp':
+            return admin.firestore.FieldValue.serverTimestamp();
+        case 'delete':
+            return admin.firestore.FieldValue.delete();
+        default: {
+            const decoded = {};
+            Object.entries(value).forEach(([key, item]) => {
+                decoded[key] = decodeValue(item);
+            });
+            return decoded;
+        }
+    }
+}
+
+/**
+ * 🕰️ updateTime d'un snapshot sous forme comparable (null si absent)
+ */
+function getUpdateTime(snapshot) {
+    if (!snapshot.exists || !snapshot.updateTime) return null;
+    const { seconds, nanoseconds } = snapshot.updateTime;
+    return `${seconds}.${String(nanoseconds).padStart(9, '0')}`;
+}
+
+/**
+ * #️⃣ Empreinte des documents concernés : id@updateTime triés
+ */
+function digestDocuments(updateTimes) {
+    const lines = Object.keys(updateTimes)
+        .sort()
+        .map(id => `${id}@${updateTimes[id] || 'absent'}`);
+
+    return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+/**
+ * 🧾 id → updateTime attendu, d'après les opérations du plan
+ */
+function getExpectedUpdateTimes(operations) {
+    const updateTimes = {};
+    operations.forEach(operation => {
+        updateTimes[operation.id] = operation.updateTime || null;
+    });
+    return updateTimes;
+}
+
+/**
+ * 🗺️ Plan complet à partir des opérations calculées
+ */
+function createPlan({ kind, collection, runId, source, options, collectionCount, operations, counters = {} }) {
+    const summary = { ...counters };
+    Object.keys(PLAN_ACTIONS).forEach(action => {
+        summary[action] = operations.filter(operation => operation.action === action).length;
+    });
+
+    return {
+        version: PLAN_VERSION,
+        kind,
+        collection,
+        runId,
+        createdAt: new Date().toISOString(),
+        source: source || {},
+        options: options || {},
+        fingerprint: {
+            count: collectionCount,
+            documents: operations.length,
+            digest: digestDocuments(getExpectedUpdateTimes(operations))
+        },
+        summary,
+        operations
+    };
+}
+
+/**
+ * 💾 Écriture du plan (JSON lisible)
+ */
+function writePlan(plan, filePath = null) {
+    const target = filePath || path.join(DEFAULT_PLAN_DIR, `${plan.runId}.json`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    const encoded = { ...plan, operations: plan.operations.map(encodeValue) };
+    fs.writeFileSync(target, JSON.stringify(encoded, null, 2), 'utf8');
+
+    return target;
+}
+
+/**
+ * 📂 Lecture d'un plan (les opérations sont décodées)
+ */
+function loadPlan(filePath, expectedKind) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Plan non trouvé: ${filePath}`);
+    }
+
+    const plan = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (plan.version !== PLAN_VERSION) {
+        throw new Error(`Version de plan non supportée: ${plan.version}`);
+    }
+    if (expectedKind && plan.kind !== expectedKind) {
+        throw new Error(`Plan de type "${plan.kind}", attendu "${expectedKind}"`);
+    }
+
+    return { ...plan, operations: plan.operations.map(decodeValue) };
+}
+
+/**
+ * 🔒 La collection a-t-elle changé depuis le plan ?
+ * → { ok, count, mismatches: [{ id, expected, actual }] }
+ */
+async function verifyPlan(firestore, plan) {
+    const collection = firestore.collection(plan.collection);
+    const countSnapshot = await collection.count().get();
+    const count = countSnapshot.data().count;
+
+    const expected = getExpectedUpdateTimes(plan.operations);
+    const actual = {};
+
+    for (const ids of chunkArray(Object.keys(expected))) {
+        const snapshots = await getAllDocuments(firestore, ids.map(id => collection.doc(id)));
+        snapshots.forEach((snapshot, index) => {
+            actual[ids[index]] = getUpdateTime(snapshot);
+        });
+    }
+
+    const mismatches = Object.keys(expected)
+        .filter(id => expected[id] !== actual[id])
+        .map(id => ({ id, expected: expected[id], actual: actual[id] }));
+
+    return {
+        ok: count === plan.fingerprint.count && digestDocuments(actual) === plan.fingerprint.digest,
+        count,
+        mismatches
+    };
+}
+
+/**
+ * 📋 Résumé lisible d'un plan
+ */
+function printPlanSummary(plan, unit = 'documents') {
+    console.log(`\n🗺️ PLAN D'IMPORT (${plan.kind} → '${plan.collection}')`);
+    console.log('='.repeat(50));
+    console.log(`🕓 Run: ${plan.runId}`);
+    console.log(`📅 Calculé le: ${new Date(plan.createdAt).toLocaleString('fr-BE')}`);
+    console.log(`🔒 Empreinte: ${plan.fingerprint.count} ${unit} en base, ${plan.fingerprint.documents} concernés (${plan.fingerprint.digest.slice(0, 12)})`);
+
+    console.log(`\n📊 OPÉRATIONS (${plan.summary.total ?? '?'} ${unit} dans le fichier source):`);
+    Object.entries(PLAN_ACTIONS).forEach(([action, label]) => {
+        if (plan.summary[action] > 0) console.log(`   ${label}: ${plan.summary[action]}`);
+    });
+    Object.entries(COUNTER_LABELS).forEach(([key, label]) => {
+        if (plan.summary[key] > 0) console.log(`   ${label}: ${plan.summary[key]}`);
+    });
+
+    const updates = plan.operations.filter(operation => operation.changes && operation.changes.length > 0);
+    if (updates.length > 0) {
+        console.log('\n🔀 CHANGEMENTS:');
+        updates.slice(0, SUMMARY_DIFF_LIMIT).forEach(operation => {
+            const name = operation.name || operation.id;
+            console.log(`   ${operation.action === 'deactivate' ? '🪦' : '🔄'} ${name}`);
+            operation.changes.forEach(change => {
+                const curated = change.curated ? ' ✍️' : '';
+                console.log(`      ${change.field}${curated}: ${formatDiffValue(change.oldValue)} → ${formatDiffValue(change.newValue)}`);
+            });
+        });
+
+        if (updates.length > SUMMARY_DIFF_LIMIT) {
+            console.log(`   ... et ${updates.length - SUMMARY_DIFF_LIMIT} autres (voir le fichier du plan)`);
+        }
+    }
+}
+
+module.exports = {
+    PLAN_ACTIONS,
+    DEFAULT_PLAN_DIR,
+    encodeValue,
+    decodeValue,
+    getUpdateTime,
+    createPlan,
+    writePlan,
+    loadPlan,
+    verifyPlan,
+    printPlanSummary
+};
@@ -0,0 +1,210 @@
+/**
+ * 🔤 COMPARAISON DE NOMS DE LIEUX (FR/NL)
+ *
+ * Bruxelles nomme ses lieux en français, en néerlandais ou dans les deux
+ * langues ("Parc Josaphat", "Josaphatpark", "Parc Josaphat - Josaphatpark").
+ * Les noms sont normalisés avant comparaison :
+ *   - minuscules, sans accents ni ponctuation ;
+ *   - noms bilingues découpés en variantes (" - ", " / ", parenthèses) ;
+ *   - mots composés néerlandais séparés (josaphatpark → josaphat park) ;
+ *   - mots génériques ramenés à un concept commun (parc/park → park) ;
+ *   - articles et prépositions (de, la, van, het...) retirés.
+ *
+ * La similarité porte surtout sur les mots propres au lieu (josaphat) ; les
+ * concepts génériques pèsent peu, sauf pour les noms qui n'ont qu'eux.
+ */
+
+// Mots génériques FR/NL/EN → concept
+const GENERIC_TERMS = {
+    park: ['parc', 'park', 'parcs', 'parken'],
+    garden: ['jardin', 'jardins', 'tuin', 'tuinen', 'garden'],
+    wood: ['bois', 'bos', 'foret', 'woud', 'wood'],
+    pond: ['etang', 'etangs', 'vijver', 'vijvers', 'pond'],
+    square: ['place', 'plein', 'square'],
+    street: ['rue', 'straat', 'street'],
+    avenue: ['avenue', 'av', 'laan'],
+    road: ['chaussee', 'steenweg'],
+    lane: ['dreve', 'dreef'],
+    saint: ['saint', 'sainte', 'st', 'ste', 'sint'],
+    dog: ['chien', 'chiens', 'canin', 'canine', 'hond', 'honden', 'dog', 'dogs'],
+    area: ['espace', 'zone', 'aire', 'weide', 'losloopzone', 'losloopweide', 'uitlaatzone', 'area'],
+    vet: ['veterinaire', 'veterinaires', 'dierenarts', 'dierenartsen', 'dierenkliniek', 'vet', 'veterinary'],
+    clinic: ['clinique', 'kliniek', 'clinic', 'cabinet', 'praktijk'],
+    petshop: ['animalerie', 'dierenwinkel', 'dierenspeciaalzaak', 'petshop'],
+    cemetery: ['cimetiere', 'begraafplaats', 'kerkhof']
+};
+
+// Articles, prépositions et conjonctions ignorés
+const STOPWORDS = new Set([
+    'de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'au', 'aux', 'et', 'a',
+    'van', 'het', 'der', 'den', 'ter', 't', 'en', 'op', 'in', 'dr',
+    'the', 'of', 'and'
+]);
+
+// Suffixes génériques des mots composés néerlandais (josaphatpark, warandepark...)
+const COMPOUND_SUFFIXES = ['park', 'plein', 'straat', 'laan', 'bos', 'tuin', 'vijver', 'dreef', 'steenweg', 'weide', 'square'];
+
+// Deux mots propres sont équivalents au-delà de ce score (fautes, variantes)
+const TOKEN_MATCH_THRESHOLD = 0.8;
+
+const TERM_TO_CONCEPT = new Map();
+Object.entries(GENERIC_TERMS).forEach(([concept, terms]) => {
+    terms.forEach(term => TERM_TO_CONCEPT.set(term, concept));
+});
+
+/**
+ * 🧹 Minuscules, sans accents ni ponctuation
+ */
+function simplifyText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[’'`]/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * 🌐 Variantes d'un nom bilingue ("Parc Josaphat - Josaphatpark" → 3 variantes)
+ */
+function getNameVariants(name) {
+    const raw = String(name || '');
+    const parts = raw
+        .split(/\s+[-–—/|]\s+|[()]/)
+        .map(part => part.trim())
+        .filter(Boolean);
+
+    return [...new Set([raw.replace(/[()]/g, ' ').trim(), ...parts])].filter(Boolean);
+}
+
+/**
+ * ✂️ Séparation des mots composés néerlandais (josaphatpark → josaphat park)
+ */
+function splitCompound(token) {
+    const suffix = COMPOUND_SUFFIXES.find(candidate => token.endsWith(candidate) && token.length >= candidate.length + 3);
+    if (!suffix) return [token];
+
+    return [token.slice(0, -suffix.length), suffix];
+}
+
+/**
+ * 🔤 Nom normalisé → { core, generic }
+ * core : mots propres au lieu ; generic : concepts génériques (park, dog...)
+ */
+function normalizeName(name) {
+    const core = [];
+    const generic = [];
+
+    simplifyText(name).split(' ').filter(Boolean).forEach(word => {
+        splitCompound(word).forEach(token => {
+            if (STOPWORDS.has(token)) return;
+
+            const concept = TERM_TO_CONCEPT.get(token);
+            if (concept) {
+                if (!generic.includes(concept)) generic.push(concept);
+            } else if (!core.includes(token)) {
+                core.push(token);
+            }
+        });
+    });
+
+    return { core, generic };
+}
+
+/**
+ * 🧮 Coefficient de Dice sur les bigrammes de deux mots
+ */
+function tokenSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = word => {
+        const counts = new Map();
+        for (let i = 0; i < word.length - 1; i++) {
+            const bigram = word.slice(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    };
+
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let shared = 0;
+
+    first.forEach((count, bigram) => {
+        shared += Math.min(count, second.get(bigram) || 0);
+    });
+
+    return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * 🧮 Dice entre deux listes de mots (mots proches comptés comme égaux)
+ */
+function tokenSetSimilarity(first, second) {
+    if (first.length === 0 && second.length === 0) return 1;
+    if (first.length === 0 || second.length === 0) return 0;
+
+    const remaining = [...second];
+    let matches = 0;
+
+    first.forEach(token => {
+        let bestIndex = -1;
+        let bestScore = TOKEN_MATCH_THRESHOLD;
+
+        remaining.forEach((candidate, index) => {
+            const score = tokenSimilarity(token, candidate);
+            if (score >= bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex >= 0) {
+            matches++;
+            remaining.splice(bestIndex, 1);
+        }
+    });
+
+    return (2 * matches) / (first.length + second.length);
+}
+
+/**
+ * 🎯 Similarité de deux noms normalisés (0 à 1)
+ */
+function compareNormalized(first, second) {
+    if (first.core.length > 0 && second.core.length > 0) {
+        return 0.85 * tokenSetSimilarity(first.core, second.core) +
+            0.15 * tokenSetSimilarity(first.generic, second.generic);
+    }
+
+    // Noms purement génériques ("Parc canin", "Hondenweide")
+    return tokenSetSimilarity([...first.core, ...first.generic], [...second.core, ...second.generic]);
+}
+
+/**
+ * 🎯 Similarité de deux noms de lieux (0 à 1), meilleure paire de variantes
+ */
+function nameSimilarity(firstName, secondName) {
+    const firstVariants = getNameVariants(firstName).map(normalizeName);
+    const secondVariants = getNameVariants(secondName).map(normalizeName);
+    let best = 0;
+
+    firstVariants.forEach(first => {
+        secondVariants.forEach(second => {
+            best = Math.max(best, compareNormalized(first, second));
+        });
+    });
+
+    return Math.round(best * 1000) / 1000;
+}
+
+module.exports = {
+    GENERIC_TERMS,
+    simplifyText,
+    getNameVariants,
+    normalizeName,
+    tokenSimilarity,
+    nameSimilarity
+};
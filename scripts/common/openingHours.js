@@ -0,0 +1,447 @@
+/**
+ * 🕐 HORAIRES D'OUVERTURE STRUCTURÉS
+ *
+ * Convertit les horaires des différentes sources vers le modèle
+ * OpeningHours de src/types/DataAcquisition.ts :
+ *   { dayOfWeek (0 = dimanche), openTime "HH:MM", closeTime "HH:MM", isClosed }
+ *
+ * Sources gérées :
+ *   - Google periods ({ open: { day, time: "HHMM" }, close })
+ *   - Google weekday_text localisé (fr, nl, en : "lundi: 08:00–18:00",
+ *     "Monday: 8:00 AM – 6:00 PM", "zondag: Gesloten", "Open 24 hours")
+ *   - OSM opening_hours ("Mo-Fr 08:00-18:00; Sa 10:00-14:00; PH off", "24/7")
+ *
+ * Une plage dont closeTime <= openTime se termine le lendemain (nuit) ;
+ * closeTime "24:00" = jusqu'à minuit. isOpenAt() évalue un horaire à une
+ * date donnée dans le fuseau Europe/Brussels, jours fériés belges compris.
+ *
+ * Jours fériés : appliqués seulement si l'horaire OSM a une règle PH
+ * ("PH off", "PH 10:00-12:00") ; sans elle (Google, OSM sans PH), un jour
+ * férié suit l'horaire de son jour de la semaine. Un jour absent de
+ * l'horaire, ou dont la ligne est illisible, est fermé (isClosed) ; une
+ * syntaxe OSM non gérée donne un horaire inconnu (null).
+ */
+
+const TIMEZONE = 'Europe/Brussels';
+const MINUTES_PER_DAY = 24 * 60;
+
+// Noms de jours (normalisés, sans accents) → dayOfWeek
+const DAY_NAMES = {
+    dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6,
+    zondag: 0, maandag: 1, dinsdag: 2, woensdag: 3, donderdag: 4, vrijdag: 5, zaterdag: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+const OSM_DAYS = { Su: 0, Mo: 1, Tu: 2, We: 3, Th: 4, Fr: 5, Sa: 6 };
+
+const CLOSED_PATTERN = /\b(ferme|closed|gesloten)\b/;
+const OPEN_24H_PATTERN = /24\s*h\s*\/\s*24|\b24\s*(h|heures|hours|uur)\b|\bouvert 24\b|\bopen 24\b/;
+
+/**
+ * 🔢 "HH:MM" ↔ minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u00a0\u2009\u202f]/g, ' ')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * 📦 Horaire structuré à partir des plages par jour
+ * rangesByDay : { dayOfWeek: [{ openTime, closeTime }] }
+ */
+function buildSchedule(rangesByDay, source, publicHolidays = null) {
+    const hours = [];
+
+    for (let day = 0; day < 7; day++) {
+        const ranges = (rangesByDay[day] || []).slice().sort((a, b) => toMinutes(a.openTime) - toMinutes(b.openTime));
+
+        if (ranges.length === 0) {
+            hours.push({ dayOfWeek: day, openTime: '00:00', closeTime: '00:00', isClosed: true });
+        } else {
+            ranges.forEach(range => hours.push({ dayOfWeek: day, ...range, isClosed: false }));
+        }
+    }
+
+    const is24_7 = [0, 1, 2, 3, 4, 5, 6].every(day =>
+        (rangesByDay[day] || []).some(range => range.openTime === '00:00' && range.closeTime === '24:00'));
+
+    return { hours, is24_7, publicHolidays, source };
+}
+
+/**
+ * 🏛️ Google periods → horaire structuré
+ * Une période sans close (ouverture dimanche 0000) signifie ouvert 24h/24
+ */
+function parseGooglePeriods(periods = []) {
+    const rangesByDay = {};
+    const addRange = (day, openTime, closeTime) => {
+        (rangesByDay[day] = rangesByDay[day] || []).push({ openTime, closeTime });
+    };
+
+    for (const period of periods) {
+        if (!period.open) continue;
+
+        if (!period.close) {
+            [0, 1, 2, 3, 4, 5, 6].forEach(day => addRange(day, '00:00', '24:00'));
+            continue;
+        }
+
+        const openDay = period.open.day;
+        const openMinutes = parseInt(period.open.time.slice(0, 2)) * 60 + parseInt(period.open.time.slice(2));
+        const closeMinutes = parseInt(period.close.time.slice(0, 2)) * 60 + parseInt(period.close.time.slice(2));
+
+        // Durée en minutes, la semaine bouclant du samedi au dimanche
+        const start = openDay * MINUTES_PER_DAY + openMinutes;
+        let end = period.close.day * MINUTES_PER_DAY + closeMinutes;
+        if (end <= start) end += 7 * MINUTES_PER_DAY;
+
+        if (end - start <= MINUTES_PER_DAY) {
+            // Plage simple ou de nuit (fermeture le lendemain)
+            const closesAtMidnight = end - start === MINUTES_PER_DAY - openMinutes && closeMinutes === 0;
+            addRange(openDay, formatTime(openMinutes), closesAtMidnight ? '24:00' : formatTime(closeMinutes));
+            continue;
+        }
+
+        // Plage de plusieurs jours : découpée jour par jour
+        for (let dayStart = start - openMinutes; dayStart < end; dayStart += MINUTES_PER_DAY) {
+            const from = Math.max(start, dayStart) - dayStart;
+            const to = Math.min(end, dayStart + MINUTES_PER_DAY) - dayStart;
+            addRange((dayStart / MINUTES_PER_DAY) % 7, formatTime(from), to === MINUTES_PER_DAY ? '24:00' : formatTime(to));
+        }
+    }
+
+    return buildSchedule(rangesByDay, 'google_periods');
+}
+
+/**
+ * ⏰ Heure localisée → minutes ("08:00", "8h30", "8:00 PM", "20.30")
+ * suffix : AM/PM hérité de l'autre borne ("8:00 – 11:00 AM")
+ */
+function parseLocalizedTime(text, inheritedSuffix = null) {
+    const match = text.trim().match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || '0');
+    const suffix = match[3] ? match[3].replace(/\./g, '') : inheritedSuffix;
+
+    if (suffix === 'pm' && hours < 12) hours += 12;
+    if (suffix === 'am' && hours === 12) hours = 0;
+
+    return { minutes: hours * 60 + minutes, suffix: match[3] ? suffix : null };
+}
+
+/**
+ * ↔️ Plage localisée "08:00–18:00" / "8:00 AM – 6:00 PM" → { openTime, closeTime }
+ */
+function parseLocalizedRange(text) {
+    const parts = text.split(/\s*(?:[–—-]|\bto\b|\btot\b|\ba\b(?!\.))\s*/).filter(Boolean);
+    if (parts.length !== 2) return null;
+
+    const close = parseLocalizedTime(parts[1]);
+    if (!close) return null;
+
+    let open = parseLocalizedTime(parts[0]);
+    if (open && !open.suffix && close.suffix) {
+        // Suffixe partagé : "11:00 – 2:00 PM" reste 11:00 (sinon ouverture après fermeture)
+        const withSuffix = parseLocalizedTime(parts[0], close.suffix);
+        open = withSuffix.minutes <= close.minutes ? withSuffix : open;
+    }
+    if (!open) return null;
+
+    return {
+        openTime: formatTime(open.minutes),
+        closeTime: close.minutes === 0 && open.minutes > 0 ? '24:00' : formatTime(close.minutes)
+    };
+}
+
+/**
+ * 🗓️ Google weekday_text localisé → horaire structuré
+ * Les lignes illisibles sont ignorées (jour considéré fermé)
+ */
+function parseWeekdayText(lines = []) {
+    const rangesByDay = {};
+
+    for (const line of lines) {
+        const match = normalizeText(line).match(/^([a-z]+)\s*:\s*(.*)$/);
+        if (!match || DAY_NAMES[match[1]] === undefined) continue;
+
+        const day = DAY_NAMES[match[1]];
+        const value = match[2];
+
+        if (CLOSED_PATTERN.test(value)) continue;
+
+        if (OPEN_24H_PATTERN.test(value)) {
+            rangesByDay[day] = [{ openTime: '00:00', closeTime: '24:00' }];
+            continue;
+        }
+
+        const ranges = value.split(/\s*[,;]\s*|\s+(?:et|en|and)\s+/)
+            .map(parseLocalizedRange)
+            .filter(Boolean);
+
+        if (ranges.length > 0) rangesByDay[day] = ranges;
+    }
+
+    return buildSchedule(rangesByDay, 'google_weekday_text');
+}
+
+/**
+ * 📅 Sélecteur de jours OSM ("Mo-Fr", "Sa,Su", "Mo-We,PH") → { days, publicHolidays }
+ */
+function parseOsmDays(selector) {
+    const days = new Set();
+    let publicHolidays = false;
+
+    for (const part of selector.split(',')) {
+        if (part === 'PH') {
+            publicHolidays = true;
+            continue;
+        }
+
+        const [from, to] = part.split('-');
+        if (OSM_DAYS[from] === undefined || (to && OSM_DAYS[to] === undefined)) {
+            throw new Error(`Jour OSM inconnu: ${part}`);
+        }
+
+        // Les plages bouclent : "Fr-Mo" = vendredi, samedi, dimanche, lundi
+        for (let day = OSM_DAYS[from]; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (!to || day === OSM_DAYS[to]) break;
+        }
+    }
+
+    return { days: [...days], publicHolidays };
+}
+
+/**
+ * 🗺️ OSM opening_hours → horaire structuré
+ * Sous-ensemble courant : jours, PH, plages horaires (y compris de nuit
+ * et au-delà de 24:00), off/closed, 24/7. Les règles suivantes remplacent
+ * les précédentes pour les jours qu'elles citent. Lève une erreur pour
+ * la syntaxe non gérée (mois, semaines, sunrise...).
+ */
+function parseOsmOpeningHours(value) {
+    const rangesByDay = {};
+    let publicHolidays = null;
+    const allDays = [0, 1, 2, 3, 4, 5, 6];
+
+    const rules = (value || '').replace(/"[^"]*"/g, '').split(/\s*(?:;|\|\|)\s*/).filter(Boolean);
+
+    for (const rule of rules) {
+        if (rule.trim() === '24/7') {
+            allDays.forEach(day => { rangesByDay[day] = [{ openTime: '00:00', closeTime: '24:00' }]; });
+            continue;
+        }
+
+        const match = rule.trim().match(/^((?:(?:Mo|Tu|We|Th|Fr|Sa|Su|PH)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?,?)+)?\s*(.*)$/);
+        const selector = match[1] ? parseOsmDays(match[1].replace(/,$/, '')) : { days: allDays, publicHolidays: false };
+        const timePart = match[2].trim();
+
+        let ranges;
+        if (timePart === '') {
+            ranges = [{ openTime: '00:00', closeTime: '24:00' }];
+        } else if (/^(off|closed)$/.test(timePart)) {
+            ranges = [];
+        } else {
+            ranges = timePart.split(/\s*,\s*/).map(range => {
+                const times = range.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+                if (!times) throw new Error(`Horaire OSM non géré: ${rule}`);
+
+                const open = parseInt(times[1]) * 60 + parseInt(times[2]);
+                const close = parseInt(times[3]) * 60 + parseInt(times[4]);
+
+                // "22:00-26:00" = jusqu'à 02:00 le lendemain
+                return {
+                    openTime: formatTime(open),
+                    closeTime: close === MINUTES_PER_DAY ? '24:00' : formatTime(close % MINUTES_PER_DAY)
+                };
+            });
+        }
+
+        // Un sélecteur limité à PH ne touche pas les jours de la semaine
+        const onlyPublicHolidays = match[1] && selector.days.length === 0;
+        if (!onlyPublicHolidays) {
+            selector.days.forEach(day => { rangesByDay[day] = ranges; });
+        }
+
+        if (selector.publicHolidays) {
+            publicHolidays = ranges.length === 0 ? { isClosed: true, ranges: [] } : { isClosed: false, ranges };
+        }
+    }
+
+    return buildSchedule(rangesByDay, 'osm', publicHolidays);
+}
+
+/**
+ * 🔎 Horaire structuré d'un lieu, quelle que soit sa forme :
+ * hours déjà structurés (Firestore), Google periods, weekday_text,
+ * openingHours (tableau de weekday_text ou chaîne OSM), tags OSM.
+ * null si aucun horaire exploitable.
+ */
+function getPlaceSchedule(place) {
+    if (Array.isArray(place.hours) && place.hours.length > 0) {
+        return {
+            hours: place.hours,
+            is24_7: place.hoursMeta?.is24_7 === true,
+            publicHolidays: place.hoursMeta?.publicHolidays || null,
+            source: place.hoursMeta?.source || 'structured'
+        };
+    }
+
+    const googleHours = place.opening_hours;
+    if (googleHours?.periods?.length > 0) return parseGooglePeriods(googleHours.periods);
+    if (googleHours?.weekday_text?.length > 0) return parseWeekdayText(googleHours.weekday_text);
+
+    if (Array.isArray(place.openingHours) && place.openingHours.length > 0) {
+        return parseWeekdayText(place.openingHours);
+    }
+
+    const osmValue = typeof place.openingHours === 'string' ? place.openingHours : place.osmTags?.opening_hours;
+    if (osmValue) {
+        try {
+            return parseOsmOpeningHours(osmValue);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 🥚 Dimanche de Pâques (algorithme grégorien anonyme) → { month, day }
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return { month, day };
+}
+
+/**
+ * 🇧🇪 Jours fériés légaux belges d'une année → ["YYYY-MM-DD", ...]
+ */
+function getBelgianPublicHolidays(year) {
+    const easter = getEasterSunday(year);
+    const fromEaster = offset => {
+        const date = new Date(Date.UTC(year, easter.month - 1, easter.day + offset));
+        return date.toISOString().slice(0, 10);
+    };
+    const fixed = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    return [
+        fixed(1, 1),       // Nouvel An
+        fromEaster(1),     // Lundi de Pâques
+        fixed(5, 1),       // Fête du Travail
+        fromEaster(39),    // Ascension
+        fromEaster(50),    // Lundi de Pentecôte
+        fixed(7, 21),      // Fête nationale
+        fixed(8, 15),      // Assomption
+        fixed(11, 1),      // Toussaint
+        fixed(11, 11),     // Armistice
+        fixed(12, 25)      // Noël
+    ];
+}
+
+function isBelgianPublicHoliday(isoDate) {
+    return getBelgianPublicHolidays(parseInt(isoDate.slice(0, 4))).includes(isoDate);
+}
+
+/**
+ * 🌍 Date → jour, date ISO et minutes dans le fuseau Europe/Brussels
+ */
+function getBrusselsTime(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+        dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+/**
+ * 📋 Plages applicables à un jour (jour férié : règle PH si connue)
+ */
+function getRangesForDay(schedule, dayOfWeek, isoDate) {
+    if (schedule.publicHolidays && isBelgianPublicHoliday(isoDate)) {
+        return schedule.publicHolidays.ranges;
+    }
+
+    return schedule.hours.filter(entry => entry.dayOfWeek === dayOfWeek && !entry.isClosed);
+}
+
+/**
+ * 🟢 Le lieu est-il ouvert à cette date (heure de Bruxelles) ?
+ * true / false, ou null si ses horaires sont inconnus
+ */
+function isOpenAt(place, date = new Date()) {
+    const schedule = getPlaceSchedule(place);
+    if (!schedule) return null;
+    if (schedule.is24_7 && !schedule.publicHolidays) return true;
+
+    const now = getBrusselsTime(date);
+
+    // Plages du jour
+    const openToday = getRangesForDay(schedule, now.dayOfWeek, now.isoDate).some(range => {
+        const open = toMinutes(range.openTime);
+        const close = toMinutes(range.closeTime);
+        return now.minutes >= open && (close <= open || now.minutes < close);
+    });
+    if (openToday) return true;
+
+    // Plages de nuit commencées la veille
+    const yesterday = getBrusselsTime(new Date(date.getTime() - MINUTES_PER_DAY * 60 * 1000));
+    return getRangesForDay(schedule, yesterday.dayOfWeek, yesterday.isoDate).some(range => {
+        const open = toMinutes(range.openTime);
+        const close = toMinutes(range.closeTime);
+        return close <= open && now.minutes < close;
+    });
+}
+
+module.exports = {
+    TIMEZONE,
+    parseGooglePeriods,
+    parseWeekdayText,
+    parseOsmOpeningHours,
+    getPlaceSchedule,
+    getBelgianPublicHolidays,
+    isBelgianPublicHoliday,
+    isOpenAt
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseGooglePeriods,
+    parseWeekdayText,
+    parseOsmOpeningHours,
+    getPlaceSchedule,
+    getBelgianPublicHolidays,
+    isOpenAt
+} = require('./openingHours');
+
+// Heures de Bruxelles : +02:00 en octobre (heure d'été), +01:00 en décembre
+const FRIDAY_EVENING = new Date('2026-10-16T23:30:00+02:00');
+const SATURDAY_NIGHT = new Date('2026-10-17T01:30:00+02:00');
+const SATURDAY_MORNING = new Date('2026-10-17T03:00:00+02:00');
+const CHRISTMAS_EVE_NOON = new Date('2026-12-24T12:00:00+01:00');
+const CHRISTMAS_NOON = new Date('2026-12-25T12:00:00+01:00');
+
+function dayHours(schedule, dayOfWeek) {
+    return schedule.hours.filter(entry => entry.dayOfWeek === dayOfWeek);
+}
+
+test('une plage de nuit OSM reste ouverte après minuit, le lendemain', () => {
+    const place = { osmTags: { opening_hours: 'Fr 22:00-02:00' } };
+
+    assert.deepEqual(dayHours(parseOsmOpeningHours('Fr 22:00-02:00'), 5), [
+        { dayOfWeek: 5, openTime: '22:00', closeTime: '02:00', isClosed: false }
+    ]);
+    assert.equal(isOpenAt(place, FRIDAY_EVENING), true);
+    assert.equal(isOpenAt(place, SATURDAY_NIGHT), true);
+    assert.equal(isOpenAt(place, SATURDAY_MORNING), false);
+});
+
+test('une plage OSM au-delà de 24:00 et une période Google de nuit donnent la même plage', () => {
+    const osm = parseOsmOpeningHours('Fr 22:00-26:00');
+    const google = parseGooglePeriods([{ open: { day: 5, time: '2200' }, close: { day: 6, time: '0200' } }]);
+
+    assert.deepEqual(dayHours(osm, 5), dayHours(google, 5));
+    assert.equal(dayHours(google, 6)[0].isClosed, true);
+});
+
+test('24/7 : OSM, Google sans fermeture et weekday_text', () => {
+    const osm = parseOsmOpeningHours('24/7');
+    const google = parseGooglePeriods([{ open: { day: 0, time: '0000' } }]);
+    const text = parseWeekdayText(['lundi: Ouvert 24h/24', 'mardi: Ouvert 24h/24']);
+
+    assert.equal(osm.is24_7, true);
+    assert.equal(google.is24_7, true);
+    assert.equal(text.is24_7, false); // Jours absents : fermés
+    assert.equal(isOpenAt({ osmTags: { opening_hours: '24/7' } }, SATURDAY_MORNING), true);
+});
+
+test('les jours fériés belges suivent Pâques', () => {
+    assert.deepEqual(getBelgianPublicHolidays(2026), [
+        '2026-01-01', '2026-04-06', '2026-05-01', '2026-05-14', '2026-05-25',
+        '2026-07-21', '2026-08-15', '2026-11-01', '2026-11-11', '2026-12-25'
+    ]);
+});
+
+test('PH off ferme le lieu un jour férié, pas la veille', () => {
+    const place = { osmTags: { opening_hours: 'Mo-Su 09:00-18:00; PH off' } };
+
+    assert.equal(isOpenAt(place, CHRISTMAS_EVE_NOON), true);
+    assert.equal(isOpenAt(place, CHRISTMAS_NOON), false);
+});
+
+test('PH avec horaire remplace celui du jour férié', () => {
+    const place = { osmTags: { opening_hours: 'Mo-Fr 09:00-18:00; PH 10:00-11:00' } };
+
+    assert.equal(isOpenAt(place, CHRISTMAS_NOON), false);
+    assert.equal(isOpenAt(place, new Date('2026-12-25T10:30:00+01:00')), true);
+});
+
+test('sans règle PH, un jour férié garde l\'horaire du jour de la semaine', () => {
+    const google = {
+        opening_hours: { periods: [5].map(day => ({ open: { day, time: '0900' }, close: { day, time: '1800' } })) }
+    };
+
+    assert.equal(getPlaceSchedule(google).publicHolidays, null);
+    assert.equal(isOpenAt(google, CHRISTMAS_NOON), true);
+    assert.equal(isOpenAt({ osmTags: { opening_hours: 'Mo-Su 09:00-18:00' } }, CHRISTMAS_NOON), true);
+});
+
+test('un jour absent ou illisible est fermé', () => {
+    const schedule = parseWeekdayText([
+        'lundi: 09:00–18:00',
+        'mardi: sur rendez-vous',
+        'Wednesday: 9:00 AM – 6:00 PM'
+    ]);
+
+    assert.deepEqual(dayHours(schedule, 2), [{ dayOfWeek: 2, openTime: '00:00', closeTime: '00:00', isClosed: true }]);
+    assert.deepEqual(dayHours(schedule, 3), [{ dayOfWeek: 3, openTime: '09:00', closeTime: '18:00', isClosed: false }]);
+    assert.equal(dayHours(schedule, 6)[0].isClosed, true);
+    assert.equal(isOpenAt({ opening_hours: { weekday_text: ['lundi: 09:00–18:00'] } }, new Date('2026-10-20T12:00:00+02:00')), false);
+});
+
+test('une syntaxe OSM non gérée donne des horaires inconnus, pas fermés', () => {
+    const place = { osmTags: { opening_hours: 'Jan-Mar Mo 10:00-12:00' } };
+
+    assert.throws(() => parseOsmOpeningHours('Jan-Mar Mo 10:00-12:00'), /Horaire OSM non géré/);
+    assert.equal(getPlaceSchedule(place), null);
+    assert.equal(isOpenAt(place, CHRISTMAS_NOON), null);
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 🗺️ LIEUX POUR CHIENS OPENSTREETMAP (OVERPASS)
+ *
+ * Requête Overpass des lieux pour chiens d'une zone, lecture d'un export
+ * local (Overpass JSON ou XML .osm, pour travailler hors ligne) et
+ * correspondance tags OSM → types canoniques, adresse et accès des chiens.
+ *
+ * Sémantique du tag dog=* (accès des chiens) :
+ *   yes        → admis, laisse non précisée
+ *   leashed    → admis en laisse
+ *   unleashed  → admis sans laisse
+ *   designated → lieu prévu pour les chiens (sans laisse)
+ *   outside    → admis seulement à l'extérieur (terrasse)
+ *   no         → interdits
+ * Un leisure=dog_park sans tag dog=* est traité comme designated.
+ */
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const OVERPASS_TIMEOUT_SECONDS = 180;
+
+// Lieux pour chiens par nature (toujours récupérés)
+const DOG_PLACE_SELECTORS = [
+    '["leisure"="dog_park"]',
+    '["amenity"="veterinary"]',
+    '["shop"="pet"]',
+    '["shop"="pet_grooming"]'
+];
+
+// Lieux nommés portant un tag dog=* (cafés, parcs... qui acceptent ou refusent les chiens)
+const DOG_TAGGED_SELECTORS = ['amenity', 'leisure', 'shop'].map(key => `["dog"]["name"]["${key}"]`);
+
+// Tags OSM → type canonique (premier qui correspond)
+const OSM_TYPE_RULES = [
+    { tag: 'leisure', values: ['dog_park'], type: 'dog_park' },
+    { tag: 'amenity', values: ['veterinary'], type: 'veterinary' },
+    { tag: 'shop', values: ['pet', 'pet_grooming'], type: 'pet_store' },
+    { tag: 'amenity', values: ['restaurant', 'cafe', 'bar', 'pub', 'fast_food', 'ice_cream'], type: 'dog_friendly_restaurant' },
+    { tag: 'leisure', values: ['park', 'garden', 'nature_reserve'], type: 'general_park' },
+    { tag: 'landuse', values: ['forest', 'recreation_ground'], type: 'general_park' }
+];
+
+// Valeurs de dog=* → accès des chiens
+const DOG_ACCESS = {
+    yes: { allowed: true, leash: null },
+    leashed: { allowed: true, leash: 'required' },
+    unleashed: { allowed: true, leash: 'not_required' },
+    designated: { allowed: true, leash: 'not_required' },
+    outside: { allowed: false, leash: null },
+    no: { allowed: false, leash: null }
+};
+
+/**
+ * 🔎 Requête Overpass d'une zone { minLat, maxLat, minLng, maxLng }
+ * "out center" : une position par élément, centre des ways et relations
+ */
+function buildOverpassQuery(bounds, timeoutSeconds = OVERPASS_TIMEOUT_SECONDS) {
+    const bbox = `${bounds.minLat},${bounds.minLng},${bounds.maxLat},${bounds.maxLng}`;
+    const statements = [...DOG_PLACE_SELECTORS, ...DOG_TAGGED_SELECTORS]
+        .map(selector => `  nwr${selector}(${bbox});`)
+        .join('\n');
+
+    return `[out:json][timeout:${timeoutSeconds}];\n(\n${statements}\n);\nout center tags;`;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function parseXmlAttributes(text) {
+    const attributes = {};
+    for (const match of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+        attributes[match[1]] = decodeXmlEntities(match[2]);
+    }
+    return attributes;
+}
+
+/**
+ * 📄 Export XML .osm → éléments au format Overpass JSON
+ * Les ways sans <center> prennent la moyenne de leurs nœuds présents dans le fichier
+ */
+function parseOsmXml(xml) {
+    const elements = [];
+    const nodeCoordinates = new Map();
+
+    for (const match of xml.matchAll(/<(node|way|relation)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+        const [, type, attributeText, body = ''] = match;
+        const attributes = parseXmlAttributes(attributeText);
+        const element = { type, id: Number(attributes.id), tags: {} };
+
+        for (const tag of body.matchAll(/<tag\b([^>]*?)\/>/g)) {
+            const { k, v } = parseXmlAttributes(tag[1]);
+            if (k) element.tags[k] = v;
+        }
+
+        if (type === 'node') {
+            element.lat = Number(attributes.lat);
+            element.lon = Number(attributes.lon);
+            nodeCoordinates.set(attributes.id, element);
+        } else {
+            const center = body.match(/<center\b([^>]*?)\/>/);
+            if (center) {
+                const { lat, lon } = parseXmlAttributes(center[1]);
+                element.center = { lat: Number(lat), lon: Number(lon) };
+            } else {
+                element.nodeRefs = [...body.matchAll(/<nd\b[^>]*?ref="(\d+)"/g)].map(ref => ref[1]);
+            }
+        }
+
+        elements.push(element);
+    }
+
+    elements.forEach(element => {
+        if (!element.nodeRefs) return;
+
+        const nodes = element.nodeRefs.map(ref => nodeCoordinates.get(ref)).filter(Boolean);
+        if (nodes.length > 0) {
+            element.center = {
+                lat: nodes.reduce((sum, node) => sum + node.lat, 0) / nodes.length,
+                lon: nodes.reduce((sum, node) => sum + node.lon, 0) / nodes.length
+            };
+        }
+        delete element.nodeRefs;
+    });
+
+    return elements;
+}
+
+/**
+ * 📂 Éléments d'un export local (.json Overpass ou .osm/.xml)
+ */
+function loadOsmFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.osm' || extension === '.xml' || content.trimStart().startsWith('<')) {
+        return parseOsmXml(content);
+    }
+
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.elements || [];
+}
+
+/**
+ * 📍 Position d'un élément (nœud ou centre) → { latitude, longitude } ou null
+ */
+function getOsmLocation(element) {
+    const coordinates = element.center || element;
+    if (!Number.isFinite(coordinates.lat) || !Number.isFinite(coordinates.lon)) return null;
+    return { latitude: coordinates.lat, longitude: coordinates.lon };
+}
+
+/**
+ * 🏷️ Type canonique d'après les tags ('unknown' si aucun ne correspond)
+ */
+function getOsmPlaceType(tags = {}) {
+    const rule = OSM_TYPE_RULES.find(candidate => candidate.values.includes(tags[candidate.tag]));
+    return rule ? rule.type : 'unknown';
+}
+
+/**
+ * 🏠 Adresse lisible depuis les tags addr:* (null si absente)
+ */
+function getOsmAddress(tags = {}) {
+    const street = [tags['addr:street'], tags['addr:housenumber']].filter(Boolean).join(' ');
+    const city = [tags['addr:postcode'], tags['addr:city']].filter(Boolean).join(' ');
+    return [street, city].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * 🐕 Accès des chiens → { dog, allowed, leash } (null sans information)
+ */
+function getDogAccess(tags = {}) {
+    const dog = tags.dog || (tags.leisure === 'dog_park' ? 'designated' : null);
+    const access = dog && DOG_ACCESS[dog];
+    if (!access) return null;
+
+    return { dog, ...access };
+}
+
+/**
+ * 🔑 Identifiant OSM ("way/123") et place_id dérivé ("osm_way_123")
+ */
+function getOsmId(element) {
+    return `${element.type}/${element.id}`;
+}
+
+function getOsmPlaceId(osmId) {
+    return `osm_${osmId.replace('/', '_')}`;
+}
+
+/**
+ * 🐕 Élément pertinent : nommé ou lieu pour chiens par nature, et positionné
+ */
+function isDogPlaceElement(element) {
+    const tags = element.tags || {};
+    if (!getOsmLocation(element)) return false;
+    return Boolean(tags.name) || getOsmPlaceType(tags) === 'dog_park';
+}
+
+module.exports = {
+    OVERPASS_URL,
+    OVERPASS_TIMEOUT_SECONDS,
+    DOG_ACCESS,
+    buildOverpassQuery,
+    decodeXmlEntities,
+    parseXmlAttributes,
+    parseOsmXml,
+    loadOsmFile,
+    getOsmLocation,
+    getOsmPlaceType,
+    getOsmAddress,
+    getDogAccess,
+    getOsmId,
+    getOsmPlaceId,
+    isDogPlaceElement
+};
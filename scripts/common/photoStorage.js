@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { getFlagValue } = require('./cliArgs');
+
+/**
+ * 🗄️ STOCKAGE DES PHOTOS DE LIEUX
+ *
+ * Deux implémentations de la même interface (exists, save, list, remove),
+ * choisies avec --photo-storage :
+ *   - local (défaut) : dossier sur disque, utilisable hors ligne
+ *   - firebase : bucket Firebase Storage (FIREBASE_STORAGE_BUCKET,
+ *     sinon <projectId>.appspot.com)
+ *
+ * Les chemins sont relatifs ("places/<place_id>/<fichier>.jpg") et
+ * identiques d'un stockage à l'autre : c'est eux qui sont référencés
+ * dans les lieux, jamais une URL Google.
+ */
+
+const DEFAULT_PHOTO_DIR = path.join(__dirname, '..', 'data', 'photos');
+
+/**
+ * 💽 Dossier local
+ */
+class LocalPhotoStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDir = options.rootDir || DEFAULT_PHOTO_DIR;
+    }
+
+    resolve(storagePath) {
+        return path.join(this.rootDir, ...storagePath.split('/'));
+    }
+
+    async exists(storagePath) {
+        return fs.existsSync(this.resolve(storagePath));
+    }
+
+    async save(storagePath, buffer) {
+        const filePath = this.resolve(storagePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Écriture atomique : pas de fichier tronqué si le run est interrompu
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, buffer);
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * 📋 Chemins sous un préfixe de dossier ("places/<place_id>/")
+     */
+    async list(prefix) {
+        const dir = this.resolve(prefix);
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(file => !file.endsWith('.tmp'))
+            .map(file => `${prefix.replace(/\/$/, '')}/${file}`);
+    }
+
+    async remove(storagePath) {
+        fs.rmSync(this.resolve(storagePath), { force: true });
+    }
+
+    describe() {
+        return this.rootDir;
+    }
+}
+
+/**
+ * ☁️ Bucket Firebase Storage
+ */
+class FirebasePhotoStorage {
+    constructor(options = {}) {
+        this.name = 'firebase';
+
+        const admin = require('firebase-admin');
+        const { initializeFirebase } = require('./firebaseInit');
+        initializeFirebase();
+
+        this.bucketName = options.bucketName || process.env.FIREBASE_STORAGE_BUCKET ||
+            `${process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID}.appspot.com`;
+        this.bucket = admin.storage().bucket(this.bucketName);
+    }
+
+    async exists(storagePath) {
+        const [exists] = await this.bucket.file(storagePath).exists();
+        return exists;
+    }
+
+    async save(storagePath, buffer, contentType = 'image/jpeg') {
+        await this.bucket.file(storagePath).save(buffer, {
+            contentType,
+            resumable: false,
+            metadata: { cacheControl: 'public, max-age=31536000' }
+        });
+    }
+
+    async list(prefix) {
+        const [files] = await this.bucket.getFiles({ prefix });
+        return files.map(file => file.name);
+    }
+
+    async remove(storagePath) {
+        await this.bucket.file(storagePath).delete({ ignoreNotFound: true });
+    }
+
+    describe() {
+        return `gs://${this.bucketName}`;
+    }
+}
+
+/**
+ * 🎛️ Stockage depuis les options CLI --photo-storage (local | firebase)
+ * et --photo-dir (dossier du stockage local)
+ */
+function createPhotoStorageFromArgs(argv = process.argv.slice(2)) {
+    const name = getFlagValue('--photo-storage', 'local', argv);
+
+    switch (name) {
+        case 'local':
+            return new LocalPhotoStorage({ rootDir: getFlagValue('--photo-dir', undefined, argv) });
+        case 'firebase':
+            return new FirebasePhotoStorage();
+        default:
+            throw new Error(`--photo-storage invalide: ${name} (local ou firebase)`);
+    }
+}
+
+module.exports = {
+    DEFAULT_PHOTO_DIR,
+    LocalPhotoStorage,
+    FirebasePhotoStorage,
+    createPhotoStorageFromArgs
+};
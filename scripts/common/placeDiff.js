@@ -0,0 +1,174 @@
+const { haversineMeters } = require('./geo');
+const { isCuratedField } = require('./placeOverrides');
+
+/**
+ * 🔀 DIFF CHAMP PAR CHAMP DES LIEUX
+ *
+ * Compare un document brussels_places existant et sa nouvelle version
+ * préparée par l'import. Chaque changement donne
+ * { field, oldValue, newValue } (+ distanceMeters pour la position) ;
+ * l'import les écrit dans la sous-collection history du lieu.
+ *
+ * Les champs corrigés à la main (curatedFields, voir placeOverrides.js)
+ * sont toujours comparés et leurs changements marqués curated: true.
+ */
+
+// Déplacement minimal (mètres) considéré comme un changement de position
+const LOCATION_DRIFT_METERS = 25;
+
+// Écart minimal d'une note pour être historisé
+const RATING_TOLERANCE = 0.1;
+
+// Champs suivis : chemin dans le document → comparaison
+const TRACKED_FIELDS = {
+    name: 'value',
+    type: 'value',
+    category: 'value',
+    address: 'value',
+    phone: 'value',
+    website: 'value',
+    rating: 'rating',
+    ratingsCount: 'value',
+    priceLevel: 'value',
+    openingHours: 'deep',
+    hours: 'deep',
+    photos: 'photos',
+    location: 'location',
+    isDogFriendly: 'value',
+    isActive: 'value',
+    businessStatus: 'value',
+    'sourceIds.osmId': 'value', // Rapprochements trouvés par la résolution d'entités
+    'sourceIds.foursquareId': 'value',
+    'metadata.dogFriendlyScore': 'value',
+    'metadata.dogMentions.verdict': 'value',
+    'metadata.dogAccess.dog': 'value',
+    'metadata.reviews': 'count', // Nombre d'avis seulement (textes trop volumineux)
+    curatedFields: 'list' // Absent = [] (lieux importés avant les corrections)
+};
+
+function getPath(object, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * 🧊 Valeur comparable et stockable (undefined → null, clés triées)
+ */
+function toPlainValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString(); // Timestamp Firestore
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(toPlainValue);
+
+    if (typeof value === 'object') {
+        const plain = {};
+        Object.keys(value).sort().forEach(key => {
+            if (value[key] !== undefined) plain[key] = toPlainValue(value[key]);
+        });
+        return plain;
+    }
+
+    return value;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(toPlainValue(a)) === JSON.stringify(toPlainValue(b));
+}
+
+/**
+ * 🖼️ Photos comparées sur leurs références (les dimensions peuvent varier)
+ */
+function getPhotoReferences(photos) {
+    return (photos || []).map(photo => photo.reference || photo.photo_reference || photo.url || null);
+}
+
+/**
+ * 🔍 Changement d'un champ (null si identique)
+ */
+function diffField(field, comparison, oldValue, newValue) {
+    switch (comparison) {
+        case 'rating':
+            if (Math.abs((oldValue || 0) - (newValue || 0)) <= RATING_TOLERANCE) return null;
+            break;
+
+        case 'list':
+            if (isEqual(oldValue || [], newValue || [])) return null;
+            break;
+
+        case 'count': {
+            const oldCount = (oldValue || []).length;
+            const newCount = (newValue || []).length;
+            return oldCount === newCount ? null : { field, oldValue: oldCount, newValue: newCount };
+        }
+
+        case 'photos':
+            if (isEqual(getPhotoReferences(oldValue), getPhotoReferences(newValue))) return null;
+            return {
+                field,
+                oldValue: getPhotoReferences(oldValue),
+                newValue: getPhotoReferences(newValue)
+            };
+
+        case 'location': {
+            if (!oldValue || !newValue) {
+                if (!oldValue && !newValue) return null;
+                break;
+            }
+
+            const distanceMeters = haversineMeters(
+                oldValue.latitude, oldValue.longitude,
+                newValue.latitude, newValue.longitude
+            );
+            if (distanceMeters < LOCATION_DRIFT_METERS) return null;
+
+            return {
+                field,
+                oldValue: toPlainValue(oldValue),
+                newValue: toPlainValue(newValue),
+                distanceMeters: Math.round(distanceMeters)
+            };
+        }
+
+        default:
+            if (isEqual(oldValue, newValue)) return null;
+    }
+
+    return { field, oldValue: toPlainValue(oldValue), newValue: toPlainValue(newValue) };
+}
+
+/**
+ * 🔀 Liste des changements entre deux versions d'un lieu ([] si aucun)
+ */
+function diffPlaceFields(existing, updated) {
+    const curatedFields = updated.curatedFields || [];
+
+    // Champs corrigés non suivis par défaut (ex: metadata.fencedArea)
+    const fields = { ...TRACKED_FIELDS };
+    curatedFields.forEach(field => {
+        if (!fields[field]) fields[field] = 'deep';
+    });
+
+    return Object.entries(fields)
+        .map(([field, comparison]) => diffField(field, comparison, getPath(existing, field), getPath(updated, field)))
+        .filter(Boolean)
+        .map(change => (isCuratedField(curatedFields, change.field) && change.field !== 'curatedFields'
+            ? { ...change, curated: true }
+            : change));
+}
+
+/**
+ * 📝 Valeur courte pour l'affichage d'une timeline
+ */
+function formatDiffValue(value, maxLength = 60) {
+    if (value === null || value === undefined) return '∅';
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+module.exports = {
+    LOCATION_DRIFT_METERS,
+    TRACKED_FIELDS,
+    getPath,
+    diffPlaceFields,
+    formatDiffValue
+};
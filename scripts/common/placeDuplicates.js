@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { haversineMeters } = require('./geo');
+const { encodeGeohash, getCoveringCells } = require('./geohash');
+const { nameSimilarity } = require('./nameMatching');
+const { MAX_DISTANCE_BY_TYPE, PROVIDERS, getTypeCompatibility, getMaxDistance } = require('./entityResolution');
+const { normalizeBelgianPhone, canonicalizeUrl } = require('./dataFixers');
+const { isCuratedField } = require('./placeOverrides');
+
+/**
+ * 👯 DOUBLONS PROCHES DANS brussels_places
+ *
+ * Les lieux actifs proches (distance maximale selon le type, comme la
+ * résolution d'entités) sont comparés deux à deux :
+ *   score = 0,45 × similarité des noms FR/NL (sans accents, voir nameMatching.js)
+ *         + 0,25 × proximité + 0,15 × compatibilité des types
+ *         + 0,15 × contact (même téléphone ou même site : 1 ; téléphones différents : -1)
+ *
+ * Les noms comparés incluent name:fr / name:nl des tags OSM. La proximité et
+ * le type ne suffisent pas : une paire n'est retenue qu'avec des noms proches
+ * (MIN_NAME_SCORE) ou un téléphone / site commun.
+ *
+ * Les paires retenues au-dessus de SUGGESTION_THRESHOLD forment des groupes
+ * (composantes connexes). Chaque groupe donne une suggestion de fusion :
+ * un lieu conservé (le plus complet) et ses doublons, avec une confiance
+ * (le lien le plus faible du groupe). "Parc du Cinquantenaire" / "Jubelpark"
+ * à 40 m ressort par ses tags name:fr / name:nl ; deux vétérinaires voisins
+ * aux noms différents ne ressortent pas.
+ *
+ * planMerge décrit une fusion sans l'écrire (voir places/placeDuplicates.js).
+ * getMergeFills complète un lieu conservé depuis ses doublons : à la fusion,
+ * puis à chaque import (importPlaces.js relit les lieux de mergedFrom).
+ */
+
+const SUGGESTION_THRESHOLD = 0.4;
+
+// Similarité de noms minimale sans téléphone ni site commun ("Chez Marie" / "Chez Paul" : 0,575)
+const MIN_NAME_SCORE = 0.6;
+
+// Confiance d'une suggestion (de la plus haute à la plus basse)
+const CONFIDENCE_LEVELS = [
+    { level: 'high', min: 0.75 },
+    { level: 'medium', min: 0.55 },
+    { level: 'low', min: SUGGESTION_THRESHOLD }
+];
+
+const MERGED_REASON = 'merged';
+
+// Champs recopiés d'un doublon quand le lieu conservé n'en a pas
+const FILLABLE_FIELDS = ['address', 'phone', 'website', 'openingHours', 'hours', 'photos'];
+
+function hasValue(value) {
+    if (value === null || value === undefined || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+/**
+ * 🌐 Site web comparable (sans protocole, www ni barre finale)
+ */
+function getWebsiteKey(website) {
+    const canonical = canonicalizeUrl(website);
+    if (!canonical) return null;
+
+    return canonical
+        .replace(/^https?:\/\/(www\.)?/, '')
+        .replace(/\/$/, '')
+        .toLowerCase();
+}
+
+function getPhoneKey(phone) {
+    return normalizeBelgianPhone(phone) || (phone ? String(phone).replace(/\D/g, '') || null : null);
+}
+
+/**
+ * 🏷️ Noms d'un lieu : nom affiché puis name:fr / name:nl OSM
+ */
+function getPlaceNames(data) {
+    const tags = data.osmTags || {};
+    return [...new Set([data.name, tags['name:fr'], tags['name:nl']].filter(Boolean))];
+}
+
+/**
+ * 🎯 Score de deux lieux { id, data } → null si incomparables (types, distance)
+ * hasEvidence : noms proches ou téléphone / site commun
+ */
+function scorePlacePair(first, second) {
+    const typeScore = getTypeCompatibility(first.data.type || 'unknown', second.data.type || 'unknown');
+    if (typeScore === 0) return null;
+
+    const distanceMeters = haversineMeters(
+        first.data.location.latitude, first.data.location.longitude,
+        second.data.location.latitude, second.data.location.longitude
+    );
+    const maxDistance = getMaxDistance(first.data.type, second.data.type);
+    if (distanceMeters > maxDistance) return null;
+
+    let nameScore = 0;
+    getPlaceNames(first.data).forEach(firstName => {
+        getPlaceNames(second.data).forEach(secondName => {
+            nameScore = Math.max(nameScore, nameSimilarity(firstName, secondName));
+        });
+    });
+
+    const [firstPhone, secondPhone] = [getPhoneKey(first.data.phone), getPhoneKey(second.data.phone)];
+    const [firstWebsite, secondWebsite] = [getWebsiteKey(first.data.website), getWebsiteKey(second.data.website)];
+    const sharedPhone = Boolean(firstPhone && firstPhone === secondPhone);
+    const sharedWebsite = Boolean(firstWebsite && firstWebsite === secondWebsite);
+    const conflictingPhone = Boolean(firstPhone && secondPhone && firstPhone !== secondPhone);
+
+    const contactScore = sharedPhone || sharedWebsite ? 1 : (conflictingPhone ? -1 : 0);
+    const distanceScore = 1 - distanceMeters / maxDistance;
+    const score = 0.45 * nameScore + 0.25 * distanceScore + 0.15 * typeScore + 0.15 * contactScore;
+
+    return {
+        score: Math.round(Math.min(1, Math.max(0, score)) * 1000) / 1000,
+        nameScore,
+        typeScore,
+        distanceMeters: Math.round(distanceMeters),
+        sharedPhone,
+        sharedWebsite,
+        conflictingPhone,
+        hasEvidence: nameScore >= MIN_NAME_SCORE || sharedPhone || sharedWebsite
+    };
+}
+
+function getConfidenceLevel(score) {
+    return CONFIDENCE_LEVELS.find(candidate => score >= candidate.min)?.level || null;
+}
+
+/**
+ * 🏆 Lieu conservé : corrigé à la main, puis fiche Google, puis le plus d'avis,
+ * puis le plus de champs remplis, puis l'identifiant (ordre stable)
+ */
+function compareKeepCandidates(first, second) {
+    const rank = place => [
+        (place.data.curatedFields || []).length > 0 ? 1 : 0,
+        place.data.sourceIds?.googlePlaceId ? 1 : 0,
+        place.data.ratingsCount || 0,
+        FILLABLE_FIELDS.filter(field => hasValue(place.data[field])).length
+    ];
+
+    const [firstRank, secondRank] = [rank(first), rank(second)];
+    for (let i = 0; i < firstRank.length; i++) {
+        if (firstRank[i] !== secondRank[i]) return secondRank[i] - firstRank[i];
+    }
+    return first.id.localeCompare(second.id);
+}
+
+/**
+ * 🔑 Clé d'une paire (ordre indifférent)
+ */
+function getPairKey(firstId, secondId) {
+    return [firstId, secondId].sort().join('|');
+}
+
+/**
+ * 👯 Suggestions de fusion, de la plus sûre à la moins sûre
+ * places : [{ id, data }] ; les lieux inactifs et sans position sont ignorés
+ * options.separate : paires déclarées distinctes ([[idA, idB]])
+ */
+function findDuplicateSuggestions(places, options = {}) {
+    const minConfidence = options.minConfidence ?? SUGGESTION_THRESHOLD;
+    const separated = new Set((options.separate || []).map(([first, second]) => getPairKey(first, second)));
+
+    const active = places
+        .filter(place => place.data.isActive !== false &&
+            Number.isFinite(place.data.location?.latitude) && Number.isFinite(place.data.location?.longitude))
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+    // Index geohash6 → lieux (comme EntityResolver.getNearbyEntities)
+    const cellIndex = new Map();
+    active.forEach(place => {
+        const cell = encodeGeohash(place.data.location.latitude, place.data.location.longitude, 6);
+        if (!cellIndex.has(cell)) cellIndex.set(cell, []);
+        cellIndex.get(cell).push(place);
+    });
+
+    const radius = Math.max(...Object.values(MAX_DISTANCE_BY_TYPE));
+    const edges = [];
+
+    active.forEach(place => {
+        const { latitude, longitude } = place.data.location;
+        const latDelta = radius / 111320;
+        const lngDelta = radius / (111320 * Math.cos(latitude * Math.PI / 180));
+        const cells = getCoveringCells({
+            minLat: latitude - latDelta,
+            maxLat: latitude + latDelta,
+            minLng: longitude - lngDelta,
+            maxLng: longitude + lngDelta
+        }, 6);
+
+        cells.flatMap(cell => cellIndex.get(cell) || []).forEach(other => {
+            // Chaque paire une seule fois
+            if (other.id <= place.id || separated.has(getPairKey(place.id, other.id))) return;
+
+            const match = scorePlacePair(place, other);
+            if (match && match.hasEvidence && match.score >= minConfidence) {
+                edges.push({ first: place, second: other, ...match });
+            }
+        });
+    });
+
+    return buildSuggestions(edges);
+}
+
+/**
+ * 🧩 Paires → groupes (union-find) → suggestions
+ */
+function buildSuggestions(edges) {
+    const parent = new Map();
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    edges.forEach(({ first, second }) => {
+        [first.id, second.id].forEach(id => {
+            if (!parent.has(id)) parent.set(id, id);
+        });
+        parent.set(find(first.id), find(second.id));
+    });
+
+    const groups = new Map();
+    edges.forEach(edge => {
+        const root = find(edge.first.id);
+        if (!groups.has(root)) groups.set(root, { places: new Map(), edges: [] });
+
+        const group = groups.get(root);
+        group.places.set(edge.first.id, edge.first);
+        group.places.set(edge.second.id, edge.second);
+        group.edges.push(edge);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const [keep, ...others] = [...group.places.values()].sort(compareKeepCandidates);
+
+            const duplicates = others.map(place => {
+                // Meilleur lien du doublon, de préférence avec le lieu conservé
+                const links = group.edges.filter(edge => edge.first.id === place.id || edge.second.id === place.id);
+                const best = links.find(edge => edge.first.id === keep.id || edge.second.id === keep.id) ||
+                    links.reduce((a, b) => (b.score > a.score ? b : a));
+                const linkedTo = best.first.id === place.id ? best.second : best.first;
+
+                return {
+                    id: place.id,
+                    name: place.data.name,
+                    type: place.data.type,
+                    linkedTo: linkedTo.id,
+                    score: best.score,
+                    nameScore: best.nameScore,
+                    typeScore: best.typeScore,
+                    distanceMeters: best.distanceMeters,
+                    sharedPhone: best.sharedPhone,
+                    sharedWebsite: best.sharedWebsite,
+                    conflictingPhone: best.conflictingPhone
+                };
+            });
+
+            const confidence = Math.min(...duplicates.map(duplicate => duplicate.score));
+            const ids = [keep.id, ...duplicates.map(duplicate => duplicate.id)];
+
+            return {
+                id: `dup_${crypto.createHash('sha1').update([...ids].sort().join('|')).digest('hex').slice(0, 8)}`,
+                confidence,
+                level: getConfidenceLevel(confidence),
+                keep: { id: keep.id, name: keep.data.name, type: keep.data.type },
+                duplicates
+            };
+        })
+        .sort((a, b) => b.confidence - a.confidence || a.id.localeCompare(b.id));
+}
+
+/**
+ * 🔑 Clé de résolution d'entités d'un lieu ("Google:ChIJ...") pour un fournisseur
+ */
+function getEntityKeys(data) {
+    return Object.entries(PROVIDERS)
+        .filter(([, provider]) => data.sourceIds?.[provider.idField])
+        .map(([name, provider]) => ({ provider: name, key: `${name}:${data.sourceIds[provider.idField]}` }));
+}
+
+/**
+ * 🧩 Champs vides (non corrigés) d'un lieu conservé complétés depuis ses
+ * doublons { id, data }, et sourceIds manquants → champs à mettre à jour
+ */
+function getMergeFills(keepData, duplicates) {
+    const fills = {};
+
+    FILLABLE_FIELDS.forEach(field => {
+        if (hasValue(keepData[field]) || isCuratedField(keepData.curatedFields, field)) return;
+
+        const donor = duplicates.find(duplicate => hasValue(duplicate.data[field]));
+        if (donor) fills[field] = donor.data[field];
+    });
+
+    const sourceIds = { ...(keepData.sourceIds || {}) };
+    duplicates.forEach(duplicate => {
+        Object.entries(duplicate.data.sourceIds || {}).forEach(([field, value]) => {
+            if (value && !sourceIds[field]) sourceIds[field] = value;
+        });
+    });
+    if (JSON.stringify(sourceIds) !== JSON.stringify(keepData.sourceIds || {})) {
+        fills.sourceIds = sourceIds;
+    }
+
+    return fills;
+}
+
+/**
+ * 🧭 Fusion décrite sans écriture
+ * → { keepUpdates, duplicateUpdates: { id: updates }, decisionPairs }
+ *   keepUpdates : champs vides (non corrigés) complétés, mergedFrom, sourceIds manquants
+ *   duplicateUpdates : désactivation (closedReason 'merged', mergedInto)
+ *   decisionPairs : paires "Fournisseur:id" à fusionner dès resolvePlaces
+ */
+function planMerge(keep, duplicates) {
+    const keepUpdates = getMergeFills(keep.data, duplicates);
+    const duplicateUpdates = {};
+    const decisionPairs = [];
+
+    keepUpdates.mergedFrom = [...new Set([...(keep.data.mergedFrom || []), ...duplicates.map(duplicate => duplicate.id)])];
+
+    const keepKeys = getEntityKeys(keep.data);
+    duplicates.forEach(duplicate => {
+        duplicateUpdates[duplicate.id] = { isActive: false, closedReason: MERGED_REASON, mergedInto: keep.id };
+
+        // La résolution d'entités ne rapproche que des fournisseurs différents
+        const duplicateKey = getEntityKeys(duplicate.data)
+            .find(candidate => !keepKeys.some(keepKey => keepKey.provider === candidate.provider));
+        const keepKey = duplicateKey && keepKeys.find(candidate => candidate.provider !== duplicateKey.provider);
+        if (keepKey) decisionPairs.push([keepKey.key, duplicateKey.key]);
+    });
+
+    return { keepUpdates, duplicateUpdates, decisionPairs };
+}
+
+module.exports = {
+    SUGGESTION_THRESHOLD,
+    MIN_NAME_SCORE,
+    CONFIDENCE_LEVELS,
+    MERGED_REASON,
+    FILLABLE_FIELDS,
+    scorePlacePair,
+    getConfidenceLevel,
+    findDuplicateSuggestions,
+    getEntityKeys,
+    getMergeFills,
+    planMerge
+};
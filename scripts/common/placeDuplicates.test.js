@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scorePlacePair, findDuplicateSuggestions, getMergeFills } = require('./placeDuplicates');
+
+// Décalage vers l'est en mètres à la latitude de Bruxelles
+function place(id, data, eastMeters = 0) {
+    return {
+        id,
+        data: {
+            isActive: true,
+            location: { latitude: 50.8333, longitude: 4.3667 + eastMeters / (111320 * Math.cos(50.8333 * Math.PI / 180)) },
+            ...data
+        }
+    };
+}
+
+test('deux vétérinaires voisins aux téléphones différents ne sont pas des doublons', () => {
+    const places = [
+        place('vet_a', { name: 'Clinique Vétérinaire Louise', type: 'veterinary', phone: '02 512 34 56' }),
+        place('vet_b', { name: 'Cabinet vétérinaire du Châtelain', type: 'veterinary', phone: '02 640 11 22' }, 10)
+    ];
+
+    assert.deepEqual(findDuplicateSuggestions(places), []);
+});
+
+test('deux vétérinaires voisins aux noms différents ne sont pas des doublons', () => {
+    const places = [
+        place('vet_a', { name: 'Clinique Vétérinaire Louise', type: 'veterinary' }),
+        place('vet_b', { name: 'Cabinet vétérinaire du Châtelain', type: 'veterinary' }, 10)
+    ];
+
+    const match = scorePlacePair(places[0], places[1]);
+    assert.ok(match.score >= 0.4, `score ${match.score}`);
+    assert.equal(match.hasEvidence, false);
+    assert.deepEqual(findDuplicateSuggestions(places), []);
+});
+
+test('deux cafés aux noms proches mais différents ne sont pas des doublons', () => {
+    const places = [
+        place('cafe_a', { name: 'Chez Marie', type: 'cafe' }),
+        place('cafe_b', { name: 'Chez Paul', type: 'cafe' }, 5)
+    ];
+
+    assert.deepEqual(findDuplicateSuggestions(places), []);
+});
+
+test('un même nom sans accents ressort en doublon', () => {
+    const places = [
+        place('cafe_a', { name: 'Café Léon', type: 'cafe' }),
+        place('cafe_b', { name: 'Cafe Leon', type: 'cafe' }, 15)
+    ];
+
+    const [suggestion] = findDuplicateSuggestions(places);
+    assert.equal(suggestion.level, 'high');
+    assert.deepEqual([suggestion.keep.id, ...suggestion.duplicates.map(duplicate => duplicate.id)].sort(), ['cafe_a', 'cafe_b']);
+});
+
+test('un téléphone commun suffit malgré des noms différents', () => {
+    const places = [
+        place('vet_a', { name: 'Clinique Vétérinaire Louise', type: 'veterinary', phone: '02 512 34 56' }),
+        place('vet_b', { name: 'Dierenkliniek Louiza', type: 'veterinary', phone: '+32 2 512 34 56' }, 10)
+    ];
+
+    const [suggestion] = findDuplicateSuggestions(places);
+    assert.ok(suggestion);
+    assert.equal(suggestion.duplicates[0].sharedPhone, true);
+});
+
+test('les noms name:fr / name:nl OSM rapprochent un parc traduit', () => {
+    const places = [
+        place('park_fr', { name: 'Parc du Cinquantenaire', type: 'park' }),
+        place('park_nl', {
+            name: 'Jubelpark',
+            type: 'park',
+            osmTags: { leisure: 'park', 'name:fr': 'Parc du Cinquantenaire', 'name:nl': 'Jubelpark' }
+        }, 40)
+    ];
+
+    const [suggestion] = findDuplicateSuggestions(places);
+    assert.ok(suggestion);
+    assert.equal(suggestion.duplicates[0].nameScore, 1);
+});
+
+test('un lieu conservé est complété par ses doublons, sauf ses champs corrigés', () => {
+    const keep = { name: 'Parc du Cinquantenaire', phone: null, website: null, curatedFields: ['website'], sourceIds: { googlePlaceId: 'g1', osmId: null } };
+    const duplicates = [
+        place('osm_1', { phone: '+3221234567', website: 'https://parc.be', sourceIds: { googlePlaceId: null, osmId: 'way/1' } })
+    ];
+
+    assert.deepEqual(getMergeFills(keep, duplicates), {
+        phone: '+3221234567',
+        sourceIds: { googlePlaceId: 'g1', osmId: 'way/1' }
+    });
+});
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isCanonicalPlaceType, normalizePlaceType } = require('./placeTypes');
+const { DOG_ACCESS, decodeXmlEntities, parseXmlAttributes } = require('./osmPlaces');
+
+/**
+ * 📄 LECTURE DE FICHIERS DE LIEUX (CSV, GEOJSON, KML)
+ *
+ * Listes envoyées par des partenaires (CSV, GeoJSON) et exports Google
+ * My Maps (KML), converties au format legacy des fetchers pour passer par
+ * PlaceImporter.preparePlaceForFirestore comme les autres sources.
+ *
+ * Deux étapes :
+ * - un lecteur par format (PLACE_FILE_READERS, clé = extension) renvoie
+ *   des enregistrements bruts { row, label, properties, coordinates }
+ * - mapPlaceRecords applique le fichier de correspondance (colonnes ou
+ *   propriétés → champs, valeurs → types canoniques) et valide chaque ligne
+ *
+ * Fichier de correspondance (config/manualImportMapping.json par défaut) :
+ *   fields     : champ → noms de colonnes candidats (casse ignorée, premier non vide)
+ *   typeValues : valeur de la colonne type → type canonique
+ *   defaultType: type des lignes sans valeur (null : ligne refusée)
+ *
+ * Les lieux importés portent source 'Manual' et un place_id "manual_..." :
+ * colonne id si elle existe, sinon empreinte du nom et de la position
+ * (un lieu déplacé ou renommé change alors d'id).
+ */
+
+const MANUAL_SOURCE = 'Manual';
+const MANUAL_ID_PREFIX = 'manual_';
+const COORDINATE_PRECISION = 5; // ~1 m : empreinte des lieux sans colonne id
+
+/**
+ * 📊 CSV → lignes (séparateur ',', ';' ou tabulation détecté sur l'en-tête)
+ * Guillemets doublés et retours à la ligne entre guillemets acceptés
+ */
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            rows.push({ line: rowLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ line: rowLine, fields });
+    }
+
+    return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+}
+
+function readCsv(content) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return [];
+
+    const columns = header.fields.map(column => column.trim());
+
+    return rows.map(row => ({
+        row: row.line,
+        label: `ligne ${row.line}`,
+        properties: Object.fromEntries(columns.map((column, index) => [column, (row.fields[index] || '').trim()])),
+        coordinates: null // Colonnes latitude / longitude via la correspondance
+    }));
+}
+
+/**
+ * 📍 Position représentative d'une géométrie GeoJSON ([lng, lat])
+ * Point tel quel, sinon moyenne des sommets de la première partie
+ */
+function getGeometryCenter(geometry) {
+    if (!geometry?.coordinates) return null;
+
+    if (geometry.type === 'Point') {
+        const [lng, lat] = geometry.coordinates;
+        return { lat, lng };
+    }
+
+    let points = geometry.coordinates;
+    while (Array.isArray(points[0]?.[0])) points = points[0];
+
+    const vertices = points.filter(point => Number.isFinite(point[0]) && Number.isFinite(point[1]));
+
+    // Anneau fermé : le dernier sommet répète le premier
+    const [first, last] = [vertices[0], vertices[vertices.length - 1]];
+    if (vertices.length > 1 && first[0] === last[0] && first[1] === last[1]) vertices.pop();
+    if (vertices.length === 0) return null;
+
+    return {
+        lat: vertices.reduce((sum, point) => sum + point[1], 0) / vertices.length,
+        lng: vertices.reduce((sum, point) => sum + point[0], 0) / vertices.length
+    };
+}
+
+function readGeoJson(content) {
+    const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+            : Array.isArray(data) ? data : null;
+
+    if (!features) {
+        throw new Error('GeoJSON invalide: FeatureCollection ou Feature attendu');
+    }
+
+    return features.map((feature, index) => ({
+        row: index + 1,
+        label: `feature ${index + 1}`,
+        properties: { ...(feature.id !== undefined ? { id: String(feature.id) } : {}), ...feature.properties },
+        coordinates: getGeometryCenter(feature.geometry)
+    }));
+}
+
+function getKmlText(body, tag) {
+    const match = body.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`));
+    if (!match) return '';
+
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1].trim() : decodeXmlEntities(match[1]).trim();
+}
+
+/**
+ * 🗺️ KML (export Google My Maps) : un enregistrement par Placemark
+ * Propriétés : name, description, folder (calque My Maps) et ExtendedData
+ */
+function readKml(content) {
+    const records = [];
+    const folders = [];
+
+    // Dossiers d'abord : chaque Placemark hérite du nom du dossier qui le contient
+    for (const match of content.matchAll(/<Folder\b[^>]*>([\s\S]*?)<\/Folder>/g)) {
+        folders.push({ start: match.index, end: match.index + match[0].length, name: getKmlText(match[1].split(/<Placemark\b/)[0], 'name') });
+    }
+
+    for (const match of content.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g)) {
+        const body = match[1];
+        const folder = folders.find(candidate => match.index > candidate.start && match.index < candidate.end);
+        const properties = {
+            name: getKmlText(body, 'name'),
+            description: getKmlText(body, 'description'),
+            folder: folder ? folder.name : ''
+        };
+
+        for (const data of body.matchAll(/<Data\b([^>]*)>([\s\S]*?)<\/Data>/g)) {
+            const { name } = parseXmlAttributes(data[1]);
+            if (name) properties[name] = getKmlText(data[2], 'value');
+        }
+
+        for (const data of body.matchAll(/<SimpleData\b([^>]*)>([\s\S]*?)<\/SimpleData>/g)) {
+            const { name } = parseXmlAttributes(data[1]);
+            if (name) properties[name] = decodeXmlEntities(data[2]).trim();
+        }
+
+        // "lng,lat[,alt]" séparés par des espaces ; Point, LineString ou Polygon
+        const coordinates = getKmlText(body, 'coordinates')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(tuple => tuple.split(',').map(Number));
+        const geometry = coordinates.length === 1
+            ? { type: 'Point', coordinates: coordinates[0] }
+            : { type: 'LineString', coordinates };
+
+        records.push({
+            row: records.length + 1,
+            label: `placemark ${records.length + 1}${properties.name ? ` (${properties.name})` : ''}`,
+            properties,
+            coordinates: coordinates.length > 0 ? getGeometryCenter(geometry) : null
+        });
+    }
+
+    return records;
+}
+
+// Lecteurs par extension : ajouter un format = ajouter une entrée
+const PLACE_FILE_READERS = {
+    '.csv': readCsv,
+    '.geojson': readGeoJson,
+    '.kml': readKml
+};
+
+/**
+ * 🔍 Lecteur d'un fichier (null : format des fetchers, lu par loadPlacesFile)
+ * Un .json n'est lu comme GeoJSON que s'il en a la forme
+ */
+function getPlaceFileReader(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (PLACE_FILE_READERS[extension]) return PLACE_FILE_READERS[extension];
+
+    if (extension === '.json') {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+        if (data.type === 'FeatureCollection' || data.type === 'Feature') return readGeoJson;
+    }
+
+    return null;
+}
+
+function loadMapping(mappingFile) {
+    const mapping = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+
+    if (!mapping.fields?.name) {
+        throw new Error(`Correspondance invalide (${mappingFile}): fields.name requis`);
+    }
+
+    return {
+        fields: mapping.fields,
+        typeValues: Object.fromEntries(Object.entries(mapping.typeValues || {})
+            .map(([value, type]) => [value.trim().toLowerCase(), type])),
+        defaultType: mapping.defaultType || null
+    };
+}
+
+/**
+ * 🔑 Valeur d'un champ : première colonne candidate non vide
+ */
+function getMappedValue(properties, candidates = []) {
+    const columns = new Map(Object.keys(properties).map(column => [column.trim().toLowerCase(), column]));
+
+    for (const candidate of [].concat(candidates)) {
+        const column = columns.get(candidate.trim().toLowerCase());
+        const value = column !== undefined ? properties[column] : undefined;
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return String(value).trim();
+        }
+    }
+
+    return null;
+}
+
+function parseCoordinate(value) {
+    if (value === null || value === undefined) return NaN;
+    return Number(String(value).replace(',', '.'));
+}
+
+function resolveType(value, mapping) {
+    if (!value) return mapping.defaultType;
+
+    const normalized = normalizePlaceType(value.trim());
+    if (isCanonicalPlaceType(normalized)) return normalized;
+
+    return mapping.typeValues[value.trim().toLowerCase()] || null;
+}
+
+function getManualPlaceId(id, name, coordinates) {
+    if (id) {
+        return `${MANUAL_ID_PREFIX}${id.toLowerCase().replace(/[^a-z0-9_-]+/g, '-')}`;
+    }
+
+    const key = [
+        name.trim().toLowerCase(),
+        coordinates.lat.toFixed(COORDINATE_PRECISION),
+        coordinates.lng.toFixed(COORDINATE_PRECISION)
+    ].join('|');
+    return `${MANUAL_ID_PREFIX}${crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * ✅ Enregistrements bruts → lieux au format legacy + erreurs par ligne
+ * Une ligne en erreur est écartée, les autres sont importées
+ */
+function mapPlaceRecords(records, mapping) {
+    const places = [];
+    const errors = [];
+    const seenIds = new Map();
+
+    records.forEach(record => {
+        const { fields } = mapping;
+        const value = field => getMappedValue(record.properties, fields[field]);
+        const messages = [];
+
+        const name = value('name');
+        if (!name) messages.push('nom manquant');
+
+        const coordinates = record.coordinates || {
+            lat: parseCoordinate(value('latitude')),
+            lng: parseCoordinate(value('longitude'))
+        };
+        const validCoordinates = Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lng) &&
+            Math.abs(coordinates.lat) <= 90 && Math.abs(coordinates.lng) <= 180;
+        if (!validCoordinates) messages.push('coordonnées manquantes ou invalides');
+
+        const rawType = value('type');
+        const type = resolveType(rawType, mapping);
+        if (!type) messages.push(rawType ? `type inconnu "${rawType}" (voir typeValues)` : 'type manquant (pas de defaultType)');
+
+        const dog = value('dog');
+        if (dog && !DOG_ACCESS[dog]) messages.push(`valeur dog inconnue "${dog}" (${Object.keys(DOG_ACCESS).join(', ')})`);
+
+        if (messages.length > 0) {
+            errors.push({ row: record.row, label: record.label, messages });
+            return;
+        }
+
+        const placeId = getManualPlaceId(value('id'), name, coordinates);
+        if (seenIds.has(placeId)) {
+            errors.push({ row: record.row, label: record.label, messages: [`doublon de ${seenIds.get(placeId)} (${placeId})`] });
+            return;
+        }
+        seenIds.set(placeId, record.label);
+
+        // Horaires et accès des chiens : même syntaxe que les tags OSM
+        const osmTags = {};
+        if (value('openingHours')) osmTags.opening_hours = value('openingHours');
+        if (dog) osmTags.dog = dog;
+
+        places.push({
+            place_id: placeId,
+            name,
+            type,
+            dogPlaceType: type,
+            geometry: { location: { lat: coordinates.lat, lng: coordinates.lng } },
+            formatted_address: value('address') || '',
+            formatted_phone_number: value('phone'),
+            website: value('website'),
+            source: MANUAL_SOURCE,
+            sourceIds: { googlePlaceId: null, osmId: null, foursquareId: null },
+            ...(Object.keys(osmTags).length > 0 ? { osmTags } : {})
+        });
+    });
+
+    return { places, errors };
+}
+
+/**
+ * 📂 Fichier CSV / GeoJSON / KML → { places, errors, total }
+ */
+function readPlaceFile(filePath, mappingFile) {
+    const reader = getPlaceFileReader(filePath);
+    if (!reader) {
+        throw new Error(`Format non supporté: ${path.basename(filePath)} (${Object.keys(PLACE_FILE_READERS).join(', ')})`);
+    }
+
+    const records = reader(fs.readFileSync(filePath, 'utf8'));
+    return { ...mapPlaceRecords(records, loadMapping(mappingFile)), total: records.length };
+}
+
+module.exports = {
+    MANUAL_SOURCE,
+    PLACE_FILE_READERS,
+    parseCsv,
+    getGeometryCenter,
+    getPlaceFileReader,
+    loadMapping,
+    mapPlaceRecords,
+    readPlaceFile
+};
@@ -0,0 +1,107 @@
+/**
+ * ✍️ CORRECTIONS MANUELLES DES LIEUX (OVERRIDES)
+ *
+ * Collection 'brussels_places_overrides', un document par place_id :
+ *   {
+ *     fields: { category: "...", "metadata.fencedArea": true, isDogFriendly: true },
+ *     reason: "Zone clôturée vérifiée sur place",
+ *     updatedBy: "...",
+ *     updatedAt: Timestamp
+ *   }
+ *
+ * Règles de priorité, appliquées par importPlaces.js à chaque run :
+ *   1. un champ corrigé l'emporte toujours sur les données récupérées
+ *      (Google, OSM...) et sur les valeurs calculées par l'import ;
+ *   2. une valeur null efface explicitement le champ ;
+ *   3. les champs dérivés d'un champ corrigé (category depuis type) sont
+ *      recalculés, sauf s'ils sont eux-mêmes corrigés ;
+ *   4. un lieu dont isActive est corrigé n'est jamais désactivé par le
+ *      balayage des lieux disparus.
+ *
+ * Les champs corrigés sont listés dans curatedFields sur le document
+ * brussels_places : la validation et les diffs les signalent comme tels.
+ */
+
+const OVERRIDES_COLLECTION = 'brussels_places_overrides';
+
+// Champs corrigeables (plus tout chemin sous metadata.)
+const OVERRIDABLE_FIELDS = [
+    'name', 'type', 'category', 'description', 'address', 'phone', 'website',
+    'location', 'openingHours', 'hours', 'priceLevel', 'amenities',
+    'isDogFriendly', 'isActive', 'closedReason'
+];
+
+/**
+ * ✅ Le champ peut-il être corrigé ?
+ */
+function isOverridableField(field) {
+    if (OVERRIDABLE_FIELDS.includes(field)) return true;
+    return field.startsWith('metadata.') && field.length > 'metadata.'.length;
+}
+
+/**
+ * 🧩 Copie de l'objet avec la valeur posée au chemin (a.b.c)
+ * Les objets traversés sont copiés, le reste est partagé
+ */
+function setPath(object, fieldPath, value) {
+    const [key, ...rest] = fieldPath.split('.');
+    const copy = { ...object };
+
+    copy[key] = rest.length === 0
+        ? value
+        : setPath(copy[key] && typeof copy[key] === 'object' ? copy[key] : {}, rest.join('.'), value);
+
+    return copy;
+}
+
+/**
+ * 🔀 Corrections appliquées sur les données préparées
+ * → { data, curatedFields, ignoredFields }
+ */
+function applyOverride(data, override) {
+    const fields = (override && override.fields) || {};
+    const curatedFields = [];
+    const ignoredFields = [];
+    let merged = data;
+
+    Object.keys(fields).sort().forEach(field => {
+        if (!isOverridableField(field)) {
+            ignoredFields.push(field);
+            return;
+        }
+
+        merged = setPath(merged, field, fields[field]);
+        curatedFields.push(field);
+    });
+
+    return { data: merged, curatedFields, ignoredFields };
+}
+
+/**
+ * 🏷️ Le champ (ou un de ses parents) est-il corrigé ?
+ * "metadata.fencedArea" est couvert par "metadata.fencedArea" ou "metadata"
+ */
+function isCuratedField(curatedFields = [], field) {
+    return curatedFields.some(curated => curated === field || field.startsWith(`${curated}.`) || curated.startsWith(`${field}.`));
+}
+
+/**
+ * 📂 Toutes les corrections → Map place_id → override
+ */
+async function loadOverrides(firestore) {
+    const snapshot = await firestore.collection(OVERRIDES_COLLECTION).get();
+    const overrides = new Map();
+
+    snapshot.docs.forEach(doc => overrides.set(doc.id, doc.data()));
+    return overrides;
+}
+
+module.exports = {
+    OVERRIDES_COLLECTION,
+    OVERRIDABLE_FIELDS,
+    isOverridableField,
+    setPath,
+    applyOverride,
+    isCuratedField,
+    loadOverrides
+};
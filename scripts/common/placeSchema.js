@@ -0,0 +1,195 @@
+const { z } = require('zod');
+const { PLACE_TYPES, LEGACY_PLACE_TYPES, normalizePlaceType } = require('./placeTypes');
+const { isInBrusselsRegion } = require('./brusselsBoundaries');
+const { normalizeBelgianPhone } = require('./dataFixers');
+
+/**
+ * 📐 SCHÉMA CANONIQUE DES LIEUX (ZOD)
+ *
+ * Un seul schéma pour les documents brussels_places, utilisé à chaque
+ * étape avec les mêmes messages :
+ * - fetch : placeSearchEngine.saveResults (via fromFetchedPlace)
+ * - import : PlaceImporter.planChunk (document préparé, corrections comprises)
+ * - validation : PlaceValidator.validateDocument
+ *
+ * validatePlace ne lève jamais : les problèmes sont renvoyés par document,
+ * chacun avec sa gravité.
+ *   error   : identifiant, nom, position (hors Région comprise, ou limites de
+ *             la Région illisibles), photo avec clé API
+ *             → le lieu n'est pas importé / est compté invalide
+ *   warning : type, rating, prix, site web, téléphone, photos → signalé seulement
+ *
+ * Même esprit que UrbisAddressSchema (src/config/addressConfig.ts) pour les adresses.
+ */
+
+const PLACE_TYPE_VALUES = [...Object.keys(PLACE_TYPES), 'unknown'];
+
+// Gravité par champ racine (une vérification peut la préciser via params.severity)
+const ERROR_FIELDS = new Set(['place_id', 'name', 'location']);
+
+// Chiffres et séparateurs seuls, du début à la fin ("02/512.34.56", "+32 (0)2 ...")
+const PHONE_PATTERN = /^[\d\s+\-()./]+$/;
+const API_KEY_PATTERN = /[?&]key=/;
+
+const coordinate = (min, max) => z
+    .number({
+        // NaN : coordonnée absente passée par parseFloat (import)
+        error: issue => issue.input === undefined || issue.input === null || Number.isNaN(issue.input)
+            ? 'Coordonnées latitude/longitude manquantes'
+            : 'Coordonnées invalides (non numériques)'
+    })
+    .min(min, 'Coordonnées GPS invalides (hors limites mondiales)')
+    .max(max, 'Coordonnées GPS invalides (hors limites mondiales)');
+
+const PlaceLocationSchema = z
+    .object({
+        latitude: coordinate(-90, 90),
+        longitude: coordinate(-180, 180)
+    }, { error: 'Coordonnées manquantes' })
+    .superRefine((location, ctx) => {
+        // Polygone de la Région (common/brusselsBoundaries.js) ; fichier absent
+        // ou illisible : erreur sur le lieu, validatePlace ne lève pas
+        let inRegion;
+        try {
+            inRegion = isInBrusselsRegion(location.latitude, location.longitude);
+        } catch (error) {
+            ctx.addIssue({ code: 'custom', message: `Limites de Bruxelles illisibles: ${error.message}` });
+            return;
+        }
+
+        if (!inRegion) {
+            ctx.addIssue({ code: 'custom', message: 'Coordonnées hors de la Région de Bruxelles-Capitale' });
+        }
+    });
+
+const PlaceTypeSchema = z.enum(PLACE_TYPE_VALUES, {
+    error: issue => {
+        if (issue.input === undefined || issue.input === null || issue.input === '') return 'Type de lieu manquant';
+        if (LEGACY_PLACE_TYPES[issue.input]) return `Type legacy "${issue.input}" (npm run migrate:up)`;
+        return `Type de lieu inconnu: ${issue.input}`;
+    }
+});
+
+const PlacePhotosSchema = z
+    .array(z.object({
+        reference: z.string().nullish(),
+        url: z.string().nullish()
+    }).loose())
+    .superRefine((photos, ctx) => {
+        photos.forEach((photo, index) => {
+            if (!photo.reference && !photo.url) {
+                ctx.addIssue({ code: 'custom', path: [index], message: `Photo ${index + 1} sans référence ni URL` });
+            }
+            if (photo.url && API_KEY_PATTERN.test(photo.url)) {
+                ctx.addIssue({
+                    code: 'custom',
+                    path: [index],
+                    message: `Photo ${index + 1} : URL contenant une clé API`,
+                    params: { severity: 'error' }
+                });
+            }
+        });
+    });
+
+const PlaceDocumentSchema = z.object({
+    place_id: z.string({ error: 'Identifiant place_id manquant' }).min(1, 'Identifiant place_id manquant'),
+    name: z.string({ error: 'Nom du lieu manquant ou vide' }).trim().min(1, 'Nom du lieu manquant ou vide'),
+    location: PlaceLocationSchema,
+    type: PlaceTypeSchema,
+    rating: z
+        .number({ error: issue => `Rating invalide: ${issue.input} (doit être entre 0 et 5)` })
+        .min(0, { error: issue => `Rating invalide: ${issue.input} (doit être entre 0 et 5)` })
+        .max(5, { error: issue => `Rating invalide: ${issue.input} (doit être entre 0 et 5)` })
+        .nullish(),
+    ratingsCount: z
+        .number({ error: issue => `Nombre d'avis invalide: ${issue.input}` })
+        .int({ error: issue => `Nombre d'avis invalide: ${issue.input}` })
+        .nonnegative({ error: issue => `Nombre d'avis invalide: ${issue.input}` })
+        .nullish(),
+    priceLevel: z
+        .number({ error: issue => `Prix level invalide: ${issue.input} (doit être 0-4)` })
+        .int({ error: issue => `Prix level invalide: ${issue.input} (doit être 0-4)` })
+        .min(0, { error: issue => `Prix level invalide: ${issue.input} (doit être 0-4)` })
+        .max(4, { error: issue => `Prix level invalide: ${issue.input} (doit être 0-4)` })
+        .nullish(),
+    website: z
+        .string()
+        .refine(isHttpUrl, { error: issue => `URL de website invalide: ${issue.input}` })
+        .nullish(),
+    phone: z
+        .string()
+        // Numéro seul, ramené en E.164 comme à l'import (belge, ou +indicatif étranger)
+        .refine(value => PHONE_PATTERN.test(value) && normalizeBelgianPhone(value) !== null, {
+            error: issue => `Format téléphone suspect: ${issue.input}`
+        })
+        .nullish(),
+    photos: PlacePhotosSchema.nullish()
+}).loose();
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * ✅ Validation d'un document → { success, errors, warnings }
+ * success : aucune erreur (les avertissements n'empêchent pas l'import)
+ */
+function validatePlace(data) {
+    const result = PlaceDocumentSchema.safeParse(data || {});
+    const errors = [];
+    const warnings = [];
+
+    (result.error?.issues || []).forEach(issue => {
+        const severity = issue.params?.severity || (ERROR_FIELDS.has(issue.path[0]) ? 'error' : 'warning');
+        const problems = severity === 'error' ? errors : warnings;
+
+        // Un message par document (latitude et longitude manquantes → une fois)
+        if (!problems.some(problem => problem.message === issue.message)) {
+            problems.push({ field: issue.path.join('.'), message: issue.message });
+        }
+    });
+
+    return { success: errors.length === 0, errors, warnings };
+}
+
+/**
+ * 🔄 Lieu au format des fetchers (Google legacy) → champs du schéma
+ */
+function fromFetchedPlace(place) {
+    const location = place.geometry?.location || place.location;
+
+    return {
+        place_id: place.place_id,
+        name: place.name,
+        location: location
+            ? { latitude: location.lat ?? location.latitude, longitude: location.lng ?? location.longitude }
+            : undefined,
+        type: normalizePlaceType(place.dogPlaceType || place.type),
+        rating: place.rating,
+        ratingsCount: place.user_ratings_total ?? place.ratingsCount,
+        priceLevel: place.price_level ?? place.priceLevel,
+        website: place.website,
+        phone: place.formatted_phone_number || place.phone,
+        photos: place.photos?.map(photo => ({
+            reference: photo.photo_reference || photo.reference || null,
+            url: photo.url || null
+        }))
+    };
+}
+
+function validateFetchedPlace(place) {
+    return validatePlace(fromFetchedPlace(place));
+}
+
+module.exports = {
+    PLACE_TYPE_VALUES,
+    PlaceLocationSchema,
+    PlaceDocumentSchema,
+    validatePlace,
+    fromFetchedPlace,
+    validateFetchedPlace
+};
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePlace } = require('./placeSchema');
+
+// Lieu valide à la Grand-Place, modifié champ par champ
+function place(data = {}) {
+    return {
+        place_id: 'ChIJ_grand_place',
+        name: 'Café de la Grand-Place',
+        type: 'dog_friendly_restaurant',
+        location: { latitude: 50.8467, longitude: 4.3525 },
+        phone: '+3225123456',
+        website: 'https://example.be',
+        ...data
+    };
+}
+
+function messages(problems) {
+    return problems.map(problem => problem.message);
+}
+
+test('un lieu complet à la Grand-Place est valide sans avertissement', () => {
+    assert.deepEqual(validatePlace(place()), { success: true, errors: [], warnings: [] });
+});
+
+test('un nom vide est une erreur', () => {
+    const result = validatePlace(place({ name: '   ' }));
+
+    assert.equal(result.success, false);
+    assert.deepEqual(messages(result.errors), ['Nom du lieu manquant ou vide']);
+});
+
+test('une position hors de la Région est une erreur, même dans le rectangle englobant', () => {
+    const result = validatePlace(place({ location: { latitude: 50.848, longitude: 4.259 } })); // Dilbeek
+
+    assert.deepEqual(messages(result.errors), ['Coordonnées hors de la Région de Bruxelles-Capitale']);
+});
+
+test('des coordonnées absentes sont signalées une seule fois', () => {
+    const result = validatePlace(place({ location: { latitude: NaN, longitude: NaN } }));
+
+    assert.deepEqual(messages(result.errors), ['Coordonnées latitude/longitude manquantes']);
+});
+
+test('les téléphones belges et étrangers usuels sont acceptés', () => {
+    ['02/512.34.56', '0475 12 34 56', '+32 (0)2 512 34 56', '+33 1 23 45 67 89'].forEach(phone => {
+        assert.deepEqual(validatePlace(place({ phone })).warnings, [], phone);
+    });
+});
+
+test('un téléphone noyé dans du texte ou trop court est suspect', () => {
+    ['appeler le 02 512 34 56 svp', '12345678', '+32 2 51'].forEach(phone => {
+        const result = validatePlace(place({ phone }));
+
+        assert.equal(result.success, true, phone);
+        assert.deepEqual(messages(result.warnings), [`Format téléphone suspect: ${phone}`]);
+    });
+});
+
+test('un site sans http(s) et un rating hors limites sont des avertissements', () => {
+    const result = validatePlace(place({ website: 'ftp://example.be', rating: 7 }));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(messages(result.warnings), [
+        'Rating invalide: 7 (doit être entre 0 et 5)',
+        'URL de website invalide: ftp://example.be'
+    ]);
+});
+
+test('un type legacy renvoie vers la migration', () => {
+    assert.deepEqual(messages(validatePlace(place({ type: 'dog_parks' })).warnings), [
+        'Type legacy "dog_parks" (npm run migrate:up)'
+    ]);
+});
+
+test('une photo avec clé API est une erreur, une photo vide un avertissement', () => {
+    const result = validatePlace(place({
+        photos: [{ url: 'https://maps.googleapis.com/photo?key=AIza' }, { reference: null }]
+    }));
+
+    assert.deepEqual(messages(result.errors), ['Photo 1 : URL contenant une clé API']);
+    assert.deepEqual(messages(result.warnings), ['Photo 2 sans référence ni URL']);
+});
@@ -0,0 +1,66 @@
+/**
+ * 🏷️ TYPES DE LIEUX POUR CHIENS
+ *
+ * Vocabulaire canonique (dogPlaceType) partagé par le moteur de recherche,
+ * l'import et la validation, avec la correspondance des anciens types
+ * de fetchGooglePlaces.js (dog_parks, pet_stores, dog_friendly_cafes).
+ * Le caractère dog-friendly d'un lieu ne dépend pas de son type seul :
+ * voir dogFriendliness.js.
+ */
+
+const PLACE_TYPES = {
+    dog_park: {
+        displayName: 'Parc canin',
+        keywords: ['parc', 'chien', 'dog', 'park', 'aire', 'jeux', 'canin']
+    },
+    general_park: {
+        displayName: 'Parc public',
+        keywords: ['parc', 'park', 'jardin', 'espace vert', 'promenade']
+    },
+    veterinary: {
+        displayName: 'Vétérinaire',
+        keywords: ['veterinaire', 'veterinary', 'clinique', 'animal', 'sante']
+    },
+    pet_store: {
+        displayName: 'Animalerie',
+        keywords: ['animalerie', 'pet', 'store', 'magasin', 'animal', 'nourriture']
+    },
+    dog_friendly_restaurant: {
+        displayName: 'Restaurant dog-friendly',
+        keywords: ['cafe', 'restaurant', 'dog', 'friendly', 'chien', 'accepte']
+    }
+};
+
+// Anciens types → types canoniques
+const LEGACY_PLACE_TYPES = {
+    dog_parks: 'dog_park',
+    pet_stores: 'pet_store',
+    dog_friendly_cafes: 'dog_friendly_restaurant'
+};
+
+/**
+ * 🔄 Type canonique (les types inconnus sont renvoyés tels quels)
+ */
+function normalizePlaceType(type) {
+    if (!type) return 'unknown';
+    return LEGACY_PLACE_TYPES[type] || type;
+}
+
+/**
+ * 📋 Informations d'un type (null si inconnu)
+ */
+function getPlaceTypeInfo(type) {
+    return PLACE_TYPES[normalizePlaceType(type)] || null;
+}
+
+function isCanonicalPlaceType(type) {
+    return Object.prototype.hasOwnProperty.call(PLACE_TYPES, type);
+}
+
+module.exports = {
+    PLACE_TYPES,
+    LEGACY_PLACE_TYPES,
+    normalizePlaceType,
+    getPlaceTypeInfo,
+    isCanonicalPlaceType
+};
@@ -0,0 +1,322 @@
+const axios = require('axios');
+const { getFlagValue } = require('./cliArgs');
+const {
+    toV1FieldMask,
+    toLegacySearchResponse,
+    toLegacyDetailsResponse,
+    toLegacyErrorResponse
+} = require('./placesNewAdapter');
+
+/**
+ * 🔌 BACKENDS GOOGLE PLACES
+ *
+ * Deux implémentations de la même interface, choisies avec --places-api :
+ *   - legacy (défaut) : maps/api/place/textsearch|nearbysearch|details
+ *   - new : Places API (New) places:searchText|searchNearby|places/{id},
+ *     avec un X-Goog-FieldMask limité aux champs que l'on stocke
+ *
+ * Les deux renvoient les réponses au format legacy ({ status, results,
+ * next_page_token } ou { status, result }) : le cache, le budget et le
+ * traitement des lieux restent dans les fetchers. Les photos sont
+ * téléchargées (fetchPhoto), jamais exposées sous forme d'URL avec clé.
+ */
+
+const LEGACY_API_URL = 'https://maps.googleapis.com/maps/api/place';
+const V1_API_URL = 'https://places.googleapis.com/v1';
+const REQUEST_TIMEOUT = 10000;
+
+// Champs legacy lus dans les résultats de recherche
+const SEARCH_RESULT_FIELDS = [
+    'place_id', 'name', 'geometry', 'formatted_address', 'types',
+    'rating', 'user_ratings_total', 'price_level',
+    'business_status' // Détection des fermetures (importPlaces.js), sans surcoût
+];
+
+/**
+ * Liste de champs (tableau ou chaîne) → "champ1,champ2"
+ */
+function joinFields(fields) {
+    return Array.isArray(fields) ? fields.join(',') : fields;
+}
+
+class PlacesBackend {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * 📡 Exécution d'une opération (text_search, nearby_search, details)
+     */
+    async request(operation, request) {
+        switch (operation) {
+            case 'text_search':
+                return this.textSearch(request);
+            case 'nearby_search':
+                return this.nearbySearch(request);
+            case 'details':
+                return this.details(request);
+            default:
+                throw new Error(`Opération Places inconnue: ${operation}`);
+        }
+    }
+}
+
+/**
+ * 🏛️ API legacy (maps/api/place)
+ */
+class LegacyPlacesBackend extends PlacesBackend {
+    constructor(apiKey) {
+        super(apiKey);
+        this.name = 'legacy';
+    }
+
+    getCacheEndpoint(operation) {
+        return { text_search: 'textsearch', nearby_search: 'nearbysearch', details: 'details' }[operation];
+    }
+
+    /**
+     * 💰 SKU à facturer (les recherches legacy ne filtrent pas les champs)
+     */
+    getPricing(operation, request = {}) {
+        return { kind: operation, fields: operation === 'details' ? joinFields(request.fields) : null };
+    }
+
+    /**
+     * Nearby Search plafonne à 60 résultats (3 pages de 20)
+     */
+    getNearbyResultCap() {
+        return 60;
+    }
+
+    async textSearch({ query, location, radius, language, pageToken }) {
+        const params = {
+            query,
+            location: `${location.lat},${location.lng}`,
+            radius,
+            key: this.apiKey
+        };
+
+        if (language) params.language = language;
+        if (pageToken) params.pagetoken = pageToken;
+
+        return this.get('textsearch', params);
+    }
+
+    async nearbySearch({ location, radius, type, keyword, pageToken }) {
+        const params = {
+            location: `${location.lat},${location.lng}`,
+            radius,
+            type,
+            key: this.apiKey
+        };
+
+        if (keyword) params.keyword = keyword;
+
+        // Avec un pagetoken, Google ignore les autres paramètres
+        if (pageToken) params.pagetoken = pageToken;
+
+        return this.get('nearbysearch', params);
+    }
+
+    async details({ placeId, fields, language }) {
+        const params = {
+            place_id: placeId,
+            fields: joinFields(fields),
+            key: this.apiKey
+        };
+
+        if (language) params.language = language;
+
+        return this.get('details', params);
+    }
+
+    async get(endpoint, params) {
+        const response = await axios.get(`${LEGACY_API_URL}/${endpoint}/json`, {
+            params,
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data;
+    }
+
+    /**
+     * 🖼️ Téléchargement d'une photo (Buffer) - la clé reste dans la requête,
+     * jamais dans une URL stockée
+     */
+    async fetchPhoto(reference, maxWidth = 800) {
+        const response = await axios.get(`${LEGACY_API_URL}/photo`, {
+            params: { maxwidth: maxWidth, photo_reference: reference, key: this.apiKey },
+            responseType: 'arraybuffer',
+            timeout: REQUEST_TIMEOUT
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+/**
+ * 🆕 Places API (New) (places.googleapis.com/v1)
+ */
+class NewPlacesBackend extends PlacesBackend {
+    constructor(apiKey) {
+        super(apiKey);
+        this.name = 'new';
+        this.searchFieldMask = `${toV1FieldMask(SEARCH_RESULT_FIELDS, 'places.')},nextPageToken`;
+    }
+
+    getCacheEndpoint(operation) {
+        return { text_search: 'v1_searchText', nearby_search: 'v1_searchNearby', details: 'v1_details' }[operation];
+    }
+
+    /**
+     * 💰 SKU à facturer, selon le FieldMask envoyé
+     * (une recherche par mot-clé passe par searchText, voir nearbySearch)
+     */
+    getPricing(operation, request = {}) {
+        switch (operation) {
+            case 'text_search':
+                return { kind: 'v1_text_search', fields: this.searchFieldMask };
+            case 'nearby_search':
+                return {
+                    kind: request.keyword ? 'v1_text_search' : 'v1_nearby_search',
+                    fields: this.searchFieldMask
+                };
+            case 'details':
+                return { kind: 'v1_details', fields: toV1FieldMask(request.fields) };
+            default:
+                throw new Error(`Opération Places inconnue: ${operation}`);
+        }
+    }
+
+    /**
+     * searchNearby (New) renvoie 20 résultats sans pagination ;
+     * avec un mot-clé, searchText pagine jusqu'à 60
+     */
+    getNearbyResultCap(keyword = null) {
+        return keyword ? 60 : 20;
+    }
+
+    async textSearch({ query, location, radius, language, pageToken, includedType, bounds }) {
+        const body = {
+            textQuery: query,
+            pageSize: 20
+        };
+
+        // Restriction rectangulaire (cellule de couverture) ou simple biais circulaire
+        if (bounds) {
+            body.locationRestriction = {
+                rectangle: {
+                    low: { latitude: bounds.minLat, longitude: bounds.minLng },
+                    high: { latitude: bounds.maxLat, longitude: bounds.maxLng }
+                }
+            };
+        } else {
+            body.locationBias = { circle: this.toCircle(location, radius) };
+        }
+
+        if (includedType) {
+            body.includedType = includedType;
+            body.strictTypeFiltering = true;
+        }
+        if (language) body.languageCode = language;
+        if (pageToken) body.pageToken = pageToken;
+
+        return this.post('places:searchText', body, this.searchFieldMask, toLegacySearchResponse);
+    }
+
+    async nearbySearch({ location, radius, type, keyword, pageToken, bounds, language }) {
+        // searchNearby (New) ne gère pas les mots-clés : recherche textuelle filtrée sur le type
+        if (keyword) {
+            return this.textSearch({ query: keyword, location, radius, language, pageToken, includedType: type, bounds });
+        }
+
+        const body = {
+            includedTypes: [type],
+            maxResultCount: 20,
+            locationRestriction: { circle: this.toCircle(location, radius) }
+        };
+
+        if (language) body.languageCode = language;
+
+        return this.post('places:searchNearby', body, this.searchFieldMask, toLegacySearchResponse);
+    }
+
+    async details({ placeId, fields, language }) {
+        try {
+            const response = await axios.get(`${V1_API_URL}/places/${placeId}`, {
+                params: language ? { languageCode: language } : {},
+                headers: this.getHeaders(toV1FieldMask(fields)),
+                timeout: REQUEST_TIMEOUT
+            });
+            return toLegacyDetailsResponse(response.data);
+
+        } catch (error) {
+            if (error.response) return toLegacyErrorResponse(error);
+            throw error;
+        }
+    }
+
+    async post(method, body, fieldMask, adapt) {
+        try {
+            const response = await axios.post(`${V1_API_URL}/${method}`, body, {
+                headers: this.getHeaders(fieldMask),
+                timeout: REQUEST_TIMEOUT
+            });
+            return adapt(response.data);
+
+        } catch (error) {
+            if (error.response) return toLegacyErrorResponse(error);
+            throw error;
+        }
+    }
+
+    getHeaders(fieldMask) {
+        return {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': this.apiKey,
+            'X-Goog-FieldMask': fieldMask
+        };
+    }
+
+    toCircle(location, radius) {
+        return {
+            center: { latitude: location.lat, longitude: location.lng },
+            radius: Math.min(radius, 50000) // Maximum accepté par l'API
+        };
+    }
+
+    /**
+     * 🖼️ Téléchargement d'une photo (Buffer), reference = nom de ressource
+     * "places/<id>/photos/<id>" ; clé envoyée en en-tête
+     */
+    async fetchPhoto(reference, maxWidth = 800) {
+        const response = await axios.get(`${V1_API_URL}/${reference}/media`, {
+            params: { maxWidthPx: maxWidth },
+            headers: { 'X-Goog-Api-Key': this.apiKey },
+            responseType: 'arraybuffer',
+            timeout: REQUEST_TIMEOUT
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+/**
+ * 🎛️ Backend depuis l'option CLI --places-api (legacy | new)
+ */
+function createPlacesBackendFromArgs(apiKey, argv = process.argv.slice(2)) {
+    const name = getFlagValue('--places-api', 'legacy', argv);
+
+    switch (name) {
+        case 'legacy':
+            return new LegacyPlacesBackend(apiKey);
+        case 'new':
+            return new NewPlacesBackend(apiKey);
+        default:
+            throw new Error(`--places-api invalide: ${name} (legacy ou new)`);
+    }
+}
+
+module.exports = {
+    SEARCH_RESULT_FIELDS,
+    LegacyPlacesBackend,
+    NewPlacesBackend,
+    createPlacesBackendFromArgs
+};
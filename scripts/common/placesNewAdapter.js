@@ -0,0 +1,194 @@
+/**
+ * 🔄 ADAPTATEUR PLACES API (NEW) → FORMAT LEGACY
+ *
+ * Convertit les réponses de places.googleapis.com/v1 dans la forme des
+ * réponses legacy (place_id, geometry.location, formatted_address...),
+ * celle qu'acceptent déjà les fetchers et PlaceImporter.preparePlaceForFirestore.
+ */
+
+// Champs legacy utilisés par les scripts → champs Places API (New)
+const LEGACY_TO_V1_FIELDS = {
+    place_id: 'id',
+    name: 'displayName',
+    geometry: 'location',
+    formatted_address: 'formattedAddress',
+    types: 'types',
+    business_status: 'businessStatus',
+    formatted_phone_number: 'nationalPhoneNumber',
+    international_phone_number: 'internationalPhoneNumber',
+    website: 'websiteUri',
+    rating: 'rating',
+    user_ratings_total: 'userRatingCount',
+    opening_hours: 'regularOpeningHours',
+    price_level: 'priceLevel',
+    photos: 'photos',
+    reviews: 'reviews',
+    allows_dogs: 'allowsDogs' // Sans équivalent legacy : backend new uniquement
+};
+
+// priceLevel (New) → price_level (legacy, 0-4)
+const V1_PRICE_LEVELS = {
+    PRICE_LEVEL_FREE: 0,
+    PRICE_LEVEL_INEXPENSIVE: 1,
+    PRICE_LEVEL_MODERATE: 2,
+    PRICE_LEVEL_EXPENSIVE: 3,
+    PRICE_LEVEL_VERY_EXPENSIVE: 4
+};
+
+// Statuts d'erreur (New, format google.rpc) → statuts legacy
+const V1_ERROR_STATUSES = {
+    INVALID_ARGUMENT: 'INVALID_REQUEST',
+    PERMISSION_DENIED: 'REQUEST_DENIED',
+    UNAUTHENTICATED: 'REQUEST_DENIED',
+    RESOURCE_EXHAUSTED: 'OVER_QUERY_LIMIT',
+    NOT_FOUND: 'NOT_FOUND'
+};
+
+/**
+ * 🎭 FieldMask (New) pour une liste de champs legacy
+ * prefix : "places." pour les recherches
+ */
+function toV1FieldMask(legacyFields, prefix = '') {
+    const fields = (Array.isArray(legacyFields) ? legacyFields : legacyFields.split(','))
+        .map(field => field.trim())
+        .filter(Boolean)
+        .map(field => {
+            const v1Field = LEGACY_TO_V1_FIELDS[field];
+            if (!v1Field) {
+                throw new Error(`Champ sans équivalent Places API (New): ${field}`);
+            }
+            return `${prefix}${v1Field}`;
+        });
+
+    return [...new Set(fields)].join(',');
+}
+
+/**
+ * 🏢 Lieu (New) → lieu au format legacy (champs absents omis)
+ */
+function toLegacyPlace(place) {
+    const legacy = {
+        place_id: place.id,
+        name: place.displayName?.text,
+        formatted_address: place.formattedAddress,
+        geometry: place.location
+            ? { location: { lat: place.location.latitude, lng: place.location.longitude } }
+            : undefined,
+        types: place.types,
+        business_status: place.businessStatus,
+        formatted_phone_number: place.nationalPhoneNumber,
+        international_phone_number: place.internationalPhoneNumber,
+        website: place.websiteUri,
+        rating: place.rating,
+        user_ratings_total: place.userRatingCount,
+        price_level: V1_PRICE_LEVELS[place.priceLevel],
+        opening_hours: toLegacyOpeningHours(place.regularOpeningHours, place.currentOpeningHours),
+        photos: place.photos?.map(toLegacyPhoto),
+        reviews: place.reviews?.map(toLegacyReview),
+        allows_dogs: place.allowsDogs
+    };
+
+    Object.keys(legacy).forEach(key => legacy[key] === undefined && delete legacy[key]);
+    return legacy;
+}
+
+/**
+ * 🕐 Horaires (New) → opening_hours legacy (periods avec time "HHMM")
+ */
+function toLegacyOpeningHours(regular, current) {
+    if (!regular) return undefined;
+
+    const toPoint = point => point && {
+        day: point.day,
+        time: `${String(point.hour || 0).padStart(2, '0')}${String(point.minute || 0).padStart(2, '0')}`
+    };
+
+    const openingHours = {
+        periods: (regular.periods || []).map(period => {
+            const legacyPeriod = { open: toPoint(period.open) };
+            if (period.close) legacyPeriod.close = toPoint(period.close);
+            return legacyPeriod;
+        }),
+        weekday_text: regular.weekdayDescriptions || []
+    };
+
+    const openNow = current?.openNow ?? regular.openNow;
+    if (openNow !== undefined) openingHours.open_now = openNow;
+
+    return openingHours;
+}
+
+/**
+ * 🖼️ Photo (New) → photo legacy (la référence est le nom de ressource)
+ */
+function toLegacyPhoto(photo) {
+    return {
+        photo_reference: photo.name,
+        width: photo.widthPx,
+        height: photo.heightPx,
+        html_attributions: (photo.authorAttributions || [])
+            .map(author => `<a href="${author.uri}">${author.displayName}</a>`)
+    };
+}
+
+/**
+ * 💬 Avis (New) → avis legacy
+ */
+function toLegacyReview(review) {
+    return {
+        author_name: review.authorAttribution?.displayName,
+        rating: review.rating,
+        text: review.originalText?.text || review.text?.text || '',
+        language: review.originalText?.languageCode || review.text?.languageCode,
+        time: review.publishTime ? Math.floor(new Date(review.publishTime).getTime() / 1000) : undefined,
+        relative_time_description: review.relativePublishTimeDescription
+    };
+}
+
+/**
+ * 📦 Réponse de recherche (New) → { status, results, next_page_token }
+ */
+function toLegacySearchResponse(data) {
+    const results = (data.places || []).map(toLegacyPlace);
+    const response = {
+        status: results.length > 0 ? 'OK' : 'ZERO_RESULTS',
+        results
+    };
+
+    if (data.nextPageToken) {
+        response.next_page_token = data.nextPageToken;
+    }
+
+    return response;
+}
+
+/**
+ * 📦 Réponse Place Details (New) → { status, result }
+ */
+function toLegacyDetailsResponse(data) {
+    return {
+        status: 'OK',
+        result: toLegacyPlace(data)
+    };
+}
+
+/**
+ * ❌ Erreur HTTP (New) → { status, error_message } legacy
+ */
+function toLegacyErrorResponse(error) {
+    const rpcError = error.response?.data?.error || {};
+
+    return {
+        status: V1_ERROR_STATUSES[rpcError.status] || 'UNKNOWN_ERROR',
+        error_message: rpcError.message || error.message
+    };
+}
+
+module.exports = {
+    LEGACY_TO_V1_FIELDS,
+    toV1FieldMask,
+    toLegacyPlace,
+    toLegacySearchResponse,
+    toLegacyDetailsResponse,
+    toLegacyErrorResponse
+};
@@ -0,0 +1,269 @@
+const { getFlagValue } = require('./cliArgs');
+
+/**
+ * 💰 TARIFS GOOGLE PLACES & BUDGET DE DÉPENSE
+ *
+ * Table de prix par SKU (USD par requête, palier 0-100k) utilisée pour :
+ *   - l'estimation avant le premier appel
+ *   - le plafond --max-cost qui arrête proprement un run
+ *
+ * Les recherches legacy (Text/Nearby) renvoient aussi les champs Contact et
+ * Atmosphere : Google facture donc ces SKUs en plus du SKU de recherche.
+ *
+ * Places API (New) : un seul SKU par requête, dont le palier dépend du champ
+ * le plus cher demandé dans le X-Goog-FieldMask.
+ */
+
+const PLACES_PRICING = {
+    text_search: { label: 'Text Search', price: 0.032 },
+    nearby_search: { label: 'Nearby Search', price: 0.032 },
+    details_basic: { label: 'Place Details (Basic)', price: 0.017 },
+    contact_data: { label: 'Contact Data', price: 0.003 },
+    atmosphere_data: { label: 'Atmosphere Data', price: 0.005 },
+    photo: { label: 'Place Photo', price: 0.007 },
+
+    // Places API (New)
+    v1_text_search_ids_only: { label: 'Text Search (New) IDs Only', price: 0 },
+    v1_text_search_pro: { label: 'Text Search (New) Pro', price: 0.032 },
+    v1_text_search_enterprise: { label: 'Text Search (New) Enterprise', price: 0.035 },
+    v1_text_search_enterprise_atmosphere: { label: 'Text Search (New) Enterprise + Atmosphere', price: 0.040 },
+    v1_nearby_search_pro: { label: 'Nearby Search (New) Pro', price: 0.032 },
+    v1_nearby_search_enterprise: { label: 'Nearby Search (New) Enterprise', price: 0.035 },
+    v1_nearby_search_enterprise_atmosphere: { label: 'Nearby Search (New) Enterprise + Atmosphere', price: 0.040 },
+    v1_details_ids_only: { label: 'Place Details (New) IDs Only', price: 0 },
+    v1_details_essentials: { label: 'Place Details (New) Essentials', price: 0.005 },
+    v1_details_pro: { label: 'Place Details (New) Pro', price: 0.017 },
+    v1_details_enterprise: { label: 'Place Details (New) Enterprise', price: 0.020 },
+    v1_details_enterprise_atmosphere: { label: 'Place Details (New) Enterprise + Atmosphere', price: 0.025 }
+};
+
+// Champs Place Details par palier de facturation
+const DETAILS_FIELD_TIERS = {
+    contact_data: [
+        'current_opening_hours', 'formatted_phone_number', 'international_phone_number',
+        'opening_hours', 'secondary_opening_hours', 'website'
+    ],
+    atmosphere_data: [
+        'curbside_pickup', 'delivery', 'dine_in', 'editorial_summary', 'price_level',
+        'rating', 'reservable', 'reviews', 'serves_beer', 'serves_breakfast',
+        'serves_brunch', 'serves_dinner', 'serves_lunch', 'serves_vegetarian_food',
+        'serves_wine', 'takeout', 'user_ratings_total', 'wheelchair_accessible_entrance'
+    ]
+};
+
+// Places API (New) : paliers des champs du FieldMask (les autres champs sont "IDs Only")
+const V1_TIERS = ['ids_only', 'essentials', 'pro', 'enterprise', 'enterprise_atmosphere'];
+
+const V1_FIELD_TIERS = {
+    essentials: [
+        'addressComponents', 'adrFormatAddress', 'formattedAddress', 'location', 'plusCode',
+        'postalAddress', 'shortFormattedAddress', 'types', 'viewport'
+    ],
+    pro: [
+        'accessibilityOptions', 'businessStatus', 'containingPlaces', 'displayName',
+        'googleMapsLinks', 'googleMapsUri', 'iconBackgroundColor', 'iconMaskBaseUri',
+        'primaryType', 'primaryTypeDisplayName', 'pureServiceAreaBusiness',
+        'subDestinations', 'utcOffsetMinutes'
+    ],
+    enterprise: [
+        'currentOpeningHours', 'currentSecondaryOpeningHours', 'internationalPhoneNumber',
+        'nationalPhoneNumber', 'priceLevel', 'priceRange', 'rating', 'regularOpeningHours',
+        'regularSecondaryOpeningHours', 'userRatingCount', 'websiteUri'
+    ],
+    enterprise_atmosphere: [
+        'allowsDogs', 'curbsidePickup', 'delivery', 'dineIn', 'editorialSummary',
+        'generativeSummary', 'goodForChildren', 'goodForGroups', 'goodForWatchingSports',
+        'liveMusic', 'menuForChildren', 'outdoorSeating', 'parkingOptions', 'paymentOptions',
+        'reservable', 'restroom', 'reviews', 'reviewSummary', 'servesBeer', 'servesBreakfast',
+        'servesBrunch', 'servesCocktails', 'servesCoffee', 'servesDessert', 'servesDinner',
+        'servesLunch', 'servesVegetarianFood', 'servesWine', 'takeout'
+    ]
+};
+
+/**
+ * 🏷️ SKUs facturés pour un type de requête
+ * (details : selon les champs demandés, séparés par des virgules)
+ */
+function getRequestSkus(kind, fields = null) {
+    switch (kind) {
+        case 'text_search':
+            return ['text_search', 'contact_data', 'atmosphere_data'];
+        case 'nearby_search':
+            return ['nearby_search', 'contact_data', 'atmosphere_data'];
+        case 'details':
+            return getDetailsSkus(fields);
+        case 'photo':
+            return ['photo'];
+        case 'v1_text_search':
+        case 'v1_nearby_search': {
+            // Les recherches (New) n'ont pas de palier Essentials : il est facturé en Pro
+            const tier = getV1Tier(fields);
+            if (tier === 'ids_only' && kind === 'v1_text_search') return ['v1_text_search_ids_only'];
+            return [`${kind}_${tier === 'ids_only' || tier === 'essentials' ? 'pro' : tier}`];
+        }
+        case 'v1_details':
+            return [`v1_details_${getV1Tier(fields)}`];
+        default:
+            throw new Error(`Type de requête inconnu pour la tarification: ${kind}`);
+    }
+}
+
+/**
+ * 🏷️ SKUs Place Details selon les champs demandés
+ */
+function getDetailsSkus(fields) {
+    const fieldList = (fields || '').split(',').map(field => field.trim()).filter(Boolean);
+    const skus = ['details_basic'];
+
+    Object.entries(DETAILS_FIELD_TIERS).forEach(([sku, tierFields]) => {
+        if (fieldList.some(field => tierFields.includes(field))) {
+            skus.push(sku);
+        }
+    });
+
+    return skus;
+}
+
+/**
+ * 🏷️ Palier Places API (New) d'un FieldMask ("places.displayName,nextPageToken"...)
+ */
+function getV1Tier(fieldMask) {
+    const fieldList = (fieldMask || '').split(',')
+        .map(field => field.trim().replace(/^places\./, '').split('.')[0])
+        .filter(Boolean);
+
+    return fieldList.reduce((highest, field) => {
+        const tier = Object.keys(V1_FIELD_TIERS).find(name => V1_FIELD_TIERS[name].includes(field)) || 'ids_only';
+        return V1_TIERS.indexOf(tier) > V1_TIERS.indexOf(highest) ? tier : highest;
+    }, 'ids_only');
+}
+
+/**
+ * 💵 Coût d'une requête
+ */
+function getRequestCost(kind, fields = null) {
+    return getRequestSkus(kind, fields)
+        .reduce((sum, sku) => sum + PLACES_PRICING[sku].price, 0);
+}
+
+/**
+ * 🛑 Plafond de dépense atteint
+ */
+class BudgetExceededError extends Error {
+    constructor(maxCost, spent, nextCost) {
+        super(`Budget atteint: $${spent.toFixed(3)} dépensés, plafond $${maxCost.toFixed(2)} ` +
+              `(prochaine requête: $${nextCost.toFixed(3)})`);
+        this.name = 'BudgetExceededError';
+        this.maxCost = maxCost;
+        this.spent = spent;
+    }
+}
+
+/**
+ * 💳 Budget d'un run (plafond optionnel)
+ */
+class CostBudget {
+    constructor(maxCost = null) {
+        this.maxCost = maxCost;
+        this.spent = 0;
+        this.bySku = {};
+    }
+
+    /**
+     * Réserve le coût d'une requête AVANT de l'envoyer
+     * Lève BudgetExceededError si le plafond serait dépassé
+     */
+    charge(kind, fields = null) {
+        const skus = getRequestSkus(kind, fields);
+        const cost = skus.reduce((sum, sku) => sum + PLACES_PRICING[sku].price, 0);
+
+        if (this.maxCost !== null && this.spent + cost > this.maxCost) {
+            throw new BudgetExceededError(this.maxCost, this.spent, cost);
+        }
+
+        this.spent += cost;
+        skus.forEach(sku => {
+            this.bySku[sku] = (this.bySku[sku] || 0) + 1;
+        });
+
+        return cost;
+    }
+
+    /**
+     * Montant restant (Infinity sans plafond)
+     */
+    get remaining() {
+        return this.maxCost === null ? Infinity : Math.max(0, this.maxCost - this.spent);
+    }
+}
+
+/**
+ * 🧮 Estimation à partir de lignes { label, kind, count, fields? }
+ */
+function estimateCost(lines) {
+    const detailed = lines.map(line => {
+        const unitCost = getRequestCost(line.kind, line.fields);
+        return { ...line, unitCost, total: unitCost * line.count };
+    });
+
+    return {
+        lines: detailed,
+        requests: detailed.reduce((sum, line) => sum + line.count, 0),
+        total: detailed.reduce((sum, line) => sum + line.total, 0)
+    };
+}
+
+/**
+ * 📋 Affichage de l'estimation avant le premier appel
+ */
+function printCostEstimate(estimate, budget = null) {
+    console.log('\n🧮 ESTIMATION DU COÛT (avant appels API)');
+    console.log('========================================');
+
+    estimate.lines.forEach(line => {
+        console.log(`   ${line.label}: ${line.count} × $${line.unitCost.toFixed(3)} = $${line.total.toFixed(3)}`);
+    });
+
+    console.log(`   Total: ${estimate.requests} requêtes max, ~$${estimate.total.toFixed(2)}`);
+
+    if (budget && budget.maxCost !== null) {
+        console.log(`   Plafond (--max-cost): $${budget.maxCost.toFixed(2)}`);
+
+        if (estimate.total > budget.maxCost) {
+            console.log('   ⚠️ L\'estimation dépasse le plafond : le run s\'arrêtera au plafond');
+            console.log('      et sauvegardera les résultats partiels');
+        }
+    }
+}
+
+/**
+ * 🎛️ Budget depuis l'option CLI --max-cost
+ */
+function createBudgetFromArgs(argv = process.argv.slice(2)) {
+    const value = getFlagValue('--max-cost', null, argv);
+
+    if (value === null) {
+        return new CostBudget(null);
+    }
+
+    const maxCost = parseFloat(value);
+    if (Number.isNaN(maxCost) || maxCost < 0) {
+        throw new Error(`--max-cost invalide: ${value}`);
+    }
+
+    return new CostBudget(maxCost);
+}
+
+module.exports = {
+    PLACES_PRICING,
+    DETAILS_FIELD_TIERS,
+    V1_FIELD_TIERS,
+    getRequestSkus,
+    getV1Tier,
+    getRequestCost,
+    BudgetExceededError,
+    CostBudget,
+    estimateCost,
+    printCostEstimate,
+    createBudgetFromArgs
+};
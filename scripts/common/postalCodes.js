@@ -0,0 +1,51 @@
+/**
+ * 📮 CODES POSTAUX DES COMMUNES DE BRUXELLES
+ *
+ * Copie JS de POSTAL_CODE_MAPPING (src/config/addressConfig.ts) pour les
+ * scripts : code postal → commune (nom français). Plusieurs codes donnent
+ * "Bruxelles" (1000, 1020, 1120, 1130) ; les autres communes n'en ont qu'un.
+ */
+
+const POSTAL_CODE_MAPPING = {
+    '1000': 'Bruxelles',
+    '1020': 'Bruxelles',
+    '1030': 'Schaerbeek',
+    '1040': 'Etterbeek',
+    '1050': 'Ixelles',
+    '1060': 'Saint-Gilles',
+    '1070': 'Anderlecht',
+    '1080': 'Molenbeek-Saint-Jean',
+    '1090': 'Jette',
+    '1120': 'Bruxelles',
+    '1130': 'Bruxelles',
+    '1140': 'Evere',
+    '1150': 'Woluwe-Saint-Pierre',
+    '1160': 'Auderghem',
+    '1170': 'Watermael-Boitsfort',
+    '1180': 'Uccle',
+    '1190': 'Forest',
+    '1200': 'Woluwe-Saint-Lambert',
+    '1210': 'Saint-Josse-ten-Noode'
+};
+
+/**
+ * 📮 Code postal d'une commune (null si inconnue ou si elle en a plusieurs)
+ */
+function getPostalCodeForCommune(commune) {
+    const codes = Object.keys(POSTAL_CODE_MAPPING).filter(code => POSTAL_CODE_MAPPING[code] === commune);
+    return codes.length === 1 ? codes[0] : null;
+}
+
+/**
+ * 🏘️ Commune d'une adresse libre ("Rue X 1, 1050 Ixelles, Belgique") via son code postal
+ */
+function findCommuneInAddress(address) {
+    const postalCode = (address || '').match(/\b(1\d{3})\b/g)?.findLast(code => POSTAL_CODE_MAPPING[code]);
+    return postalCode ? POSTAL_CODE_MAPPING[postalCode] : null;
+}
+
+module.exports = {
+    POSTAL_CODE_MAPPING,
+    getPostalCodeForCommune,
+    findCommuneInAddress
+};
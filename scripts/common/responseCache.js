@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hasFlag, getFlagValue } = require('./cliArgs');
+
+/**
+ * 💾 CACHE DISQUE DES RÉPONSES API
+ *
+ * Évite de repayer les mêmes requêtes Google Places d'un run à l'autre.
+ * Une entrée = un fichier JSON dans scripts/data/cache/<endpoint>/<hash>.json,
+ * indexé sur l'endpoint + les paramètres de la requête (sans la clé API).
+ *
+ * Les requêtes paginées doivent passer un paramètre "page" en plus du
+ * pagetoken/pageToken (exclus de la clé) : les tokens Google expirent et
+ * changent à chaque run. Le token d'une page servie par le cache est donc
+ * périmé : si la page suivante n'est pas en cache, l'appelant relit la
+ * recherche en direct depuis la première page (options.refresh).
+ */
+
+// Durée de vie par endpoint (ms)
+const DEFAULT_TTL = {
+    textsearch: 24 * 60 * 60 * 1000,        // 1 jour
+    nearbysearch: 24 * 60 * 60 * 1000,      // 1 jour
+    details: 7 * 24 * 60 * 60 * 1000,       // 7 jours
+    v1_searchText: 24 * 60 * 60 * 1000,     // Places API (New)
+    v1_searchNearby: 24 * 60 * 60 * 1000,
+    v1_details: 7 * 24 * 60 * 60 * 1000,
+    default: 24 * 60 * 60 * 1000
+};
+
+// Paramètres jamais inclus dans la clé de cache
+const EXCLUDED_PARAMS = ['key', 'pagetoken', 'pageToken'];
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || path.join(__dirname, '..', 'data', 'cache');
+        this.enabled = options.enabled !== false;
+        this.ttlByEndpoint = { ...DEFAULT_TTL, ...(options.ttlByEndpoint || {}) };
+        this.refreshOlderThanMs = options.refreshOlderThanMs ?? null;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0
+        };
+    }
+
+    /**
+     * 🔑 Clé de cache stable (paramètres triés, clé API exclue)
+     */
+    buildKey(endpoint, params) {
+        const stableParams = Object.keys(params)
+            .filter(name => !EXCLUDED_PARAMS.includes(name) && params[name] !== undefined && params[name] !== null)
+            .sort()
+            .map(name => [name, params[name]]);
+
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([endpoint, stableParams]))
+            .digest('hex');
+    }
+
+    /**
+     * 📂 Chemin du fichier d'une entrée
+     */
+    getEntryPath(endpoint, params) {
+        return path.join(this.cacheDir, endpoint, `${this.buildKey(endpoint, params)}.json`);
+    }
+
+    /**
+     * 🔍 Lecture d'une entrée encore valide (null si absente ou expirée)
+     */
+    get(endpoint, params) {
+        if (!this.enabled) return null;
+
+        const entryPath = this.getEntryPath(endpoint, params);
+        if (!fs.existsSync(entryPath)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+            const age = Date.now() - new Date(entry.cachedAt).getTime();
+            const ttl = this.ttlByEndpoint[endpoint] || this.ttlByEndpoint.default;
+
+            if (age > ttl) return null;
+            if (this.refreshOlderThanMs !== null && age > this.refreshOlderThanMs) return null;
+
+            return entry.data;
+
+        } catch (error) {
+            console.warn(`⚠️ Entrée de cache illisible ignorée: ${entryPath}`);
+            return null;
+        }
+    }
+
+    /**
+     * ❓ Entrée valide présente (sans compter de hit)
+     */
+    has(endpoint, params) {
+        return this.get(endpoint, params) !== null;
+    }
+
+    /**
+     * 💾 Écriture d'une entrée
+     */
+    set(endpoint, params, data) {
+        if (!this.enabled) return;
+
+        const entryPath = this.getEntryPath(endpoint, params);
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+
+        const safeParams = { ...params };
+        EXCLUDED_PARAMS.forEach(name => delete safeParams[name]);
+
+        const entry = {
+            endpoint,
+            params: safeParams,
+            cachedAt: new Date().toISOString(),
+            data
+        };
+
+        fs.writeFileSync(entryPath, JSON.stringify(entry), 'utf8');
+        this.stats.writes++;
+    }
+
+    /**
+     * 🔄 Lecture depuis le cache ou exécution de la requête
+     * requestFn doit renvoyer les données à mettre en cache ;
+     * shouldCache permet d'exclure les réponses en erreur ;
+     * options.refresh envoie la requête même si l'entrée existe (réécrite)
+     */
+    async fetch(endpoint, params, requestFn, shouldCache = () => true, options = {}) {
+        const cached = options.refresh ? null : this.get(endpoint, params);
+
+        if (cached !== null) {
+            this.stats.hits++;
+            return { data: cached, fromCache: true };
+        }
+
+        this.stats.misses++;
+        const data = await requestFn();
+
+        if (shouldCache(data)) {
+            this.set(endpoint, params, data);
+        }
+
+        return { data, fromCache: false };
+    }
+}
+
+/**
+ * ⏱️ Conversion d'une durée ("30m", "12h", "7d") en millisecondes
+ */
+function parseDuration(value) {
+    if (value === null || value === undefined) return null;
+
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Durée invalide: ${value} (exemples: 30m, 12h, 7d)`);
+    }
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const unit = match[2] || 'h'; // Heures par défaut
+
+    return parseFloat(match[1]) * units[unit];
+}
+
+/**
+ * 🎛️ Création du cache depuis les options CLI (--no-cache, --refresh-older-than)
+ */
+function createResponseCacheFromArgs(argv = process.argv.slice(2)) {
+    return new ResponseCache({
+        enabled: !hasFlag('--no-cache', argv),
+        refreshOlderThanMs: parseDuration(getFlagValue('--refresh-older-than', null, argv))
+    });
+}
+
+module.exports = {
+    ResponseCache,
+    DEFAULT_TTL,
+    parseDuration,
+    createResponseCacheFromArgs
+};
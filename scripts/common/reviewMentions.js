@@ -0,0 +1,217 @@
+/**
+ * 💬 MENTIONS DES CHIENS DANS LES AVIS
+ *
+ * Extraction multilingue (FR, NL, EN) des passages d'avis qui parlent
+ * d'accueil des chiens : chiens admis ou refusés, gamelle d'eau, friandises,
+ * liberté sans laisse, accès limité (terrasse, laisse obligatoire).
+ *
+ * Utilisé par l'import (metadata.reviews, metadata.dogMentions) et par le
+ * score dog-friendly (dogFriendliness.js).
+ */
+
+// Sujets détectés. Les sujets négatifs sont cherchés d'abord et leur
+// passage est retiré du texte : "no dogs allowed" ne compte pas aussi
+// comme "dogs allowed".
+const DOG_MENTION_TOPICS = {
+    dogs_refused: {
+        label: 'chiens refusés',
+        polarity: 'negative',
+        patterns: {
+            fr: [
+                /\bchiens? (non|pas|ne sont pas) (admis|acceptes?|autorises?|(les )?bienvenus?)\b/,
+                /\b(pas|interdit) (de |aux )?chiens?\b|\bchiens? interdits?\b/,
+                /\bn'?(accepte|admet|autorise)(nt)? pas (les |nos |mon )?chiens?\b|\brefuse(nt)? (les |nos |mon )?chiens?\b/
+            ],
+            nl: [
+                /\bhonden (zijn )?(niet|verboden) (toegelaten|toegestaan|welkom)\b|\bgeen honden\b|\bhonden verboden\b|\bverboden voor honden\b/
+            ],
+            en: [
+                /\bno dogs?\b|\bdogs? (are )?not (allowed|permitted|welcome)\b|\bdogs? (are )?(forbidden|banned)\b|\b(don'?t|do not) allow dogs?\b/
+            ]
+        }
+    },
+    dogs_restricted: {
+        label: 'accès limité',
+        polarity: 'restricted',
+        patterns: {
+            fr: [
+                /\bchiens? (admis |acceptes? )?(uniquement |seulement )?(en|sur la) terrasse( uniquement| seulement)?\b/,
+                /\b(chiens? )?en laisse obligatoire\b|\blaisse obligatoire\b/
+            ],
+            nl: [
+                /\bhonden (enkel|alleen) op (het )?terras\b|\bhonden aan de (lijn|leiband)\b|\baanlijnplicht\b/
+            ],
+            en: [
+                /\bdogs? (allowed )?(only )?on the (terrace|patio)( only)?\b|\bdogs? must be (kept )?on (a )?leash\b/
+            ]
+        }
+    },
+    dogs_allowed: {
+        label: 'chiens admis',
+        polarity: 'positive',
+        patterns: {
+            fr: [
+                /\bchiens? (sont )?(admis|acceptes?|autorises?|(les )?bienvenus?)\b|\b(accepte|admet|autorise)(nt)? (les )?chiens?\b/,
+                /\bavec (mon|notre|son|le) chien\b/
+            ],
+            nl: [
+                /\bhonden (zijn )?(toegelaten|toegestaan|welkom)\b|\bhondvriendelijk\b|\bmet (de|mijn|onze) hond\b/
+            ],
+            en: [
+                /\bdogs? (are )?(allowed|welcome|permitted)\b|\bdog[- ]friendly\b|\bwith (my|our|the) dog\b/
+            ]
+        }
+    },
+    water_bowl: {
+        label: 'gamelle d\'eau',
+        polarity: 'positive',
+        patterns: {
+            fr: [/\b(gamelle|bol|ecuelle) d'eau\b|\bde l'eau pour (le|mon|notre) chien\b/],
+            nl: [/\bwaterbak(je)?\b|\bwater voor (de|mijn|onze) hond\b/],
+            en: [/\bwater bowls?\b|\bwater for (the|my|our) dog\b/]
+        }
+    },
+    dog_treats: {
+        label: 'friandises',
+        polarity: 'positive',
+        patterns: {
+            fr: [/\b(friandises?|biscuits?) pour (le|les|mon|notre|nos) chiens?\b/],
+            nl: [/\bhondenkoekjes?\b|\bsnoepjes? voor (de|mijn|onze) hond\b/],
+            en: [/\bdog (treats?|biscuits?)\b|\btreats? for (the|my|our) dog\b/]
+        }
+    },
+    off_leash: {
+        label: 'sans laisse',
+        polarity: 'positive',
+        patterns: {
+            fr: [/\bsans laisse\b|\bchiens? en liberte\b|\blacher (le|son|mon) chien\b/],
+            nl: [/\bloslopen\b|\blosloopzone\b|\bzonder (lijn|leiband)\b/],
+            en: [/\boff[- ]leash\b|\bunleashed\b|\blet (the|my|our) dogs? run\b/]
+        }
+    }
+};
+
+// Ordre de recherche : négatif, restrictions, puis positif
+const TOPIC_ORDER = ['dogs_refused', 'dogs_restricted', 'dogs_allowed', 'water_bowl', 'dog_treats', 'off_leash'];
+const MAX_EXCERPT_LENGTH = 160;
+const MAX_SUMMARY_EXCERPTS = 5;
+
+/**
+ * 🔤 Texte normalisé pour la recherche de motifs (minuscules, sans accents)
+ * Même longueur que le texte d'origine : les positions trouvées servent
+ * à extraire le passage original
+ */
+function normalizeText(text) {
+    return (text || '')
+        .split('')
+        .map(char => {
+            if (char === '\u2019' || char === '`') return '\'';
+            return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()[0] || ' ';
+        })
+        .join('');
+}
+
+/**
+ * ✂️ Phrase du texte d'origine contenant le passage trouvé
+ */
+function getExcerpt(text, index) {
+    const start = Math.max(
+        text.lastIndexOf('.', index), text.lastIndexOf('!', index),
+        text.lastIndexOf('?', index), text.lastIndexOf('\n', index)
+    ) + 1;
+    const ends = ['.', '!', '?', '\n']
+        .map(char => text.indexOf(char, index))
+        .filter(position => position !== -1);
+    const end = ends.length > 0 ? Math.min(...ends) + 1 : text.length;
+
+    const excerpt = text.slice(start, end).trim();
+    return excerpt.length > MAX_EXCERPT_LENGTH ? `${excerpt.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : excerpt;
+}
+
+/**
+ * 🔍 Mentions d'un texte d'avis → [{ topic, label, polarity, language, excerpt }]
+ * (un sujet compte au plus une fois par avis)
+ */
+function extractDogMentions(text) {
+    let remaining = normalizeText(text);
+    const mentions = [];
+
+    TOPIC_ORDER.forEach(topic => {
+        const { label, polarity, patterns } = DOG_MENTION_TOPICS[topic];
+
+        for (const [language, languagePatterns] of Object.entries(patterns)) {
+            const pattern = languagePatterns.find(candidate => candidate.test(remaining));
+            if (!pattern) continue;
+
+            const match = remaining.match(pattern);
+            mentions.push({ topic, label, polarity, language, excerpt: getExcerpt(text, match.index) });
+            remaining = remaining.replace(pattern, ' '.repeat(match[0].length));
+            break;
+        }
+    });
+
+    return mentions;
+}
+
+/**
+ * 📋 Synthèse des mentions de tous les avis d'un lieu
+ * verdict : welcome | refused | mixed | restricted | unknown
+ */
+function summarizeDogMentions(reviews = []) {
+    const summary = {
+        reviewsAnalyzed: 0,
+        reviewsWithMentions: 0,
+        languages: {},
+        topics: {},
+        positive: 0,
+        negative: 0,
+        restricted: 0,
+        verdict: 'unknown',
+        excerpts: []
+    };
+
+    reviews.forEach(review => {
+        if (!review.text) return;
+        summary.reviewsAnalyzed++;
+
+        const language = review.language || 'unknown';
+        summary.languages[language] = (summary.languages[language] || 0) + 1;
+
+        const mentions = extractDogMentions(review.text);
+        if (mentions.length === 0) return;
+
+        summary.reviewsWithMentions++;
+        mentions.forEach(mention => {
+            summary.topics[mention.topic] = (summary.topics[mention.topic] || 0) + 1;
+            summary[mention.polarity]++;
+
+            if (summary.excerpts.length < MAX_SUMMARY_EXCERPTS) {
+                summary.excerpts.push({
+                    topic: mention.topic,
+                    language: review.language || mention.language,
+                    rating: review.rating ?? null,
+                    excerpt: mention.excerpt
+                });
+            }
+        });
+    });
+
+    if (summary.positive > 0 && summary.negative > 0) {
+        summary.verdict = 'mixed';
+    } else if (summary.negative > 0) {
+        summary.verdict = 'refused';
+    } else if (summary.positive > 0) {
+        summary.verdict = 'welcome';
+    } else if (summary.restricted > 0) {
+        summary.verdict = 'restricted';
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DOG_MENTION_TOPICS,
+    normalizeText,
+    extractDogMentions,
+    summarizeDogMentions
+};
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractDogMentions } = require('./reviewMentions');
+
+const topicsOf = text => extractDogMentions(text).map(mention => mention.topic);
+
+test('friandises pour les chiens : mention positive', () => {
+    assert.deepEqual(topicsOf('Le serveur a apporté des friandises pour les chiens !'), ['dog_treats']);
+    assert.deepEqual(topicsOf('Biscuits pour mon chien offerts à la caisse.'), ['dog_treats']);
+});
+
+test('friandises sans chien (desserts, pâtisserie) : aucune mention', () => {
+    assert.deepEqual(topicsOf('Excellentes friandises, la pâtisserie est à tomber.'), []);
+    assert.deepEqual(topicsOf('Un café et quelques friandises pour les enfants.'), []);
+});
+
+test('treats / hondenkoekjes : mêmes règles en EN et NL', () => {
+    assert.deepEqual(topicsOf('They gave dog treats to our puppy.'), ['dog_treats']);
+    assert.deepEqual(topicsOf('Lekkere koekjes bij de koffie.'), []);
+});
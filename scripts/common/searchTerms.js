@@ -0,0 +1,65 @@
+const { getPlaceTypeInfo } = require('./placeTypes');
+
+/**
+ * 🔍 TERMES DE RECHERCHE
+ *
+ * searchTerms des adresses et searchAddress des lieux, calculés à l'import
+ * et régénérés par les validateurs en mode --fix quand ils manquent.
+ */
+
+/**
+ * 🏠 Adresse { street, number, commune, postalCode } → termes
+ */
+function generateAddressSearchTerms(address) {
+    const terms = [
+        address.street.toLowerCase(),
+        `${address.number} ${address.street}`.toLowerCase(),
+        address.commune.toLowerCase(),
+        address.postalCode,
+        `${address.street} ${address.commune}`.toLowerCase()
+    ];
+
+    // Ajouter des variantes
+    const streetWords = address.street.toLowerCase().split(' ');
+    terms.push(...streetWords.filter(word => word.length > 2));
+
+    return [...new Set(terms.filter(term => term && term.length > 0))];
+}
+
+/**
+ * 🐕 Lieu (format legacy ou document Firestore) → termes
+ */
+function generatePlaceSearchAddress(place) {
+    const terms = [];
+
+    if (place.name) {
+        terms.push(place.name.toLowerCase());
+    }
+
+    const address = place.formatted_address || place.address;
+    if (address) {
+        // Extraire commune et rue de l'adresse
+        const addressParts = address.split(',');
+        addressParts.forEach(part => {
+            const cleaned = part.trim().toLowerCase();
+            if (cleaned.length > 2) {
+                terms.push(cleaned);
+            }
+        });
+    }
+
+    if (place.category) {
+        terms.push(place.category.toLowerCase());
+    }
+
+    // Mots-clés par type
+    const keywords = getPlaceTypeInfo(place.dogPlaceType || place.type)?.keywords || [];
+    terms.push(...keywords);
+
+    return [...new Set(terms)].filter(term => term.length > 0);
+}
+
+module.exports = {
+    generateAddressSearchTerms,
+    generatePlaceSearchAddress
+};
@@ -0,0 +1,153 @@
+const admin = require('firebase-admin');
+const { haversineMeters } = require('./geo');
+const { QUERY_PRECISIONS, getCoveringCells } = require('./geohash');
+const { chunkArray } = require('./bulkImport');
+
+/**
+ * 📡 REQUÊTES PAR RAYON (LIEUX ET ADRESSES)
+ *
+ * Les documents portent geohash4..geohash7 (voir geohash.js). Une recherche
+ * par rayon choisit la précision la plus fine dont les cellules couvrant le
+ * cercle tiennent dans une requête "in" (30 valeurs max), interroge ces
+ * cellules, puis filtre sur la distance exacte et trie du plus proche au
+ * plus loin.
+ *
+ * Filtres d'égalité seulement (type, commune...) : ils combinent avec "in"
+ * sans index composite.
+ */
+
+const PLACES_COLLECTION = 'brussels_places';
+const ADDRESSES_COLLECTION = 'brussels_addresses';
+
+// Valeurs maximales d'un filtre "in" Firestore
+const MAX_IN_VALUES = 30;
+
+// Cellules interrogées au plus (requêtes "in" lancées en parallèle)
+const MAX_CELLS = 60;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * 📦 Zone englobant le cercle de recherche
+ */
+function getSearchBounds(latitude, longitude, radiusMeters) {
+    const latDelta = radiusMeters / METERS_PER_DEGREE_LAT;
+    const lngDelta = radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180));
+
+    return {
+        minLat: latitude - latDelta,
+        maxLat: latitude + latDelta,
+        minLng: longitude - lngDelta,
+        maxLng: longitude + lngDelta
+    };
+}
+
+/**
+ * 🧩 Précision et cellules à interroger
+ * Précision la plus fine tenant en une requête, sinon la plus fine tenant en MAX_CELLS
+ */
+function planCellQuery(latitude, longitude, radiusMeters) {
+    const bounds = getSearchBounds(latitude, longitude, radiusMeters);
+    const candidates = [...QUERY_PRECISIONS]
+        .sort((a, b) => b - a)
+        .map(precision => ({ precision, field: `geohash${precision}`, cells: getCoveringCells(bounds, precision) }));
+
+    const plan = candidates.find(candidate => candidate.cells.length <= MAX_IN_VALUES) ||
+        candidates.find(candidate => candidate.cells.length <= MAX_CELLS);
+
+    if (!plan) {
+        throw new Error(`Rayon trop grand pour une recherche geohash: ${radiusMeters} m`);
+    }
+
+    return plan;
+}
+
+/**
+ * 🔍 Recherche générique : cellules geohash + distance exacte
+ */
+async function queryWithin({ collectionName, latitude, longitude, radiusMeters, equalityFilters, getLocation, limit }) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || !(radiusMeters > 0)) {
+        throw new Error('Coordonnées et rayon (mètres, > 0) requis');
+    }
+
+    const { field, cells } = planCellQuery(latitude, longitude, radiusMeters);
+    const collection = admin.firestore().collection(collectionName);
+
+    const snapshots = await Promise.all(chunkArray(cells, MAX_IN_VALUES).map(chunk => {
+        let query = collection.where(field, 'in', chunk);
+
+        Object.entries(equalityFilters).forEach(([filterField, value]) => {
+            if (value !== undefined && value !== null) {
+                query = query.where(filterField, '==', value);
+            }
+        });
+
+        return query.get();
+    }));
+
+    const results = [];
+    snapshots.forEach(snapshot => {
+        snapshot.docs.forEach(doc => {
+            const data = doc.data();
+            const location = getLocation(data);
+            if (!location) return;
+
+            const distanceMeters = haversineMeters(latitude, longitude, location.latitude, location.longitude);
+            if (distanceMeters <= radiusMeters) {
+                results.push({ id: doc.id, distanceMeters: Math.round(distanceMeters), data });
+            }
+        });
+    });
+
+    results.sort((a, b) => a.distanceMeters - b.distanceMeters);
+    return limit ? results.slice(0, limit) : results;
+}
+
+/**
+ * 🐕 Lieux dans un rayon → [{ id, distanceMeters, data }] du plus proche au plus loin
+ * filters : { type, category, isDogFriendly, includeInactive, limit }
+ */
+function findPlacesWithin(latitude, longitude, radiusMeters, filters = {}) {
+    return queryWithin({
+        collectionName: PLACES_COLLECTION,
+        latitude,
+        longitude,
+        radiusMeters,
+        equalityFilters: {
+            isActive: filters.includeInactive ? undefined : true,
+            type: filters.type,
+            category: filters.category,
+            isDogFriendly: filters.isDogFriendly
+        },
+        getLocation: data => data.location,
+        limit: filters.limit
+    });
+}
+
+/**
+ * 🏠 Adresses dans un rayon → [{ id, distanceMeters, data }] du plus proche au plus loin
+ * filters : { commune, postalCode, limit }
+ */
+function findAddressesWithin(latitude, longitude, radiusMeters, filters = {}) {
+    return queryWithin({
+        collectionName: ADDRESSES_COLLECTION,
+        latitude,
+        longitude,
+        radiusMeters,
+        equalityFilters: {
+            isActive: true,
+            commune: filters.commune,
+            postalCode: filters.postalCode
+        },
+        getLocation: data => data.coordinates,
+        limit: filters.limit
+    });
+}
+
+module.exports = {
+    MAX_IN_VALUES,
+    getSearchBounds,
+    planCellQuery,
+    findPlacesWithin,
+    findAddressesWithin
+};
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const { getFlagValue, hasFlag } = require('./cliArgs');
+
+/**
+ * 📑 RAPPORTS DE VALIDATION (JSON, HTML, JUNIT) ET SEUILS
+ *
+ * Les validateurs enregistrent chaque problème sous la forme
+ * { docId, severity: 'error' | 'warning', rule, message, commune }.
+ * Ce module en tire trois fichiers, sans troncature :
+ * - <collection>-validation.json : rapport complet, trié (diff entre deux runs)
+ * - <collection>-validation.html : problèmes groupés par règle et par commune
+ * - <collection>-validation.xml  : JUnit pour la CI (seuils + règles en erreur)
+ *
+ * Les seuils décident du code de sortie : un seul dépassement → exit 1.
+ * Valeurs par défaut propres à chaque validateur, surchargées en CLI :
+ *   --min-quality 80 --max-invalid-rate 5 --max-duplicates 10 --max-warnings 500
+ *
+ * Options des fichiers : --report-dir <dossier> (défaut scripts/data/reports),
+ * --report-format json,html,junit, --no-report
+ */
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'data', 'reports');
+const REPORT_FORMATS = ['json', 'html', 'junit'];
+const UNKNOWN_COMMUNE = 'Inconnue';
+
+// Problèmes listés par groupe dans le HTML (le JSON garde tout)
+const HTML_ISSUES_PER_GROUP = 200;
+
+// Seuil → option CLI, valeur lue dans le résumé, sens de la comparaison
+const THRESHOLDS = {
+    minQualityScore: { flag: '--min-quality', label: 'Score de qualité (%)', actual: summary => summary.qualityScore, min: true },
+    maxInvalidRate: { flag: '--max-invalid-rate', label: 'Taux d\'invalides (%)', actual: summary => summary.invalidRate },
+    maxDuplicates: { flag: '--max-duplicates', label: 'Doublons', actual: summary => summary.duplicates },
+    maxWarnings: { flag: '--max-warnings', label: 'Avertissements', actual: summary => summary.warnings }
+};
+
+/**
+ * ❌ Erreur bloquante d'un document, avec sa règle
+ */
+class ValidationRuleError extends Error {
+    constructor(rule, message) {
+        super(message);
+        this.name = 'ValidationRuleError';
+        this.rule = rule;
+    }
+}
+
+/**
+ * 🎚️ Seuils : valeurs par défaut du validateur + options CLI (null = non vérifié)
+ */
+function readThresholds(defaults = {}, argv = process.argv.slice(2)) {
+    const thresholds = {};
+
+    Object.entries(THRESHOLDS).forEach(([name, threshold]) => {
+        const value = getFlagValue(threshold.flag, null, argv);
+        if (value === null) {
+            thresholds[name] = defaults[name] ?? null;
+            return;
+        }
+
+        const limit = parseFloat(value);
+        if (!Number.isFinite(limit)) {
+            throw new Error(`Valeur invalide pour ${threshold.flag}: ${value}`);
+        }
+        thresholds[name] = limit;
+    });
+
+    return thresholds;
+}
+
+/**
+ * 📂 Options des fichiers de rapport → { enabled, dir, formats }
+ */
+function readReportOptions(argv = process.argv.slice(2)) {
+    const formats = getFlagValue('--report-format', REPORT_FORMATS.join(','), argv)
+        .split(',')
+        .map(format => format.trim())
+        .filter(Boolean);
+
+    const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Format de rapport inconnu: ${unknown.join(', ')} (${REPORT_FORMATS.join(', ')})`);
+    }
+
+    return {
+        enabled: !hasFlag('--no-report', argv),
+        dir: getFlagValue('--report-dir', DEFAULT_REPORT_DIR, argv),
+        formats
+    };
+}
+
+/**
+ * 📊 Résumé chiffré (taux en %, 0 si la collection est vide)
+ */
+function summarizeStats(stats) {
+    const rate = count => (stats.total > 0 ? Math.round(count / stats.total * 1000) / 10 : 0);
+
+    return {
+        total: stats.total,
+        valid: stats.valid,
+        invalid: stats.invalid,
+        warnings: stats.warnings,
+        duplicates: stats.duplicates,
+        invalidRate: rate(stats.invalid),
+        qualityScore: rate(stats.valid - stats.duplicates)
+    };
+}
+
+/**
+ * 🎚️ Comparaison du résumé aux seuils actifs
+ */
+function evaluateThresholds(summary, thresholds) {
+    return Object.entries(THRESHOLDS)
+        .filter(([name]) => thresholds[name] !== null && thresholds[name] !== undefined)
+        .map(([name, threshold]) => {
+            const limit = thresholds[name];
+            const actual = threshold.actual(summary);
+
+            return {
+                name,
+                label: threshold.label,
+                limit,
+                actual,
+                passed: threshold.min ? actual >= limit : actual <= limit
+            };
+        });
+}
+
+/**
+ * 📋 Rapport complet d'un run de validation
+ * details : statistiques propres au validateur (données manquantes, répartitions...)
+ */
+function buildValidationReport({ collection, stats, issues, thresholds, details = {} }) {
+    const summary = summarizeStats(stats);
+    const checks = evaluateThresholds(summary, thresholds);
+
+    const sortedIssues = [...issues].sort((a, b) =>
+        a.docId.localeCompare(b.docId) || a.rule.localeCompare(b.rule) || a.message.localeCompare(b.message));
+
+    return {
+        collection,
+        generatedAt: new Date().toISOString(),
+        durationSeconds: Math.round((Date.now() - stats.startTime) / 100) / 10,
+        passed: checks.every(check => check.passed),
+        summary,
+        thresholds: checks,
+        rules: groupIssues(sortedIssues, issue => issue.rule)
+            .map(group => ({ rule: group.key, severity: group.errors > 0 ? 'error' : 'warning', ...countGroup(group) })),
+        communes: groupIssues(sortedIssues, issue => issue.commune || UNKNOWN_COMMUNE)
+            .map(group => ({ commune: group.key, ...countGroup(group) })),
+        details,
+        issues: sortedIssues
+    };
+}
+
+function groupIssues(issues, getKey) {
+    const groups = new Map();
+
+    issues.forEach(issue => {
+        const key = getKey(issue);
+        if (!groups.has(key)) groups.set(key, { key, errors: 0, warnings: 0, documents: new Set(), issues: [] });
+
+        const group = groups.get(key);
+        group[issue.severity === 'error' ? 'errors' : 'warnings']++;
+        group.documents.add(issue.docId);
+        group.issues.push(issue);
+    });
+
+    return [...groups.values()].sort((a, b) => b.issues.length - a.issues.length || a.key.localeCompare(b.key));
+}
+
+function countGroup(group) {
+    return { errors: group.errors, warnings: group.warnings, documents: group.documents.size };
+}
+
+/**
+ * 🌐 Rapport HTML autonome (groupé par règle puis par commune)
+ */
+function renderHtmlReport(report) {
+    const { summary } = report;
+    const byRule = groupIssues(report.issues, issue => issue.rule);
+    const byCommune = groupIssues(report.issues, issue => issue.commune || UNKNOWN_COMMUNE);
+
+    const renderGroup = (title, group, describe) => {
+        const shown = group.issues.slice(0, HTML_ISSUES_PER_GROUP).map(issue =>
+            `<li class="${issue.severity}"><code>${escapeXml(issue.docId)}</code> ${escapeXml(describe(issue))}</li>`);
+        if (group.issues.length > HTML_ISSUES_PER_GROUP) {
+            shown.push(`<li>... et ${group.issues.length - HTML_ISSUES_PER_GROUP} autres (rapport JSON)</li>`);
+        }
+
+        return `<details><summary>${escapeXml(title)} : ${group.errors} erreurs, ${group.warnings} avertissements, ` +
+            `${group.documents.size} documents</summary><ul>${shown.join('')}</ul></details>`;
+    };
+
+    const thresholdRows = report.thresholds.map(check =>
+        `<tr class="${check.passed ? 'ok' : 'error'}"><td>${escapeXml(check.label)}</td>` +
+        `<td>${check.limit}</td><td>${check.actual}</td><td>${check.passed ? '✅' : '❌'}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>Validation ${escapeXml(report.collection)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+.error { color: #b00020; }
+.warning { color: #8a6d00; }
+.ok { color: #1b5e20; }
+details { margin: 4px 0; }
+</style>
+</head>
+<body>
+<h1>Validation ${escapeXml(report.collection)} ${report.passed ? '✅' : '❌'}</h1>
+<p>${escapeXml(report.generatedAt)} · ${report.durationSeconds}s</p>
+<table>
+<tr><th>Total</th><th>Valides</th><th>Invalides</th><th>Avertissements</th><th>Doublons</th><th>Qualité</th></tr>
+<tr><td>${summary.total}</td><td>${summary.valid}</td><td>${summary.invalid} (${summary.invalidRate}%)</td>` +
+`<td>${summary.warnings}</td><td>${summary.duplicates}</td><td>${summary.qualityScore}%</td></tr>
+</table>
+<h2>Seuils</h2>
+<table>
+<tr><th>Seuil</th><th>Limite</th><th>Valeur</th><th></th></tr>
+${thresholdRows.join('\n')}
+</table>
+<h2>Par règle</h2>
+${byRule.map(group => renderGroup(group.key, group, issue => `${issue.message} (${issue.commune || UNKNOWN_COMMUNE})`)).join('\n')}
+<h2>Par commune</h2>
+${byCommune.map(group => renderGroup(group.key, group, issue => `[${issue.rule}] ${issue.message}`)).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * 🧪 JUnit XML : une suite pour les seuils (échec = exit 1),
+ * une pour les règles (règle en erreur = échec, avertissements en sortie)
+ */
+function renderJUnitReport(report) {
+    const thresholdSuite = `${report.collection}.thresholds`;
+    const ruleSuite = `${report.collection}.rules`;
+
+    const thresholdCases = report.thresholds.map(check => {
+        const testcase = `<testcase classname="${escapeXml(thresholdSuite)}" name="${escapeXml(check.name)}"`;
+        if (check.passed) return `    ${testcase}/>`;
+
+        return `    ${testcase}>\n      <failure message="${escapeXml(`${check.label}: ${check.actual} (limite ${check.limit})`)}"/>\n    </testcase>`;
+    });
+
+    const ruleCases = groupIssues(report.issues, issue => issue.rule).map(group => {
+        const lines = escapeXml(group.issues.map(issue => `${issue.docId}: ${issue.message}`).join('\n'));
+        const testcase = `<testcase classname="${escapeXml(ruleSuite)}" name="${escapeXml(group.key)}">`;
+
+        if (group.errors > 0) {
+            return `    ${testcase}\n      <failure message="${group.errors} erreurs sur ${group.documents.size} documents">${lines}</failure>\n    </testcase>`;
+        }
+        return `    ${testcase}\n      <system-out>${lines}</system-out>\n    </testcase>`;
+    });
+
+    const thresholdFailures = report.thresholds.filter(check => !check.passed).length;
+    const ruleFailures = report.rules.filter(rule => rule.severity === 'error').length;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="validation ${escapeXml(report.collection)}" tests="${thresholdCases.length + ruleCases.length}" failures="${thresholdFailures + ruleFailures}" time="${report.durationSeconds}">
+  <testsuite name="${escapeXml(thresholdSuite)}" tests="${thresholdCases.length}" failures="${thresholdFailures}" timestamp="${report.generatedAt}">
+${thresholdCases.join('\n')}
+  </testsuite>
+  <testsuite name="${escapeXml(ruleSuite)}" tests="${ruleCases.length}" failures="${ruleFailures}" timestamp="${report.generatedAt}">
+${ruleCases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * 💾 Écriture des rapports demandés → chemins des fichiers
+ */
+function writeValidationReports(report, { dir = DEFAULT_REPORT_DIR, formats = REPORT_FORMATS } = {}) {
+    const renderers = {
+        json: { extension: 'json', render: () => JSON.stringify(report, null, 2) },
+        html: { extension: 'html', render: () => renderHtmlReport(report) },
+        junit: { extension: 'xml', render: () => renderJUnitReport(report) }
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    return formats.map(format => {
+        const { extension, render } = renderers[format];
+        const file = path.join(dir, `${report.collection}-validation.${extension}`);
+        fs.writeFileSync(file, render());
+        return file;
+    });
+}
+
+/**
+ * 🖨️ Seuils dans la console
+ */
+function printThresholdChecks(report) {
+    if (report.thresholds.length === 0) return;
+
+    console.log('\n🎚️ SEUILS:');
+    report.thresholds.forEach(check => {
+        console.log(`   ${check.passed ? '✅' : '❌'} ${check.label}: ${check.actual} (limite ${check.limit})`);
+    });
+}
+
+module.exports = {
+    DEFAULT_REPORT_DIR,
+    REPORT_FORMATS,
+    THRESHOLDS,
+    ValidationRuleError,
+    readThresholds,
+    readReportOptions,
+    summarizeStats,
+    evaluateThresholds,
+    buildValidationReport,
+    renderHtmlReport,
+    renderJUnitReport,
+    writeValidationReports,
+    printThresholdChecks
+};
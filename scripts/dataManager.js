@@ -376,17 +376,38 @@ class DataManager {
         console.log('\n🧹 NETTOYAGE AUTOMATIQUE');
         console.log('========================');
 
-        console.log('\n⚠️ Cette opération va:');
-        console.log('   • Supprimer les doublons');
-        console.log('   • Nettoyer les données invalides');
-        console.log('   • Optimiser les index');
+        console.log('\n⚠️ Cette opération va (validateurs en mode --fix):');
+        console.log('   • Normaliser téléphones (E.164) et sites web des lieux');
+        console.log('   • Nettoyer les noms et recalculer les catégories');
+        console.log('   • Corriger communes / codes postaux des adresses');
+        console.log('   • Régénérer les termes de recherche manquants');
+        console.log('   Chaque document modifié est sauvegardé (annulation: --restore <run>)');
 
-        const confirm = await this.promptChoice('\n❓ Continuer ? (y/n): ', ['y', 'n', 'Y', 'N']);
+        const scripts = ['scripts/places/validatePlaces.js', 'scripts/addresses/validateAddresses.js'];
 
+        // 1. Aperçu (aucune écriture)
+        for (const script of scripts) {
+            try {
+                await this.runScript(['node', script, '--fix', '--dry-run']);
+            } catch (error) {
+                console.log(`⚠️ Aperçu impossible: ${error.message}`);
+                return;
+            }
+        }
+
+        const confirm = await this.promptChoice('\n❓ Appliquer ces corrections ? (y/n): ', ['y', 'n', 'Y', 'N']);
+
+        // 2. Application
         if (confirm.toLowerCase() === 'y') {
             console.log('\n🧹 Nettoyage en cours...');
-            // Ici on lancerait les scripts de nettoyage
-            console.log('✅ Nettoyage terminé (simulation)');
+            for (const script of scripts) {
+                try {
+                    await this.runScript(['node', script, '--fix']);
+                } catch (error) {
+                    console.log(`⚠️ Corrections incomplètes: ${error.message}`);
+                }
+            }
+            console.log('✅ Nettoyage terminé');
         }
     }
 
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { getFlagValue, hasFlag } = require('./common/cliArgs');
+const { OVERPASS_URL } = require('./common/osmPlaces');
+const { isPointInGeometry } = require('./common/geo');
+const { BOUNDARIES_FILE } = require('./common/brusselsBoundaries');
+
+/**
+ * 🗺️ FETCH DES LIMITES DE BRUXELLES (RÉGION + 19 COMMUNES) - 100% GRATUIT
+ *
+ * Relations OpenStreetMap boundary=administrative : la Région
+ * (admin_level=4, ISO3166-2=BE-BRU) et les communes qu'elle contient
+ * (admin_level=8). Les ways de chaque relation sont raboutés en anneaux
+ * (outer / inner) puis écrits en GeoJSON dans scripts/config/brusselsBoundaries.geojson,
+ * lu par common/brusselsBoundaries.js. Le fichier est à versionner : fetch,
+ * import et validation refusent de tourner sans lui. À relancer seulement
+ * si les limites changent.
+ *
+ * Usage : node scripts/fetchBrusselsBoundaries.js [--input overpass.json] [--output fichier] [--print-query]
+ *   --input : réponse Overpass enregistrée (JSON, "out geom"), aucun appel réseau
+ *
+ * Données © contributeurs OpenStreetMap, licence ODbL
+ * Coût : 0€ - Overpass API publique (une requête)
+ */
+
+const OVERPASS_TIMEOUT_SECONDS = 180;
+const EXPECTED_COMMUNES = 19;
+const COORDINATE_PRECISION = 6; // ~10 cm
+
+const BOUNDARIES_QUERY = `[out:json][timeout:${OVERPASS_TIMEOUT_SECONDS}];
+rel["boundary"="administrative"]["admin_level"="4"]["ISO3166-2"="BE-BRU"]->.region;
+.region out geom;
+.region map_to_area->.regionArea;
+rel(area.regionArea)["boundary"="administrative"]["admin_level"="8"];
+out geom;`;
+
+class BrusselsBoundariesFetcher {
+    constructor(options = {}) {
+        this.inputFile = options.inputFile || null;
+        this.outputFile = options.outputFile || BOUNDARIES_FILE;
+    }
+
+    /**
+     * 🌐 Requête Overpass (relations avec la géométrie de leurs ways)
+     */
+    async fetchFromOverpass() {
+        console.log('🌐 Requête Overpass...');
+
+        try {
+            const response = await axios.post(OVERPASS_URL, BOUNDARIES_QUERY, {
+                headers: { 'Content-Type': 'text/plain', 'User-Agent': 'DogPlacesBrussels/1.0' },
+                timeout: (OVERPASS_TIMEOUT_SECONDS + 30) * 1000
+            });
+            return response.data.elements || [];
+        } catch (error) {
+            throw new Error(`Overpass indisponible (${error.response?.status || error.message})`);
+        }
+    }
+
+    /**
+     * 🗺️ Relations → FeatureCollection, contrôlée puis écrite
+     */
+    async run() {
+        const elements = this.inputFile
+            ? JSON.parse(fs.readFileSync(this.inputFile, 'utf8')).elements || []
+            : await this.fetchFromOverpass();
+
+        const relations = elements.filter(element => element.type === 'relation');
+        const regionRelation = relations.find(relation => relation.tags?.admin_level === '4');
+        if (!regionRelation) {
+            throw new Error('Relation de la Région (admin_level=4, BE-BRU) introuvable');
+        }
+
+        const region = toFeature(regionRelation, 'region');
+
+        // rel(area) ramène aussi les communes voisines qui touchent la limite :
+        // on garde celles dont le centre administratif (ou le centre) est dans la Région
+        const communes = relations
+            .filter(relation => relation.tags?.admin_level === '8')
+            .map(relation => ({ relation, feature: toFeature(relation, 'commune') }))
+            .filter(({ relation, feature }) => {
+                const [lng, lat] = getRepresentativePoint(relation, feature.geometry);
+                return isPointInGeometry(lat, lng, region.geometry);
+            })
+            .map(({ feature }) => feature)
+            .sort((a, b) => a.properties.name.localeCompare(b.properties.name, 'fr'));
+
+        if (communes.length !== EXPECTED_COMMUNES) {
+            throw new Error(`${communes.length} communes trouvées au lieu de ${EXPECTED_COMMUNES}: ` +
+                communes.map(feature => feature.properties.name).join(', '));
+        }
+
+        this.write([region, ...communes]);
+        return { region, communes };
+    }
+
+    /**
+     * 💾 Une feature par ligne (diffs lisibles)
+     */
+    write(features) {
+        const header = {
+            type: 'FeatureCollection',
+            source: this.inputFile ? `OpenStreetMap (export ${path.basename(this.inputFile)})` : 'OpenStreetMap (Overpass API)',
+            license: '© contributeurs OpenStreetMap, ODbL',
+            fetchedAt: new Date().toISOString()
+        };
+
+        const lines = features.map(feature => JSON.stringify(feature));
+        const content = `${JSON.stringify(header).slice(0, -1)},"features":[\n${lines.join(',\n')}\n]}\n`;
+
+        fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+        fs.writeFileSync(this.outputFile, content);
+
+        console.log(`\n✅ ${features.length - 1} communes + Région → ${path.relative(process.cwd(), this.outputFile)}`);
+        features.forEach(feature => {
+            const points = feature.geometry.coordinates.flat(feature.geometry.type === 'MultiPolygon' ? 2 : 1).length;
+            console.log(`   ${feature.properties.name}: ${points} sommets`);
+        });
+    }
+}
+
+/**
+ * 🧩 Relation OSM (out geom) → Feature Polygon / MultiPolygon
+ */
+function toFeature(relation, kind) {
+    const waysByRole = { outer: [], inner: [] };
+
+    (relation.members || [])
+        .filter(member => member.type === 'way' && member.geometry && (member.role === 'outer' || member.role === 'inner'))
+        .forEach(member => {
+            waysByRole[member.role].push(member.geometry.map(point => [
+                roundCoordinate(point.lon),
+                roundCoordinate(point.lat)
+            ]));
+        });
+
+    const outers = assembleRings(waysByRole.outer, relation.id);
+    const inners = assembleRings(waysByRole.inner, relation.id);
+
+    // Chaque trou rejoint l'anneau extérieur qui contient son premier sommet
+    const polygons = outers.map(outer => [outer]);
+    inners.forEach(inner => {
+        const [lng, lat] = inner[0];
+        const polygon = polygons.find(([outer]) => isPointInGeometry(lat, lng, { type: 'Polygon', coordinates: [outer] }));
+        if (polygon) polygon.push(inner);
+    });
+
+    const tags = relation.tags || {};
+    return {
+        type: 'Feature',
+        properties: {
+            kind,
+            name: tags['name:fr'] || tags.name,
+            nameNl: tags['name:nl'] || null,
+            refIns: tags['ref:INS'] || null,
+            osmId: relation.id
+        },
+        geometry: polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons }
+    };
+}
+
+/**
+ * 🔗 Ways → anneaux fermés (raboutés par leurs extrémités, retournés si besoin)
+ */
+function assembleRings(ways, relationId) {
+    const pending = ways.filter(way => way.length > 1);
+    const rings = [];
+
+    while (pending.length > 0) {
+        let ring = pending.shift();
+
+        while (!samePoint(ring[0], ring[ring.length - 1])) {
+            const end = ring[ring.length - 1];
+            const index = pending.findIndex(way => samePoint(way[0], end) || samePoint(way[way.length - 1], end));
+            if (index === -1) {
+                throw new Error(`Anneau non fermé dans la relation ${relationId}`);
+            }
+
+            const [next] = pending.splice(index, 1);
+            const oriented = samePoint(next[0], end) ? next : [...next].reverse();
+            ring = ring.concat(oriented.slice(1));
+        }
+
+        rings.push(ring);
+    }
+
+    return rings;
+}
+
+/**
+ * 📍 Point représentatif : nœud admin_centre / label, sinon centre de l'emprise
+ */
+function getRepresentativePoint(relation, geometry) {
+    const node = (relation.members || []).find(member =>
+        member.type === 'node' && ['admin_centre', 'label'].includes(member.role) && Number.isFinite(member.lat));
+    if (node) return [node.lon, node.lat];
+
+    const points = (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates])
+        .flatMap(([outer]) => outer);
+    const lngs = points.map(([lng]) => lng).sort((a, b) => a - b);
+    const lats = points.map(([, lat]) => lat).sort((a, b) => a - b);
+    return [(lngs[0] + lngs[lngs.length - 1]) / 2, (lats[0] + lats[lats.length - 1]) / 2];
+}
+
+function samePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+function roundCoordinate(value) {
+    return Number(value.toFixed(COORDINATE_PRECISION));
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    console.log('🗺️ LIMITES DE BRUXELLES (OPENSTREETMAP) - 100% GRATUIT');
+    console.log('=====================================================');
+
+    if (hasFlag('--print-query')) {
+        console.log(BOUNDARIES_QUERY);
+        return;
+    }
+
+    try {
+        const fetcher = new BrusselsBoundariesFetcher({
+            inputFile: getFlagValue('--input'),
+            outputFile: getFlagValue('--output', BOUNDARIES_FILE)
+        });
+
+        await fetcher.run();
+
+        console.log('\n💡 Versionner le fichier, puis: npm run migrate:up (communes des lieux)');
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { BrusselsBoundariesFetcher, assembleRings, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,34 @@
+const { LEGACY_PLACE_TYPES, normalizePlaceType, getPlaceTypeInfo } = require('../common/placeTypes');
+const { isCuratedField } = require('../common/placeOverrides');
+
+/**
+ * 🏷️ MIGRATION 0001 : TYPES DE LIEUX LEGACY
+ *
+ * Les lieux importés avant placeTypes.js portent encore dog_parks,
+ * pet_stores ou dog_friendly_cafes (type et dogPlaceType) et les
+ * catégories de l'époque ("Parcs à chiens", "Cafés dog-friendly"...).
+ * Types ramenés au vocabulaire canonique, catégorie recalculée comme à
+ * l'import, sauf si elle est corrigée à la main (curatedFields).
+ */
+
+module.exports = {
+    description: 'Types de lieux legacy (dog_parks, pet_stores, dog_friendly_cafes) → types et catégories canoniques',
+    collection: 'brussels_places',
+
+    migrate(data) {
+        const updates = {};
+
+        ['type', 'dogPlaceType'].forEach(field => {
+            if (LEGACY_PLACE_TYPES[data[field]]) {
+                updates[field] = normalizePlaceType(data[field]);
+            }
+        });
+
+        const category = getPlaceTypeInfo(updates.type || data.type)?.displayName;
+        if (category && data.category !== category && !isCuratedField(data.curatedFields, 'category')) {
+            updates.category = category;
+        }
+
+        return Object.keys(updates).length > 0 ? updates : null;
+    }
+};
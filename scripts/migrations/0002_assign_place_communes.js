@@ -0,0 +1,27 @@
+const { findCommune, loadBoundaries } = require('../common/brusselsBoundaries');
+
+/**
+ * 🏘️ MIGRATION 0002 : COMMUNE DES LIEUX
+ *
+ * L'import renseigne désormais `commune` d'après la position (polygones des
+ * 19 communes, common/brusselsBoundaries.js). Les lieux déjà en base la
+ * reçoivent ici ; un lieu hors Région garde sa valeur actuelle.
+ *
+ * Exige les polygones des communes dans scripts/config/brusselsBoundaries.geojson :
+ * sans eux la migration échoue (et sera reprise) plutôt que de se marquer
+ * appliquée sans rien changer.
+ */
+
+module.exports = {
+    description: 'Commune des lieux déduite de leur position (polygones des communes)',
+    collection: 'brussels_places',
+
+    migrate(data) {
+        if (loadBoundaries().communes.length === 0) {
+            throw new Error('Aucun polygone de commune : npm run boundaries:fetch puis versionner le fichier');
+        }
+
+        const commune = findCommune(data.location?.latitude, data.location?.longitude);
+        return commune && commune !== data.commune ? { commune } : null;
+    }
+};
@@ -0,0 +1,388 @@
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { initializeFirebase } = require('../common/firebaseInit');
+const { getFlagValue, getPositionalArgs, hasFlag } = require('../common/cliArgs');
+const { DEFAULT_MAX_RETRIES, createBulkWriter, ImportProgress } = require('../common/bulkImport');
+const { formatDiffValue } = require('../common/placeDiff');
+require('dotenv').config();
+
+/**
+ * 🧱 MIGRATIONS FIRESTORE NUMÉROTÉES
+ *
+ * Chaque fichier NNNN_nom.js de ce dossier décrit une migration :
+ *   module.exports = {
+ *     description: '...',
+ *     collection: 'brussels_places',
+ *     migrate(data, id) → champs à mettre à jour, ou null si rien à changer
+ *   };
+ * Les migrations s'appliquent dans l'ordre des numéros ; la collection
+ * _migrations garde une trace de chacune (statut, dates, compteurs).
+ *
+ * - Lots : parcours paginé par id de document, écritures BulkWriter
+ * - Sauvegarde : chaque document est copié tel quel dans _backup_<migration>
+ *   avant sa mise à jour (restore <migration> le remet en place)
+ * - Reprise : le dernier document traité est enregistré après chaque lot ;
+ *   une migration interrompue repart de là au run suivant
+ * - --dry-run : compte et montre les changements sans rien écrire
+ *
+ * Usage :
+ *   node scripts/migrations/runMigrations.js status
+ *   node scripts/migrations/runMigrations.js up [--to 0001] [--dry-run] [--batch-size 500]
+ *   node scripts/migrations/runMigrations.js restore <migration> [--dry-run]
+ *
+ * Un seul runner à la fois : le statut "running" n'est pas un verrou.
+ *
+ * Coût : Firestore uniquement (une lecture par document, deux écritures par document modifié)
+ */
+
+const MIGRATIONS_COLLECTION = '_migrations';
+const MIGRATION_FILE_PATTERN = /^\d{4}_[\w-]+\.js$/;
+const DEFAULT_BATCH_SIZE = 500;
+const DRY_RUN_SAMPLES = 5;
+const VALUE_OPTIONS = ['--to', '--batch-size', '--max-retries'];
+
+/**
+ * 📂 Migrations du dossier, dans l'ordre des numéros
+ */
+function loadMigrations(directory = __dirname) {
+    return fs.readdirSync(directory)
+        .filter(file => MIGRATION_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(directory, file));
+
+            if (!migration.collection || typeof migration.migrate !== 'function') {
+                throw new Error(`Migration invalide: ${file} (collection et migrate(data) requis)`);
+            }
+
+            return { id: path.basename(file, '.js'), ...migration };
+        });
+}
+
+// "0001_normalize_legacy_place_types" ou "0001" → "0001"
+function getMigrationNumber(migrationId) {
+    return migrationId.split('_')[0];
+}
+
+function getBackupCollectionName(migrationId) {
+    return `_backup_${migrationId}`;
+}
+
+class MigrationRunner {
+    constructor(options = {}) {
+        this.firestore = admin.firestore();
+        this.registry = this.firestore.collection(MIGRATIONS_COLLECTION);
+        this.migrations = options.migrations || loadMigrations();
+        this.dryRun = options.dryRun || false;
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    }
+
+    /**
+     * 📋 État enregistré de chaque migration (Map id → document _migrations)
+     */
+    async getRecords() {
+        const snapshot = await this.registry.get();
+        const records = new Map();
+
+        snapshot.docs.forEach(doc => records.set(doc.id, doc.data()));
+        return records;
+    }
+
+    /**
+     * 📋 Statut de toutes les migrations
+     */
+    async status() {
+        const records = await this.getRecords();
+
+        console.log(`\n🧱 MIGRATIONS (${this.migrations.length})`);
+        console.log('='.repeat(50));
+
+        this.migrations.forEach(migration => {
+            const record = records.get(migration.id);
+            const labels = {
+                applied: `✅ appliquée le ${record?.finishedAt?.toDate?.().toLocaleString('fr-BE')}`,
+                running: `⏳ interrompue (reprise après ${record?.lastDocId || 'le début'})`,
+                failed: `❌ échec: ${record?.error || 'voir les erreurs'} (reprise après ${record?.lastDocId || 'le début'})`,
+                rolled_back: '↩️ restaurée depuis la sauvegarde'
+            };
+
+            console.log(`\n${migration.id} - ${record ? labels[record.status] : '⏸️ en attente'}`);
+            console.log(`   ${migration.description || ''} (${migration.collection})`);
+            if (record?.stats) {
+                console.log(`   📊 modifiés: ${record.stats.updated}, inchangés: ${record.stats.unchanged}, erreurs: ${record.stats.errors}`);
+            }
+        });
+    }
+
+    /**
+     * ⬆️ Application des migrations en attente (jusqu'à --to)
+     */
+    async up(target = null) {
+        const records = await this.getRecords();
+        const pending = this.migrations.filter(migration =>
+            records.get(migration.id)?.status !== 'applied' && (!target || getMigrationNumber(migration.id) <= getMigrationNumber(target))
+        );
+
+        if (pending.length === 0) {
+            console.log('✅ Aucune migration en attente');
+            return [];
+        }
+
+        const results = [];
+        for (const migration of pending) {
+            const stats = await this.apply(migration, records.get(migration.id));
+            results.push({ id: migration.id, stats });
+
+            if (stats.errors > 0) {
+                console.log(`\n⚠️ ${migration.id}: ${stats.errors} erreurs, migrations suivantes non lancées`);
+                break;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 🔁 Application d'une migration, lot par lot
+     */
+    async apply(migration, record = null) {
+        const collection = this.firestore.collection(migration.collection);
+        const backup = this.firestore.collection(getBackupCollectionName(migration.id));
+        const recordRef = this.registry.doc(migration.id);
+        const resuming = record && (record.status === 'running' || record.status === 'failed');
+
+        const stats = resuming && record.stats
+            ? { ...record.stats, retries: 0 }
+            : { scanned: 0, updated: 0, unchanged: 0, errors: 0, retries: 0 };
+        let lastDocId = resuming ? record.lastDocId || null : null;
+
+        console.log(`\n🧱 ${migration.id}${this.dryRun ? ' (simulation)' : ''}`);
+        console.log(`   ${migration.description || ''}`);
+        if (lastDocId) console.log(`   ⏩ Reprise après ${lastDocId}`);
+
+        if (!this.dryRun) {
+            await recordRef.set({
+                description: migration.description || null,
+                collection: migration.collection,
+                backupCollection: backup.id,
+                status: 'running',
+                startedAt: resuming ? record.startedAt : admin.firestore.FieldValue.serverTimestamp(),
+                finishedAt: null,
+                appliedBy: process.env.USER || null,
+                lastDocId,
+                stats,
+                error: null
+            });
+        }
+
+        const total = (await collection.count().get()).data().count;
+        const writer = this.dryRun ? null : createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats });
+        const progress = new ImportProgress(total, 'documents');
+        const samples = [];
+
+        try {
+            while (true) {
+                let query = collection.orderBy(admin.firestore.FieldPath.documentId()).limit(this.batchSize);
+                if (lastDocId) query = query.startAfter(lastDocId);
+
+                const snapshot = await query.get();
+                if (snapshot.empty) break;
+
+                const changes = [];
+                snapshot.docs.forEach(doc => {
+                    const updates = migration.migrate(doc.data(), doc.id);
+                    stats.scanned++;
+
+                    if (!updates || Object.keys(updates).length === 0) {
+                        stats.unchanged++;
+                        return;
+                    }
+
+                    changes.push({ doc, updates });
+                });
+
+                if (this.dryRun) {
+                    stats.updated += changes.length;
+                    changes.slice(0, DRY_RUN_SAMPLES - samples.length).forEach(change => samples.push(change));
+                } else {
+                    await this.writeBatch(writer, backup, changes, stats);
+                }
+
+                lastDocId = snapshot.docs[snapshot.docs.length - 1].id;
+                if (!this.dryRun) await recordRef.update({ lastDocId, stats });
+                progress.tick(snapshot.size);
+            }
+
+            if (writer) await writer.close();
+
+        } catch (error) {
+            if (!this.dryRun) {
+                await recordRef.update({ status: 'failed', error: error.message, lastDocId, stats });
+            }
+            throw error;
+        }
+
+        if (!this.dryRun) {
+            await recordRef.update({
+                status: stats.errors > 0 ? 'failed' : 'applied',
+                finishedAt: stats.errors > 0 ? null : admin.firestore.FieldValue.serverTimestamp(),
+                error: stats.errors > 0 ? `${stats.errors} écritures en échec` : null,
+                stats
+            });
+        }
+
+        this.printStats(stats, samples);
+        return stats;
+    }
+
+    /**
+     * 💾 Sauvegarde puis mise à jour d'un lot
+     * Un document dont la sauvegarde échoue n'est pas modifié
+     */
+    async writeBatch(writer, backup, changes, stats) {
+        const failedBackups = new Set();
+
+        changes.forEach(({ doc }) => {
+            writer.set(backup.doc(doc.id), doc.data()).catch(() => failedBackups.add(doc.id));
+        });
+        await writer.flush();
+
+        changes.forEach(({ doc, updates }) => {
+            if (failedBackups.has(doc.id)) {
+                stats.errors++;
+                return;
+            }
+
+            writer.update(doc.ref, updates).then(() => stats.updated++, error => {
+                stats.errors++;
+                console.warn(`⚠️ Erreur écriture ${doc.id}: ${error.message}`);
+            });
+        });
+        await writer.flush();
+    }
+
+    /**
+     * ↩️ Remise en place des documents sauvegardés par une migration
+     */
+    async restore(migrationId) {
+        const recordRef = this.registry.doc(migrationId);
+        const record = await recordRef.get();
+
+        if (!record.exists) {
+            throw new Error(`Migration jamais appliquée: ${migrationId}`);
+        }
+
+        const { collection: collectionName, backupCollection } = record.data();
+        const collection = this.firestore.collection(collectionName);
+        const backup = this.firestore.collection(backupCollection);
+        const stats = { restored: 0, errors: 0, retries: 0 };
+        const writer = this.dryRun ? null : createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats });
+        let lastDoc = null;
+
+        console.log(`\n↩️ RESTAURATION ${migrationId}: ${backupCollection} → ${collectionName}${this.dryRun ? ' (simulation)' : ''}`);
+
+        while (true) {
+            let query = backup.orderBy(admin.firestore.FieldPath.documentId()).limit(this.batchSize);
+            if (lastDoc) query = query.startAfter(lastDoc);
+
+            const snapshot = await query.get();
+            if (snapshot.empty) break;
+
+            snapshot.docs.forEach(doc => {
+                if (this.dryRun) {
+                    stats.restored++;
+                    return;
+                }
+
+                writer.set(collection.doc(doc.id), doc.data()).then(() => stats.restored++, () => stats.errors++);
+            });
+
+            if (writer) await writer.flush();
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        if (writer) await writer.close();
+
+        if (!this.dryRun && stats.errors === 0) {
+            await recordRef.update({ status: 'rolled_back', lastDocId: null, finishedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+
+        console.log(`   ✅ ${this.dryRun ? 'À restaurer' : 'Restaurés'}: ${stats.restored}`);
+        console.log(`   ❌ Erreurs: ${stats.errors}`);
+        return stats;
+    }
+
+    /**
+     * 📊 Compteurs (et exemples de changements en simulation)
+     */
+    printStats(stats, samples) {
+        console.log(`   ✅ ${this.dryRun ? 'À modifier' : 'Modifiés'}: ${stats.updated}`);
+        console.log(`   ⏸️  Inchangés: ${stats.unchanged}`);
+        console.log(`   ❌ Erreurs: ${stats.errors} (relances: ${stats.retries})`);
+
+        samples.forEach(({ doc, updates }) => {
+            const data = doc.data();
+            const fields = Object.entries(updates)
+                .map(([field, value]) => `${field}: ${formatDiffValue(data[field], 30)} → ${formatDiffValue(value, 30)}`)
+                .join(', ');
+            console.log(`   🔍 ${doc.id}: ${fields}`);
+        });
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    const [command, migrationId] = getPositionalArgs(VALUE_OPTIONS);
+    const usage = 'Usage: node scripts/migrations/runMigrations.js status | up [--to 0001] [--dry-run] | restore <migration> [--dry-run]';
+
+    if (!['status', 'up', 'restore'].includes(command) || (command === 'restore' && !migrationId)) {
+        console.log(usage);
+        process.exit(1);
+    }
+
+    try {
+        initializeFirebase();
+
+        const runner = new MigrationRunner({
+            dryRun: hasFlag('--dry-run'),
+            batchSize: parseInt(getFlagValue('--batch-size', DEFAULT_BATCH_SIZE), 10),
+            maxRetries: parseInt(getFlagValue('--max-retries', DEFAULT_MAX_RETRIES), 10)
+        });
+
+        switch (command) {
+            case 'status':
+                await runner.status();
+                break;
+
+            case 'up': {
+                const results = await runner.up(getFlagValue('--to'));
+                if (results.some(result => result.stats.errors > 0)) {
+                    process.exit(1);
+                }
+                console.log(`\n🎉 ${runner.dryRun ? 'SIMULATION TERMINÉE' : 'MIGRATIONS APPLIQUÉES'}`);
+                break;
+            }
+
+            case 'restore': {
+                const stats = await runner.restore(migrationId);
+                if (stats.errors > 0) process.exit(1);
+                break;
+            }
+        }
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { MigrationRunner, loadMigrations, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,179 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { getFlagValue, hasFlag } = require('../common/cliArgs');
+const {
+    OVERPASS_URL,
+    OVERPASS_TIMEOUT_SECONDS,
+    buildOverpassQuery,
+    loadOsmFile,
+    getOsmPlaceType,
+    getDogAccess,
+    isDogPlaceElement
+} = require('../common/osmPlaces');
+
+/**
+ * 🗺️ FETCH DES LIEUX POUR CHIENS OPENSTREETMAP - 100% GRATUIT
+ *
+ * Une requête Overpass sur la zone du profil de recherche par défaut
+ * (config/searchProfiles.json) : leisure=dog_park, amenity=veterinary,
+ * shop=pet et lieux nommés portant un tag dog=* (yes, leashed, no...).
+ * Sortie data/osm_export.json (format Overpass JSON), fusionnée avec les
+ * autres sources par resolvePlaces.js.
+ *
+ * Usage : node fetchOsmPlaces.js [--input export.osm|export.json] [--output fichier] [--print-query]
+ *   --input : export local (Overpass JSON ou XML .osm), aucun appel réseau
+ *
+ * Coût : 0€ - Overpass API publique (usage raisonnable : un run par jour au plus)
+ */
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const PROFILES_FILE = path.join(__dirname, 'config', 'searchProfiles.json');
+const DEFAULT_OUTPUT = 'osm_export.json';
+const MAX_ATTEMPTS = 2;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRY_DELAY_MS = 30000;
+
+class OsmPlaceFetcher {
+    constructor(options = {}) {
+        this.bounds = options.bounds || JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8')).defaults.bounds;
+        this.inputFile = options.inputFile || null;
+        this.outputFile = options.outputFile || DEFAULT_OUTPUT;
+        this.stats = {
+            elements: 0,
+            kept: 0,
+            byType: {},
+            byDogAccess: {},
+            startTime: Date.now()
+        };
+    }
+
+    /**
+     * 🌐 Requête Overpass (relance unique si le serveur est saturé)
+     */
+    async fetchFromOverpass() {
+        const query = buildOverpassQuery(this.bounds);
+
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            try {
+                console.log(`🌐 Requête Overpass (tentative ${attempt}/${MAX_ATTEMPTS})...`);
+                const response = await axios.post(OVERPASS_URL, query, {
+                    headers: { 'Content-Type': 'text/plain', 'User-Agent': 'DogPlacesBrussels/1.0' },
+                    timeout: (OVERPASS_TIMEOUT_SECONDS + 30) * 1000
+                });
+
+                return response.data.elements || [];
+
+            } catch (error) {
+                const status = error.response?.status;
+                if (attempt === MAX_ATTEMPTS || !RETRYABLE_STATUSES.includes(status)) {
+                    throw new Error(`Overpass indisponible (${status || error.message})`);
+                }
+
+                console.log(`⏳ Overpass saturé (${status}), nouvelle tentative dans ${RETRY_DELAY_MS / 1000}s...`);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * 🗺️ Récupération (Overpass ou export local) et écriture de data/osm_export.json
+     */
+    async run() {
+        const elements = this.inputFile
+            ? loadOsmFile(this.inputFile)
+            : await this.fetchFromOverpass();
+
+        if (this.inputFile) {
+            console.log(`📂 Export local: ${this.inputFile}`);
+        }
+
+        const kept = elements.filter(isDogPlaceElement);
+        this.stats.elements = elements.length;
+        this.stats.kept = kept.length;
+
+        kept.forEach(element => {
+            const type = getOsmPlaceType(element.tags);
+            const access = getDogAccess(element.tags);
+            this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+            if (access) {
+                this.stats.byDogAccess[access.dog] = (this.stats.byDogAccess[access.dog] || 0) + 1;
+            }
+        });
+
+        const outputPath = path.isAbsolute(this.outputFile) ? this.outputFile : path.join(DATA_DIR, this.outputFile);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            source: this.inputFile ? `OpenStreetMap (export ${path.basename(this.inputFile)})` : 'OpenStreetMap (Overpass API)',
+            bounds: this.bounds,
+            totalElements: kept.length,
+            elements: kept
+        }, null, 2));
+
+        this.printReport(outputPath);
+        return kept;
+    }
+
+    /**
+     * 📊 Rapport
+     */
+    printReport(outputPath) {
+        const duration = Math.round((Date.now() - this.stats.startTime) / 1000);
+
+        console.log('\n📊 RAPPORT OSM');
+        console.log('==============');
+        console.log(`📥 Éléments reçus: ${this.stats.elements}`);
+        console.log(`✅ Lieux gardés: ${this.stats.kept}`);
+
+        console.log('\n🏷️ TYPES:');
+        Object.entries(this.stats.byType).forEach(([type, count]) => {
+            console.log(`   ${type}: ${count}`);
+        });
+
+        console.log('\n🐕 ACCÈS DES CHIENS (dog=*):');
+        Object.entries(this.stats.byDogAccess).forEach(([dog, count]) => {
+            console.log(`   ${dog}: ${count}`);
+        });
+
+        console.log(`\n⏱️ Durée: ${duration}s`);
+        console.log(`💾 Fichier: ${path.relative(process.cwd(), outputPath)}`);
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    console.log('🗺️ FETCH LIEUX OPENSTREETMAP - 100% GRATUIT');
+    console.log('===========================================');
+
+    try {
+        const fetcher = new OsmPlaceFetcher({
+            inputFile: getFlagValue('--input'),
+            outputFile: getFlagValue('--output', DEFAULT_OUTPUT)
+        });
+
+        if (hasFlag('--print-query')) {
+            console.log(buildOverpassQuery(fetcher.bounds));
+            return;
+        }
+
+        await fetcher.run();
+
+        console.log('\n💡 Prochaine étape: npm run resolve:places');
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { OsmPlaceFetcher, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
@@ -2,31 +2,137 @@ const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
 const { initializeFirebase } = require('../common/firebaseInit');
+const { getPlaceTypeInfo, normalizePlaceType } = require('../common/placeTypes');
+const { scoreDogFriendliness } = require('../common/dogFriendliness');
+const { extractDogMentions, summarizeDogMentions } = require('../common/reviewMentions');
+const { getPlaceSchedule } = require('../common/openingHours');
+const { getGeohashFields } = require('../common/geohash');
+const { getDogAccess } = require('../common/osmPlaces');
+const { diffPlaceFields, getPath } = require('../common/placeDiff');
+const { OVERRIDES_COLLECTION, setPath, applyOverride, isCuratedField, loadOverrides } = require('../common/placeOverrides');
+const { getFlagValue, hasFlag } = require('../common/cliArgs');
+const { MANUAL_SOURCE, readPlaceFile } = require('../common/placeFileReaders');
+const { validatePlace } = require('../common/placeSchema');
+const { generatePlaceSearchAddress } = require('../common/searchTerms');
+const { findCommune, loadBoundaries } = require('../common/brusselsBoundaries');
+const { findCommuneInAddress } = require('../common/postalCodes');
+const { normalizeName, normalizeBelgianPhone, canonicalizeUrl } = require('../common/dataFixers');
+const { getMergeFills } = require('../common/placeDuplicates');
+const {
+    READ_CHUNK_SIZE,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    createBulkWriter,
+    getAllDocuments,
+    chunkArray,
+    mapWithConcurrency,
+    ImportProgress
+} = require('../common/bulkImport');
+const {
+    getUpdateTime,
+    createPlan,
+    writePlan,
+    loadPlan,
+    verifyPlan,
+    printPlanSummary
+} = require('../common/importPlan');
 require('dotenv').config();
 
 /**
  * 📥 IMPORT DE LIEUX EN BATCH FIRESTORE
  *
- * Importe les lieux pour chiens récupérés par fetchGooglePlaces.js
- * dans la collection Firestore 'brussels_places'
+ * Importe les lieux pour chiens récupérés par placeSearchEngine.js
+ * (data/dog_places.json) dans la collection Firestore 'brussels_places'
+ *
+ * Lectures getAll par paquets, écritures via BulkWriter (relance sur
+ * contention), débit et ETA affichés. Options : --concurrency 4, --max-retries 5
+ *
+ * --plan [fichier.json] : calcule créations, mises à jour (diff), lieux
+ * inchangés et désactivations sans rien écrire (scripts/data/plans/ par défaut)
+ * --apply fichier.json : exécute exactement ce plan, refusé si la collection
+ * a changé depuis (voir scripts/common/importPlan.js)
+ *
+ * Chaque création ou modification est historisée dans la sous-collection
+ * brussels_places/{id}/history (diff champ par champ, id du run) :
+ * voir placeHistory.js pour la timeline d'un lieu
+ *
+ * Cycle de vie : chaque lieu vu porte lastSeenAt / missedRuns. Un lieu
+ * CLOSED_PERMANENTLY est désactivé tout de suite ; un lieu absent de
+ * plusieurs runs complets (délai de grâce : --grace-runs, --grace-days)
+ * est désactivé avec closedReason 'not_seen' ; il est réactivé s'il revient.
+ *
+ * Corrections manuelles : les documents de brussels_places_overrides sont
+ * appliqués par-dessus les données récupérées (voir placeOverrides.js pour
+ * les règles de priorité) ; les champs corrigés sont listés dans curatedFields.
+ *
+ * Multi-sources : data/resolved_places.json (resolvePlaces.js) apporte
+ * sourceIds et provenance ; un fichier Google seul donne sourceIds.googlePlaceId.
+ *
+ * Fichiers partenaires : --input liste.csv|.geojson|.kml [--mapping fichier.json]
+ * (voir scripts/common/placeFileReaders.js) ; lignes invalides listées et
+ * écartées, lieux importés avec source 'Manual', sans balayage des disparus.
  *
  * Coût : Firestore uniquement (pas d'API externe)
  */
 
+const DEFAULT_MAPPING_FILE = path.join(__dirname, 'config', 'manualImportMapping.json');
+const MAX_ROW_ERRORS_SHOWN = 50;
+const MAX_INVALID_PLACES_SHOWN = 20;
+
+// Sorties des anciens fetchers, plus écrites : jamais auto-détectées
+const LEGACY_PLACE_FILES = ['brussels_places.json', 'enhanced_dog_places.json'];
+
+// Délai de grâce par défaut avant de désactiver un lieu disparu
+const DEFAULT_GRACE_RUNS = 3;
+const DEFAULT_GRACE_DAYS = 14;
+
+const CLOSED_REASONS = {
+    CLOSED_PERMANENTLY: 'closed_permanently',
+    NOT_SEEN: 'not_seen',
+    CURATED: 'curated'
+};
+
 class PlaceImporter {
-    constructor() {
+    constructor(options = {}) {
         this.firestore = admin.firestore();
-        this.BATCH_SIZE = 500; // Limite max Firestore
+        this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+        this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
         this.COLLECTION_NAME = 'brussels_places';
+        this.HISTORY_COLLECTION = 'history';
+        this.runStartedAt = new Date();
+        this.runId = `import_${this.runStartedAt.toISOString().replace(/[:.]/g, '-')}`;
+        this.graceRuns = options.graceRuns ?? DEFAULT_GRACE_RUNS;
+        this.graceDays = options.graceDays ?? DEFAULT_GRACE_DAYS;
+        this.sweep = options.sweep !== false;
+        this.fileMetadata = {};
+        this.sourceFile = null;
+        this.importedTypes = new Set();
+        this.seenIds = new Set();
+        this.overrides = new Map();
+        this.rowErrors = [];
+        this.invalidPlaces = [];
 
         this.stats = {
             total: 0,
             processed: 0,
             saved: 0,
             updated: 0,
-            skipped: 0,
+            invalid: 0,   // Écartés par le schéma
+            repeated: 0,  // place_id répétés dans le fichier (première occurrence gardée)
+            unchanged: 0, // Inchangés (seule la dernière observation est écrite)
             errors: 0,
+            schemaWarnings: 0,
             byCategory: {},
+            changedFields: {},
+            closed: 0,
+            reactivated: 0,
+            missed: 0,
+            retired: 0,
+            curated: 0,
+            dogFriendly: 0,
+            notDogFriendly: 0,
+            retries: 0,
+            throughput: 0,
             startTime: Date.now()
         };
     }
@@ -61,15 +167,19 @@ class PlaceImporter {
             throw new Error('Format de fichier invalide - lieux manquants');
         }
 
+        this.fileMetadata = data.metadata || {};
+        this.sourceFile = filename;
+
         console.log(`✅ ${places.length} lieux chargés`);
         console.log(`📊 Source: ${data.source || data.metadata?.source || 'Inconnue'}`);
         console.log(`📅 Récupérés le: ${data.timestamp || data.metadata?.fetchedAt || 'Inconnu'}`);
         console.log(`💰 Coût API estimé: ${data.metadata?.apiCostEstimate || 'Variable'}`);
 
         // Afficher les types de lieux (nouveau format)
-        if (data.placesByType) {
+        const placesByType = data.metadata?.placesByType || data.placesByType;
+        if (placesByType) {
             console.log('\n🏷️ TYPES DE LIEUX TROUVÉS:');
-            Object.entries(data.placesByType).forEach(([type, count]) => {
+            Object.entries(placesByType).forEach(([type, count]) => {
                 console.log(`   ${type}: ${count} lieux`);
             });
         }
@@ -84,8 +194,44 @@ class PlaceImporter {
         return places;
     }
 
+    /**
+     * 📄 Fichier partenaire (CSV, GeoJSON, KML) via le fichier de correspondance
+     * Liste partielle : les lieux absents du fichier ne sont pas balayés
+     */
+    loadManualFile(filePath, mappingFile = DEFAULT_MAPPING_FILE) {
+        const resolvedPath = path.resolve(filePath);
+
+        if (!fs.existsSync(resolvedPath)) {
+            throw new Error(`Fichier non trouvé: ${resolvedPath}`);
+        }
+
+        console.log(`📂 Chargement du fichier: ${resolvedPath}`);
+        console.log(`🗂️ Correspondance: ${path.relative(process.cwd(), path.resolve(mappingFile))}`);
+
+        const { places, errors, total } = readPlaceFile(resolvedPath, mappingFile);
+
+        this.fileMetadata = { partial: true, source: `${MANUAL_SOURCE} (${path.basename(resolvedPath)})` };
+        this.sourceFile = path.basename(resolvedPath);
+        this.rowErrors = errors;
+
+        console.log(`✅ ${places.length}/${total} lieux valides`);
+
+        if (errors.length > 0) {
+            console.log(`\n❌ ${errors.length} LIGNES ÉCARTÉES:`);
+            errors.slice(0, MAX_ROW_ERRORS_SHOWN).forEach(error => {
+                console.log(`   ${error.label}: ${error.messages.join(', ')}`);
+            });
+            if (errors.length > MAX_ROW_ERRORS_SHOWN) {
+                console.log(`   ... et ${errors.length - MAX_ROW_ERRORS_SHOWN} autres`);
+            }
+        }
+
+        return places;
+    }
+
     /**
      * 🔍 Auto-détection du fichier le plus récent
+     * Les anciennes sorties des fetchers (LEGACY_PLACE_FILES) sont ignorées
      */
     findMostRecentPlacesFile() {
         const dataDir = path.join(__dirname, '../../data');
@@ -94,8 +240,13 @@ class PlaceImporter {
             throw new Error('Dossier data/ non trouvé');
         }
 
-        const placeFiles = fs.readdirSync(dataDir)
-            .filter(file => file.includes('places') && file.endsWith('.json'))
+        const candidates = fs.readdirSync(dataDir).filter(file => file.includes('places') && file.endsWith('.json'));
+        candidates
+            .filter(file => LEGACY_PLACE_FILES.includes(file))
+            .forEach(file => console.log(`⏭️ Ignoré (ancienne sortie, plus écrite par les fetchers): ${file}`));
+
+        const placeFiles = candidates
+            .filter(file => !LEGACY_PLACE_FILES.includes(file))
             .map(file => {
                 const filePath = path.join(dataDir, file);
                 const stats = fs.statSync(filePath);
@@ -119,11 +270,6 @@ class PlaceImporter {
      * 🔧 Préparation des données pour Firestore
      */
     preparePlaceForFirestore(place) {
-        // Validation des données obligatoires
-        if (!place.place_id || !place.name || !place.geometry?.location) {
-            throw new Error(`Données obligatoires manquantes: ${place.name || 'Lieu sans nom'}`);
-        }
-
         // Génération de l'adresse de recherche
         const searchAddress = this.generateSearchAddress(place);
 
@@ -132,219 +278,522 @@ class PlaceImporter {
         const latitude = parseFloat(location.lat || location.latitude);
         const longitude = parseFloat(location.lng || location.longitude);
 
+        // Types historiques (dog_parks, pet_stores...) ramenés au vocabulaire canonique
+        const dogPlaceType = normalizePlaceType(place.dogPlaceType || place.type);
+
+        // Score dog-friendly et preuves (types, nom, avis, tags OSM)
+        const dogFriendliness = scoreDogFriendliness(place);
+
+        // Horaires structurés (periods, weekday_text ou OSM) pour le filtre "ouvert maintenant"
+        const schedule = getPlaceSchedule(place);
+
+        // Mêmes normalisations que validatePlaces --fix (valeur brute gardée si non reconnue)
+        const phone = place.formatted_phone_number || place.phone || null;
+        const website = place.website || null;
+
+        const data = {
+            // Identifiants
+            place_id: place.place_id,
+            name: normalizeName(place.name || ''),
+            type: dogPlaceType,
+            category: this.getCategoryFromType(dogPlaceType),
+            sourceIds: place.sourceIds || { googlePlaceId: place.place_id, osmId: null, foursquareId: null },
+            provenance: place.provenance || null, // Fournisseur retenu par champ (resolvePlaces.js)
+
+            // Géolocalisation
+            location: {
+                latitude: latitude,
+                longitude: longitude
+            },
+
+            // Adresse
+            address: place.formatted_address || place.address || '',
+            searchAddress,
+
+            // Contact
+            phone: normalizeBelgianPhone(phone) || phone,
+            website: canonicalizeUrl(website) || website,
+
+            // Évaluations
+            rating: place.rating || null,
+            ratingsCount: place.user_ratings_total || place.ratingsCount || 0,
+
+            // Informations pratiques
+            openingHours: place.opening_hours?.weekday_text || place.openingHours || [],
+            hours: schedule ? schedule.hours : [],
+            hoursMeta: schedule
+                ? { is24_7: schedule.is24_7, publicHolidays: schedule.publicHolidays, source: schedule.source }
+                : null,
+            priceLevel: place.price_level || place.priceLevel || null,
+
+            // Médias
+            photos: this.preparePhotos(place.photos),
+
+            // Métadonnées spécifiques aux lieux pour chiens
+            dogPlaceType,
+            searchQuery: place.searchQuery || null,
+            source: place.source || 'Google Places API - Enhanced Search',
+            businessStatus: place.business_status || null,
+            isActive: place.business_status !== 'CLOSED_PERMANENTLY',
+            closedReason: place.business_status === 'CLOSED_PERMANENTLY' ? CLOSED_REASONS.CLOSED_PERMANENTLY : null,
+            lastSeenAt: this.runStartedAt,
+            lastSeenRunId: this.runId,
+            missedRuns: 0,
+            isDogFriendly: dogFriendliness.isDogFriendly,
+            metadata: {
+                dogFriendlyScore: dogFriendliness.score,
+                dogFriendlyEvidence: dogFriendliness.evidence,
+                reviews: this.prepareReviews(place.reviews),
+                dogMentions: summarizeDogMentions(place.reviews || []),
+                dogAccess: place.osmTags ? getDogAccess(place.osmTags) : null // Tag OSM dog=* (admis, laisse)
+            },
+            lastFetched: place.lastFetched ? new Date(place.lastFetched) : new Date(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        // Schéma, commune et geohash après les corrections (la position peut être corrigée)
+        const curated = this.applyCuration(place.place_id, data);
+        const validation = validatePlace(curated);
+        const commune = findCommune(curated.location.latitude, curated.location.longitude) ||
+            findCommuneInAddress(curated.address); // Hors des polygones : code postal de l'adresse
+
         return {
             id: place.place_id, // Google Place ID
-            data: {
-                // Identifiants
-                place_id: place.place_id,
-                name: place.name.trim(),
-                type: place.dogPlaceType || place.type || 'unknown',
-                category: this.getCategoryFromType(place.dogPlaceType || place.type),
-
-                // Géolocalisation
-                location: {
-                    latitude: latitude,
-                    longitude: longitude
-                },
-
-                // Adresse
-                address: place.formatted_address || place.address || '',
-                searchAddress,
-
-                // Contact
-                phone: place.formatted_phone_number || place.phone || null,
-                website: place.website || null,
-
-                // Évaluations
-                rating: place.rating || null,
-                ratingsCount: place.user_ratings_total || place.ratingsCount || 0,
-
-                // Informations pratiques
-                openingHours: place.opening_hours?.weekday_text || place.openingHours || [],
-                priceLevel: place.price_level || place.priceLevel || null,
-
-                // Médias
-                photos: place.photos || [],
-
-                // Métadonnées spécifiques aux lieux pour chiens
-                dogPlaceType: place.dogPlaceType || 'unknown',
-                searchQuery: place.searchQuery || null,
-                source: place.source || 'Google Places API - Enhanced Search',
-                isActive: true,
-                isDogFriendly: this.isDogFriendlyByType(place.dogPlaceType),
-                lastFetched: place.lastFetched ? new Date(place.lastFetched) : new Date(),
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            }
+            data: validation.success
+                ? { ...curated, commune, ...getGeohashFields(curated.location) }
+                : { ...curated, commune },
+            validation
         };
     }
 
     /**
-     * 🏷️ Catégorie basée sur le type de lieu pour chiens
+     * ✍️ Corrections manuelles par-dessus les données récupérées
+     * (priorité : correction > données récupérées > valeurs calculées)
      */
-    getCategoryFromType(dogPlaceType) {
-        const categoryMap = {
-            'dog_park': 'Parc canin',
-            'general_park': 'Parc public',
-            'veterinary': 'Vétérinaire',
-            'dog_friendly_restaurant': 'Restaurant dog-friendly'
+    applyCuration(placeId, data) {
+        const override = this.overrides.get(placeId);
+        if (!override) return { ...data, curatedFields: [], curation: null };
+
+        const { data: curated, curatedFields, ignoredFields } = applyOverride(data, override);
+
+        if (ignoredFields.length > 0) {
+            console.warn(`⚠️ Corrections ignorées pour ${data.name} (champs non corrigeables): ${ignoredFields.join(', ')}`);
+        }
+
+        // Champs dérivés d'un champ corrigé, sauf s'ils sont corrigés eux-mêmes
+        if (curatedFields.includes('type')) {
+            curated.type = normalizePlaceType(curated.type);
+            curated.dogPlaceType = curated.type;
+            if (!curatedFields.includes('category')) {
+                curated.category = this.getCategoryFromType(curated.type);
+            }
+        }
+        if (curatedFields.includes('isActive') && !curatedFields.includes('closedReason')) {
+            curated.closedReason = curated.isActive ? null : CLOSED_REASONS.CURATED;
+        }
+
+        this.stats.curated++;
+
+        return {
+            ...curated,
+            curatedFields,
+            curation: {
+                reason: override.reason || null,
+                updatedBy: override.updatedBy || null
+            }
         };
-        return categoryMap[dogPlaceType] || 'Lieu pour chiens';
     }
 
     /**
-     * 🐕 Détermine si le lieu est dog-friendly selon son type
+     * 📂 Chargement des corrections manuelles (avant tout calcul)
      */
-    isDogFriendlyByType(dogPlaceType) {
-        return ['dog_park', 'veterinary', 'dog_friendly_restaurant'].includes(dogPlaceType) ||
-               dogPlaceType === 'general_park'; // Les parcs généraux sont généralement accessibles aux chiens
+    async loadPlaceOverrides() {
+        this.overrides = await loadOverrides(this.firestore);
+        console.log(`✍️ ${this.overrides.size} lieux avec corrections manuelles (${OVERRIDES_COLLECTION})`);
     }
 
     /**
-     * 🔍 Génération d'adresse de recherche
+     * 🖼️ Photos stockées par processPlacePhotos.js : référence, attributions
+     * et chemins de stockage uniquement (jamais d'URL portant la clé API)
      */
-    generateSearchAddress(place) {
-        const terms = [];
-
-        if (place.name) {
-            terms.push(place.name.toLowerCase());
-        }
-
-        if (place.address) {
-            // Extraire commune et rue de l'adresse
-            const addressParts = place.address.split(',');
-            addressParts.forEach(part => {
-                const cleaned = part.trim().toLowerCase();
-                if (cleaned.length > 2) {
-                    terms.push(cleaned);
-                }
-            });
-        }
+    preparePhotos(photos = []) {
+        return (photos || []).map(photo => {
+            const prepared = {
+                reference: photo.reference || photo.photo_reference || null,
+                width: photo.width || null,
+                height: photo.height || null,
+                html_attributions: photo.html_attributions || []
+            };
+
+            if (photo.storagePaths) prepared.storagePaths = photo.storagePaths;
+            if (photo.url && !/[?&]key=/.test(photo.url)) prepared.url = photo.url;
+
+            return prepared;
+        });
+    }
 
-        if (place.category) {
-            terms.push(place.category.toLowerCase());
-        }
+    /**
+     * 💬 Avis Google → Review (src/types/DataAcquisition.ts), avec les
+     * sujets chiens repérés dans chaque avis
+     */
+    prepareReviews(reviews = []) {
+        return (reviews || [])
+            .filter(review => review.text)
+            .map(review => ({
+                rating: review.rating ?? null,
+                text: review.text,
+                author: review.author_name || null,
+                language: review.language || null,
+                timestamp: review.time ? new Date(review.time * 1000) : null,
+                source: 'Google',
+                dogMentions: extractDogMentions(review.text).map(mention => mention.topic)
+            }));
+    }
 
-        // Mots-clés par type
-        const keywords = this.getKeywordsByType(place.type);
-        terms.push(...keywords);
+    /**
+     * 🏷️ Catégorie basée sur le type de lieu pour chiens
+     */
+    getCategoryFromType(dogPlaceType) {
+        return getPlaceTypeInfo(dogPlaceType)?.displayName || 'Lieu pour chiens';
+    }
 
-        return [...new Set(terms)].filter(term => term.length > 0);
+    /**
+     * 🔍 Génération d'adresse de recherche
+     */
+    generateSearchAddress(place) {
+        return generatePlaceSearchAddress(place);
     }
 
     /**
-     * 🏷️ Mots-clés par type de lieu
+     * 👯 Un place_id répété dans le fichier : première occurrence gardée
+     * (sinon deux create du même document, ou deux diffs dans des paquets différents)
      */
-    getKeywordsByType(type) {
-        const keywordMap = {
-            'dog_parks': ['parc', 'chien', 'dog', 'park', 'aire', 'jeux'],
-            'veterinary': ['veterinaire', 'veterinary', 'clinique', 'animal', 'sante'],
-            'pet_stores': ['animalerie', 'pet', 'store', 'magasin', 'animal', 'nourriture'],
-            'dog_friendly_cafes': ['cafe', 'restaurant', 'dog', 'friendly', 'chien', 'accepte']
-        };
+    dropRepeatedPlaces(places) {
+        const seen = new Set();
+        const unique = places.filter(place => {
+            if (!place.place_id) return true; // Écarté ensuite par le schéma
+            if (seen.has(place.place_id)) return false;
+            seen.add(place.place_id);
+            return true;
+        });
 
-        return keywordMap[type] || [];
+        this.stats.repeated = places.length - unique.length;
+        if (this.stats.repeated > 0) {
+            console.log(`👯 ${this.stats.repeated} place_id répétés ignorés (première occurrence gardée)`);
+        }
+        return unique;
     }
 
     /**
-     * 📥 Import principal en batches
+     * 📥 Import principal : lectures getAll par paquets, écritures BulkWriter
+     * Chaque paquet est planifié (planChunk) puis exécuté aussitôt
      */
     async importToFirestore(places) {
         console.log(`\n📥 IMPORT VERS FIRESTORE`);
-        console.log(`📊 ${places.length} lieux à traiter`);
+        places = this.dropRepeatedPlaces(places);
+        console.log(`📊 ${places.length} lieux à traiter (paquets de ${READ_CHUNK_SIZE}, concurrence ${this.concurrency})`);
 
         this.stats.total = places.length;
 
         // Vérifier les lieux existants
         await this.checkExistingPlaces();
+        await this.loadPlaceOverrides();
 
-        const collection = this.firestore.collection(this.COLLECTION_NAME);
-        let batchCount = 0;
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats: this.stats });
+        const progress = new ImportProgress(places.length, 'lieux');
+
+        await mapWithConcurrency(chunkArray(places), this.concurrency, async chunk => {
+            const operations = await this.planChunk(chunk);
+            const created = this.executeOperations(writer, operations);
+
+            // Contre-pression : le paquet suivant attend que ces écritures soient parties
+            await writer.flush();
+            await created;
+            progress.tick(chunk.length);
+        });
+
+        // Lieux disparus de ce run : missedRuns++ puis désactivation après le délai de grâce
+        this.executeOperations(writer, await this.planSweep());
 
-        // Traitement par batches
-        for (let i = 0; i < places.length; i += this.BATCH_SIZE) {
-            batchCount++;
-            const batchPlaces = places.slice(i, i + this.BATCH_SIZE);
+        await writer.close();
+        this.stats.throughput = progress.getThroughput();
 
-            await this.processBatch(collection, batchPlaces, batchCount);
+        console.log(`\n🎉 IMPORT TERMINÉ!`);
+        this.generateImportReport();
+    }
 
-            // Pause entre les batches pour éviter les rate limits
-            if (i + this.BATCH_SIZE < places.length) {
-                await this.sleep(200);
+    /**
+     * 🗺️ --plan : opérations de l'import calculées sans rien écrire
+     */
+    async planImport(places) {
+        console.log(`\n🗺️ CALCUL DU PLAN (aucune écriture)`);
+        places = this.dropRepeatedPlaces(places);
+        await this.loadPlaceOverrides();
+
+        const collectionCount = (await this.firestore.collection(this.COLLECTION_NAME).count().get()).data().count;
+        const progress = new ImportProgress(places.length, 'lieux');
+        const chunkOperations = await mapWithConcurrency(chunkArray(places), this.concurrency, async chunk => {
+            const operations = await this.planChunk(chunk);
+            progress.tick(chunk.length);
+            return operations;
+        });
+
+        const operations = [...chunkOperations.flat(), ...await this.planSweep()];
+        this.printInvalidPlaces();
+
+        return createPlan({
+            kind: 'places',
+            collection: this.COLLECTION_NAME,
+            runId: this.runId,
+            source: { file: this.sourceFile, fetchedAt: this.fileMetadata.fetchedAt || null, profile: this.fileMetadata.profile || null },
+            options: { graceRuns: this.graceRuns, graceDays: this.graceDays, sweep: this.sweep },
+            collectionCount,
+            operations,
+            counters: {
+                total: places.length,
+                invalid: this.stats.invalid,
+                repeated: this.stats.repeated,
+                errors: this.stats.errors,
+                dogFriendly: this.stats.dogFriendly,
+                notDogFriendly: this.stats.notDogFriendly
             }
+        });
+    }
+
+    /**
+     * ▶️ --apply : exécution exacte d'un plan, refusée si la collection a changé
+     */
+    async applyPlan(plan) {
+        console.log(`\n▶️ APPLICATION DU PLAN ${plan.runId}`);
+
+        const verification = await verifyPlan(this.firestore, plan);
+        if (!verification.ok) {
+            const details = verification.mismatches.slice(0, 10).map(mismatch => mismatch.id).join(', ');
+            throw new Error(
+                `Collection modifiée depuis le plan (${plan.fingerprint.count} → ${verification.count} documents` +
+                `${verification.mismatches.length > 0 ? `, ${verification.mismatches.length} modifiés: ${details}` : ''}). ` +
+                'Recalculez le plan avec --plan'
+            );
+        }
+        console.log(`🔒 Empreinte vérifiée: ${verification.count} lieux en base, collection inchangée`);
+
+        // Le plan garde l'id de son run (history, lastSeenRunId)
+        this.runId = plan.runId;
+        this.stats.total = plan.summary.total;
+        this.stats.invalid = plan.summary.invalid;
+        this.stats.repeated = plan.summary.repeated || 0;
+        this.stats.dogFriendly = plan.summary.dogFriendly || 0;
+        this.stats.notDogFriendly = plan.summary.notDogFriendly || 0;
+
+        const writer = createBulkWriter(this.firestore, { maxRetries: this.maxRetries, stats: this.stats });
+        const progress = new ImportProgress(plan.operations.length, 'opérations');
+
+        for (const operations of chunkArray(plan.operations)) {
+            const created = this.executeOperations(writer, operations);
+            await writer.flush();
+            await created;
+            progress.tick(operations.length);
         }
 
-        console.log(`\n🎉 IMPORT TERMINÉ!`);
+        await writer.close();
+        this.stats.throughput = progress.getThroughput();
+
+        console.log(`\n🎉 PLAN APPLIQUÉ!`);
         this.generateImportReport();
     }
 
     /**
-     * 📦 Traitement d'un batch
+     * 📦 Opérations d'un paquet de lieux : une lecture getAll pour tout le paquet
+     * → [{ action: create|update|touch, id, name, data, changes?, changeType?, updateTime }]
      */
-    async processBatch(collection, places, batchNumber) {
-        const batch = this.firestore.batch();
-        let batchProcessed = 0;
+    async planChunk(places) {
+        const collection = this.firestore.collection(this.COLLECTION_NAME);
+        const entries = [];
 
         for (const place of places) {
             try {
                 const prepared = this.preparePlaceForFirestore(place);
+                const { errors, warnings } = prepared.validation;
 
-                // Vérification basique de validité
-                if (!this.isValidPlace(prepared.data)) {
-                    this.stats.skipped++;
+                // Erreurs de schéma : lieu écarté, problèmes gardés pour le rapport
+                if (errors.length > 0) {
+                    this.stats.invalid++;
+                    this.invalidPlaces.push({ id: prepared.id || null, name: place.name || null, errors, warnings });
                     continue;
                 }
 
-                // Vérifier si le lieu existe déjà
-                const docRef = collection.doc(prepared.id);
-                const existingDoc = await docRef.get();
-
-                if (existingDoc.exists) {
-                    // Mise à jour si différences
-                    const existingData = existingDoc.data();
-                    if (this.hasSignificantChanges(existingData, prepared.data)) {
-                        batch.set(docRef, {
-                            ...prepared.data,
-                            createdAt: existingData.createdAt // Conserver la date de création
-                        }, { merge: true });
-                        this.stats.updated++;
-                    } else {
-                        this.stats.skipped++;
-                        continue;
-                    }
-                } else {
-                    // Nouveau lieu
-                    batch.set(docRef, prepared.data);
-                    this.stats.saved++;
-                }
-
-                // Statistiques par catégorie
-                const category = prepared.data.type;
-                this.stats.byCategory[category] = (this.stats.byCategory[category] || 0) + 1;
-
-                batchProcessed++;
-                this.stats.processed++;
-
+                this.stats.schemaWarnings += warnings.length;
+                this.stats[prepared.data.isDogFriendly ? 'dogFriendly' : 'notDogFriendly']++;
+                entries.push(prepared);
             } catch (error) {
                 this.stats.errors++;
                 console.warn(`⚠️ Erreur lieu ${place.name}: ${error.message}`);
             }
         }
 
+        // Vérifier en une lecture quels lieux existent déjà
+        let snapshots;
         try {
-            if (batchProcessed > 0) {
-                await batch.commit();
+            snapshots = await getAllDocuments(this.firestore, entries.map(prepared => collection.doc(prepared.id)));
+            await this.fillFromMergedPlaces(entries, snapshots);
+        } catch (error) {
+            this.stats.errors += entries.length;
+            console.error(`❌ Erreur lecture de ${entries.length} lieux:`, error.message);
+            return [];
+        }
 
-                const totalBatches = Math.ceil(this.stats.total / this.BATCH_SIZE);
-                const progress = ((this.stats.processed / this.stats.total) * 100).toFixed(1);
+        return entries.map((prepared, index) => {
+            this.seenIds.add(prepared.id);
+            this.importedTypes.add(prepared.data.type);
+            return this.planPlaceOperation(prepared, snapshots[index]);
+        });
+    }
 
-                console.log(`✅ Batch ${batchNumber}/${totalBatches}: ${batchProcessed} lieux traités (${progress}%)`);
-            }
+    /**
+     * 🔗 Lieux conservés d'une fusion (mergedFrom) : champs vides et sourceIds
+     * complétés depuis les doublons fusionnés, relus en une lecture, comme à
+     * la fusion (placeDuplicates.js merge)
+     */
+    async fillFromMergedPlaces(entries, snapshots) {
+        const merged = entries
+            .map((prepared, index) => ({
+                prepared,
+                mergedFrom: snapshots[index].exists ? snapshots[index].data().mergedFrom || [] : []
+            }))
+            .filter(({ mergedFrom }) => mergedFrom.length > 0);
+        if (merged.length === 0) return;
 
-        } catch (error) {
-            this.stats.errors += batchProcessed;
-            console.error(`❌ Erreur batch ${batchNumber}:`, error.message);
+        const collection = this.firestore.collection(this.COLLECTION_NAME);
+        const ids = [...new Set(merged.flatMap(({ mergedFrom }) => mergedFrom))];
+        const docs = await getAllDocuments(this.firestore, ids.map(id => collection.doc(id)));
+        const duplicates = new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, { id: doc.id, data: doc.data() }]));
+
+        merged.forEach(({ prepared, mergedFrom }) => {
+            const donors = mergedFrom.map(id => duplicates.get(id)).filter(Boolean);
+            Object.assign(prepared.data, getMergeFills(prepared.data, donors));
+        });
+    }
+
+    /**
+     * 🧮 Création, mise à jour ou simple observation d'un lieu
+     */
+    planPlaceOperation({ id, data }, existingDoc) {
+        const base = { id, name: data.name, updateTime: getUpdateTime(existingDoc) };
+
+        if (!existingDoc.exists) {
+            // Nouveau lieu
+            return {
+                ...base,
+                action: 'create',
+                data: { ...data, closedAt: data.isActive ? null : data.lastSeenAt }
+            };
+        }
+
+        // Mise à jour si au moins un champ suivi a changé
+        const existingData = existingDoc.data();
+        const changes = diffPlaceFields(existingData, data);
+
+        if (changes.length === 0) {
+            // Inchangé : seule la dernière observation est mise à jour
+            return {
+                ...base,
+                action: 'touch',
+                data: { lastSeenAt: data.lastSeenAt, lastSeenRunId: data.lastSeenRunId, missedRuns: 0 }
+            };
         }
+
+        const changeType = this.getLifecycleChangeType(existingData, data);
+        let { createdAt, ...updates } = data; // Conserver la date de création
+
+        // Correction retirée sur un champ que l'import ne produit pas : suppression
+        (existingData.curatedFields || [])
+            .filter(field => !data.curatedFields.includes(field) && getPath(data, field) === undefined)
+            .forEach(field => {
+                updates = setPath(updates, field, admin.firestore.FieldValue.delete());
+            });
+
+        return {
+            ...base,
+            action: 'update',
+            data: {
+                ...updates,
+                closedAt: changeType === 'closed' ? data.lastSeenAt : (data.isActive ? null : existingData.closedAt || null)
+            },
+            changes,
+            changeType
+        };
+    }
+
+    /**
+     * ✍️ Mise en file des écritures d'un lot d'opérations
+     * Les compteurs sont mis à jour quand l'écriture du document est confirmée.
+     * → promesse des créations : leur historique n'est mis en file qu'une fois
+     *   le document créé, à attendre après flush() et avant close()
+     */
+    executeOperations(writer, operations) {
+        const collection = this.firestore.collection(this.COLLECTION_NAME);
+        const created = [];
+
+        operations.forEach(operation => {
+            const docRef = collection.doc(operation.id);
+            const history = docRef.collection(this.HISTORY_COLLECTION).doc();
+            const onError = error => {
+                this.stats.errors++;
+                console.warn(`⚠️ Erreur écriture ${operation.name || operation.id}: ${error.message}`);
+            };
+
+            switch (operation.action) {
+                case 'create':
+                    // create : échoue si le lieu a été créé entre-temps ; historisé seulement s'il est écrit
+                    created.push(writer.create(docRef, operation.data).then(() => {
+                        this.stats.saved++;
+                        this.countProcessed(operation.data);
+                        writer.set(history, this.createHistoryEntry('created', [])).catch(onError);
+                    }, onError));
+                    break;
+
+                case 'update':
+                    writer.set(docRef, operation.data, { merge: true }).then(() => {
+                        if (operation.changeType === 'closed') this.stats.closed++;
+                        if (operation.changeType === 'reactivated') this.stats.reactivated++;
+
+                        operation.changes.forEach(change => {
+                            this.stats.changedFields[change.field] = (this.stats.changedFields[change.field] || 0) + 1;
+                        });
+                        this.stats.updated++;
+                        this.countProcessed(operation.data);
+                    }, onError);
+                    writer.set(history, this.createHistoryEntry(operation.changeType, operation.changes)).catch(onError);
+                    break;
+
+                case 'touch':
+                    writer.update(docRef, operation.data).then(() => this.stats.unchanged++, onError);
+                    break;
+
+                case 'miss':
+                    writer.update(docRef, operation.data).then(() => this.stats.missed++, onError);
+                    break;
+
+                case 'deactivate':
+                    writer.update(docRef, operation.data).then(() => this.stats.retired++, onError);
+                    writer.set(history, this.createHistoryEntry('closed', operation.changes)).catch(onError);
+                    break;
+
+                default:
+                    onError(new Error(`Action inconnue: ${operation.action}`));
+            }
+        });
+
+        return Promise.all(created);
+    }
+
+    /**
+     * 🏷️ Lieu écrit : statistiques par catégorie
+     */
+    countProcessed(data) {
+        this.stats.byCategory[data.type] = (this.stats.byCategory[data.type] || 0) + 1;
+        this.stats.processed++;
     }
 
     /**
@@ -369,37 +818,110 @@ class PlaceImporter {
     }
 
     /**
-     * ✅ Validation d'un lieu
+     * 🚦 Type d'entrée history selon le passage actif/inactif
      */
-    isValidPlace(placeData) {
-        return placeData.name &&
-               placeData.name.length > 0 &&
-               placeData.location &&
-               typeof placeData.location.latitude === 'number' &&
-               typeof placeData.location.longitude === 'number' &&
-               placeData.location.latitude >= 50.7 &&
-               placeData.location.latitude <= 51.0 &&
-               placeData.location.longitude >= 4.0 &&
-               placeData.location.longitude <= 4.6;
+    getLifecycleChangeType(existingData, updatedData) {
+        const wasActive = existingData.isActive !== false;
+
+        if (wasActive && !updatedData.isActive) return 'closed';
+        if (!wasActive && updatedData.isActive) return 'reactivated';
+        return 'updated';
     }
 
     /**
-     * 🔄 Détection de changements significatifs
+     * 🧹 Lieux actifs absents de ce run → opérations miss / deactivate
+     *
+     * Limité aux types importés dans ce run (un profil ne couvre pas tous
+     * les types) et ignoré si la recherche était partielle. Un lieu est
+     * désactivé quand il a manqué graceRuns runs ET n'a plus été vu depuis
+     * graceDays jours ; il reste en base (soft-delete) et sera réactivé
+     * s'il réapparaît.
      */
-    hasSignificantChanges(existing, updated) {
-        const significantFields = ['name', 'address', 'phone', 'website', 'rating', 'ratingsCount'];
+    async planSweep() {
+        if (!this.sweep) {
+            console.log('\n⏭️ Balayage des lieux disparus désactivé (--no-sweep)');
+            return [];
+        }
+
+        if (this.fileMetadata.partial) {
+            console.log('\n⏭️ Recherche partielle - balayage des lieux disparus ignoré');
+            return [];
+        }
 
-        return significantFields.some(field => {
-            const existingValue = existing[field];
-            const updatedValue = updated[field];
+        if (this.importedTypes.size === 0) return [];
 
-            // Traitement spécial pour les ratings
-            if (field === 'rating' || field === 'ratingsCount') {
-                return Math.abs((existingValue || 0) - (updatedValue || 0)) > 0.1;
+        console.log(`\n🧹 BALAYAGE DES LIEUX DISPARUS (grâce: ${this.graceRuns} runs, ${this.graceDays} jours)`);
+
+        // Filtre type/run en mémoire : un "in" Firestore est limité à 30 valeurs
+        const snapshot = await this.firestore.collection(this.COLLECTION_NAME)
+            .where('isActive', '==', true)
+            .get();
+
+        // Un lieu dont isActive est corrigé à la main n'est jamais désactivé ici
+        const vanished = snapshot.docs.filter(doc => {
+            const data = doc.data();
+            return this.importedTypes.has(data.type) &&
+                !this.seenIds.has(doc.id) &&
+                !isCuratedField(data.curatedFields, 'isActive');
+        });
+        const graceLimit = this.runStartedAt.getTime() - this.graceDays * 24 * 60 * 60 * 1000;
+
+        const operations = vanished.map(doc => {
+            const data = doc.data();
+            const missedRuns = (data.missedRuns || 0) + 1;
+            const lastSeen = this.toDate(data.lastSeenAt || data.lastFetched);
+            const expired = missedRuns >= this.graceRuns && (!lastSeen || lastSeen.getTime() < graceLimit);
+            const base = { id: doc.id, name: data.name, updateTime: getUpdateTime(doc) };
+
+            if (!expired) {
+                return { ...base, action: 'miss', data: { missedRuns } };
             }
 
-            return existingValue !== updatedValue;
+            return {
+                ...base,
+                action: 'deactivate',
+                data: {
+                    missedRuns,
+                    isActive: false,
+                    closedReason: CLOSED_REASONS.NOT_SEEN,
+                    closedAt: this.runStartedAt
+                },
+                changes: [
+                    { field: 'isActive', oldValue: true, newValue: false },
+                    { field: 'closedReason', oldValue: data.closedReason || null, newValue: CLOSED_REASONS.NOT_SEEN }
+                ]
+            };
         });
+
+        const retiring = operations.filter(operation => operation.action === 'deactivate').length;
+        console.log(`   👻 ${operations.length - retiring} lieux absents (en période de grâce)`);
+        console.log(`   🪦 ${retiring} lieux à désactiver (not_seen)`);
+
+        return operations;
+    }
+
+    /**
+     * 📅 Timestamp Firestore, Date ou chaîne → Date (null si absent)
+     */
+    toDate(value) {
+        if (!value) return null;
+        if (typeof value.toDate === 'function') return value.toDate();
+
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * 🕓 Entrée de la sous-collection history
+     */
+    createHistoryEntry(changeType, changes) {
+        return {
+            runId: this.runId,
+            changeType,
+            fields: changes.map(change => change.field),
+            changes,
+            changedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
     }
 
     /**
@@ -414,20 +936,46 @@ class PlaceImporter {
         console.log(`📊 Total: ${this.stats.total} lieux`);
         console.log(`💾 Nouveaux: ${this.stats.saved}`);
         console.log(`🔄 Mis à jour: ${this.stats.updated}`);
-        console.log(`⏭️  Ignorés: ${this.stats.skipped}`);
+        console.log(`⏸️  Inchangés: ${this.stats.unchanged}`);
+        console.log(`⏭️  Invalides (schéma): ${this.stats.invalid}`);
+        console.log(`👯 place_id répétés (ignorés): ${this.stats.repeated}`);
         console.log(`❌ Erreurs: ${this.stats.errors}`);
+        if (this.rowErrors.length > 0) {
+            console.log(`📄 Lignes écartées du fichier: ${this.rowErrors.length}`);
+        }
+        console.log(`📐 Avertissements de schéma: ${this.stats.schemaWarnings}`);
+
+        console.log(`🚀 Débit: ${this.stats.throughput.toFixed(1)} lieux/seconde`);
+        console.log(`🔁 Écritures relancées: ${this.stats.retries}`);
+        console.log(`✍️ Lieux avec corrections manuelles: ${this.stats.curated}`);
+        console.log(`🕓 Run: ${this.runId}`);
+
+        console.log('\n🚦 CYCLE DE VIE:');
+        console.log(`   🔒 Fermés (Google): ${this.stats.closed}`);
+        console.log(`   🔓 Réactivés: ${this.stats.reactivated}`);
+        console.log(`   👻 Absents (en grâce): ${this.stats.missed}`);
+        console.log(`   🪦 Désactivés (not_seen): ${this.stats.retired}`);
+
+        this.printInvalidPlaces();
+
+        if (Object.keys(this.stats.changedFields).length > 0) {
+            console.log('\n🔀 CHAMPS MODIFIÉS:');
+            Object.entries(this.stats.changedFields)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([field, count]) => console.log(`   ${field}: ${count} lieux`));
+        }
 
         console.log('\n🏷️ PAR CATÉGORIE:');
         Object.entries(this.stats.byCategory).forEach(([type, count]) => {
             console.log(`   ${type}: ${count} lieux`);
         });
 
-        const successCount = this.stats.saved + this.stats.updated;
+        const successCount = this.stats.saved + this.stats.updated + this.stats.unchanged;
         const successRate = (successCount / this.stats.total * 100).toFixed(1);
 
         console.log(`\n🎯 Taux de succès: ${successRate}%`);
         console.log(`✅ Collection Firestore: '${this.COLLECTION_NAME}'`);
-        console.log(`🐕 Tous les lieux sont marqués dog-friendly`);
+        console.log(`🐕 Dog-friendly: ${this.stats.dogFriendly} lieux, non dog-friendly: ${this.stats.notDogFriendly}`);
 
         if (successRate < 80) {
             console.log(`\n⚠️  Taux de succès faible (${successRate}%)`);
@@ -436,8 +984,20 @@ class PlaceImporter {
     }
 
     /**
-     * 💤 Pause utilitaire
+     * 📐 Lieux écartés par le schéma (scripts/common/placeSchema.js)
      */
+    printInvalidPlaces() {
+        if (this.invalidPlaces.length === 0) return;
+
+        console.log(`\n📐 LIEUX ÉCARTÉS PAR LE SCHÉMA (${this.invalidPlaces.length}):`);
+        this.invalidPlaces.slice(0, MAX_INVALID_PLACES_SHOWN).forEach(place => {
+            console.log(`   ${place.name || place.id || 'Lieu sans nom'}: ${place.errors.map(error => error.message).join(', ')}`);
+        });
+        if (this.invalidPlaces.length > MAX_INVALID_PLACES_SHOWN) {
+            console.log(`   ... et ${this.invalidPlaces.length - MAX_INVALID_PLACES_SHOWN} autres`);
+        }
+    }
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -460,18 +1020,59 @@ async function main() {
         process.exit(1);
     }
 
-    const importer = new PlaceImporter();
+    // Polygones de la Région : sans eux, aucun test « est à Bruxelles » fiable
+    try {
+        loadBoundaries();
+    } catch (error) {
+        console.error('❌ Limites de Bruxelles:', error.message);
+        process.exit(1);
+    }
+
+    const importer = new PlaceImporter({
+        graceRuns: parseInt(getFlagValue('--grace-runs', String(DEFAULT_GRACE_RUNS))),
+        graceDays: parseInt(getFlagValue('--grace-days', String(DEFAULT_GRACE_DAYS))),
+        sweep: !hasFlag('--no-sweep'),
+        concurrency: parseInt(getFlagValue('--concurrency', String(DEFAULT_CONCURRENCY))),
+        maxRetries: parseInt(getFlagValue('--max-retries', String(DEFAULT_MAX_RETRIES)))
+    });
 
     try {
-        // 1. Chargement du fichier
-        const places = importer.loadPlacesFile();
+        // Application d'un plan calculé auparavant (pas de fichier source)
+        if (hasFlag('--apply')) {
+            const planFile = getFlagValue('--apply');
+            if (!planFile) throw new Error('Usage: --apply <plan.json>');
+
+            const plan = loadPlan(planFile, 'places');
+            printPlanSummary(plan, 'lieux');
+            await importer.applyPlan(plan);
+
+            console.log('\n🎉 IMPORT RÉUSSI!');
+            console.log('💡 Prochaine étape: npm run validate:places');
+            return;
+        }
+
+        // 1. Chargement du fichier (fetchers, ou fichier partenaire avec --input)
+        const input = getFlagValue('--input');
+        const places = input
+            ? importer.loadManualFile(input, getFlagValue('--mapping', DEFAULT_MAPPING_FILE))
+            : importer.loadPlacesFile();
 
         if (places.length === 0) {
             console.error('❌ Aucun lieu à importer');
             process.exit(1);
         }
 
-        // 2. Import en Firestore
+        // 2. Plan seul, ou import en Firestore
+        if (hasFlag('--plan')) {
+            const plan = await importer.planImport(places);
+            const planFile = writePlan(plan, getFlagValue('--plan'));
+
+            printPlanSummary(plan, 'lieux');
+            console.log(`\n💾 Plan enregistré: ${planFile}`);
+            console.log(`💡 Pour l'exécuter: node scripts/places/importPlaces.js --apply ${planFile}`);
+            return;
+        }
+
         await importer.importToFirestore(places);
 
         console.log('\n🎉 IMPORT RÉUSSI!');
@@ -0,0 +1,381 @@
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+const { initializeFirebase } = require('../common/firebaseInit');
+const { getFlagValue, hasFlag, getPositionalArgs } = require('../common/cliArgs');
+const { createBulkWriter } = require('../common/bulkImport');
+const { OVERRIDES_COLLECTION } = require('../common/placeOverrides');
+const { formatDiffValue } = require('../common/placeDiff');
+const {
+    SUGGESTION_THRESHOLD,
+    MERGED_REASON,
+    findDuplicateSuggestions,
+    getEntityKeys,
+    planMerge
+} = require('../common/placeDuplicates');
+require('dotenv').config();
+
+/**
+ * 👯 DOUBLONS DE LIEUX : SUGGESTIONS ET FUSIONS
+ *
+ * Usage :
+ *   node placeDuplicates.js scan [--min-confidence 0.55]
+ *   node placeDuplicates.js apply <suggestion_id> [--dry-run] [--reason "..."] [--by nom]
+ *   node placeDuplicates.js merge <place_id_conservé> <place_id_doublon> [...] [--dry-run]
+ *   node placeDuplicates.js unmerge <place_id_doublon>
+ *   node placeDuplicates.js separate <place_id> <place_id>
+ *
+ * scan : suggestions classées par confiance (voir common/placeDuplicates.js),
+ * écrites dans scripts/data/place_duplicates.json avec leur commande apply.
+ *
+ * Une fusion :
+ *   - sauvegarde les lieux dans _backup_merge_<date> ;
+ *   - complète les champs vides du lieu conservé et y liste mergedFrom ;
+ *     l'import suivant complète de nouveau ces champs depuis les lieux de
+ *     mergedFrom (importPlaces.js), sans correction manuelle ;
+ *   - désactive les doublons (closedReason 'merged', mergedInto), via une
+ *     correction manuelle pour que l'import suivant ne les réactive pas ;
+ *   - ajoute la paire "Fournisseur:id" à config/entityDecisions.json : à la
+ *     prochaine résolution les fiches ne font plus qu'un lieu. Deux fiches
+ *     d'un même fournisseur restent deux lieux, le doublon reste désactivé.
+ *
+ * separate : la paire n'est plus suggérée (config/duplicateDecisions.json).
+ *
+ * Coût : Firestore uniquement
+ */
+
+const COLLECTION_NAME = 'brussels_places';
+const SUGGESTIONS_FILE = path.join(__dirname, '../data/place_duplicates.json');
+const DUPLICATE_DECISIONS_FILE = path.join(__dirname, 'config', 'duplicateDecisions.json');
+const ENTITY_DECISIONS_FILE = path.join(__dirname, 'config', 'entityDecisions.json');
+const VALUE_OPTIONS = ['--min-confidence', '--reason', '--by'];
+
+function readJsonFile(file, fallback) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * 📂 Paires écartées ({ separate: [[place_id, place_id]] })
+ */
+function readDuplicateDecisions() {
+    return readJsonFile(DUPLICATE_DECISIONS_FILE, { separate: [] });
+}
+
+function samePair(pair, first, second) {
+    return (pair[0] === first && pair[1] === second) || (pair[0] === second && pair[1] === first);
+}
+
+/**
+ * 🙅 Paire écartée des suggestions (fichier de configuration uniquement)
+ */
+function separatePlaces(firstId, secondId) {
+    const decisions = readDuplicateDecisions();
+
+    if (decisions.separate.some(pair => samePair(pair, firstId, secondId))) {
+        console.log(`ℹ️ ${firstId} / ${secondId} déjà écartés`);
+        return;
+    }
+
+    decisions.separate.push([firstId, secondId]);
+    writeJsonFile(DUPLICATE_DECISIONS_FILE, decisions);
+    console.log(`✅ ${firstId} / ${secondId} ne seront plus suggérés (${path.relative(process.cwd(), DUPLICATE_DECISIONS_FILE)})`);
+}
+
+class PlaceDuplicatesManager {
+    constructor(options = {}) {
+        this.firestore = admin.firestore();
+        this.collection = this.firestore.collection(COLLECTION_NAME);
+        this.dryRun = options.dryRun || false;
+        this.minConfidence = options.minConfidence ?? SUGGESTION_THRESHOLD;
+        this.reason = options.reason || null;
+        this.updatedBy = options.updatedBy || process.env.USER || null;
+    }
+
+    /**
+     * 🔍 Suggestions sur les lieux actifs
+     */
+    async findSuggestions() {
+        const snapshot = await this.collection.where('isActive', '==', true).get();
+        const places = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+        const { separate } = readDuplicateDecisions();
+
+        return {
+            total: places.length,
+            suggestions: findDuplicateSuggestions(places, { minConfidence: this.minConfidence, separate })
+        };
+    }
+
+    /**
+     * 📋 Suggestions classées, écrites dans scripts/data/place_duplicates.json
+     */
+    async scan() {
+        const { total, suggestions } = await this.findSuggestions();
+
+        console.log(`\n👯 DOUBLONS POTENTIELS: ${suggestions.length} suggestions (${total} lieux actifs, confiance >= ${this.minConfidence})`);
+        console.log('='.repeat(50));
+
+        suggestions.forEach(suggestion => {
+            console.log(`\n${suggestion.id} [${suggestion.level} ${suggestion.confidence.toFixed(2)}] garder ${suggestion.keep.id} "${suggestion.keep.name}"`);
+            suggestion.duplicates.forEach(duplicate => {
+                const contact = [
+                    duplicate.sharedPhone && 'même téléphone',
+                    duplicate.sharedWebsite && 'même site',
+                    duplicate.conflictingPhone && 'téléphones différents'
+                ].filter(Boolean);
+
+                console.log(`   ↳ ${duplicate.id} "${duplicate.name}" (${duplicate.type}) ` +
+                    `${duplicate.distanceMeters} m, noms ${duplicate.nameScore.toFixed(2)}, score ${duplicate.score.toFixed(2)}` +
+                    `${contact.length > 0 ? `, ${contact.join(', ')}` : ''}`);
+            });
+        });
+
+        writeJsonFile(SUGGESTIONS_FILE, {
+            generatedAt: new Date().toISOString(),
+            minConfidence: this.minConfidence,
+            suggestions: suggestions.map(suggestion => ({
+                ...suggestion,
+                command: `npm run duplicates:places -- apply ${suggestion.id} --reason "..."`
+            }))
+        });
+
+        console.log(`\n📝 ${path.relative(process.cwd(), SUGGESTIONS_FILE)}`);
+        if (suggestions.length > 0) {
+            console.log('💡 Fusionner: npm run duplicates:places -- apply <id> --dry-run');
+            console.log('💡 Écarter:   npm run duplicates:places -- separate <place_id> <place_id>');
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * ✅ Fusion d'une suggestion du scan (identifiant stable tant que le groupe ne change pas)
+     */
+    async apply(suggestionId) {
+        const { suggestions } = await this.findSuggestions();
+        const suggestion = suggestions.find(candidate => candidate.id === suggestionId);
+
+        if (!suggestion) {
+            throw new Error(`Suggestion inconnue: ${suggestionId} (relancer: npm run duplicates:places -- scan)`);
+        }
+
+        return this.merge(suggestion.keep.id, suggestion.duplicates.map(duplicate => duplicate.id), `suggestion ${suggestion.id}`);
+    }
+
+    /**
+     * 🔗 Fusion de doublons dans un lieu conservé
+     */
+    async merge(keepId, duplicateIds, origin = 'fusion manuelle') {
+        const ids = [keepId, ...duplicateIds];
+        if (duplicateIds.length === 0 || new Set(ids).size !== ids.length) {
+            throw new Error('Un lieu conservé et au moins un doublon distinct sont requis');
+        }
+
+        const docs = await Promise.all(ids.map(id => this.collection.doc(id).get()));
+        const missing = docs.filter(doc => !doc.exists).map(doc => doc.id);
+        if (missing.length > 0) {
+            throw new Error(`Lieux introuvables: ${missing.join(', ')}`);
+        }
+
+        const [keep, ...duplicates] = docs.map(doc => ({ id: doc.id, ref: doc.ref, data: doc.data() }));
+        if (keep.data.isActive === false) {
+            throw new Error(`Le lieu conservé ${keepId} est inactif (${keep.data.closedReason || '?'})`);
+        }
+
+        const alreadyMerged = duplicates.filter(duplicate => duplicate.data.mergedInto);
+        if (alreadyMerged.length > 0) {
+            throw new Error(`Déjà fusionnés: ${alreadyMerged.map(duplicate => `${duplicate.id} → ${duplicate.data.mergedInto}`).join(', ')}`);
+        }
+
+        const { keepUpdates, duplicateUpdates, decisionPairs } = planMerge(keep, duplicates);
+
+        console.log(`\n🔗 FUSION${this.dryRun ? ' (aperçu)' : ''}: ${duplicates.length} doublon(s) → ${keep.id} "${keep.data.name}"`);
+        duplicates.forEach(duplicate => console.log(`   🗑️ ${duplicate.id} "${duplicate.data.name}" désactivé`));
+        Object.entries(keepUpdates).forEach(([field, value]) => {
+            console.log(`   ✏️ ${field}: ${formatDiffValue(keep.data[field])} → ${formatDiffValue(value)}`);
+        });
+        decisionPairs.forEach(pair => console.log(`   🧬 Décision de fusion: ${pair.join(' + ')}`));
+
+        if (this.dryRun) return { keepUpdates, duplicateUpdates, decisionPairs };
+
+        const reason = this.reason || `Doublon de ${keep.id} (${origin})`;
+        const backupId = `_backup_merge_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        const stats = { errors: 0 };
+        const writer = createBulkWriter(this.firestore, { stats });
+        const onError = error => {
+            stats.errors++;
+            console.warn(`⚠️ Erreur d'écriture: ${error.message}`);
+        };
+
+        // La sauvegarde d'abord : rien n'est modifié si elle échoue
+        [keep, ...duplicates].forEach(place => {
+            writer.set(this.firestore.collection(backupId).doc(place.id), place.data).catch(onError);
+        });
+        await writer.flush();
+        if (stats.errors > 0) {
+            await writer.close();
+            throw new Error(`Sauvegarde incomplète dans ${backupId}, fusion annulée`);
+        }
+
+        const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        writer.update(keep.ref, { ...keepUpdates, updatedAt }).catch(onError);
+
+        for (const duplicate of duplicates) {
+            writer.update(duplicate.ref, { ...duplicateUpdates[duplicate.id], updatedAt }).catch(onError);
+
+            const overrideRef = this.firestore.collection(OVERRIDES_COLLECTION).doc(duplicate.id);
+            const existing = await overrideRef.get();
+            writer.set(overrideRef, {
+                fields: { ...(existing.exists ? existing.data().fields : {}), isActive: false, closedReason: MERGED_REASON },
+                reason,
+                updatedBy: this.updatedBy,
+                updatedAt
+            }).catch(onError);
+        }
+
+        await writer.close();
+
+        this.updateEntityDecisions(decisionPairs, []);
+
+        console.log(`\n   ✅ Fusion appliquée${stats.errors > 0 ? ` avec ${stats.errors} erreur(s)` : ''}`);
+        console.log(`   💾 Sauvegarde: ${backupId}`);
+        console.log(`   ↩️ Annuler: npm run duplicates:places -- unmerge <place_id_doublon>`);
+        if (decisionPairs.length > 0) {
+            console.log('   💡 Décisions appliquées à la prochaine résolution: npm run resolve:places');
+        }
+
+        return { keepUpdates, duplicateUpdates, decisionPairs, backupId, errors: stats.errors };
+    }
+
+    /**
+     * ↩️ Réactivation d'un doublon fusionné (les champs recopiés restent sur le lieu conservé)
+     */
+    async unmerge(duplicateId) {
+        const docRef = this.collection.doc(duplicateId);
+        const doc = await docRef.get();
+
+        if (!doc.exists || !doc.data().mergedInto) {
+            throw new Error(`${duplicateId} n'est pas un doublon fusionné`);
+        }
+
+        const data = doc.data();
+        const keepRef = this.collection.doc(data.mergedInto);
+        const keepDoc = await keepRef.get();
+
+        console.log(`\n↩️ DÉFUSION${this.dryRun ? ' (aperçu)' : ''}: ${duplicateId} "${data.name}" (fusionné dans ${data.mergedInto})`);
+        if (this.dryRun) return;
+
+        const { FieldValue } = admin.firestore;
+        await docRef.update({
+            isActive: true,
+            closedReason: null,
+            mergedInto: FieldValue.delete(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        if (keepDoc.exists) {
+            await keepRef.update({ mergedFrom: FieldValue.arrayRemove(duplicateId), updatedAt: FieldValue.serverTimestamp() });
+        }
+
+        // La correction ne gardait que la désactivation : retirée, le reste est conservé
+        const overrideRef = this.firestore.collection(OVERRIDES_COLLECTION).doc(duplicateId);
+        const override = await overrideRef.get();
+        if (override.exists) {
+            const { isActive, closedReason, ...fields } = override.data().fields || {};
+            if (Object.keys(fields).length === 0) {
+                await overrideRef.delete();
+            } else {
+                await overrideRef.update({ fields, updatedAt: FieldValue.serverTimestamp() });
+            }
+        }
+
+        this.updateEntityDecisions([], getEntityKeys(data).map(({ key }) => key));
+
+        console.log(`   ✅ ${duplicateId} réactivé`);
+        console.log(`   💡 Pour ne plus le suggérer: npm run duplicates:places -- separate ${data.mergedInto} ${duplicateId}`);
+    }
+
+    /**
+     * 🧬 Paires "Fournisseur:id" ajoutées à entityDecisions.json (merge),
+     * ou retirées si elles contiennent une des clés de removedKeys
+     */
+    updateEntityDecisions(added, removedKeys) {
+        if (added.length === 0 && removedKeys.length === 0) return;
+
+        const decisions = readJsonFile(ENTITY_DECISIONS_FILE, { merge: [], separate: [] });
+        decisions.merge = decisions.merge.filter(pair => !pair.some(key => removedKeys.includes(key)));
+        added.forEach(([first, second]) => {
+            if (!decisions.merge.some(pair => samePair(pair, first, second))) {
+                decisions.merge.push([first, second]);
+            }
+        });
+
+        writeJsonFile(ENTITY_DECISIONS_FILE, decisions);
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    const [command = 'scan', ...ids] = getPositionalArgs(VALUE_OPTIONS);
+    const usage = 'Usage: node scripts/places/placeDuplicates.js scan | apply <suggestion_id> | merge <place_id> <doublon> [...] | unmerge <doublon> | separate <place_id> <place_id> [--dry-run]';
+
+    const minConfidence = parseFloat(getFlagValue('--min-confidence', String(SUGGESTION_THRESHOLD)));
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        console.error('💥 --min-confidence doit être entre 0 et 1');
+        process.exit(1);
+    }
+
+    const required = { scan: 0, apply: 1, merge: 2, unmerge: 1, separate: 2 };
+    if (!(command in required) || ids.length < required[command] || (command === 'separate' && ids.length !== 2)) {
+        console.log(usage);
+        process.exit(1);
+    }
+
+    try {
+        if (command === 'separate') {
+            separatePlaces(ids[0], ids[1]);
+            return;
+        }
+
+        initializeFirebase();
+
+        const manager = new PlaceDuplicatesManager({
+            dryRun: hasFlag('--dry-run'),
+            minConfidence,
+            reason: getFlagValue('--reason'),
+            updatedBy: getFlagValue('--by')
+        });
+
+        switch (command) {
+            case 'scan':
+                await manager.scan();
+                break;
+            case 'apply':
+                await manager.apply(ids[0]);
+                break;
+            case 'merge':
+                await manager.merge(ids[0], ids.slice(1));
+                break;
+            case 'unmerge':
+                await manager.unmerge(ids[0]);
+                break;
+        }
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { PlaceDuplicatesManager, readDuplicateDecisions, separatePlaces, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
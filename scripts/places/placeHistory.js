@@ -0,0 +1,126 @@
+const admin = require('firebase-admin');
+const { initializeFirebase } = require('../common/firebaseInit');
+const { getFlagValue, getPositionalArgs } = require('../common/cliArgs');
+const { formatDiffValue } = require('../common/placeDiff');
+require('dotenv').config();
+
+/**
+ * 🕓 TIMELINE D'UN LIEU
+ *
+ * Affiche l'historique d'un document brussels_places à partir de sa
+ * sous-collection history (écrite par importPlaces.js à chaque run) :
+ * création puis changements champ par champ, du plus récent au plus ancien.
+ *
+ * Usage : node placeHistory.js <place_id> [--field phone] [--limit 20]
+ *
+ * Coût : Firestore uniquement (lectures)
+ */
+
+const VALUE_OPTIONS = ['--field', '--limit'];
+
+class PlaceHistoryViewer {
+    constructor() {
+        this.firestore = admin.firestore();
+        this.COLLECTION_NAME = 'brussels_places';
+        this.HISTORY_COLLECTION = 'history';
+    }
+
+    /**
+     * 📂 Document et entrées d'historique (plus récentes d'abord)
+     */
+    async loadTimeline(placeId, options = {}) {
+        const docRef = this.firestore.collection(this.COLLECTION_NAME).doc(placeId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            throw new Error(`Lieu non trouvé: ${placeId}`);
+        }
+
+        // Filtre par champ en mémoire : l'historique d'un lieu reste petit et
+        // array-contains + orderBy demanderait un index composite
+        const snapshot = await docRef.collection(this.HISTORY_COLLECTION).orderBy('changedAt', 'desc').get();
+        const entries = snapshot.docs
+            .map(entry => entry.data())
+            .filter(entry => !options.field || (entry.fields || []).includes(options.field));
+
+        return {
+            place: doc.data(),
+            entries: entries.slice(0, options.limit || 20)
+        };
+    }
+
+    /**
+     * 🖨️ Affichage de la timeline
+     */
+    printTimeline({ place, entries }, options = {}) {
+        console.log(`\n🕓 HISTORIQUE: ${place.name} (${place.place_id})`);
+        console.log('='.repeat(50));
+        console.log(`🏷️ Type actuel: ${place.type} - ${place.address || 'adresse inconnue'}`);
+
+        if (entries.length === 0) {
+            console.log(options.field
+                ? `\nℹ️ Aucun changement enregistré pour le champ "${options.field}"`
+                : '\nℹ️ Aucun historique (lieu importé avant le suivi des changements)');
+            return;
+        }
+
+        entries.forEach(entry => {
+            const date = entry.changedAt?.toDate
+                ? entry.changedAt.toDate().toLocaleString('fr-BE')
+                : 'date inconnue';
+
+            if (entry.changeType === 'created') {
+                console.log(`\n🆕 ${date} - création (${entry.runId})`);
+                return;
+            }
+
+            const label = {
+                closed: '🔒 désactivation',
+                reactivated: '🔓 réactivation'
+            }[entry.changeType] || '🔀';
+            console.log(`\n${label} ${date} - ${entry.changes.length} champ(s) modifié(s) (${entry.runId})`);
+            entry.changes
+                .filter(change => !options.field || change.field === options.field)
+                .forEach(change => {
+                    const drift = change.distanceMeters !== undefined ? ` (${change.distanceMeters} m)` : '';
+                    const curated = change.curated ? ' ✍️ corrigé' : '';
+                    console.log(`   ${change.field}${drift}${curated}: ${formatDiffValue(change.oldValue)} → ${formatDiffValue(change.newValue)}`);
+                });
+        });
+
+        console.log(`\n📊 ${entries.length} entrée(s) affichée(s)`);
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    const [placeId] = getPositionalArgs(VALUE_OPTIONS);
+    const field = getFlagValue('--field');
+    const limit = parseInt(getFlagValue('--limit', '20'));
+
+    if (!placeId) {
+        console.log('Usage: node scripts/places/placeHistory.js <place_id> [--field phone] [--limit 20]');
+        process.exit(1);
+    }
+
+    try {
+        initializeFirebase();
+
+        const viewer = new PlaceHistoryViewer();
+        const timeline = await viewer.loadTimeline(placeId, { field, limit });
+        viewer.printTimeline(timeline, { field });
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { PlaceHistoryViewer, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,195 @@
+const admin = require('firebase-admin');
+const { initializeFirebase } = require('../common/firebaseInit');
+const { getFlagValue, getPositionalArgs } = require('../common/cliArgs');
+const { OVERRIDES_COLLECTION, OVERRIDABLE_FIELDS, isOverridableField } = require('../common/placeOverrides');
+const { formatDiffValue } = require('../common/placeDiff');
+require('dotenv').config();
+
+/**
+ * ✍️ GESTION DES CORRECTIONS MANUELLES
+ *
+ * Lit et modifie la collection brussels_places_overrides, appliquée par
+ * importPlaces.js au prochain import (voir scripts/common/placeOverrides.js).
+ *
+ * Usage :
+ *   node placeOverrides.js list
+ *   node placeOverrides.js show <place_id>
+ *   node placeOverrides.js set <place_id> champ=valeur [...] --reason "..." [--by nom]
+ *   node placeOverrides.js unset <place_id> champ [...]
+ *
+ * Les valeurs sont lues en JSON si possible (true, 12, ["a","b"], null),
+ * sinon comme texte : metadata.fencedArea=true category="Parcs à chiens"
+ *
+ * Coût : Firestore uniquement
+ */
+
+const VALUE_OPTIONS = ['--reason', '--by'];
+
+class PlaceOverridesManager {
+    constructor() {
+        this.firestore = admin.firestore();
+        this.collection = this.firestore.collection(OVERRIDES_COLLECTION);
+    }
+
+    /**
+     * 📋 Toutes les corrections
+     */
+    async list() {
+        const snapshot = await this.collection.get();
+
+        console.log(`\n✍️ CORRECTIONS MANUELLES (${snapshot.size} lieux)`);
+        console.log('='.repeat(50));
+
+        snapshot.docs.forEach(doc => {
+            const override = doc.data();
+            const fields = Object.keys(override.fields || {});
+            console.log(`\n📍 ${doc.id}: ${fields.join(', ') || 'aucun champ'}`);
+            if (override.reason) console.log(`   💬 ${override.reason}`);
+        });
+    }
+
+    /**
+     * 🔍 Corrections d'un lieu
+     */
+    async show(placeId) {
+        const doc = await this.collection.doc(placeId).get();
+
+        if (!doc.exists) {
+            console.log(`ℹ️ Aucune correction pour ${placeId}`);
+            return;
+        }
+
+        const override = doc.data();
+        console.log(`\n✍️ CORRECTIONS: ${placeId}`);
+        Object.entries(override.fields || {}).forEach(([field, value]) => {
+            console.log(`   ${field}: ${formatDiffValue(value)}`);
+        });
+        console.log(`💬 Raison: ${override.reason || '-'}`);
+        console.log(`👤 Par: ${override.updatedBy || '-'}`);
+    }
+
+    /**
+     * ✏️ Ajout ou remplacement de champs corrigés
+     */
+    async set(placeId, assignments, { reason, updatedBy }) {
+        const fields = {};
+
+        assignments.forEach(assignment => {
+            const separator = assignment.indexOf('=');
+            if (separator <= 0) {
+                throw new Error(`Affectation invalide: "${assignment}" (attendu champ=valeur)`);
+            }
+
+            const field = assignment.slice(0, separator);
+            if (!isOverridableField(field)) {
+                throw new Error(`Champ non corrigeable: ${field} (autorisés: ${OVERRIDABLE_FIELDS.join(', ')}, metadata.*)`);
+            }
+
+            fields[field] = this.parseValue(assignment.slice(separator + 1));
+        });
+
+        if (!reason) {
+            throw new Error('--reason est obligatoire (pourquoi cette correction ?)');
+        }
+
+        const docRef = this.collection.doc(placeId);
+        const existing = await docRef.get();
+
+        await docRef.set({
+            fields: { ...(existing.exists ? existing.data().fields : {}), ...fields },
+            reason,
+            updatedBy: updatedBy || process.env.USER || null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        console.log(`✅ ${Object.keys(fields).length} champ(s) corrigé(s) pour ${placeId}`);
+        console.log('💡 Appliqué au prochain import: npm run import:places:process');
+    }
+
+    /**
+     * 🧽 Retrait de champs corrigés (le document est supprimé s'il n'en reste aucun)
+     */
+    async unset(placeId, fieldsToRemove) {
+        const docRef = this.collection.doc(placeId);
+        const existing = await docRef.get();
+
+        if (!existing.exists) {
+            throw new Error(`Aucune correction pour ${placeId}`);
+        }
+
+        const fields = { ...existing.data().fields };
+        fieldsToRemove.forEach(field => delete fields[field]);
+
+        if (Object.keys(fields).length === 0) {
+            await docRef.delete();
+            console.log(`🗑️ Plus aucune correction pour ${placeId}`);
+        } else {
+            await docRef.update({ fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            console.log(`✅ ${fieldsToRemove.length} correction(s) retirée(s) pour ${placeId}`);
+        }
+
+        console.log('💡 Les valeurs récupérées reviennent au prochain import');
+    }
+
+    /**
+     * 🔤 Valeur JSON si possible, texte sinon
+     */
+    parseValue(raw) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    const [command, placeId, ...rest] = getPositionalArgs(VALUE_OPTIONS);
+    const usage = 'Usage: node scripts/places/placeOverrides.js list | show <place_id> | set <place_id> champ=valeur --reason "..." | unset <place_id> champ';
+
+    if (!command || (command !== 'list' && !placeId)) {
+        console.log(usage);
+        process.exit(1);
+    }
+
+    try {
+        initializeFirebase();
+
+        const manager = new PlaceOverridesManager();
+
+        switch (command) {
+            case 'list':
+                await manager.list();
+                break;
+            case 'show':
+                await manager.show(placeId);
+                break;
+            case 'set':
+                await manager.set(placeId, rest, {
+                    reason: getFlagValue('--reason'),
+                    updatedBy: getFlagValue('--by')
+                });
+                break;
+            case 'unset':
+                await manager.unset(placeId, rest);
+                break;
+            default:
+                console.log(usage);
+                process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { PlaceOverridesManager, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
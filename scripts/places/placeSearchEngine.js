@@ -0,0 +1,1226 @@
+const fs = require('fs');
+const path = require('path');
+const { getPositionalArgs, hasFlag } = require('../common/cliArgs');
+const { boundsCenter, boundsRadiusMeters, isInBounds } = require('../common/geo');
+const { ResponseCache, createResponseCacheFromArgs } = require('../common/responseCache');
+const { FetchCheckpoint } = require('../common/fetchCheckpoint');
+const { LegacyPlacesBackend, createPlacesBackendFromArgs } = require('../common/placesBackends');
+const { PLACE_TYPES } = require('../common/placeTypes');
+const { validateFetchedPlace } = require('../common/placeSchema');
+const { loadBoundaries } = require('../common/brusselsBoundaries');
+const {
+    BudgetExceededError,
+    CostBudget,
+    createBudgetFromArgs,
+    estimateCost,
+    getRequestCost,
+    printCostEstimate
+} = require('../common/placesPricing');
+require('dotenv').config();
+
+/**
+ * 🔍 MOTEUR DE RECHERCHE DE LIEUX POUR CHIENS - GOOGLE PLACES (PAYANT)
+ *
+ * Un seul moteur piloté par config/searchProfiles.json :
+ *   - definitions : requêtes, types Google, dogPlaceType cible, rayon,
+ *     langues et nombre de pages
+ *   - profiles : groupes de définitions lancés depuis la CLI
+ *     (all_dog_places, veterinary_only, categories_detailed...)
+ *
+ * Modes :
+ *   - Requêtes (défaut) : Text Search pour chaque requête × langue
+ *   - Couverture (--coverage) : grille adaptative sur les bounds + Nearby Search par cellule
+ *
+ * Profils "details" : Place Details par lieu, puis avis dans chaque langue
+ * de reviewLanguages (fr, nl, en par défaut) pour les mentions des chiens
+ *
+ * Sortie canonique : data/dog_places.json, lieux au format Google legacy
+ * (place_id, geometry.location...) + dogPlaceType, searchQuery,
+ * searchDefinition, coverageCell, lastFetched, source
+ *
+ * Usage : node placeSearchEngine.js [profil] [radiusKm] [dryRun]
+ *         [--coverage] [--list-profiles] [--estimate-only] [--max-cost 3]
+ *         [--resume] [--no-cache] [--refresh-older-than 12h] [--places-api legacy|new]
+ */
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'config', 'searchProfiles.json');
+const DEFAULT_OUTPUT_FILE = path.join(__dirname, '..', '..', 'data', 'dog_places.json');
+const PAGE_SIZE = 20;
+
+// Options CLI suivies d'une valeur (ignorées dans les arguments positionnels)
+const VALUE_OPTIONS = ['--refresh-older-than', '--max-cost', '--places-api'];
+
+/**
+ * 📂 Chargement et vérification du fichier de profils
+ */
+function loadSearchProfiles(filePath = DEFAULT_PROFILES_FILE) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    Object.entries(config.definitions || {}).forEach(([key, definition]) => {
+        if (!PLACE_TYPES[definition.dogPlaceType]) {
+            throw new Error(`Définition ${key}: dogPlaceType inconnu "${definition.dogPlaceType}"`);
+        }
+        if (!Array.isArray(definition.queries) || definition.queries.length === 0) {
+            throw new Error(`Définition ${key}: aucune requête`);
+        }
+    });
+
+    Object.entries(config.profiles || {}).forEach(([key, profile]) => {
+        profile.definitions.forEach(definitionKey => {
+            if (!config.definitions[definitionKey]) {
+                throw new Error(`Profil ${key}: définition inconnue "${definitionKey}"`);
+            }
+        });
+    });
+
+    return config;
+}
+
+class PlaceSearchEngine {
+    constructor(options = {}) {
+        this.apiKey = process.env.GOOGLE_PLACES_API_KEY;
+
+        if (!this.apiKey) {
+            throw new Error('GOOGLE_PLACES_API_KEY manquante dans .env');
+        }
+
+        this.config = options.config || loadSearchProfiles(options.profilesFile);
+        this.outputFile = options.outputFile || DEFAULT_OUTPUT_FILE;
+
+        // Backend Google Places (legacy ou Places API New)
+        this.backend = options.backend || new LegacyPlacesBackend(this.apiKey);
+
+        // Cache disque des réponses API
+        this.cache = options.cache || new ResponseCache();
+
+        // Budget de dépense (plafond optionnel)
+        this.budget = options.budget || new CostBudget();
+
+        // Checkpoint de reprise (optionnel)
+        this.checkpoint = options.checkpoint || null;
+
+        // Rapport de couverture (rempli en mode --coverage)
+        this.coverageReport = {
+            cells: [],
+            saturatedCells: []
+        };
+
+        this.stats = {
+            totalRequests: 0,
+            apiCost: 0,
+            apiCostSaved: 0,
+            failedQueries: 0,
+            detailsErrors: 0,
+            reviewErrors: 0,
+            reviews: 0,
+            duplicates: 0,
+            budgetExceeded: false,
+            byDefinition: {},
+            cache: this.cache.stats,
+            startTime: Date.now()
+        };
+
+        this.validation = null;
+    }
+
+    /**
+     * 📋 Profil résolu : définitions complétées par les valeurs par défaut
+     * Priorité : option CLI > profil > définition > defaults
+     */
+    resolveProfile(profileKey, overrides = {}) {
+        const profile = this.config.profiles[profileKey];
+        if (!profile) {
+            throw new Error(`Profil de recherche inconnu: ${profileKey} ` +
+                `(disponibles: ${Object.keys(this.config.profiles).join(', ')})`);
+        }
+
+        const defaults = this.config.defaults;
+
+        return {
+            key: profileKey,
+            name: profile.name,
+            details: profile.details === true,
+            detailsFields: profile.detailsFields || defaults.detailsFields,
+            reviewLanguages: profile.reviewLanguages ?? defaults.reviewLanguages ?? [],
+            center: defaults.center,
+            bounds: defaults.bounds,
+            coverage: { ...defaults.coverage, ...(profile.coverage || {}) },
+            definitions: profile.definitions.map(key => {
+                const definition = this.config.definitions[key];
+
+                return {
+                    key,
+                    ...definition,
+                    googleTypes: definition.googleTypes || [],
+                    radiusKm: overrides.radiusKm ?? profile.radiusKm ?? definition.radiusKm ?? defaults.radiusKm,
+                    languages: profile.languages ?? definition.languages ?? defaults.languages,
+                    maxPages: profile.maxPages ?? definition.maxPages ?? defaults.maxPages
+                };
+            })
+        };
+    }
+
+    /**
+     * 🚀 Exécution d'un profil
+     */
+    async run(profile, mode = 'queries') {
+        console.log('🐕 RECHERCHE DES LIEUX POUR CHIENS');
+        console.log('==================================');
+        console.log(`🎯 Profil: ${profile.name} (${profile.key})`);
+        console.log(`🗺️ Mode: ${mode === 'coverage' ? 'couverture (grille)' : 'requêtes'}`);
+        console.log(`🔑 API: Google Places ${this.backend.name} (payant)`);
+        console.log('📅', new Date().toLocaleString('fr-BE'));
+
+        const results = mode === 'coverage'
+            ? await this.searchByCoverage(profile)
+            : await this.searchByQueries(profile);
+
+        let places = this.deduplicatePlaces(results);
+        console.log(`\n🚫 ${results.length - places.length} doublons supprimés (${places.length} lieux uniques)`);
+
+        if (profile.details && !this.stats.budgetExceeded) {
+            places = await this.enrichPlaces(places, profile);
+        }
+
+        return places;
+    }
+
+    /**
+     * 🔎 Mode requêtes : Text Search pour chaque définition du profil
+     */
+    async searchByQueries(profile) {
+        const allPlaces = [];
+
+        for (const definition of profile.definitions) {
+            if (this.skipIfCompleted(definition, allPlaces)) continue;
+
+            console.log(`\n🔍 Recherche: ${definition.key} (${PLACE_TYPES[definition.dogPlaceType].displayName})`);
+            console.log(`   Queries: ${definition.queries.length} × ${definition.languages.length} langue(s)`);
+
+            try {
+                const places = await this.searchDefinition(definition, profile);
+                allPlaces.push(...places);
+
+                this.stats.byDefinition[definition.key] = places.length;
+                this.markDefinitionCompleted(definition, places);
+                console.log(`   ✅ ${places.length} lieux trouvés`);
+
+            } catch (error) {
+                if (!(error instanceof BudgetExceededError)) throw error;
+
+                this.handleBudgetExceeded(error, definition, allPlaces);
+                break;
+            }
+        }
+
+        return allPlaces;
+    }
+
+    /**
+     * 🏷️ Toutes les requêtes × langues d'une définition
+     */
+    async searchDefinition(definition, profile) {
+        const state = this.getDefinitionProgress(definition);
+        const places = [...state.places];
+
+        if (state.completedQueries.length > 0) {
+            console.log(`   📌 ${state.completedQueries.length} requêtes déjà faites (checkpoint), ${places.length} lieux`);
+        }
+
+        for (const query of definition.queries) {
+            for (const language of definition.languages) {
+                const queryKey = `${language}:${query}`;
+                if (state.completedQueries.includes(queryKey)) continue;
+
+                try {
+                    console.log(`     🔎 "${query}" [${language}]`);
+                    const found = await this.searchQuery(definition, profile, query, language, queryKey);
+
+                    places.push(...found);
+                    this.markQueryCompleted(definition, queryKey, found);
+
+                    // Pause pour éviter les limites de taux
+                    await this.sleep(500);
+
+                } catch (error) {
+                    if (error instanceof BudgetExceededError) {
+                        error.partialPlaces = places;
+                        throw error;
+                    }
+
+                    console.log(`     ❌ Erreur: ${error.message}`);
+                    this.stats.failedQueries++;
+                }
+            }
+        }
+
+        return places;
+    }
+
+    /**
+     * 📄 Text Search paginée (maxPages) d'une requête
+     */
+    async searchQuery(definition, profile, query, language, queryKey) {
+        const resumed = this.getPendingPage(definition, queryKey);
+        let places = resumed ? resumed.places : [];
+        let nextPageToken = resumed ? resumed.nextPageToken : null;
+        let page = resumed ? resumed.page : 0;
+        let chainFromCache = null; // Pages servies par le cache (null avant la première lecture)
+
+        do {
+            const request = {
+                query,
+                location: profile.center,
+                radius: definition.radiusKm * 1000,
+                language,
+                pageToken: nextPageToken
+            };
+
+            if (this.isStaleCachedPage('text_search', request, page, chainFromCache)) {
+                console.log('     🔄 Page suivante hors cache - requête relue en direct depuis la première page');
+                places = [];
+                page = 0;
+                request.pageToken = null;
+                chainFromCache = false;
+            }
+
+            let response;
+            try {
+                response = await this.searchText(request, page, { refresh: chainFromCache === false });
+            } catch (error) {
+                // Page token du checkpoint expiré : on repart de la première page (le cache évite de repayer)
+                if (!resumed || page !== resumed.page || error instanceof BudgetExceededError) throw error;
+
+                console.log('     ⚠️ Page token expiré - reprise de la requête depuis la première page');
+                places = [];
+                page = 0;
+                response = await this.searchText({ ...request, pageToken: null }, page);
+            }
+            chainFromCache = response.fromCache;
+            page++;
+
+            places.push(...response.results.map(result => this.toCanonicalPlace(result, definition, query)));
+            nextPageToken = page < definition.maxPages ? response.next_page_token : null;
+
+            if (nextPageToken) {
+                this.savePendingPage(definition, queryKey, { page, nextPageToken, places });
+
+                // Pause obligatoire avant la page suivante (inutile si servie par le cache)
+                if (!response.fromCache) {
+                    await this.sleep(2000);
+                }
+            }
+
+        } while (nextPageToken);
+
+        return places;
+    }
+
+    /**
+     * 📡 Text Search avec gestion détaillée des erreurs
+     */
+    async searchText(request, page, options = {}) {
+        const { data, fromCache } = await this.callPlacesApi('text_search', request, page, options);
+        this.assertSearchStatus(data);
+
+        return { ...data, results: data.results || [], fromCache };
+    }
+
+    /**
+     * 🔗 Page suivante absente du cache alors que les précédentes en venaient :
+     * leur next_page_token est périmé, Google le refuserait (INVALID_REQUEST)
+     */
+    isStaleCachedPage(operation, request, page, chainFromCache) {
+        return page > 0 && chainFromCache === true &&
+            !this.cache.has(this.backend.getCacheEndpoint(operation), { ...request, page });
+    }
+
+    /**
+     * ❌ Statut d'une réponse de recherche (OK et ZERO_RESULTS acceptés)
+     */
+    assertSearchStatus(data) {
+        if (data.status === 'OK' || data.status === 'ZERO_RESULTS') return;
+
+        let errorMsg = `API Error: ${data.status}`;
+        if (data.error_message) {
+            errorMsg += ` - ${data.error_message}`;
+        }
+
+        // Messages d'erreur spécifiques
+        if (data.status === 'REQUEST_DENIED') {
+            errorMsg += '\n💡 Vérifiez votre clé API Google Places et ses permissions';
+        } else if (data.status === 'OVER_QUERY_LIMIT') {
+            errorMsg += '\n💡 Quota API dépassé - vérifiez votre billing Google Cloud';
+        } else if (data.status === 'INVALID_REQUEST') {
+            errorMsg += '\n💡 Paramètres de requête invalides';
+        }
+
+        throw new Error(errorMsg);
+    }
+
+    /**
+     * 🗺️ Mode couverture : grille adaptative pour chaque définition du profil
+     */
+    async searchByCoverage(profile) {
+        const allPlaces = [];
+
+        for (const definition of profile.definitions) {
+            if (this.skipIfCompleted(definition, allPlaces)) continue;
+
+            if (definition.googleTypes.length === 0) {
+                console.log(`\n⏭️ ${definition.key}: aucun type Google, ignorée en mode couverture`);
+                continue;
+            }
+
+            console.log(`\n🔍 Couverture: ${definition.key} (${definition.googleTypes.join(', ')})...`);
+
+            const places = [];
+            try {
+                await this.coverCells(definition, profile, this.buildCoverageGrid(profile), places, new Set());
+            } catch (error) {
+                if (!(error instanceof BudgetExceededError)) throw error;
+
+                error.partialPlaces = places;
+                this.handleBudgetExceeded(error, definition, allPlaces);
+                break;
+            }
+
+            allPlaces.push(...places);
+            this.stats.byDefinition[definition.key] = places.length;
+            this.markDefinitionCompleted(definition, places);
+            console.log(`   ✅ ${places.length} lieux trouvés`);
+        }
+
+        return allPlaces;
+    }
+
+    /**
+     * 🧩 Traitement de la file de cellules (subdivision des cellules saturées)
+     * coverageCell : cellule finale contenant le lieu (le cercle Nearby déborde
+     * de la cellule interrogée), null hors de la grille
+     */
+    async coverCells(definition, profile, queue, places, seenIds) {
+        const leaves = [];
+        const firstPlace = places.length;
+
+        try {
+            while (queue.length > 0) {
+                const cell = queue.shift();
+                const { results, saturated } = await this.searchCellAllTypes(definition, cell);
+
+                const cellReport = {
+                    id: cell.id,
+                    definition: definition.key,
+                    depth: cell.depth,
+                    bounds: cell.bounds,
+                    results: results.length,
+                    saturated
+                };
+                this.coverageReport.cells.push(cellReport);
+
+                // Cellule saturée : on la redécoupe tant que la profondeur le permet
+                if (saturated && cell.depth < profile.coverage.maxDepth) {
+                    console.log(`   🔀 Cellule ${cell.id} saturée (${results.length}) - subdivision`);
+                    queue.push(...this.splitCell(cell));
+                    continue;
+                }
+
+                if (saturated) {
+                    console.log(`   ⚠️ Cellule ${cell.id} toujours saturée à profondeur max`);
+                    this.coverageReport.saturatedCells.push(cellReport);
+                }
+                leaves.push(cell);
+
+                for (const result of results) {
+                    if (seenIds.has(result.place_id)) {
+                        this.stats.duplicates++;
+                        continue;
+                    }
+                    seenIds.add(result.place_id);
+
+                    places.push(this.toCanonicalPlace(result, definition, definition.nearbyKeyword || ''));
+                }
+            }
+        } finally {
+            // Aussi pour les résultats partiels (plafond de budget atteint)
+            places.slice(firstPlace).forEach(place => {
+                const { lat, lng } = place.geometry?.location || {};
+                place.coverageCell = leaves.find(leaf => isInBounds(lat, lng, leaf.bounds))?.id || null;
+            });
+        }
+    }
+
+    /**
+     * 🔲 Grille initiale sur les bounds du profil
+     */
+    buildCoverageGrid(profile) {
+        const { minLat, maxLat, minLng, maxLng } = profile.bounds;
+        const size = profile.coverage.gridSize;
+        const latStep = (maxLat - minLat) / size;
+        const lngStep = (maxLng - minLng) / size;
+        const cells = [];
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                cells.push({
+                    id: `r${row}c${col}`,
+                    depth: 0,
+                    bounds: {
+                        minLat: minLat + row * latStep,
+                        maxLat: minLat + (row + 1) * latStep,
+                        minLng: minLng + col * lngStep,
+                        maxLng: minLng + (col + 1) * lngStep
+                    }
+                });
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * ✂️ Découpage d'une cellule en 4 sous-cellules
+     */
+    splitCell(cell) {
+        const { minLat, maxLat, minLng, maxLng } = cell.bounds;
+        const midLat = (minLat + maxLat) / 2;
+        const midLng = (minLng + maxLng) / 2;
+
+        const quadrants = [
+            { minLat, maxLat: midLat, minLng, maxLng: midLng },
+            { minLat, maxLat: midLat, minLng: midLng, maxLng },
+            { minLat: midLat, maxLat, minLng, maxLng: midLng },
+            { minLat: midLat, maxLat, minLng: midLng, maxLng }
+        ];
+
+        return quadrants.map((bounds, index) => ({
+            id: `${cell.id}.${index}`,
+            depth: cell.depth + 1,
+            bounds
+        }));
+    }
+
+    /**
+     * 📡 Nearby Search sur une cellule pour tous les types Google de la définition
+     * Une cellule est saturée dès qu'un des types atteint le plafond du backend
+     */
+    async searchCellAllTypes(definition, cell) {
+        const results = [];
+        const seen = new Set();
+        let saturated = false;
+
+        for (const type of definition.googleTypes) {
+            const typeResults = await this.searchCell(definition, cell, type);
+
+            if (typeResults.length >= this.backend.getNearbyResultCap(definition.nearbyKeyword)) {
+                saturated = true;
+            }
+
+            for (const place of typeResults) {
+                if (!seen.has(place.place_id)) {
+                    seen.add(place.place_id);
+                    results.push(place);
+                }
+            }
+        }
+
+        return { results, saturated };
+    }
+
+    /**
+     * 📡 Nearby Search paginée sur une cellule
+     */
+    async searchCell(definition, cell, type) {
+        const results = [];
+        let nextPageToken = null;
+        let page = 0;
+        let chainFromCache = null;
+
+        do {
+            const request = {
+                location: boundsCenter(cell.bounds),
+                radius: Math.ceil(boundsRadiusMeters(cell.bounds)),
+                bounds: cell.bounds,
+                type,
+                keyword: definition.nearbyKeyword || undefined,
+                pageToken: nextPageToken
+            };
+
+            if (this.isStaleCachedPage('nearby_search', request, page, chainFromCache)) {
+                console.log('     🔄 Page suivante hors cache - cellule relue en direct depuis la première page');
+                results.length = 0;
+                page = 0;
+                request.pageToken = null;
+                chainFromCache = false;
+            }
+
+            const { data, fromCache } = await this.callPlacesApi('nearby_search', request, page++, {
+                refresh: chainFromCache === false
+            });
+            this.assertSearchStatus(data);
+            chainFromCache = fromCache;
+
+            results.push(...(data.results || []));
+            nextPageToken = data.next_page_token;
+
+            // Pause obligatoire avant la page suivante (inutile si servie par le cache)
+            if (nextPageToken && !fromCache) {
+                await this.sleep(2000);
+            }
+
+        } while (nextPageToken);
+
+        return results;
+    }
+
+    /**
+     * 🔍 Enrichissement Place Details des lieux uniques (profils "details")
+     */
+    async enrichPlaces(places, profile) {
+        console.log(`\n🔍 Place Details: ${places.length} lieux...`);
+
+        const enriched = [];
+
+        for (const place of places) {
+            if (this.stats.budgetExceeded) {
+                enriched.push(place);
+                continue;
+            }
+
+            try {
+                enriched.push(await this.enrichPlace(place, profile));
+
+            } catch (error) {
+                if (error instanceof BudgetExceededError) {
+                    this.stats.budgetExceeded = true;
+                    console.log(`\n🛑 ${error.message}`);
+                    console.log('💾 Lieux restants gardés sans Place Details (résultats partiels)');
+                } else {
+                    console.warn(`⚠️ Details API error for ${place.name}: ${error.message}`);
+                    this.stats.detailsErrors++;
+                }
+                enriched.push(place);
+            }
+        }
+
+        this.checkpoint?.save();
+        return enriched;
+    }
+
+    /**
+     * 🔍 Place Details d'un lieu (+ avis par langue), fusionné avec le résultat de recherche
+     */
+    async enrichPlace(place, profile) {
+        const savedDetails = this.checkpoint?.state.details[place.place_id];
+        if (savedDetails) {
+            return { ...place, ...savedDetails };
+        }
+
+        const { data, fromCache } = await this.callPlacesApi('details', {
+            placeId: place.place_id,
+            fields: profile.detailsFields
+        });
+
+        if (data.status !== 'OK' || !data.result) {
+            throw new Error(`Google Places API Error: ${data.status}`);
+        }
+
+        // Pause pour respecter les quotas
+        if (!fromCache) await this.sleep(200);
+
+        const details = { ...data.result };
+        let complete = true;
+
+        if (profile.reviewLanguages.length > 0) {
+            ({ reviews: details.reviews, complete } = await this.fetchReviews(place, profile, data.result.reviews || []));
+        }
+
+        // Un lieu aux avis incomplets n'est pas mémorisé : --resume les redemandera
+        if (this.checkpoint && complete) {
+            const state = this.checkpoint.state;
+            state.details[place.place_id] = details;
+            if (Object.keys(state.details).length % 10 === 0) this.checkpoint.save();
+        }
+
+        return { ...place, ...details };
+    }
+
+    /**
+     * 💬 Avis dans chaque langue du profil (Google en renvoie 5 par langue),
+     * fusionnés sans doublons (même auteur, même date)
+     * Une langue en erreur est ignorée (complete: false) ; le dépassement de budget remonte
+     */
+    async fetchReviews(place, profile, initialReviews = []) {
+        const reviews = [];
+        const seen = new Set();
+        let complete = true;
+
+        const addReviews = (list, language) => {
+            list.forEach(review => {
+                const key = `${review.author_name}|${review.time}`;
+                if (seen.has(key)) return;
+
+                seen.add(key);
+                reviews.push({ ...review, language: review.language || language });
+            });
+        };
+
+        addReviews(initialReviews, null);
+
+        for (const language of profile.reviewLanguages) {
+            try {
+                const { data, fromCache } = await this.callPlacesApi('details', {
+                    placeId: place.place_id,
+                    fields: ['reviews'],
+                    language
+                });
+
+                if (data.status !== 'OK') {
+                    throw new Error(`Google Places API Error: ${data.status}`);
+                }
+
+                addReviews(data.result?.reviews || [], language);
+                if (!fromCache) await this.sleep(200);
+
+            } catch (error) {
+                if (error instanceof BudgetExceededError) throw error;
+
+                console.warn(`⚠️ Reviews (${language}) error for ${place.name}: ${error.message}`);
+                this.stats.reviewErrors++;
+                complete = false;
+            }
+        }
+
+        this.stats.reviews += reviews.length;
+        return { reviews, complete };
+    }
+
+    /**
+     * 📡 Appel au backend Places via le cache, facturé sur le budget
+     * page : numéro de page pour la clé de cache des requêtes paginées
+     * options.refresh : requête envoyée même si la page est en cache
+     */
+    async callPlacesApi(operation, request, page = null, options = {}) {
+        const pricing = this.backend.getPricing(operation, request);
+        const cacheParams = page === null ? request : { ...request, page };
+
+        const { data, fromCache } = await this.cache.fetch(this.backend.getCacheEndpoint(operation), cacheParams, async () => {
+            // Réservé avant l'envoi : lève BudgetExceededError au plafond
+            this.stats.apiCost += this.budget.charge(pricing.kind, pricing.fields);
+            this.stats.totalRequests++;
+
+            return this.backend.request(operation, request);
+        }, this.isCacheableResponse, options);
+
+        if (fromCache) {
+            this.stats.apiCostSaved += getRequestCost(pricing.kind, pricing.fields);
+        }
+
+        return { data, fromCache };
+    }
+
+    /**
+     * 💾 Seules les réponses valides sont mises en cache
+     */
+    isCacheableResponse(data) {
+        return data && (data.status === 'OK' || data.status === 'ZERO_RESULTS');
+    }
+
+    /**
+     * 🐕 Résultat Google → lieu canonique (format legacy + métadonnées de recherche)
+     */
+    toCanonicalPlace(result, definition, query) {
+        return {
+            ...result,
+            dogPlaceType: this.analyzePlaceType(result, definition.dogPlaceType, query),
+            searchQuery: query || null,
+            searchDefinition: definition.key,
+            source: 'Google Places API',
+            lastFetched: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 🧠 Analyse intelligente du type de lieu
+     */
+    analyzePlaceType(place, defaultType, searchQuery) {
+        const name = (place.name || '').toLowerCase();
+        const address = (place.formatted_address || '').toLowerCase();
+        const query = (searchQuery || '').toLowerCase();
+
+        // Mots-clés pour identifier les parcs canins
+        const dogParkKeywords = [
+            'parc canin', 'parc à chien', 'dog park', 'espace chien',
+            'aire de détente canine', 'zone sans laisse', 'parc à chiens',
+            'hondenpark', 'hondenspeelplaats', 'chien sans laisse',
+            'aire canine', 'enclos chien', 'zone chien'
+        ];
+
+        const isDogPark = dogParkKeywords.some(keyword =>
+            name.includes(keyword) || address.includes(keyword) || query.includes(keyword)
+        );
+
+        // Sinon le type cible de la définition
+        return isDogPark ? 'dog_park' : defaultType;
+    }
+
+    /**
+     * 🚫 Déduplication par place_id (la première occurrence est gardée)
+     */
+    deduplicatePlaces(places) {
+        const seen = new Set();
+        const unique = [];
+
+        for (const place of places) {
+            if (!seen.has(place.place_id)) {
+                seen.add(place.place_id);
+                unique.push(place);
+            } else {
+                this.stats.duplicates++;
+            }
+        }
+
+        return unique;
+    }
+
+    /**
+     * 🛑 Arrêt propre au plafond : on garde les lieux déjà récupérés
+     */
+    handleBudgetExceeded(error, definition, allPlaces) {
+        const partialPlaces = error.partialPlaces || [];
+        allPlaces.push(...partialPlaces);
+
+        this.stats.byDefinition[definition.key] = partialPlaces.length;
+        this.stats.budgetExceeded = true;
+
+        console.log(`\n🛑 ${error.message}`);
+        console.log(`💾 Arrêt du run: ${allPlaces.length} lieux conservés (résultats partiels)`);
+    }
+
+    /**
+     * 📌 État initial du checkpoint
+     */
+    createCheckpointState() {
+        return {
+            completed: [],
+            byDefinition: {},
+            places: [],
+            queries: {},
+            details: {}
+        };
+    }
+
+    /**
+     * 📌 Définition déjà terminée lors d'un run précédent : on la saute
+     */
+    skipIfCompleted(definition, allPlaces) {
+        const state = this.checkpoint?.state;
+        if (!state || !state.completed.includes(definition.key)) {
+            return false;
+        }
+
+        const places = state.places.filter(place => place.searchDefinition === definition.key);
+        allPlaces.push(...places);
+        this.stats.byDefinition[definition.key] = places.length;
+
+        console.log(`\n⏭️ ${definition.key}: déjà récupérée (checkpoint)`);
+        return true;
+    }
+
+    /**
+     * 📌 Définition terminée : ses lieux passent dans le checkpoint
+     */
+    markDefinitionCompleted(definition, places) {
+        if (!this.checkpoint) return;
+
+        const state = this.checkpoint.state;
+        state.completed.push(definition.key);
+        state.places.push(...places);
+        delete state.queries[definition.key];
+        this.checkpoint.save();
+    }
+
+    /**
+     * 📌 Avancement d'une définition (requêtes terminées, pages en attente)
+     */
+    getDefinitionProgress(definition) {
+        const saved = this.checkpoint?.state.queries[definition.key];
+
+        return {
+            completedQueries: saved ? saved.completed : [],
+            places: saved ? saved.places : [],
+            pending: saved ? saved.pending : {}
+        };
+    }
+
+    /**
+     * 📌 Requête terminée : ses lieux passent dans le checkpoint
+     */
+    markQueryCompleted(definition, queryKey, places) {
+        if (!this.checkpoint) return;
+
+        const progress = this.getDefinitionProgress(definition);
+        delete progress.pending[queryKey];
+
+        this.checkpoint.state.queries[definition.key] = {
+            completed: [...progress.completedQueries, queryKey],
+            places: [...progress.places, ...places],
+            pending: progress.pending
+        };
+        this.checkpoint.save();
+    }
+
+    /**
+     * 📌 Pagination en cours d'une requête (page suivante + lieux déjà reçus)
+     */
+    savePendingPage(definition, queryKey, { page, nextPageToken, places }) {
+        if (!this.checkpoint) return;
+
+        const progress = this.getDefinitionProgress(definition);
+
+        this.checkpoint.state.queries[definition.key] = {
+            completed: progress.completedQueries,
+            places: progress.places,
+            pending: { ...progress.pending, [queryKey]: { page, nextPageToken, places } }
+        };
+        this.checkpoint.save();
+    }
+
+    getPendingPage(definition, queryKey) {
+        return this.getDefinitionProgress(definition).pending[queryKey] || null;
+    }
+
+    /**
+     * 🧮 Estimation du coût d'un run avant tout appel
+     * Requêtes : chaque requête × langue × maxPages (+ Place Details par résultat, max)
+     * Couverture : grille initiale uniquement (les subdivisions s'ajoutent au besoin)
+     */
+    estimateRunCost(profile, mode = 'queries') {
+        const lines = [];
+        let maxResults = 0;
+
+        profile.definitions.forEach(definition => {
+            if (mode === 'coverage') {
+                const cells = profile.coverage.gridSize * profile.coverage.gridSize;
+                const resultCap = this.backend.getNearbyResultCap(definition.nearbyKeyword);
+                const searches = cells * definition.googleTypes.length;
+                const pages = Math.ceil(resultCap / PAGE_SIZE);
+                const pricing = this.backend.getPricing('nearby_search', { keyword: definition.nearbyKeyword });
+
+                lines.push({
+                    label: `Nearby Search ${definition.key} (${cells} cellules × ${definition.googleTypes.length} types)`,
+                    ...pricing,
+                    count: searches * pages
+                });
+
+                // Subdivisions : chaque cellule saturée jusqu'à maxDepth (4 + 16 + ... sous-cellules par cellule)
+                const { maxDepth } = profile.coverage;
+                const subcells = cells * (Math.pow(4, maxDepth + 1) - 4) / 3;
+                if (subcells > 0) {
+                    lines.push({
+                        label: `Nearby Search ${definition.key} subdivisions (max ${subcells} sous-cellules, profondeur ${maxDepth})`,
+                        ...pricing,
+                        count: subcells * definition.googleTypes.length * pages
+                    });
+                }
+                maxResults += searches * resultCap;
+            } else {
+                const searches = definition.queries.length * definition.languages.length;
+
+                lines.push({
+                    label: `Text Search ${definition.key} (${definition.queries.length} requêtes × ` +
+                        `${definition.languages.length} langues × ${definition.maxPages} pages)`,
+                    ...this.backend.getPricing('text_search'),
+                    count: searches * definition.maxPages
+                });
+                maxResults += searches * definition.maxPages * PAGE_SIZE;
+            }
+        });
+
+        if (profile.details) {
+            lines.push({
+                label: 'Place Details (1 par lieu, max)',
+                ...this.backend.getPricing('details', { fields: profile.detailsFields }),
+                count: maxResults
+            });
+
+            if (profile.reviewLanguages.length > 0) {
+                lines.push({
+                    label: `Avis (${profile.reviewLanguages.join(', ')}, par lieu, max)`,
+                    ...this.backend.getPricing('details', { fields: ['reviews'] }),
+                    count: maxResults * profile.reviewLanguages.length
+                });
+            }
+        }
+
+        return estimateCost(lines);
+    }
+
+    /**
+     * 💾 Sauvegarde au format canonique
+     */
+    saveResults(places, profile, mode) {
+        fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+        const validation = this.validateResults(places);
+
+        const data = {
+            metadata: {
+                source: 'PlaceSearchEngine',
+                profile: profile.key,
+                profileName: profile.name,
+                mode,
+                placesApi: this.backend.name,
+                fetchedAt: new Date().toISOString(),
+                count: places.length,
+                partial: this.stats.budgetExceeded,
+                placesByType: this.groupByType(places),
+                byDefinition: this.stats.byDefinition,
+                stats: this.stats,
+                apiCostEstimate: `$${this.stats.apiCost.toFixed(3)}`,
+                coverage: mode === 'coverage' ? this.coverageReport : undefined,
+                validation
+            },
+            places
+        };
+
+        fs.writeFileSync(this.outputFile, JSON.stringify(data, null, 2), 'utf8');
+        console.log(`💾 ${places.length} lieux sauvegardés dans ${this.outputFile}`);
+
+        return this.outputFile;
+    }
+
+    /**
+     * 📐 Schéma des lieux (scripts/common/placeSchema.js) : rien n'est écarté
+     * ici, l'import décide ; les problèmes sont gardés dans metadata.validation
+     */
+    validateResults(places) {
+        const issues = [];
+
+        places.forEach(place => {
+            const { errors, warnings } = validateFetchedPlace(place);
+            if (errors.length > 0 || warnings.length > 0) {
+                issues.push({ place_id: place.place_id || null, name: place.name || null, errors, warnings });
+            }
+        });
+
+        this.validation = {
+            invalid: issues.filter(issue => issue.errors.length > 0).length,
+            warnings: issues.reduce((sum, issue) => sum + issue.warnings.length, 0),
+            issues
+        };
+        return this.validation;
+    }
+
+    groupByType(places) {
+        const groups = {};
+        places.forEach(place => {
+            const type = place.dogPlaceType || 'unknown';
+            groups[type] = (groups[type] || 0) + 1;
+        });
+        return groups;
+    }
+
+    /**
+     * 📊 Rapport final
+     */
+    generateReport(places, profile) {
+        const duration = (Date.now() - this.stats.startTime) / 1000;
+
+        console.log('\n📊 RAPPORT DE RECHERCHE');
+        console.log('========================');
+        console.log(`⏱️  Durée: ${duration.toFixed(1)}s`);
+        console.log(`🔍 Requêtes API payées: ${this.stats.totalRequests}`);
+        console.log(`📊 Lieux uniques: ${places.length}`);
+        console.log(`🚫 Doublons supprimés: ${this.stats.duplicates}`);
+        console.log(`❌ Requêtes en erreur: ${this.stats.failedQueries}`);
+
+        if (profile.details) {
+            console.log(`❌ Erreurs Place Details: ${this.stats.detailsErrors}`);
+        }
+
+        if (profile.details && profile.reviewLanguages.length > 0) {
+            console.log(`💬 Avis récupérés (${profile.reviewLanguages.join(', ')}): ${this.stats.reviews}`);
+            console.log(`❌ Erreurs avis: ${this.stats.reviewErrors}`);
+        }
+
+        const validation = this.validation || this.validateResults(places);
+        console.log(`📐 Schéma: ${validation.invalid} lieux invalides, ${validation.warnings} avertissements`);
+        validation.issues
+            .filter(issue => issue.errors.length > 0)
+            .slice(0, 5)
+            .forEach(issue => {
+                console.log(`   ${issue.name || issue.place_id}: ${issue.errors.map(error => error.message).join(', ')}`);
+            });
+
+        console.log('\n📈 PAR DÉFINITION:');
+        profile.definitions.forEach(definition => {
+            console.log(`   ${definition.key}: ${this.stats.byDefinition[definition.key] || 0} lieux`);
+        });
+
+        console.log('\n🏷️ PAR TYPE:');
+        Object.entries(this.groupByType(places)).forEach(([type, count]) => {
+            console.log(`   ${PLACE_TYPES[type]?.displayName || type}: ${count} lieux`);
+        });
+
+        console.log('\n💰 COÛT API:');
+        console.log(`   Coût estimé: $${this.stats.apiCost.toFixed(3)}`);
+        console.log(`   Cache: ${this.cache.stats.hits} hits / ${this.cache.stats.misses} misses` +
+            (this.cache.enabled ? '' : ' (désactivé)'));
+        console.log(`   Économisé grâce au cache: $${this.stats.apiCostSaved.toFixed(3)}`);
+
+        if (this.budget.maxCost !== null) {
+            console.log(`   Budget: $${this.budget.spent.toFixed(3)} / $${this.budget.maxCost.toFixed(2)}` +
+                (this.stats.budgetExceeded ? ' (plafond atteint, résultats partiels)' : ''));
+        }
+
+        if (this.coverageReport.cells.length > 0) {
+            this.printCoverageReport();
+        }
+
+        if (this.stats.apiCost > 5) {
+            console.log('\n⚠️ ATTENTION: Coût API élevé!');
+            console.log('💡 Considérez réduire la fréquence des appels');
+        }
+    }
+
+    /**
+     * 🗺️ Rapport de couverture (cellules encore saturées)
+     */
+    printCoverageReport() {
+        const { cells, saturatedCells } = this.coverageReport;
+
+        console.log('\n🗺️ COUVERTURE:');
+        console.log(`   Cellules interrogées: ${cells.length}`);
+        console.log(`   Cellules subdivisées: ${cells.filter(cell => cell.saturated).length - saturatedCells.length}`);
+        console.log(`   Cellules encore saturées: ${saturatedCells.length}`);
+
+        saturatedCells.forEach(cell => {
+            const { minLat, maxLat, minLng, maxLng } = cell.bounds;
+            console.log(`   ⚠️ ${cell.definition} ${cell.id}: ${cell.results} résultats ` +
+                `[${minLat.toFixed(4)},${minLng.toFixed(4)} → ${maxLat.toFixed(4)},${maxLng.toFixed(4)}]`);
+        });
+
+        if (saturatedCells.length > 0) {
+            console.log('💡 Augmentez coverage.maxDepth dans searchProfiles.json pour subdiviser davantage ces zones');
+        }
+    }
+
+    /**
+     * 💤 Pause utilitaire
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * 📋 Liste des profils disponibles
+ */
+function printProfiles(config) {
+    console.log('🎯 PROFILS DE RECHERCHE DISPONIBLES:');
+    Object.entries(config.profiles).forEach(([key, profile]) => {
+        console.log(`   ${key.padEnd(22)} ${profile.name} (${profile.definitions.join(', ')})`);
+    });
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ * defaults.profile : profil utilisé sans argument (points d'entrée historiques)
+ */
+async function main(defaults = {}) {
+    const [profileArg, radiusKm, dryRun] = getPositionalArgs(VALUE_OPTIONS);
+    const profileKey = profileArg || defaults.profile || 'all_dog_places';
+    const mode = hasFlag('--coverage') ? 'coverage' : 'queries';
+    const isDryRun = dryRun === 'true';
+    const checkpoint = new FetchCheckpoint('place_search');
+
+    try {
+        if (hasFlag('--list-profiles')) {
+            printProfiles(loadSearchProfiles());
+            return;
+        }
+
+        const engine = new PlaceSearchEngine({
+            cache: createResponseCacheFromArgs(),
+            budget: createBudgetFromArgs(),
+            backend: createPlacesBackendFromArgs(process.env.GOOGLE_PLACES_API_KEY),
+            checkpoint
+        });
+
+        const radius = parseInt(radiusKm) || undefined;
+        const profile = engine.resolveProfile(profileKey, { radiusKm: radius });
+
+        // 0. Estimation avant tout appel payant
+        printCostEstimate(engine.estimateRunCost(profile, mode), engine.budget);
+
+        if (hasFlag('--estimate-only')) {
+            console.log('\n🧮 Estimation uniquement (--estimate-only) - aucun appel effectué');
+            return;
+        }
+
+        // Polygones de la Région : vérifiés avant tout appel payant
+        loadBoundaries();
+
+        // 1. Recherche (reprise possible avec --resume)
+        checkpoint.start(
+            engine.createCheckpointState(),
+            { profile: profileKey, mode, radiusKm: radius || null },
+            hasFlag('--resume')
+        );
+        checkpoint.installInterruptHandler();
+
+        const places = await engine.run(profile, mode);
+
+        // 2. Sauvegarde
+        if (!isDryRun) {
+            console.log('\n💾 Sauvegarde...');
+            engine.saveResults(places, profile, mode);
+        } else {
+            console.log('\n🧪 Mode test - pas de sauvegarde');
+        }
+
+        // 3. Rapport final
+        engine.generateReport(places, profile);
+
+        // 4. Checkpoint : supprimé si tout est récupéré, gardé pour --resume sinon
+        const incomplete = engine.stats.budgetExceeded || engine.stats.failedQueries > 0 ||
+            engine.stats.detailsErrors > 0 || engine.stats.reviewErrors > 0;
+        if (incomplete) {
+            checkpoint.removeInterruptHandler();
+            console.log(`\n📌 Run incomplet - checkpoint conservé: ${checkpoint.filePath}`);
+            console.log('💡 Relancez avec --resume pour récupérer le reste');
+            console.log('\n🛑 RECHERCHE INCOMPLÈTE');
+        } else {
+            checkpoint.clear();
+            console.log('\n🎉 RECHERCHE TERMINÉE AVEC SUCCÈS!');
+        }
+
+        console.log(`📊 ${places.length} lieux pour chiens collectés`);
+        if (!isDryRun) {
+            console.log('💡 Prochaine étape: npm run photos:places (puis import:places:process)');
+        }
+
+    } catch (error) {
+        console.error('\n💥 ERREUR:', error.message);
+
+        if (error.message.includes('API key') || error.message.includes('GOOGLE_PLACES_API_KEY')) {
+            console.log('\n🔑 Configuration requise:');
+            console.log('1. Obtenez une clé Google Places API');
+            console.log('2. Ajoutez GOOGLE_PLACES_API_KEY dans .env');
+            console.log('3. Activez la billing sur votre projet Google Cloud');
+        }
+
+        if (checkpoint.exists()) {
+            console.log('💡 Avancement sauvegardé - relancez avec --resume pour continuer');
+        }
+
+        process.exit(1);
+    }
+}
+
+module.exports = { PlaceSearchEngine, loadSearchProfiles, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
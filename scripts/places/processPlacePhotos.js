@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { hasFlag, getFlagValue } = require('../common/cliArgs');
+const { createPlacesBackendFromArgs } = require('../common/placesBackends');
+const { createPhotoStorageFromArgs } = require('../common/photoStorage');
+const {
+    BudgetExceededError,
+    CostBudget,
+    createBudgetFromArgs,
+    estimateCost,
+    printCostEstimate
+} = require('../common/placesPricing');
+require('dotenv').config();
+
+/**
+ * 🖼️ PHOTOS DES LIEUX - GOOGLE PLACES PHOTOS (PAYANT)
+ *
+ * Étape entre la recherche et l'import : télécharge une seule fois les
+ * photos de data/dog_places.json, les redimensionne (thumbnail, medium)
+ * et les range dans le stockage choisi (dossier local ou Firebase Storage).
+ *
+ * Les lieux ne gardent que la référence Google, les html_attributions
+ * (obligatoires à l'affichage) et les chemins de stockage : aucune URL
+ * contenant la clé API n'est écrite. Une photo n'est retéléchargée que
+ * si sa référence change ; les fichiers des anciennes références sont
+ * supprimés.
+ *
+ * Usage : node processPlacePhotos.js [--max-photos 3] [--max-cost 1]
+ *         [--estimate-only] [--photo-storage local|firebase] [--photo-dir dir]
+ *         [--places-api legacy|new]
+ */
+
+const DEFAULT_INPUT_FILE = path.join(__dirname, '..', '..', 'data', 'dog_places.json');
+const DEFAULT_MAX_PHOTOS = 3;
+
+// Largeur maximale (px) de chaque taille générée
+const PHOTO_SIZES = {
+    thumbnail: 200,
+    medium: 800
+};
+
+class PlacePhotoProcessor {
+    constructor(options = {}) {
+        this.inputFile = options.inputFile || DEFAULT_INPUT_FILE;
+        this.storage = options.storage;
+        this.backend = options.backend;
+        this.budget = options.budget || new CostBudget();
+        this.maxPhotosPerPlace = options.maxPhotosPerPlace ?? DEFAULT_MAX_PHOTOS;
+        this.sizes = options.sizes || PHOTO_SIZES;
+
+        this.stats = {
+            places: 0,
+            photos: 0,
+            downloaded: 0,
+            reused: 0,
+            removed: 0,
+            errors: 0,
+            apiCost: 0,
+            budgetExceeded: false,
+            startTime: Date.now()
+        };
+    }
+
+    /**
+     * 📂 Lecture du fichier produit par placeSearchEngine.js
+     */
+    loadPlacesFile() {
+        if (!fs.existsSync(this.inputFile)) {
+            throw new Error(`Fichier non trouvé: ${this.inputFile}`);
+        }
+
+        console.log(`📂 Chargement du fichier: ${this.inputFile}`);
+        return JSON.parse(fs.readFileSync(this.inputFile, 'utf8'));
+    }
+
+    /**
+     * 🧮 Estimation : une photo Google facturée par photo encore absente du stockage
+     */
+    async estimateRunCost(places) {
+        let missing = 0;
+
+        for (const place of places) {
+            for (const photo of this.selectPhotos(place)) {
+                if (!(await this.isStored(place.place_id, this.getReference(photo)))) missing++;
+            }
+        }
+
+        return estimateCost([{
+            label: `Place Photos (max ${this.maxPhotosPerPlace} par lieu, hors stockage existant)`,
+            kind: 'photo',
+            count: missing
+        }]);
+    }
+
+    /**
+     * 🚀 Traitement de tous les lieux puis réécriture du fichier
+     */
+    async run(data) {
+        const places = data.places || [];
+        console.log(`\n🖼️ Photos: ${places.length} lieux (stockage ${this.storage.name}: ${this.storage.describe()})`);
+
+        data.places = [];
+        for (const place of places) {
+            data.places.push(await this.processPlace(place));
+            this.stats.places++;
+
+            if (this.stats.places % 25 === 0) {
+                console.log(`   📊 ${this.stats.places}/${places.length} lieux traités`);
+            }
+        }
+
+        data.metadata = {
+            ...data.metadata,
+            photos: {
+                storage: this.storage.name,
+                processedAt: new Date().toISOString(),
+                sizes: this.sizes,
+                partial: this.stats.budgetExceeded,
+                stats: this.stats
+            }
+        };
+
+        return data;
+    }
+
+    /**
+     * 🏢 Photos d'un lieu : réutilisées, téléchargées ou laissées en attente
+     */
+    async processPlace(place) {
+        if (!place.place_id) return place;
+
+        const photos = [];
+        for (const photo of this.selectPhotos(place)) {
+            photos.push(await this.processPhoto(place, photo));
+            this.stats.photos++;
+        }
+
+        await this.removeStalePhotos(place.place_id, photos);
+
+        return { ...place, photos };
+    }
+
+    /**
+     * 🖼️ Une photo → { reference, width, height, html_attributions, storagePaths }
+     * storagePaths est absent tant que la photo n'est pas stockée
+     */
+    async processPhoto(place, photo) {
+        const reference = this.getReference(photo);
+        const stored = {
+            reference,
+            width: photo.width,
+            height: photo.height,
+            html_attributions: photo.html_attributions || []
+        };
+
+        if (!reference) return stored;
+
+        const storagePaths = this.getStoragePaths(place.place_id, reference);
+
+        if (await this.isStored(place.place_id, reference)) {
+            this.stats.reused++;
+            return { ...stored, storagePaths };
+        }
+
+        if (this.stats.budgetExceeded) return stored;
+
+        try {
+            // Réservé avant le téléchargement : lève BudgetExceededError au plafond
+            this.stats.apiCost += this.budget.charge('photo');
+
+            const original = await this.backend.fetchPhoto(reference, Math.max(...Object.values(this.sizes)));
+
+            for (const [size, width] of Object.entries(this.sizes)) {
+                await this.storage.save(storagePaths[size], await this.resize(original, width), 'image/jpeg');
+            }
+
+            this.stats.downloaded++;
+            return { ...stored, storagePaths };
+
+        } catch (error) {
+            if (error instanceof BudgetExceededError) {
+                this.stats.budgetExceeded = true;
+                console.log(`\n🛑 ${error.message}`);
+                console.log('💾 Photos restantes gardées sans stockage (relancez pour les récupérer)');
+            } else {
+                console.warn(`⚠️ Photo error for ${place.name}: ${error.message}`);
+                this.stats.errors++;
+            }
+            return stored;
+        }
+    }
+
+    /**
+     * 📐 Redimensionnement JPEG (jamais agrandi, orientation EXIF appliquée)
+     */
+    resize(buffer, width) {
+        return sharp(buffer)
+            .rotate()
+            .resize({ width, withoutEnlargement: true })
+            .jpeg({ quality: 80, mozjpeg: true })
+            .toBuffer();
+    }
+
+    /**
+     * 🧹 Suppression des fichiers dont la référence n'est plus utilisée
+     */
+    async removeStalePhotos(placeId, photos) {
+        const kept = new Set(photos.flatMap(photo => Object.values(photo.storagePaths || {})));
+        const existing = await this.storage.list(`places/${placeId}/`);
+
+        for (const storagePath of existing) {
+            if (!kept.has(storagePath)) {
+                await this.storage.remove(storagePath);
+                this.stats.removed++;
+            }
+        }
+    }
+
+    selectPhotos(place) {
+        return (place.photos || []).slice(0, this.maxPhotosPerPlace);
+    }
+
+    /**
+     * 🔑 Référence Google (photo_reference legacy, nom de ressource New,
+     * ou reference d'une photo déjà traitée)
+     */
+    getReference(photo) {
+        return photo.photo_reference || photo.reference || null;
+    }
+
+    /**
+     * 📁 Chemins de stockage, dérivés de la référence : une nouvelle
+     * référence donne de nouveaux chemins, donc un nouveau téléchargement
+     */
+    getStoragePaths(placeId, reference) {
+        const hash = crypto.createHash('sha1').update(reference).digest('hex').slice(0, 16);
+        const paths = {};
+
+        Object.keys(this.sizes).forEach(size => {
+            paths[size] = `places/${placeId}/${hash}_${size}.jpg`;
+        });
+
+        return paths;
+    }
+
+    async isStored(placeId, reference) {
+        if (!reference) return true;
+
+        const paths = Object.values(this.getStoragePaths(placeId, reference));
+        for (const storagePath of paths) {
+            if (!(await this.storage.exists(storagePath))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 💾 Réécriture du fichier de lieux (écriture atomique)
+     */
+    saveResults(data) {
+        const tmpPath = `${this.inputFile}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmpPath, this.inputFile);
+        console.log(`💾 ${data.places.length} lieux mis à jour dans ${this.inputFile}`);
+    }
+
+    /**
+     * 📊 Rapport final
+     */
+    generateReport() {
+        const duration = (Date.now() - this.stats.startTime) / 1000;
+
+        console.log('\n📊 RAPPORT PHOTOS');
+        console.log('==================');
+        console.log(`⏱️  Durée: ${duration.toFixed(1)}s`);
+        console.log(`🏢 Lieux: ${this.stats.places}`);
+        console.log(`🖼️ Photos retenues: ${this.stats.photos}`);
+        console.log(`⬇️  Téléchargées: ${this.stats.downloaded}`);
+        console.log(`♻️  Déjà stockées: ${this.stats.reused}`);
+        console.log(`🧹 Fichiers obsolètes supprimés: ${this.stats.removed}`);
+        console.log(`❌ Erreurs: ${this.stats.errors}`);
+        console.log(`💰 Coût estimé: $${this.stats.apiCost.toFixed(3)}`);
+
+        if (this.budget.maxCost !== null) {
+            console.log(`   Budget: $${this.budget.spent.toFixed(3)} / $${this.budget.maxCost.toFixed(2)}` +
+                (this.stats.budgetExceeded ? ' (plafond atteint, résultats partiels)' : ''));
+        }
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+async function main() {
+    try {
+        const maxPhotos = parseInt(getFlagValue('--max-photos', DEFAULT_MAX_PHOTOS));
+        if (Number.isNaN(maxPhotos) || maxPhotos < 0) {
+            throw new Error('--max-photos doit être un entier positif');
+        }
+
+        const processor = new PlacePhotoProcessor({
+            storage: createPhotoStorageFromArgs(),
+            backend: createPlacesBackendFromArgs(process.env.GOOGLE_PLACES_API_KEY),
+            budget: createBudgetFromArgs(),
+            maxPhotosPerPlace: maxPhotos
+        });
+
+        const data = processor.loadPlacesFile();
+
+        // 0. Estimation avant tout appel payant
+        printCostEstimate(await processor.estimateRunCost(data.places || []), processor.budget);
+
+        if (hasFlag('--estimate-only')) {
+            console.log('\n🧮 Estimation uniquement (--estimate-only) - aucun appel effectué');
+            return;
+        }
+
+        // 1. Téléchargement, redimensionnement, stockage
+        await processor.run(data);
+
+        // 2. Sauvegarde et rapport
+        processor.saveResults(data);
+        processor.generateReport();
+
+        console.log(processor.stats.budgetExceeded || processor.stats.errors > 0
+            ? '\n🛑 PHOTOS INCOMPLÈTES - relancez pour récupérer le reste'
+            : '\n🎉 PHOTOS TRAITÉES AVEC SUCCÈS!');
+        console.log('💡 Prochaine étape: npm run import:places:process');
+
+    } catch (error) {
+        console.error('\n💥 ERREUR:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { PlacePhotoProcessor, PHOTO_SIZES, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
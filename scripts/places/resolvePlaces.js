@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { getFlagValue } = require('../common/cliArgs');
+const {
+    EntityResolver,
+    fromGooglePlace,
+    fromOsmElement,
+    fromFoursquarePlace
+} = require('../common/entityResolution');
+const { loadOsmFile, isDogPlaceElement } = require('../common/osmPlaces');
+
+/**
+ * 🧬 RÉSOLUTION DES LIEUX MULTI-SOURCES
+ *
+ * Fusionne les lieux Google, OSM et Foursquare en lieux canoniques
+ * (voir scripts/common/entityResolution.js) avant l'import :
+ *   - data/resolved_places.json : lieux canoniques, lus par importPlaces.js
+ *     (fichier de lieux le plus récent) ;
+ *   - scripts/data/entity_review.json : rapprochements ambigus à trancher.
+ *
+ * Les décisions de revue vont dans config/entityDecisions.json :
+ *   { "merge": [["Google:ChIJ...", "OSM:way/123"]], "separate": [["Google:ChIJ...", "OSM:node/456"]] }
+ *
+ * Usage : node resolvePlaces.js [--google fichier] [--osm fichier] [--foursquare fichier]
+ *                               [--decisions fichier] [--output fichier]
+ * Fichiers relatifs à data/. Par défaut : fichier de lieux Google le plus
+ * récent, osm_export.json (fetchOsmPlaces.js) et foursquare_export.json
+ * s'ils existent ; OSM seul suffit pour un import sans coût Google.
+ *
+ * Coût : 0€ - traitement local
+ */
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const DEFAULT_OUTPUT = 'resolved_places.json';
+const DEFAULT_OSM_FILE = 'osm_export.json';
+const DEFAULT_FOURSQUARE_FILE = 'foursquare_export.json';
+const DEFAULT_DECISIONS_FILE = path.join(__dirname, 'config', 'entityDecisions.json');
+const REVIEW_FILE = path.join(__dirname, '../data/entity_review.json');
+
+/**
+ * 📁 Chemin d'un fichier (relatif à data/ sauf chemin absolu)
+ */
+function resolveDataPath(filename) {
+    return path.isAbsolute(filename) ? filename : path.join(DATA_DIR, filename);
+}
+
+class PlaceResolver {
+    constructor(options = {}) {
+        this.outputFile = options.outputFile || DEFAULT_OUTPUT;
+        this.decisionsFile = options.decisionsFile || DEFAULT_DECISIONS_FILE;
+    }
+
+    /**
+     * 📂 Lecture d'un fichier JSON de data/
+     */
+    readDataFile(filename) {
+        const filePath = resolveDataPath(filename);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Fichier non trouvé: ${filePath}`);
+        }
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * 🔍 Fichiers d'entrée par défaut (null si absent)
+     */
+    findDefaultInput(filename) {
+        return fs.existsSync(resolveDataPath(filename)) ? filename : null;
+    }
+
+    /**
+     * 🔍 Fichier Google par défaut : lieux les plus récents, hors sortie de la résolution
+     */
+    findGoogleFile() {
+        const candidates = fs.existsSync(DATA_DIR)
+            ? fs.readdirSync(DATA_DIR)
+                .filter(file => file.includes('places') && file.endsWith('.json') && file !== this.outputFile)
+                .map(file => ({ name: file, mtime: fs.statSync(path.join(DATA_DIR, file)).mtime }))
+                .sort((a, b) => b.mtime - a.mtime)
+            : [];
+
+        return candidates.length > 0 ? candidates[0].name : null;
+    }
+
+    /**
+     * 📥 Fiches sources de tous les fournisseurs
+     */
+    loadRecords({ googleFile, osmFile, foursquareFile }) {
+        const records = [];
+        const inputs = {};
+
+        if (!googleFile && !osmFile && !foursquareFile) {
+            throw new Error('Aucun fichier de lieux trouvé dans data/ (Google, OSM ou Foursquare)');
+        }
+
+        if (googleFile) {
+            const google = this.readDataFile(googleFile);
+            const googlePlaces = Array.isArray(google) ? google : google.places || [];
+            records.push(...googlePlaces.map(fromGooglePlace));
+            inputs.Google = { file: googleFile, count: googlePlaces.length };
+        }
+
+        if (osmFile) {
+            const osmPath = resolveDataPath(osmFile);
+            if (!fs.existsSync(osmPath)) {
+                throw new Error(`Fichier non trouvé: ${osmPath}`);
+            }
+
+            // Export Overpass JSON ou XML .osm
+            const elements = loadOsmFile(osmPath).filter(isDogPlaceElement);
+            records.push(...elements.map(fromOsmElement));
+            inputs.OSM = { file: osmFile, count: elements.length };
+        }
+
+        if (foursquareFile) {
+            const foursquare = this.readDataFile(foursquareFile);
+            const results = Array.isArray(foursquare) ? foursquare : foursquare.results || [];
+            records.push(...results.map(fromFoursquarePlace));
+            inputs.Foursquare = { file: foursquareFile, count: results.length };
+        }
+
+        Object.entries(inputs).forEach(([provider, input]) => {
+            console.log(`📂 ${provider}: ${input.count} lieux (${input.file})`);
+        });
+
+        return { records, inputs };
+    }
+
+    /**
+     * ⚖️ Décisions de revue (fichier optionnel)
+     */
+    loadDecisions() {
+        if (!fs.existsSync(this.decisionsFile)) {
+            return { merge: [], separate: [] };
+        }
+
+        const decisions = JSON.parse(fs.readFileSync(this.decisionsFile, 'utf8'));
+        console.log(`⚖️ Décisions: ${(decisions.merge || []).length} fusions, ${(decisions.separate || []).length} séparations`);
+        return decisions;
+    }
+
+    /**
+     * 🧬 Résolution et écriture des fichiers
+     */
+    run(inputFiles) {
+        const { records, inputs } = this.loadRecords(inputFiles);
+        const resolver = new EntityResolver({ decisions: this.loadDecisions() });
+        const { places, ambiguous, stats } = resolver.resolve(records);
+
+        const placesByType = {};
+        places.forEach(place => {
+            placesByType[place.dogPlaceType] = (placesByType[place.dogPlaceType] || 0) + 1;
+        });
+
+        const timestamp = new Date().toISOString();
+
+        fs.writeFileSync(resolveDataPath(this.outputFile), JSON.stringify({
+            timestamp,
+            source: `Résolution d'entités (${Object.keys(inputs).join(', ')})`,
+            totalPlaces: places.length,
+            placesByType,
+            places,
+            metadata: { fetchedAt: timestamp, resolution: { inputs, stats } }
+        }, null, 2));
+
+        fs.mkdirSync(path.dirname(REVIEW_FILE), { recursive: true });
+        fs.writeFileSync(REVIEW_FILE, JSON.stringify({ generatedAt: timestamp, inputs, ambiguous }, null, 2));
+
+        this.printReport(stats, ambiguous);
+        return { places, ambiguous, stats };
+    }
+
+    /**
+     * 📊 Rapport
+     */
+    printReport(stats, ambiguous) {
+        console.log('\n🧬 RAPPORT DE RÉSOLUTION');
+        console.log('========================');
+        console.log(`📥 Fiches sources: ${stats.records} (invalides: ${stats.invalid})`);
+        console.log(`📍 Lieux canoniques: ${stats.places}`);
+        console.log(`🔗 Lieux multi-sources: ${stats.merged}`);
+        console.log(`❓ Rapprochements ambigus: ${stats.ambiguous}`);
+
+        ambiguous.slice(0, 10).forEach(entry => {
+            const best = entry.candidates[0];
+            console.log(`   ${entry.record.key} "${entry.record.name}" ↔ ${best.keys.join(' + ')} "${best.name}" (score ${best.score}, ${best.distanceMeters} m)`);
+        });
+
+        if (ambiguous.length > 10) {
+            console.log(`   ... et ${ambiguous.length - 10} autres`);
+        }
+
+        console.log(`\n💾 Lieux: ${path.relative(process.cwd(), resolveDataPath(this.outputFile))}`);
+        if (ambiguous.length > 0) {
+            console.log(`📝 Revue: ${path.relative(process.cwd(), REVIEW_FILE)} → décisions dans config/entityDecisions.json`);
+        }
+    }
+}
+
+/**
+ * 🎯 FONCTION PRINCIPALE
+ */
+function main() {
+    console.log('🧬 RÉSOLUTION DES LIEUX MULTI-SOURCES');
+    console.log('=====================================');
+
+    try {
+        const resolver = new PlaceResolver({
+            outputFile: getFlagValue('--output', DEFAULT_OUTPUT),
+            decisionsFile: getFlagValue('--decisions')
+        });
+
+        resolver.run({
+            googleFile: getFlagValue('--google') || resolver.findGoogleFile(),
+            osmFile: getFlagValue('--osm') || resolver.findDefaultInput(DEFAULT_OSM_FILE),
+            foursquareFile: getFlagValue('--foursquare') || resolver.findDefaultInput(DEFAULT_FOURSQUARE_FILE)
+        });
+
+        console.log('\n💡 Prochaine étape: npm run import:places:process');
+
+    } catch (error) {
+        console.error('💥 Erreur:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { PlaceResolver, main };
+
+// Exécution si appelé directement
+if (require.main === module) {
+    main();
+}
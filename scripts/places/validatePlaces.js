@@ -1,5 +1,23 @@
 const admin = require('firebase-admin');
+const path = require('path');
 const { initializeFirebase } = require('../common/firebaseInit');
+const { NEUTRAL_SCORE } = require('../common/dogFriendliness');
+const { isOverridableField, isCuratedField } = require('../common/placeOverrides');
+const { LEGACY_PLACE_TYPES, getPlaceTypeInfo } = require('../common/placeTypes');
+const { validatePlace } = require('../common/placeSchema');
+const { PLACE_FIXERS, FixRunner } = require('../common/dataFixers');
+const { getFlagValue, hasFlag } = require('../common/cliArgs');
+const { findCommuneInAddress } = require('../common/postalCodes');
+const { loadBoundaries } = require('../common/brusselsBoundaries');
+const { findDuplicateSuggestions } = require('../common/placeDuplicates');
+const { readDuplicateDecisions } = require('./placeDuplicates');
+const {
+    buildValidationReport,
+    printThresholdChecks,
+    readReportOptions,
+    readThresholds,
+    writeValidationReports
+} = require('../common/validationReport');
 require('dotenv').config();
 
 /**
@@ -8,13 +26,34 @@ require('dotenv').config();
  * Vérifie la qualité et l'intégrité des lieux pour chiens
  * dans la collection 'brussels_places'
  *
+ * Champs, bornes et formats : schéma partagé avec le fetch et l'import
+ * (scripts/common/placeSchema.js) ; ici s'ajoutent doublons, cohérence
+ * et statistiques.
+ *
+ * --fix [--dry-run] : corrections explicites après la validation (nom,
+ * téléphone E.164, site web, catégorie, searchAddress manquant), avec
+ * sauvegarde et journal ; --restore <run> les annule (voir common/dataFixers.js)
+ *
+ * Rapports complets JSON / HTML / JUnit dans scripts/data/reports ; code de
+ * sortie 1 si un seuil est dépassé (--min-quality, --max-invalid-rate,
+ * --max-duplicates, --max-warnings : voir common/validationReport.js)
+ *
  * Coût : 0€ - Validation locale
  */
 
+// Seuils par défaut (score de qualité en %, les autres non vérifiés)
+const DEFAULT_THRESHOLDS = {
+    minQualityScore: 80
+};
+
 class PlaceValidator {
     constructor() {
         this.firestore = admin.firestore();
         this.COLLECTION_NAME = 'brussels_places';
+        this.docs = [];
+        this.issues = []; // Problèmes structurés pour les rapports
+        this.currentCommune = null;
+        this.duplicateCandidates = []; // Lieux actifs valides, comparés après la boucle
 
         this.stats = {
             total: 0,
@@ -22,6 +61,7 @@ class PlaceValidator {
             invalid: 0,
             warnings: 0,
             duplicates: 0,
+            legacyTypes: 0,
             missingData: {
                 address: 0,
                 coordinates: 0,
@@ -29,10 +69,20 @@ class PlaceValidator {
                 website: 0,
                 rating: 0,
                 openingHours: 0,
-                photos: 0
+                photos: 0,
+                dogFriendlyScore: 0
             },
             categories: {},
             sources: {},
+            lifecycle: {
+                active: 0,
+                inactive: 0,
+                byClosedReason: {}
+            },
+            curation: {
+                places: 0,
+                byField: {}
+            },
             ratings: {
                 excellent: 0, // 4.0+
                 good: 0,      // 3.0-3.9
@@ -44,29 +94,6 @@ class PlaceValidator {
             warnings_list: [],
             startTime: Date.now()
         };
-
-        // Zones géographiques approximatives de Bruxelles élargie
-        this.EXTENDED_BRUSSELS_BOUNDS = {
-            minLat: 50.7,
-            maxLat: 51.0,
-            minLng: 4.0,
-            maxLng: 4.6
-        };
-
-        // Types de lieux valides (nouveaux types du script enhanced)
-        this.VALID_PLACE_TYPES = [
-            // Nouveaux types du script enhanced
-            'dog_park',           // Parc canin dédié
-            'general_park',       // Parc public (chiens acceptés)
-            'veterinary',         // Vétérinaire
-            'dog_friendly_restaurant', // Restaurant dog-friendly
-
-            // Anciens types (rétrocompatibilité)
-            'dog_parks',
-            'pet_stores',
-            'dog_friendly_cafes',
-            'unknown'
-        ];
     }
 
     /**
@@ -84,6 +111,7 @@ class PlaceValidator {
             const snapshot = await collection.get();
 
             this.stats.total = snapshot.size;
+            this.docs = snapshot.docs; // Réutilisés par --fix (pas de seconde lecture)
             console.log(`📊 ${this.stats.total} lieux à valider`);
 
             if (this.stats.total === 0) {
@@ -93,11 +121,10 @@ class PlaceValidator {
             }
 
             // 2. Validation document par document
-            const seenPlaces = new Map(); // Pour détecter les doublons
             let processed = 0;
 
             for (const doc of snapshot.docs) {
-                this.validateDocument(doc, seenPlaces);
+                this.validateDocument(doc);
                 processed++;
 
                 // Progress update
@@ -107,7 +134,13 @@ class PlaceValidator {
                 }
             }
 
-            // 3. Rapport final
+            // 3. Doublons (comparaison des lieux proches entre eux)
+            const suggestions = this.checkDuplicates();
+            if (suggestions.length > 0) {
+                console.log(`👯 ${suggestions.length} groupes de doublons potentiels: npm run duplicates:places`);
+            }
+
+            // 4. Rapport final
             this.generateValidationReport();
 
         } catch (error) {
@@ -119,30 +152,38 @@ class PlaceValidator {
     /**
      * 📋 Validation d'un document individuel
      */
-    validateDocument(doc, seenPlaces) {
+    validateDocument(doc) {
         const data = doc.data();
         const docId = doc.id;
+        this.currentCommune = data.commune || findCommuneInAddress(data.address);
 
-        try {
-            // 1. Validation des champs obligatoires
-            this.validateRequiredFields(data, docId);
+        // 1. Schéma : erreurs → document invalide, avertissements signalés
+        const { errors, warnings } = validatePlace(data);
+        warnings.forEach(warning => this.addWarning(docId, getSchemaRule(warning), warning.message));
 
-            // 2. Validation des coordonnées
-            this.validateCoordinates(data, docId);
+        if (errors.length > 0) {
+            this.stats.invalid++;
+            this.stats.errors.push(`${docId}: ${errors.map(error => error.message).join(', ')}`);
+            errors.forEach(error => this.recordIssue(docId, 'error', getSchemaRule(error), error.message));
+            return;
+        }
 
-            // 3. Validation du type de lieu
-            this.validatePlaceType(data, docId);
+        try {
+            // 2. Données manquantes (non critiques)
+            this.countMissingData(data);
 
-            // 4. Détection des doublons
-            this.checkDuplicates(data, docId, seenPlaces);
+            // 3. Cohérence type / catégorie
+            this.validatePlaceType(data, docId);
 
-            // 5. Validation des données optionnelles
-            this.validateOptionalFields(data, docId);
+            // 4. Candidat à la détection des doublons (après la boucle)
+            if (data.isActive !== false) {
+                this.duplicateCandidates.push({ id: docId, data, commune: this.currentCommune });
+            }
 
-            // 6. Validation de la cohérence des données
+            // 5. Validation de la cohérence des données
             this.validateDataConsistency(data, docId);
 
-            // 7. Statistiques par catégorie/source
+            // 6. Statistiques par catégorie/source
             this.updateStatistics(data);
 
             // Document valide
@@ -151,30 +192,14 @@ class PlaceValidator {
         } catch (error) {
             this.stats.invalid++;
             this.stats.errors.push(`${docId}: ${error.message}`);
+            this.recordIssue(docId, 'error', 'exception', error.message);
         }
     }
 
     /**
-     * ✅ Validation des champs obligatoires
+     * 📭 Données manquantes (non critiques)
      */
-    validateRequiredFields(data, docId) {
-        if (!data.name || data.name.trim().length === 0) {
-            throw new Error('Nom du lieu manquant ou vide');
-        }
-
-        if (!data.place_id || data.place_id.length === 0) {
-            throw new Error('Google Place ID manquant');
-        }
-
-        if (!data.location) {
-            throw new Error('Coordonnées manquantes');
-        }
-
-        if (!data.type) {
-            this.addWarning(docId, 'Type de lieu manquant');
-        }
-
-        // Vérifier les données manquantes (non critiques)
+    countMissingData(data) {
         if (!data.address || data.address.trim().length === 0) {
             this.stats.missingData.address++;
         }
@@ -201,39 +226,13 @@ class PlaceValidator {
     }
 
     /**
-     * 🌍 Validation des coordonnées
-     */
-    validateCoordinates(data, docId) {
-        const { location } = data;
-
-        if (!location.latitude || !location.longitude) {
-            throw new Error('Coordonnées latitude/longitude manquantes');
-        }
-
-        if (typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
-            throw new Error('Coordonnées invalides (non numériques)');
-        }
-
-        // Vérification des limites élargies de Bruxelles
-        if (location.latitude < this.EXTENDED_BRUSSELS_BOUNDS.minLat ||
-            location.latitude > this.EXTENDED_BRUSSELS_BOUNDS.maxLat ||
-            location.longitude < this.EXTENDED_BRUSSELS_BOUNDS.minLng ||
-            location.longitude > this.EXTENDED_BRUSSELS_BOUNDS.maxLng) {
-            this.addWarning(docId, 'Coordonnées hors zone de Bruxelles élargie');
-        }
-
-        // Vérification de coordonnées aberrantes
-        if (Math.abs(location.latitude) > 90 || Math.abs(location.longitude) > 180) {
-            throw new Error('Coordonnées GPS invalides (hors limites mondiales)');
-        }
-    }
-
-    /**
-     * 🏷️ Validation du type de lieu
+     * 🏷️ Cohérence type / catégorie (type inconnu ou legacy : signalé par le schéma)
      */
     validatePlaceType(data, docId) {
-        if (data.type && !this.VALID_PLACE_TYPES.includes(data.type)) {
-            this.addWarning(docId, `Type de lieu inconnu: ${data.type}`);
+        // Anciens types : la migration 0001 les ramène aux types canoniques
+        if (LEGACY_PLACE_TYPES[data.type]) {
+            this.stats.legacyTypes++;
+            return;
         }
 
         // Vérification cohérence type/catégorie
@@ -244,120 +243,88 @@ class PlaceValidator {
                 'general_park': ['Parc public', 'parc'],
                 'veterinary': ['Vétérinaire', 'veterinaire'],
                 'dog_friendly_restaurant': ['Restaurant dog-friendly', 'restaurant', 'cafe'],
-
-                // Anciens types (rétrocompatibilité)
-                'dog_parks': ['Parcs à chiens', 'parc'],
-                'pet_stores': ['Animaleries', 'animalerie'],
-                'dog_friendly_cafes': ['Cafés dog-friendly', 'restaurant', 'cafe']
+                'pet_store': ['Animalerie', 'animalerie']
             };
 
             const expected = expectedCategories[data.type];
             if (expected && !expected.some(cat =>
                 data.category.toLowerCase().includes(cat.toLowerCase())
             )) {
-                this.addWarning(docId, `Incohérence type "${data.type}" / catégorie "${data.category}"`);
+                this.addWarning(docId, 'type_category_mismatch', `Incohérence type "${data.type}" / catégorie "${data.category}"`);
             }
         }
     }
 
     /**
-     * 👥 Détection des doublons
+     * 👥 Détection des doublons parmi les lieux actifs valides
+     * (distance, noms FR/NL, types, téléphone / site : common/placeDuplicates.js)
      */
-    checkDuplicates(data, docId, seenPlaces) {
-        // Clé basée sur nom + coordonnées approximatives
-        const latRounded = Math.round(data.location.latitude * 1000) / 1000;
-        const lngRounded = Math.round(data.location.longitude * 1000) / 1000;
-        const locationKey = `${latRounded}_${lngRounded}`;
-
-        if (seenPlaces.has(locationKey)) {
-            const existing = seenPlaces.get(locationKey);
-
-            // Vérifier si les noms sont similaires
-            if (this.areNamesSimilar(data.name, existing.name)) {
+    checkDuplicates() {
+        const suggestions = findDuplicateSuggestions(this.duplicateCandidates, {
+            separate: readDuplicateDecisions().separate
+        });
+        const communes = new Map(this.duplicateCandidates.map(place => [place.id, place.commune]));
+
+        suggestions.forEach(suggestion => {
+            suggestion.duplicates.forEach(duplicate => {
                 this.stats.duplicates++;
-                this.addWarning(docId, `Doublon potentiel avec ${existing.id}: "${existing.name}"`);
-            }
-        } else {
-            seenPlaces.set(locationKey, {
-                id: docId,
-                name: data.name
+                this.currentCommune = communes.get(duplicate.id) || null;
+                this.addWarning(duplicate.id, 'duplicate',
+                    `Doublon potentiel avec ${suggestion.keep.id}: "${suggestion.keep.name}" (confiance ${duplicate.score.toFixed(2)}, ${suggestion.id})`);
             });
-        }
-    }
-
-    /**
-     * 🔤 Comparaison de noms similaires
-     */
-    areNamesSimilar(name1, name2) {
-        const normalize = (str) => str.toLowerCase()
-            .replace(/[^a-z0-9]/g, '')
-            .substring(0, 10);
+        });
 
-        const n1 = normalize(name1);
-        const n2 = normalize(name2);
-
-        // Distance de Levenshtein simplifiée
-        return n1 === n2 || Math.abs(n1.length - n2.length) <= 2;
+        return suggestions;
     }
 
     /**
-     * 📝 Validation des champs optionnels
+     * 🔗 Validation de la cohérence des données
      */
-    validateOptionalFields(data, docId) {
-        // Validation du rating
-        if (data.rating !== null && data.rating !== undefined) {
-            if (typeof data.rating !== 'number' || data.rating < 0 || data.rating > 5) {
-                this.addWarning(docId, `Rating invalide: ${data.rating} (doit être entre 0 et 5)`);
+    validateDataConsistency(data, docId) {
+        // Vérifier les champs corrigés à la main
+        (data.curatedFields || []).forEach(field => {
+            if (!isOverridableField(field)) {
+                this.addWarning(docId, 'curated_field_not_overridable', `Champ corrigé non corrigeable: ${field}`);
             }
-        }
+        });
 
-        // Validation du price level
-        if (data.priceLevel !== null && data.priceLevel !== undefined) {
-            if (!Number.isInteger(data.priceLevel) || data.priceLevel < 0 || data.priceLevel > 4) {
-                this.addWarning(docId, `Prix level invalide: ${data.priceLevel} (doit être 0-4)`);
-            }
+        // Vérifier cohérence du cycle de vie (soft-delete)
+        if (data.isActive === false && !data.closedReason) {
+            this.addWarning(docId, 'inactive_without_reason', 'Lieu inactif sans closedReason');
         }
-
-        // Validation du website
-        if (data.website) {
-            try {
-                new URL(data.website);
-            } catch {
-                this.addWarning(docId, `URL de website invalide: ${data.website}`);
-            }
+        if (data.isActive !== false && data.businessStatus === 'CLOSED_PERMANENTLY') {
+            this.addWarning(docId, 'active_but_closed', 'Lieu actif mais fermé définitivement selon Google');
         }
 
-        // Validation du téléphone (format basique)
-        if (data.phone) {
-            if (!/[\d\s\+\-\(\)]{8,}/.test(data.phone)) {
-                this.addWarning(docId, `Format téléphone suspect: ${data.phone}`);
-            }
-        }
-    }
-
-    /**
-     * 🔗 Validation de la cohérence des données
-     */
-    validateDataConsistency(data, docId) {
         // Vérifier cohérence ratings
         if (data.rating && data.ratingsCount) {
             if (data.rating > 0 && data.ratingsCount === 0) {
-                this.addWarning(docId, 'Rating présent mais ratingsCount = 0');
+                this.addWarning(docId, 'rating_without_count', 'Rating présent mais ratingsCount = 0');
             }
         }
 
-        // Vérifier cohérence photos
+        // Vérifier le stockage des photos (références et URLs : schéma)
         if (data.photos && data.photos.length > 0) {
             data.photos.forEach((photo, index) => {
-                if (!photo.reference && !photo.url) {
-                    this.addWarning(docId, `Photo ${index + 1} sans référence ni URL`);
+                if (photo.reference && !photo.storagePaths) {
+                    this.addWarning(docId, 'photo_not_stored', `Photo ${index + 1} non stockée (npm run photos:places)`);
                 }
             });
         }
 
-        // Vérifier si le lieu est marqué dog-friendly
-        if (data.isDogFriendly === false) {
-            this.addWarning(docId, 'Lieu marqué comme NON dog-friendly dans une collection dog-friendly');
+        // Vérifier si le lieu est marqué dog-friendly (score sous le neutre = preuves contraires,
+        // sauf si isDogFriendly a été corrigé à la main : la correction fait foi)
+        const dogFriendlyScore = data.metadata?.dogFriendlyScore;
+        if (dogFriendlyScore === undefined) {
+            this.stats.missingData.dogFriendlyScore++;
+            if (data.isDogFriendly === false) {
+                this.addWarning(docId, 'not_dog_friendly', 'Lieu marqué comme NON dog-friendly dans une collection dog-friendly');
+            }
+        } else if (dogFriendlyScore < NEUTRAL_SCORE && !isCuratedField(data.curatedFields, 'isDogFriendly')) {
+            const signals = (data.metadata.dogFriendlyEvidence || [])
+                .filter(item => item.weight < 0)
+                .map(item => item.signal);
+            this.addWarning(docId, 'not_dog_friendly', `Lieu signalé NON dog-friendly (score ${dogFriendlyScore}: ${signals.join(', ')})`);
         }
     }
 
@@ -375,6 +342,23 @@ class PlaceValidator {
             this.stats.sources[data.source] = (this.stats.sources[data.source] || 0) + 1;
         }
 
+        // Corrections manuelles
+        if (data.curatedFields && data.curatedFields.length > 0) {
+            this.stats.curation.places++;
+            data.curatedFields.forEach(field => {
+                this.stats.curation.byField[field] = (this.stats.curation.byField[field] || 0) + 1;
+            });
+        }
+
+        // Cycle de vie
+        if (data.isActive === false) {
+            const reason = data.closedReason || 'unknown';
+            this.stats.lifecycle.inactive++;
+            this.stats.lifecycle.byClosedReason[reason] = (this.stats.lifecycle.byClosedReason[reason] || 0) + 1;
+        } else {
+            this.stats.lifecycle.active++;
+        }
+
         // Statistiques de rating
         if (data.rating) {
             if (data.rating >= 4.0) {
@@ -394,9 +378,32 @@ class PlaceValidator {
     /**
      * ⚠️ Ajout d'un avertissement
      */
-    addWarning(docId, message) {
+    addWarning(docId, rule, message) {
         this.stats.warnings++;
         this.stats.warnings_list.push(`${docId}: ${message}`);
+        this.recordIssue(docId, 'warning', rule, message);
+    }
+
+    /**
+     * 📌 Problème structuré (règle, gravité, commune) pour les rapports
+     */
+    recordIssue(docId, severity, rule, message) {
+        this.issues.push({ docId, severity, rule, message, commune: this.currentCommune });
+    }
+
+    /**
+     * 📑 Rapport complet (JSON / HTML / JUnit) et verdict des seuils
+     */
+    buildReport(thresholds) {
+        const { missingData, legacyTypes, categories, sources, lifecycle, curation, ratings } = this.stats;
+
+        return buildValidationReport({
+            collection: this.COLLECTION_NAME,
+            stats: this.stats,
+            issues: this.issues,
+            thresholds,
+            details: { missingData, legacyTypes, categories, sources, lifecycle, curation, ratings }
+        });
     }
 
     /**
@@ -418,6 +425,22 @@ class PlaceValidator {
         console.log(`   Doublons: ${this.stats.duplicates}`);
         console.log(`   ⏱️  Durée: ${duration.toFixed(1)}s`);
 
+        // Cycle de vie
+        console.log('\n🚦 CYCLE DE VIE:');
+        console.log(`   Actifs: ${this.stats.lifecycle.active}`);
+        console.log(`   Désactivés: ${this.stats.lifecycle.inactive}`);
+        Object.entries(this.stats.lifecycle.byClosedReason).forEach(([reason, count]) => {
+            console.log(`      ${reason}: ${count}`);
+        });
+
+        // Corrections manuelles
+        if (this.stats.curation.places > 0) {
+            console.log(`\n✍️ CORRECTIONS MANUELLES: ${this.stats.curation.places} lieux`);
+            Object.entries(this.stats.curation.byField)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([field, count]) => console.log(`   ${field}: ${count}`));
+        }
+
         // Données manquantes
         console.log('\n⚠️ DONNÉES MANQUANTES:');
         console.log(`   Adresses: ${this.stats.missingData.address}`);
@@ -426,6 +449,7 @@ class PlaceValidator {
         console.log(`   Ratings: ${this.stats.missingData.rating}`);
         console.log(`   Horaires: ${this.stats.missingData.openingHours}`);
         console.log(`   Photos: ${this.stats.missingData.photos}`);
+        console.log(`   Score dog-friendly: ${this.stats.missingData.dogFriendlyScore}`);
 
         // Répartition par catégorie
         console.log('\n🏷️ RÉPARTITION PAR CATÉGORIE:');
@@ -498,18 +522,27 @@ class PlaceValidator {
         this.generateRecommendations();
     }
 
+    /**
+     * 🔧 --fix : corrections des documents validés (champs curés épargnés)
+     */
+    async fixAll(options = {}) {
+        const runner = new FixRunner({
+            firestore: this.firestore,
+            collectionName: this.COLLECTION_NAME,
+            fixers: PLACE_FIXERS,
+            respectCuration: true,
+            dryRun: options.dryRun
+        });
+
+        return runner.run(this.docs);
+    }
+
     /**
      * 🏷️ Nom d'affichage des catégories
      */
     getCategoryDisplayName(category) {
-        const names = {
-            'dog_parks': 'Parcs à chiens',
-            'veterinary': 'Vétérinaires',
-            'pet_stores': 'Animaleries',
-            'dog_friendly_cafes': 'Cafés dog-friendly',
-            'unknown': 'Type inconnu'
-        };
-        return names[category] || category;
+        if (category === 'unknown') return 'Type inconnu';
+        return getPlaceTypeInfo(category)?.displayName || category;
     }
 
     /**
@@ -523,7 +556,15 @@ class PlaceValidator {
         }
 
         if (this.stats.duplicates > 0) {
-            console.log(`   🗑️ Supprimer ${this.stats.duplicates} doublons`);
+            console.log(`   👯 ${this.stats.duplicates} doublons à fusionner ou écarter: npm run duplicates:places`);
+        }
+
+        if (this.stats.warnings > 0) {
+            console.log('   🔧 Corrections automatiques: npm run validate:places -- --fix --dry-run');
+        }
+
+        if (this.stats.legacyTypes > 0) {
+            console.log(`   🧱 ${this.stats.legacyTypes} lieux avec un type legacy: npm run migrate:up`);
         }
 
         if (this.stats.missingData.phone > this.stats.total * 0.7) {
@@ -562,18 +603,55 @@ async function main() {
         process.exit(1);
     }
 
+    // Polygones de la Région : sans eux, aucun test « est à Bruxelles » fiable
+    try {
+        loadBoundaries();
+    } catch (error) {
+        console.error('❌ Limites de Bruxelles:', error.message);
+        process.exit(1);
+    }
+
     const validator = new PlaceValidator();
+    const dryRun = hasFlag('--dry-run');
 
     try {
+        const thresholds = readThresholds(DEFAULT_THRESHOLDS);
+        const reportOptions = readReportOptions();
+
+        // Annulation d'un run --fix
+        if (hasFlag('--restore')) {
+            const runId = getFlagValue('--restore');
+            if (!runId) throw new Error('Usage: --restore <fix_brussels_places_...>');
+
+            const runner = new FixRunner({ collectionName: validator.COLLECTION_NAME, fixers: PLACE_FIXERS, dryRun });
+            const stats = await runner.restore(runId);
+            process.exit(stats.errors > 0 ? 1 : 0);
+        }
+
         await validator.validateAll();
 
-        const qualityScore = (validator.stats.valid - validator.stats.duplicates) / validator.stats.total;
+        const report = validator.buildReport(thresholds);
+        if (reportOptions.enabled) {
+            const files = writeValidationReports(report, reportOptions);
+            console.log('\n📑 Rapports complets:');
+            files.forEach(file => console.log(`   ${path.relative(process.cwd(), file)}`));
+        }
 
-        if (qualityScore >= 0.80) {
+        if (hasFlag('--fix')) {
+            const stats = await validator.fixAll({ dryRun });
+            console.log(dryRun
+                ? '\n💡 Aperçu seulement : relancer sans --dry-run pour appliquer'
+                : '\n💡 Relancer la validation pour vérifier: npm run validate:places');
+            process.exit(stats.errors > 0 ? 1 : 0);
+        }
+
+        printThresholdChecks(report);
+
+        if (report.passed) {
             console.log('\n✅ Validation terminée avec succès');
             process.exit(0);
         } else {
-            console.log('\n⚠️ Qualité des données insuffisante');
+            console.log('\n⚠️ Qualité des données insuffisante (seuil dépassé)');
             process.exit(1);
         }
 
@@ -583,6 +661,13 @@ async function main() {
     }
 }
 
+/**
+ * 🏷️ Règle d'un problème du schéma (champ racine : schema.location, schema.type...)
+ */
+function getSchemaRule(issue) {
+    return issue.field ? `schema.${issue.field.split('.')[0]}` : 'schema';
+}
+
 module.exports = { PlaceValidator, main };
 
 // Exécution si appelé directement
@@ -287,8 +287,9 @@ export class DataSourceConfigManager {
       },
       config: {
         baseUrl: 'https://overpass-api.de/api',
-        timeout: 10000,
+        timeout: 210000, // Requête Overpass de toute la région (timeout serveur 180 s)
         rateLimit: 1,
+        inputFile: process.env.OSM_PLACES_FILE, // Export local : pas d'appel réseau
         customHeaders: {
           'User-Agent': 'DogPlacesBrussels/1.0'
         }
@@ -1,12 +1,5 @@
 import { z } from 'zod';
-
-// Brussels bounding box coordinates (precise boundaries of Brussels-Capital Region)
-export const BRUSSELS_BOUNDS = {
-  minLat: 50.7641,
-  maxLat: 50.9228,
-  minLng: 4.2177,
-  maxLng: 4.4821,
-};
+import { isInBrusselsRegion, loadBoundaryCollection } from './brusselsBoundaries.js';
 
 // API Configuration
 export const API_CONFIG = {
@@ -90,9 +83,12 @@ export const POSTAL_CODE_MAPPING: Record<string, string> = {
 };
 
 // Zod validation schemas
+// Coordinates must fall inside the Brussels-Capital Region polygon
 export const CoordinatesSchema = z.object({
-  latitude: z.number().min(BRUSSELS_BOUNDS.minLat).max(BRUSSELS_BOUNDS.maxLat),
-  longitude: z.number().min(BRUSSELS_BOUNDS.minLng).max(BRUSSELS_BOUNDS.maxLng),
+  latitude: z.number(),
+  longitude: z.number(),
+}).refine(({ latitude, longitude }) => validateCoordinates(latitude, longitude), {
+  message: 'Coordinates outside the Brussels-Capital Region',
 });
 
 export const UrbisAddressSchema = z.object({
@@ -139,10 +135,7 @@ export type UrbisResponse = z.infer<typeof UrbisResponseSchema>;
 
 // Validation helpers
 export function validateCoordinates(lat: number, lng: number): boolean {
-  return lat >= BRUSSELS_BOUNDS.minLat &&
-         lat <= BRUSSELS_BOUNDS.maxLat &&
-         lng >= BRUSSELS_BOUNDS.minLng &&
-         lng <= BRUSSELS_BOUNDS.maxLng;
+  return isInBrusselsRegion(lat, lng, loadBoundaryCollection());
 }
 
 export function normalizeCommune(commune: string): string {
@@ -0,0 +1,121 @@
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+
+// Brussels-Capital Region and commune polygons (GeoJSON produced by
+// scripts/fetchBrusselsBoundaries.js → scripts/config/brusselsBoundaries.geojson).
+// Same point-in-polygon test as scripts/common/brusselsBoundaries.js, and the
+// same rule: no rectangle fallback, a missing file is an error.
+//
+// isPointInRing, isPointInGeometry and getRegionBounds mirror isPointInRing,
+// isPointInGeometry and geometryBounds in scripts/common/geo.js (CommonJS,
+// not importable from src/): change both together.
+
+export const BOUNDARIES_FILE = process.env.BRUSSELS_BOUNDARIES_FILE ||
+  resolve(process.cwd(), 'scripts', 'config', 'brusselsBoundaries.geojson');
+
+type Ring = [number, number][]; // [lng, lat]
+
+export interface BoundaryFeature {
+  type: 'Feature';
+  properties: {
+    kind: 'region' | 'commune';
+    name: string;
+    nameNl: string | null;
+  };
+  geometry:
+    | { type: 'Polygon'; coordinates: Ring[] }
+    | { type: 'MultiPolygon'; coordinates: Ring[][] };
+}
+
+export interface BoundaryCollection {
+  type: 'FeatureCollection';
+  features: BoundaryFeature[];
+}
+
+let defaultCollection: BoundaryCollection | null = null;
+
+// Loaded once for the default file
+export function loadBoundaryCollection(filePath: string = BOUNDARIES_FILE): BoundaryCollection {
+  if (filePath === BOUNDARIES_FILE && defaultCollection) {
+    return defaultCollection;
+  }
+
+  if (!existsSync(filePath)) {
+    throw new Error(`${filePath} not found: generate it with npm run boundaries:fetch`);
+  }
+
+  const collection = JSON.parse(readFileSync(filePath, 'utf8')) as BoundaryCollection;
+  if (!collection.features?.some(feature => feature.properties.kind === 'region')) {
+    throw new Error(`Region polygon missing from ${filePath}`);
+  }
+
+  if (filePath === BOUNDARIES_FILE) {
+    defaultCollection = collection;
+  }
+  return collection;
+}
+
+export function isPointInRing(lat: number, lng: number, ring: Ring): boolean {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+
+    if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+export function isPointInGeometry(lat: number, lng: number, geometry: BoundaryFeature['geometry']): boolean {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons.some(([outer, ...holes]) =>
+    isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole)));
+}
+
+export function isInBrusselsRegion(lat: number, lng: number, boundaries: BoundaryCollection): boolean {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+
+  const region = boundaries.features.find(feature => feature.properties.kind === 'region');
+  if (!region) {
+    throw new Error('Region polygon missing from boundary collection');
+  }
+
+  return isPointInGeometry(lat, lng, region.geometry);
+}
+
+// Bounding box of the Region polygon (area queries such as Overpass only)
+export function getRegionBounds(boundaries: BoundaryCollection): { minLat: number; maxLat: number; minLng: number; maxLng: number } {
+  const region = boundaries.features.find(feature => feature.properties.kind === 'region');
+  if (!region) {
+    throw new Error('Region polygon missing from boundary collection');
+  }
+
+  const polygons = region.geometry.type === 'MultiPolygon' ? region.geometry.coordinates : [region.geometry.coordinates];
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+
+  // Loop (no Math.min(...points): OSM polygons have thousands of vertices)
+  polygons.forEach(([outer]) => outer.forEach(([lng, lat]) => {
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+    bounds.minLng = Math.min(bounds.minLng, lng);
+    bounds.maxLng = Math.max(bounds.maxLng, lng);
+  }));
+
+  return bounds;
+}
+
+// French commune name, or null outside the Region
+export function findCommune(lat: number, lng: number, boundaries: BoundaryCollection): string | null {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const commune = boundaries.features.find(feature =>
+    feature.properties.kind === 'commune' && isPointInGeometry(lat, lng, feature.geometry));
+
+  return commune ? commune.properties.name : null;
+}
@@ -0,0 +1,292 @@
+// src/services/providers/OSMService.ts
+
+import { readFile } from 'fs/promises';
+import axios from 'axios';
+import { POSTAL_CODE_MAPPING } from '../../config/addressConfig.js';
+import { BoundaryCollection, findCommune, getRegionBounds, isInBrusselsRegion, loadBoundaryCollection } from '../../config/brusselsBoundaries.js';
+import {
+  AddressData,
+  DataAcquisitionError,
+  DogAccess,
+  DogFriendlyEvidence,
+  DogPlaceData,
+  DogPlaceType,
+  SourceConfig
+} from '../../types/DataAcquisition.js';
+
+/**
+ * 🗺️ LIEUX POUR CHIENS OPENSTREETMAP (OVERPASS)
+ *
+ * Gratuit : leisure=dog_park, amenity=veterinary, shop=pet(_grooming) et
+ * lieux nommés portant un tag dog=* sur la zone de Bruxelles, convertis
+ * en DogPlaceData. La requête Overpass porte sur le rectangle ; les lieux
+ * hors du polygone de la Région sont ensuite écartés. config.inputFile
+ * (export Overpass JSON ou XML .osm) remplace l'appel réseau : hors ligne et tests.
+ *
+ * Même vocabulaire que scripts/common/osmPlaces.js (pipeline JS) :
+ * dog=yes|leashed|unleashed|designated|outside|no → metadata.dogAccess.
+ */
+
+interface OverpassElement {
+  type: 'node' | 'way' | 'relation';
+  id: number;
+  lat?: number;
+  lon?: number;
+  center?: { lat: number; lon: number };
+  tags?: Record<string, string>;
+}
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+const OVERPASS_TIMEOUT_SECONDS = 180;
+
+const DOG_PLACE_SELECTORS = [
+  '["leisure"="dog_park"]',
+  '["amenity"="veterinary"]',
+  '["shop"="pet"]',
+  '["shop"="pet_grooming"]',
+  '["dog"]["name"]["amenity"]',
+  '["dog"]["name"]["leisure"]',
+  '["dog"]["name"]["shop"]'
+];
+
+// Tags OSM → type et catégorie (premier qui correspond)
+const TYPE_RULES: { tag: string; values: string[]; type: DogPlaceType; category: string }[] = [
+  { tag: 'leisure', values: ['dog_park'], type: 'park', category: 'Parc canin' },
+  { tag: 'amenity', values: ['veterinary'], type: 'veterinary_care', category: 'Vétérinaire' },
+  { tag: 'shop', values: ['pet_grooming'], type: 'grooming', category: 'Toilettage' },
+  { tag: 'shop', values: ['pet'], type: 'pet_store', category: 'Animalerie' },
+  { tag: 'amenity', values: ['restaurant', 'cafe', 'bar', 'pub', 'fast_food', 'ice_cream'], type: 'restaurant', category: 'Restaurant dog-friendly' },
+  { tag: 'leisure', values: ['park', 'garden', 'nature_reserve'], type: 'park', category: 'Parc public' }
+];
+
+const DOG_ACCESS: Record<string, Omit<DogAccess, 'dog'>> = {
+  yes: { allowed: true, leash: null },
+  leashed: { allowed: true, leash: 'required' },
+  unleashed: { allowed: true, leash: 'not_required' },
+  designated: { allowed: true, leash: 'not_required' },
+  outside: { allowed: false, leash: null },
+  no: { allowed: false, leash: null }
+};
+
+// Mêmes poids que scripts/common/dogFriendliness.js
+const DOG_WEIGHTS: Record<string, number> = {
+  designated: 50,
+  unleashed: 50,
+  yes: 40,
+  leashed: 30,
+  outside: -10,
+  no: -60
+};
+const NEUTRAL_SCORE = 50;
+
+export class OSMService {
+  private config: SourceConfig;
+  private boundaries: BoundaryCollection;
+
+  constructor(config: SourceConfig, boundaries: BoundaryCollection = loadBoundaryCollection()) {
+    this.config = config;
+    this.boundaries = boundaries;
+  }
+
+  /**
+   * Tous les lieux pour chiens de Bruxelles
+   */
+  async getAllDogPlaces(): Promise<DogPlaceData[]> {
+    const elements = this.config.inputFile
+      ? await this.loadFile(this.config.inputFile)
+      : await this.fetchFromOverpass();
+
+    return elements
+      .map(element => this.toDogPlace(element))
+      .filter((place): place is DogPlaceData => place !== null)
+      .filter(place => isInBrusselsRegion(place.location.latitude, place.location.longitude, this.boundaries));
+  }
+
+  /**
+   * Les adresses OSM passent par scripts/addresses (Overpass addr:*)
+   */
+  async getAllBrusselsAddresses(): Promise<AddressData[]> {
+    throw new DataAcquisitionError(
+      'OSM addresses are not supported by OSMService (use scripts/addresses/fetchOpenAddresses.js)',
+      'INVALID_TYPE',
+      'OSM'
+    );
+  }
+
+  /**
+   * Requête Overpass sur l'emprise du polygone de la Région (résultats
+   * filtrés ensuite sur le polygone lui-même)
+   */
+  buildQuery(): string {
+    const bounds = getRegionBounds(this.boundaries);
+    const bbox = `${bounds.minLat},${bounds.minLng},${bounds.maxLat},${bounds.maxLng}`;
+    const statements = DOG_PLACE_SELECTORS.map(selector => `  nwr${selector}(${bbox});`).join('\n');
+
+    return `[out:json][timeout:${OVERPASS_TIMEOUT_SECONDS}];\n(\n${statements}\n);\nout center tags;`;
+  }
+
+  private async fetchFromOverpass(): Promise<OverpassElement[]> {
+    const baseUrl = this.config.baseUrl ? `${this.config.baseUrl}/interpreter` : OVERPASS_URL;
+
+    try {
+      const response = await axios.post(baseUrl, this.buildQuery(), {
+        headers: { 'Content-Type': 'text/plain', ...this.config.customHeaders },
+        timeout: Math.max(this.config.timeout || 0, (OVERPASS_TIMEOUT_SECONDS + 30) * 1000)
+      });
+
+      return response.data.elements || [];
+    } catch (error: any) {
+      const status = error.response?.status;
+      throw new DataAcquisitionError(
+        `Overpass request failed: ${status || error.message}`,
+        'OSM_REQUEST_FAILED',
+        'OSM',
+        [429, 502, 503, 504].includes(status)
+      );
+    }
+  }
+
+  /**
+   * Export local : Overpass JSON ou XML .osm
+   */
+  private async loadFile(filePath: string): Promise<OverpassElement[]> {
+    const content = await readFile(filePath, 'utf8');
+
+    if (content.trimStart().startsWith('<')) {
+      return this.parseOsmXml(content);
+    }
+
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.elements || [];
+  }
+
+  /**
+   * XML .osm → éléments Overpass (centre des ways : moyenne de leurs nœuds)
+   */
+  private parseOsmXml(xml: string): OverpassElement[] {
+    const decode = (text: string) => text
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+    const attributesOf = (text: string) => {
+      const attributes: Record<string, string> = {};
+      for (const match of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+        attributes[match[1]] = decode(match[2]);
+      }
+      return attributes;
+    };
+
+    const elements: OverpassElement[] = [];
+    const nodes = new Map<string, { lat: number; lon: number }>();
+    const wayRefs = new Map<OverpassElement, string[]>();
+
+    for (const match of xml.matchAll(/<(node|way|relation)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+      const [, type, attributeText, body = ''] = match;
+      const attributes = attributesOf(attributeText);
+      const element: OverpassElement = { type: type as OverpassElement['type'], id: Number(attributes.id), tags: {} };
+
+      for (const tag of body.matchAll(/<tag\b([^>]*?)\/>/g)) {
+        const { k, v } = attributesOf(tag[1]);
+        if (k) element.tags![k] = v;
+      }
+
+      if (type === 'node') {
+        element.lat = Number(attributes.lat);
+        element.lon = Number(attributes.lon);
+        nodes.set(attributes.id, { lat: element.lat, lon: element.lon });
+      } else {
+        const center = body.match(/<center\b([^>]*?)\/>/);
+        if (center) {
+          const { lat, lon } = attributesOf(center[1]);
+          element.center = { lat: Number(lat), lon: Number(lon) };
+        } else {
+          wayRefs.set(element, [...body.matchAll(/<nd\b[^>]*?ref="(\d+)"/g)].map(ref => ref[1]));
+        }
+      }
+
+      elements.push(element);
+    }
+
+    wayRefs.forEach((refs, element) => {
+      const points = refs.map(ref => nodes.get(ref)).filter((point): point is { lat: number; lon: number } => Boolean(point));
+      if (points.length > 0) {
+        element.center = {
+          lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+          lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length
+        };
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Accès des chiens (un parc canin sans tag dog=* vaut designated)
+   */
+  getDogAccess(tags: Record<string, string>): DogAccess | null {
+    const dog = tags.dog || (tags.leisure === 'dog_park' ? 'designated' : null);
+    if (!dog || !DOG_ACCESS[dog]) return null;
+
+    return { dog: dog as DogAccess['dog'], ...DOG_ACCESS[dog] };
+  }
+
+  /**
+   * Élément Overpass → DogPlaceData (null sans position, sans type connu ou sans nom)
+   */
+  private toDogPlace(element: OverpassElement): DogPlaceData | null {
+    const tags = element.tags || {};
+    const coordinates = element.center || (element.lat !== undefined && element.lon !== undefined
+      ? { lat: element.lat, lon: element.lon }
+      : null);
+    const rule = TYPE_RULES.find(candidate => candidate.values.includes(tags[candidate.tag]));
+
+    if (!coordinates || !rule) return null;
+
+    const name = tags.name || tags['name:fr'] || tags['name:nl'] || (tags.leisure === 'dog_park' ? 'Parc canin' : null);
+    if (!name) return null;
+
+    const osmId = `${element.type}/${element.id}`;
+    const dogAccess = this.getDogAccess(tags);
+    const evidence: DogFriendlyEvidence[] = dogAccess && DOG_WEIGHTS[dogAccess.dog] !== undefined
+      ? [{ source: 'osm', signal: `dog=${dogAccess.dog}`, weight: DOG_WEIGHTS[dogAccess.dog], detail: `Tag OSM dog=${dogAccess.dog}` }]
+      : [];
+    const dogFriendlyScore = Math.min(100, Math.max(0, evidence.reduce((sum, item) => sum + item.weight, NEUTRAL_SCORE)));
+
+    const street = [tags['addr:street'], tags['addr:housenumber']].filter(Boolean).join(' ');
+    const city = [tags['addr:postcode'], tags['addr:city']].filter(Boolean).join(' ');
+
+    return {
+      id: `osm_${element.type}_${element.id}`,
+      name,
+      type: rule.type,
+      category: rule.category,
+      formattedAddress: [street, city].filter(Boolean).join(', '),
+      location: { latitude: coordinates.lat, longitude: coordinates.lon },
+      // Hors des polygones des communes : code postal de l'adresse OSM
+      commune: findCommune(coordinates.lat, coordinates.lon, this.boundaries) ||
+        POSTAL_CODE_MAPPING[tags['addr:postcode']] || null,
+      contact: {
+        phone: tags.phone || tags['contact:phone'],
+        website: tags.website || tags['contact:website'],
+        email: tags.email || tags['contact:email']
+      },
+      hours: [], // Horaires OSM bruts dans metadata.openingHoursRaw
+      amenities: [],
+      photos: [],
+      source: 'OSM',
+      lastUpdated: new Date(),
+      isActive: true,
+      sourceIds: { googlePlaceId: null, osmId, foursquareId: null },
+      metadata: {
+        confidence: 0.8,
+        isVerified: false,
+        dogFriendlyScore,
+        dogFriendlyEvidence: evidence,
+        dogAccess: dogAccess || undefined,
+        openingHoursRaw: tags.opening_hours
+      }
+    };
+  }
+}
@@ -15,14 +15,17 @@ import {
   DataUpdateEventType
 } from '../../types/DataAcquisition.js';
 import { DataVersionService, UpdateStrategyFactory } from './DataVersionService.js';
+import { BoundaryCollection, isInBrusselsRegion, loadBoundaryCollection } from '../../config/brusselsBoundaries.js';
 
 export class ScheduledDataService {
   private pipelines: Map<string, DataUpdatePipeline> = new Map();
   private versionService: DataVersionService;
+  private boundaries: BoundaryCollection;
   private eventCallbacks: Map<DataUpdateEventType, ((event: DataUpdateEvent) => void)[]> = new Map();
 
-  constructor(versionService: DataVersionService) {
+  constructor(versionService: DataVersionService, boundaries: BoundaryCollection = loadBoundaryCollection()) {
     this.versionService = versionService;
+    this.boundaries = boundaries; // Polygones de la Région et des communes
   }
 
   /**
@@ -262,7 +265,7 @@ export class ScheduledDataService {
   ): Promise<(AddressData | DogPlaceData)[]> {
 
     const { OSMService } = await import('../providers/OSMService.js');
-    const service = new OSMService(source.config);
+    const service = new OSMService(source.config, this.boundaries);
 
     if (type === 'addresses') {
       return await service.getAllBrusselsAddresses();
@@ -354,26 +357,27 @@ export class ScheduledDataService {
   }
 
   /**
-   * Vérification des coordonnées de Bruxelles
+   * Vérification des coordonnées de Bruxelles (polygone de la Région)
    */
   private isInBrussels(latitude: number, longitude: number): boolean {
-    return latitude >= 50.7642 && latitude <= 50.9073 &&
-           longitude >= 4.2423 && longitude <= 4.4812;
+    return isInBrusselsRegion(latitude, longitude, this.boundaries);
   }
 
   /**
    * Déduplication des données
+   * Doublons exacts seulement (même identifiant chez un fournisseur) : le
+   * rapprochement entre fournisseurs par distance, nom FR/NL et type est
+   * fait par scripts/common/entityResolution.js (npm run resolve:places)
    */
   private deduplicateData(data: (AddressData | DogPlaceData)[]): (AddressData | DogPlaceData)[] {
     const seen = new Set<string>();
     const unique: (AddressData | DogPlaceData)[] = [];
 
     for (const item of data) {
-      // Clé basée sur place_id ou coordonnées
-      const key = item.placeId || `${item.location.latitude},${item.location.longitude}`;
+      const keys = this.getDeduplicationKeys(item);
 
-      if (!seen.has(key)) {
-        seen.add(key);
+      if (!keys.some(key => seen.has(key))) {
+        keys.forEach(key => seen.add(key));
         unique.push(item);
       }
     }
@@ -381,6 +385,21 @@ export class ScheduledDataService {
     return unique;
   }
 
+  /**
+   * Clés d'identité : identifiants fournisseurs, sinon place_id, sinon coordonnées
+   */
+  private getDeduplicationKeys(item: AddressData | DogPlaceData): string[] {
+    const sourceIds = 'sourceIds' in item ? item.sourceIds : undefined;
+    const keys = sourceIds
+      ? Object.entries(sourceIds)
+          .filter(([, id]) => id)
+          .map(([provider, id]) => `${provider}:${id}`)
+      : [];
+
+    if (keys.length > 0) return keys;
+    return [item.placeId || `${item.location.latitude},${item.location.longitude}`];
+  }
+
   /**
    * Persistance des données
    */
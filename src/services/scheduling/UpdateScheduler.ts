@@ -3,6 +3,7 @@
 import { ScheduledDataService } from './ScheduledDataService.js';
 import { DataVersionService } from './DataVersionService.js';
 import { ConfigurationFactory } from '../../config/SchedulingConfig.js';
+import { loadBoundaryCollection } from '../../config/brusselsBoundaries.js';
 import {
   DataUpdatePipeline,
   DataType,
@@ -20,7 +21,8 @@ export class UpdateScheduler {
 
   constructor() {
     this.versionService = new DataVersionService();
-    this.scheduledService = new ScheduledDataService(this.versionService);
+    // Polygones chargés au démarrage : un fichier manquant arrête le scheduler
+    this.scheduledService = new ScheduledDataService(this.versionService, loadBoundaryCollection());
     this.config = ConfigurationFactory.createConfiguration().scheduling;
     this.setupEventListeners();
   }
@@ -129,6 +129,7 @@ export type SourceConfig = {
   customHeaders?: Record<string, string>;
   rateLimit?: number;
   timeout?: number;
+  inputFile?: string; // Export local (Overpass JSON, .osm) : pas d'appel réseau
 };
 
 // Strategy Interfaces
@@ -148,7 +149,17 @@ export interface UpdateStrategy {
 }
 
 // Data Models
-export interface AddressData {
+
+// Champs geohash écrits par les imports (scripts/common/geohash.js)
+export interface GeohashFields {
+  geohash?: string;  // précision 9
+  geohash4?: string;
+  geohash5?: string;
+  geohash6?: string;
+  geohash7?: string;
+}
+
+export interface AddressData extends GeohashFields {
   id: string;
   placeId?: string;
   name?: string;
@@ -165,7 +176,7 @@ export interface AddressData {
   metadata: AddressMetadata;
 }
 
-export interface DogPlaceData {
+export interface DogPlaceData extends GeohashFields {
   id: string;
   placeId?: string;
   name: string;
@@ -174,8 +185,10 @@ export interface DogPlaceData {
   description?: string;
   formattedAddress: string;
   location: GeoLocation;
+  commune?: string | null; // Polygones des communes, sinon code postal
   contact: ContactInfo;
   hours: OpeningHours[];
+  hoursMeta?: OpeningHoursMeta;
   amenities: string[];
   rating?: number;
   ratingsCount?: number;
@@ -183,9 +196,43 @@ export interface DogPlaceData {
   source: DataSourceProvider;
   lastUpdated: Date;
   isActive: boolean;
+  businessStatus?: BusinessStatus | null;
+  closedReason?: PlaceClosedReason | null;
+  closedAt?: Date | null;
+  lastSeenAt?: Date;
+  lastSeenRunId?: string;
+  missedRuns?: number;
+  curatedFields?: string[];
+  curation?: PlaceCuration | null;
+  sourceIds?: PlaceSourceIds;
+  provenance?: Record<string, DataSourceProvider> | null; // Fournisseur retenu par champ
   metadata: DogPlaceMetadata;
 }
 
+// Identifiants du lieu chez chaque fournisseur (résolution d'entités)
+export interface PlaceSourceIds {
+  googlePlaceId: string | null;
+  osmId: string | null; // "way/123", "node/456"
+  foursquareId: string | null;
+}
+
+// Correction manuelle (collection brussels_places_overrides, clé = place_id)
+export interface PlaceOverride {
+  fields: Record<string, unknown>;
+  reason: string;
+  updatedBy?: string | null;
+  updatedAt?: Date;
+}
+
+export interface PlaceCuration {
+  reason: string | null;
+  updatedBy: string | null;
+}
+
+export type BusinessStatus = 'OPERATIONAL' | 'CLOSED_TEMPORARILY' | 'CLOSED_PERMANENTLY';
+
+export type PlaceClosedReason = 'closed_permanently' | 'not_seen' | 'curated';
+
 export interface GeoLocation {
   latitude: number;
   longitude: number;
@@ -207,10 +254,16 @@ export interface ContactInfo {
 export interface OpeningHours {
   dayOfWeek: number; // 0-6 (Sunday-Saturday)
   openTime: string; // HH:MM
-  closeTime: string; // HH:MM
+  closeTime: string; // HH:MM ("24:00" = minuit ; <= openTime = le lendemain)
   isClosed: boolean;
 }
 
+export interface OpeningHoursMeta {
+  is24_7: boolean;
+  publicHolidays: { isClosed: boolean; ranges: { openTime: string; closeTime: string }[] } | null; // Règle PH (OSM)
+  source: 'google_periods' | 'google_weekday_text' | 'osm' | 'structured';
+}
+
 export interface Photo {
   reference: string;
   width: number;
@@ -239,10 +292,28 @@ export interface DogPlaceMetadata {
   confidence: number;
   isVerified: boolean;
   lastVerified?: Date;
-  dogFriendlyScore?: number;
+  dogFriendlyScore?: number; // 0-100, 50 = aucun signal
+  dogFriendlyEvidence?: DogFriendlyEvidence[];
   popularTimes?: PopularTime[];
   priceLevel?: number;
   reviews?: Review[];
+  dogMentions?: DogMentionsSummary;
+  dogAccess?: DogAccess;
+  openingHoursRaw?: string; // opening_hours OSM brut
+}
+
+// Accès des chiens d'après le tag OSM dog=*
+export interface DogAccess {
+  dog: 'yes' | 'leashed' | 'unleashed' | 'designated' | 'outside' | 'no';
+  allowed: boolean;
+  leash: 'required' | 'not_required' | null;
+}
+
+export interface DogFriendlyEvidence {
+  source: 'google_type' | 'name' | 'review' | 'osm' | 'google_attribute';
+  signal: string;
+  weight: number;
+  detail: string;
 }
 
 export interface PopularTime {
@@ -255,8 +326,35 @@ export interface Review {
   rating: number;
   text: string;
   author: string;
+  language?: string;
   timestamp: Date;
   source: DataSourceProvider;
+  dogMentions?: DogMentionTopic[];
+}
+
+export type DogMentionTopic =
+  | 'dogs_refused'
+  | 'dogs_restricted'
+  | 'dogs_allowed'
+  | 'water_bowl'
+  | 'dog_treats'
+  | 'off_leash';
+
+export interface DogMentionsSummary {
+  reviewsAnalyzed: number;
+  reviewsWithMentions: number;
+  languages: Record<string, number>;
+  topics: Partial<Record<DogMentionTopic, number>>;
+  positive: number;
+  negative: number;
+  restricted: number;
+  verdict: 'welcome' | 'refused' | 'mixed' | 'restricted' | 'unknown';
+  excerpts: {
+    topic: DogMentionTopic;
+    language: string;
+    rating: number | null;
+    excerpt: string;
+  }[];
 }
 
 // Event Types